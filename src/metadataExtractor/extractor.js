@@ -16,5 +16,13 @@ module.exports = {
     privateKeyPath: process.env.EXTRACTOR_PRIVATE_KEY_PATH,
     githubClientID: process.env.EXTRACTOR_GITHUB_CLIENT_ID,
     githubClientSecret: process.env.EXTRACTOR_GITHUB_CLIENT_SECRET,
-    githubCallbackUrl: process.env.EXTRACTOR_GITHUB_CALLBACK_URL
+    githubCallbackUrl: process.env.EXTRACTOR_GITHUB_CALLBACK_URL,
+    // Directory containing the git working copies that can be analysed with POST /metadata/local
+    localRoot: process.env.EXTRACTOR_LOCAL_ROOT,
+    // Hosts of the self-hosted GitLab and Gitea instances that can be given as baseUrl (comma separated)
+    forgeHosts: process.env.EXTRACTOR_FORGE_HOSTS,
+    // Maximum size of the archives uploaded to POST /metadata/archive
+    archiveSizeLimit: process.env.EXTRACTOR_ARCHIVE_SIZE_LIMIT || '100mb',
+    // EDAM.tsv export used for the EDAM annotation instead of the bundled subset (vocabularies/edam.json)
+    edamSnapshot: process.env.EXTRACTOR_EDAM_SNAPSHOT
 };
@@ -0,0 +1,341 @@
+/*
+Contributor identity resolution and maintainer inference.
+
+Commit authors are merged into one identity when they share a GitHub login (including the login
+encoded in users.noreply.github.com addresses), an email or a normalised name. Maintainers are
+inferred from CODEOWNERS, MAINTAINERS and AUTHORS files and from the repository admin collaborators.
+*/
+
+const { normalizeName } = require('./harvest');
+
+// Files listing code owners and maintainers, by kind
+const CODEOWNERS_FILES = ['CODEOWNERS', '.github/CODEOWNERS', 'docs/CODEOWNERS'];
+const MAINTAINERS_FILES = ['MAINTAINERS', 'MAINTAINERS.md', 'MAINTAINERS.txt', 'MAINTAINERS.rst'];
+const AUTHORS_FILES = ['AUTHORS', 'AUTHORS.md', 'AUTHORS.txt', 'AUTHORS.rst', 'CONTRIBUTORS', 'CONTRIBUTORS.md'];
+
+const NOREPLY_REGEX = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+// Lines of people files that are not a person: copyright notices, thanks and sentences
+const NOT_A_PERSON_REGEX = /^(copyright\b|\(c\)|©|all rights reserved|thanks?\b|thank you\b)/i;
+const SENTENCE_END_REGEX = /[!?]$|\p{Ll}{2,}\.$/u;
+// Section titles written without heading markup
+const SECTION_TITLE_REGEX = /^(authors?|contributors?|maintainers?|credits|acknowledge?ments|(core )?team)$/i;
+// Words of a name: capitalised words and initials, and the lowercase particles (van der Berg, de la Cruz...)
+const NAME_WORD_REGEX = /^\p{Lu}[\p{L}'’.-]*$/u;
+const NAME_PARTICLES = ['da', 'das', 'de', 'del', 'della', 'der', 'di', 'do', 'dos', 'du', 'la', 'le', 'ten', 'ter', 'van', 'von', 'zu'];
+
+
+/**
+ * Returns the GitHub login encoded in a users.noreply.github.com email address.
+ *
+ * @param {string} email - The email address.
+ * @returns {string} - The login, or an empty string if the address is not a GitHub noreply address.
+ */
+function loginFromNoreply(email) {
+    const match = NOREPLY_REGEX.exec(String(email || ''));
+    return match ? match[1] : '';
+}
+
+/**
+ * Returns true if the commit author is a bot (e.g. dependabot[bot], github-actions).
+ *
+ * @param {Object} author - The commit author: { name, email, user: { login } }.
+ * @returns {boolean}
+ */
+function isBot(author) {
+    const login = author.user ? author.user.login : '';
+    return /\[bot\]$/.test(login || '') || /\[bot\]$/.test(author.name || '') ||
+        /^(github-actions|dependabot|renovate)(\[bot\])?$/i.test(login || author.name || '');
+}
+
+/**
+ * Adds the logins, emails, names and commits of an identity to another one.
+ *
+ * @param {Object} identity - The identity that is kept.
+ * @param {Object} other - The identity merged into it.
+ */
+function mergeIdentity(identity, other) {
+    other.logins.forEach(login => identity.logins.add(login));
+    other.emails.forEach(email => identity.emails.add(email));
+    other.names.forEach(name => identity.names.add(name));
+    for (const [name, count] of Object.entries(other.nameCounts)) {
+        identity.nameCounts[name] = (identity.nameCounts[name] || 0) + count;
+    }
+    identity.login = identity.login || other.login;
+    identity.commits += other.commits;
+}
+
+/**
+ * Merges the commit authors of the default branch into identities and counts their commits.
+ *
+ * Authors are the same person if they share a GitHub login (from the commit user or from a
+ * noreply email), an email address or a normalised name. Authors without email are only merged
+ * by login or name. Identities linked by a later commit (e.g. same email as one, same login as
+ * another) are merged, so the result does not depend on the order of the commits. Bots are skipped. The most frequent name and the first real (not noreply)
+ * email of each identity are kept.
+ *
+ * @param {Object[]} commitAuthors - The commit authors: { name, email, user: { login } }, one per commit.
+ * @returns {Object[]} - The authors: { name, type, email, maintainer, login, commits }, by number of commits.
+ */
+function resolveIdentities(commitAuthors) {
+    const identities = [];
+
+    commitAuthors.filter(author => author && !isBot(author)).forEach(author => {
+        const email = String(author.email || '').toLowerCase();
+        const login = (author.user && author.user.login) || loginFromNoreply(email);
+        const name = normalizeName(author.name);
+
+        const matches = identities.filter(item =>
+            (login && item.logins.has(login.toLowerCase())) ||
+            (email && item.emails.has(email)) ||
+            (name && item.names.has(name))
+        );
+
+        let identity = matches[0];
+        if (!identity) {
+            identity = { logins: new Set(), emails: new Set(), names: new Set(), nameCounts: {}, commits: 0 };
+            identities.push(identity);
+        }
+
+        // The commit links identities known so far as different persons: merge them into the first one
+        matches.slice(1).forEach(other => {
+            mergeIdentity(identity, other);
+            identities.splice(identities.indexOf(other), 1);
+        });
+
+        if (login) {
+            identity.logins.add(login.toLowerCase());
+            identity.login = identity.login || login;
+        }
+        if (email) {
+            identity.emails.add(email);
+        }
+        if (name) {
+            identity.names.add(name);
+        }
+        if (author.name) {
+            identity.nameCounts[author.name] = (identity.nameCounts[author.name] || 0) + 1;
+        }
+        identity.commits++;
+    });
+
+    return identities
+        .map(identity => {
+            const names = Object.entries(identity.nameCounts).sort((a, b) => b[1] - a[1]);
+            const emails = Array.from(identity.emails);
+            return {
+                name: names.length > 0 ? names[0][0] : (identity.login || ''),
+                type: 'person',  // GitHub contributor type is always 'person'
+                email: emails.find(email => !NOREPLY_REGEX.test(email)) || emails[0] || '',
+                maintainer: false,
+                login: identity.login || '',
+                commits: identity.commits,
+            };
+        })
+        .sort((a, b) => b.commits - a.commits);
+}
+
+/**
+ * Returns true if a text looks like the name of a person or an organisation: up to five capitalised
+ * words, initials or name particles, without digits or punctuation.
+ *
+ * @param {string} name - The text.
+ * @returns {boolean}
+ */
+function isNameLike(name) {
+    const words = name.split(' ');
+    return words.length <= 5 && words.some(word => NAME_WORD_REGEX.test(word))
+        && words.every(word => NAME_WORD_REGEX.test(word) || NAME_PARTICLES.includes(word));
+}
+
+/**
+ * Parses a person reference found in a CODEOWNERS, MAINTAINERS or AUTHORS file:
+ * "@login", "Name <email>", "Name (@login)", "https://github.com/login" or a bare email.
+ * Copyright notices, thanks and sentences are not references, and neither is a text without email
+ * or login that does not look like a name (see isNameLike).
+ *
+ * @param {string} text - The reference.
+ * @returns {Object|null} - { name, email, login }, or null if the text does not reference a person.
+ */
+function parsePersonReference(text) {
+    const value = String(text || '').replace(/^[-*+]\s+/, '').replace(/^\d+\.\s+/, '').trim();
+    if (!value || NOT_A_PERSON_REGEX.test(value) || SENTENCE_END_REGEX.test(value)) {
+        return null;
+    }
+
+    const loginMatch = /(?:^|[\s(])@([A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)(?![\w./-])/.exec(value) ||
+        /github\.com\/([A-Za-z0-9-]+)\/?(?:[\s)>\]]|$)/.exec(value);
+    const emailMatch = /<?([^\s<>()]+@[^\s<>()]+\.[^\s<>()]+)>?/.exec(value);
+
+    const name = value
+        .replace(/<[^>]*>/g, '')
+        .replace(/\([^)]*\)/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, '')
+        .replace(/\S+@\S+/g, '')
+        .replace(/@[\w-]+/g, '')
+        .replace(/[*_`:,]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const reference = {
+        name: name,
+        email: emailMatch ? emailMatch[1].toLowerCase() : '',
+        login: loginMatch ? loginMatch[1] : '',
+    };
+
+    if (!reference.email && !reference.login && !isNameLike(reference.name)) {
+        return null;
+    }
+    return reference;
+}
+
+/**
+ * Parses a CODEOWNERS file. Every user (@login) or email owning a path is a maintainer; teams (@org/team) are skipped.
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object[]} - The maintainers: { name, email, login }.
+ */
+function parseCodeowners(content) {
+    const owners = [];
+
+    String(content || '').split(/\r?\n/).forEach(line => {
+        const clean = line.replace(/#.*$/, '').trim();
+        if (!clean) {
+            return;
+        }
+        clean.split(/\s+/).slice(1).forEach(owner => {
+            if (owner.includes('/')) {
+                return;
+            }
+            const reference = owner.startsWith('@')
+                ? { name: '', email: '', login: owner.slice(1) }
+                : { name: '', email: owner.toLowerCase(), login: '' };
+            if (!owners.some(item => item.login === reference.login && item.email === reference.email)) {
+                owners.push(reference);
+            }
+        });
+    });
+
+    return owners;
+}
+
+/**
+ * Parses a MAINTAINERS or AUTHORS file: one person per line, optionally grouped under headings
+ * (Markdown or reStructuredText headings, lines ending with a colon or bare section titles).
+ *
+ * @param {string} content - The content of the file.
+ * @param {boolean} allMaintainers - True if every person of the file is a maintainer (MAINTAINERS files).
+ *   Otherwise, only the persons listed under a heading containing "maintainer" are.
+ * @returns {Object[]} - The persons: { name, email, login, maintainer }.
+ */
+function parsePeopleFile(content, allMaintainers) {
+    const people = [];
+    let inMaintainersSection = allMaintainers;
+
+    const lines = String(content || '').split(/\r?\n/);
+    lines.forEach((line, index) => {
+        const next = lines[index + 1] || '';
+        const isHeading = /^#{1,6}\s/.test(line) || /^[=\-~^]{3,}\s*$/.test(next) || /:\s*$/.test(line.trim())
+            || SECTION_TITLE_REGEX.test(line.replace(/[*_]/g, '').trim());
+
+        if (isHeading) {
+            inMaintainersSection = allMaintainers || /maintainer/i.test(line);
+            return;
+        }
+        if (/^[=\-~^]{3,}\s*$/.test(line) || /^\s*(#|<!--)/.test(line)) {
+            return;
+        }
+
+        const reference = parsePersonReference(line);
+        if (reference) {
+            people.push({ ...reference, maintainer: inMaintainersSection });
+        }
+    });
+
+    return people;
+}
+
+/**
+ * Returns the author matching a person reference: same login, email or normalised name.
+ *
+ * @param {Object[]} authors - The authors.
+ * @param {Object} reference - The person reference: { name, email, login }.
+ * @returns {Object|undefined} - The matching author.
+ */
+function findAuthor(authors, reference) {
+    return authors.find(author =>
+        (reference.login && author.login && author.login.toLowerCase() === reference.login.toLowerCase()) ||
+        (reference.email && author.email && author.email.toLowerCase() === reference.email) ||
+        (reference.name && normalizeName(author.name) === normalizeName(reference.name))
+    );
+}
+
+/**
+ * Flags the maintainers of the repository among the authors. Maintainers are:
+ * - the owners listed in CODEOWNERS,
+ * - the persons listed in MAINTAINERS,
+ * - the persons listed under a "Maintainers" heading in AUTHORS,
+ * - the admin collaborators of the repository who are also authors.
+ * Persons listed in these files who have no commit in the analysed history are added to the authors.
+ *
+ * @param {Object[]} authors - The authors, as returned by resolveIdentities.
+ * @param {Object} files - The content of the CODEOWNERS, MAINTAINERS and AUTHORS files, by path.
+ * @param {string[]} adminLogins - The logins of the admin collaborators of the repository.
+ * @returns {Object[]} - The authors with the `maintainer` flag set.
+ */
+function inferMaintainers(authors, files, adminLogins = []) {
+    let people = [];
+
+    CODEOWNERS_FILES.filter(path => files[path]).forEach(path => {
+        people = people.concat(parseCodeowners(files[path]).map(owner => ({ ...owner, maintainer: true })));
+    });
+    MAINTAINERS_FILES.filter(path => files[path]).forEach(path => {
+        people = people.concat(parsePeopleFile(files[path], true));
+    });
+    AUTHORS_FILES.filter(path => files[path]).forEach(path => {
+        people = people.concat(parsePeopleFile(files[path], false));
+    });
+
+    people.forEach(person => {
+        const author = findAuthor(authors, person);
+        if (author) {
+            author.maintainer = author.maintainer || person.maintainer;
+            author.login = author.login || person.login;
+            author.email = author.email || person.email;
+        } else if (person.name || person.login) {
+            authors.push({
+                name: person.name || person.login,
+                type: 'person',
+                email: person.email,
+                maintainer: person.maintainer,
+                login: person.login,
+                commits: 0,
+            });
+        }
+    });
+
+    adminLogins.forEach(login => {
+        const author = findAuthor(authors, { login: login, email: '', name: '' });
+        if (author) {
+            author.maintainer = true;
+        }
+    });
+
+    return authors;
+}
+
+
+module.exports = {
+    CODEOWNERS_FILES,
+    MAINTAINERS_FILES,
+    AUTHORS_FILES,
+    loginFromNoreply,
+    isBot,
+    resolveIdentities,
+    parsePersonReference,
+    parseCodeowners,
+    parsePeopleFile,
+    findAuthor,
+    inferMaintainers
+};
@@ -0,0 +1,109 @@
+const {
+    loginFromNoreply,
+    isBot,
+    resolveIdentities,
+    parsePersonReference,
+    parseCodeowners,
+    parsePeopleFile,
+    inferMaintainers,
+} = require('./authors');
+
+describe('commit authors', () => {
+    test('reads the login of noreply addresses', () => {
+        expect(loginFromNoreply('123+evamart@users.noreply.github.com')).toBe('evamart');
+        expect(loginFromNoreply('eva@bsc.es')).toBe('');
+    });
+
+    test('detects bots', () => {
+        expect(isBot({ name: 'dependabot[bot]', user: { login: 'dependabot[bot]' } })).toBe(true);
+        expect(isBot({ name: 'Eva', user: { login: 'evamart' } })).toBe(false);
+    });
+});
+
+describe('resolveIdentities', () => {
+    test('merges commits by login, email and name and skips bots', () => {
+        const authors = resolveIdentities([
+            { name: 'Eva Martin', email: 'eva@bsc.es', user: { login: 'evamart' } },
+            { name: 'eva martin', email: 'eva@gmail.com', user: null },
+            { name: 'E. Martin', email: '1+evamart@users.noreply.github.com', user: null },
+            { name: 'dependabot[bot]', email: 'x@y', user: { login: 'dependabot[bot]' } },
+            { name: 'John Doe', email: 'john@doe.org', user: null },
+        ]);
+        expect(authors).toEqual([
+            { name: 'Eva Martin', type: 'person', email: 'eva@bsc.es', maintainer: false, login: 'evamart', commits: 3 },
+            { name: 'John Doe', type: 'person', email: 'john@doe.org', maintainer: false, login: '', commits: 1 },
+        ]);
+    });
+
+    test('merges identities linked by a later commit, whatever the order', () => {
+        const commits = [
+            { name: 'Eva', email: 'eva@bsc.es', user: null },
+            { name: 'emartin', email: '', user: { login: 'evamart' } },
+            // Same email as the first identity, same login as the second one
+            { name: 'Eva Martin', email: 'eva@bsc.es', user: { login: 'evamart' } },
+        ];
+        [commits, commits.slice().reverse(), [commits[1], commits[2], commits[0]]].forEach(order => {
+            const authors = resolveIdentities(order);
+            expect(authors).toHaveLength(1);
+            expect(authors[0]).toMatchObject({ email: 'eva@bsc.es', login: 'evamart', commits: 3 });
+        });
+    });
+});
+
+describe('people files', () => {
+    test('parses person references', () => {
+        expect(parsePersonReference('- Eva Martin <Eva@BSC.es> (@evamart)')).toEqual({ name: 'Eva Martin', email: 'eva@bsc.es', login: 'evamart' });
+        expect(parsePersonReference('https://github.com/evamart')).toEqual({ name: '', email: '', login: 'evamart' });
+        expect(parsePersonReference('This project is maintained by many different people')).toBeNull();
+    });
+
+    test('skips copyright notices, thanks and sentences', () => {
+        [
+            'Copyright 2021 BSC',
+            'Copyright (c) 2021 Eva Martin <eva@bsc.es>',
+            'Thanks to everyone who helped!',
+            'Thanks to @evamart for the logo',
+            'Questions? Write to support@bsc.es.',
+            'Everyone is welcome',
+            '2021-2024',
+        ].forEach(line => expect(parsePersonReference(line)).toBeNull());
+        expect(parsePersonReference('- Ludwig van Beethoven')).toEqual({ name: 'Ludwig van Beethoven', email: '', login: '' });
+        expect(parsePersonReference('* J. R. R. Tolkien')).toEqual({ name: 'J. R. R. Tolkien', email: '', login: '' });
+    });
+
+    test('parses CODEOWNERS, skipping teams and comments', () => {
+        expect(parseCodeowners('# owners\n* @evamart @inab/team\n/docs/ docs@bsc.es @evamart\n')).toEqual([
+            { name: '', email: '', login: 'evamart' },
+            { name: '', email: 'docs@bsc.es', login: '' },
+        ]);
+    });
+
+    test('only flags the persons under a maintainers heading in AUTHORS', () => {
+        const people = parsePeopleFile('# Maintainers\n- Eva Martin <eva@bsc.es>\n\n# Contributors\n- John Doe <john@doe.org>\n', false);
+        expect(people.map(person => [person.name, person.maintainer])).toEqual([['Eva Martin', true], ['John Doe', false]]);
+    });
+
+    test('does not take the prose of AUTHORS files for persons', () => {
+        const people = parsePeopleFile('Authors\n\nCopyright 2021 BSC\n\nEva Martin <eva@bsc.es>\nThanks to everyone who helped!\n', false);
+        expect(people).toEqual([{ name: 'Eva Martin', email: 'eva@bsc.es', login: '', maintainer: false }]);
+
+        const authors = inferMaintainers([], { 'AUTHORS.md': 'Copyright 2021 BSC\nThanks to everyone who helped!\n\n**Maintainers**\n- Ana Garcia\n' });
+        expect(authors.map(author => [author.name, author.maintainer])).toEqual([['Ana Garcia', true]]);
+    });
+
+    test('infers maintainers from the files and the admin collaborators', () => {
+        const authors = inferMaintainers(
+            [
+                { name: 'Eva Martin', email: 'eva@bsc.es', login: '', maintainer: false },
+                { name: 'John Doe', email: '', login: 'jdoe', maintainer: false },
+            ],
+            { MAINTAINERS: 'Eva Martin <eva@bsc.es>\nAna Garcia (@agarcia)\n' },
+            ['jdoe']
+        );
+        expect(authors.map(author => [author.name, author.maintainer])).toEqual([
+            ['Eva Martin', true],
+            ['John Doe', true],
+            ['Ana Garcia', true],
+        ]);
+    });
+});
@@ -0,0 +1,240 @@
+/*
+Serialization of the observatory metadata to the Bioschemas ComputationalTool profile (JSON-LD),
+using the same prefixed context as the metadata.json file of this repository.
+
+https://bioschemas.org/profiles/ComputationalTool/1.0-RELEASE
+*/
+
+const { unwrapListsIds } = require('./metadata');
+const { licenseToIRI, currentVersion, dependencyName, removeEmpty } = require('./codemeta');
+
+const PROFILE_URL = 'https://bioschemas.org/profiles/ComputationalTool/1.0-RELEASE';
+
+const BIOSCHEMAS_CONTEXT = {
+    schema: 'https://schema.org/',
+    bs: 'https://bioschemas.org/terms/',
+    codemeta: 'https://w3id.org/codemeta/',
+    dct: 'http://purl.org/dc/terms/',
+    edam: 'http://edamontology.org/',
+};
+
+// Properties of the ComputationalTool profile, by marginality
+const PROFILE_PROPERTIES = {
+    minimum: [
+        'schema:description',
+        'schema:name',
+        'schema:url',
+    ],
+    recommended: [
+        'schema:applicationCategory',
+        'schema:applicationSubCategory',
+        'schema:citation',
+        'schema:featureList',
+        'schema:license',
+        'schema:softwareVersion',
+    ],
+    optional: [
+        'schema:author',
+        'schema:codeRepository',
+        'schema:contributor',
+        'schema:dateCreated',
+        'schema:dateModified',
+        'schema:datePublished',
+        'schema:downloadUrl',
+        'schema:identifier',
+        'schema:keywords',
+        'schema:maintainer',
+        'schema:operatingSystem',
+        'schema:softwareHelp',
+        'schema:softwareRequirements',
+        'bs:input',
+        'bs:output',
+    ],
+};
+
+
+/**
+ * Returns the IRI of an ontology term, which can be a plain IRI or a term object ({ uri, term }).
+ *
+ * @param {Object|string} term - The term.
+ * @returns {string} - The IRI of the term, or an empty string.
+ */
+function termToIRI(term) {
+    if (term && typeof term === 'object') {
+        return term.uri || '';
+    }
+    return term ? String(term) : '';
+}
+
+/**
+ * Maps an observatory author to a schema.org Person or Organization, with prefixed properties.
+ *
+ * @param {Object} author - The observatory author ({ name, type, email, orcid, affiliation, url }).
+ * @returns {Object} - The Bioschemas author.
+ */
+function authorToBioschemas(author) {
+    const person = {
+        '@type': author.type === 'organization' ? 'schema:Organization' : 'schema:Person',
+        'schema:name': author.name,
+    };
+    if (author.orcid) {
+        person['@id'] = author.orcid;
+    }
+    if (author.email) {
+        person['schema:email'] = author.email;
+    }
+    if (author.affiliation) {
+        person['schema:affiliation'] = {
+            '@type': 'schema:Organization',
+            'schema:name': author.affiliation,
+        };
+    }
+    if (author.url) {
+        person['schema:url'] = author.url;
+    }
+    return person;
+}
+
+/**
+ * Maps an observatory publication to a schema.org ScholarlyArticle, with prefixed properties.
+ *
+ * @param {Object} publication - The observatory publication ({ title, year, doi, url }).
+ * @returns {Object} - The Bioschemas citation.
+ */
+function publicationToBioschemas(publication) {
+    const article = {
+        '@type': 'schema:ScholarlyArticle',
+        'schema:name': publication.title,
+    };
+    if (publication.doi) {
+        article['@id'] = `https://doi.org/${publication.doi}`;
+    }
+    if (publication.url) {
+        article['schema:url'] = publication.url;
+    }
+    if (publication.year) {
+        article['schema:datePublished'] = String(publication.year);
+    }
+    return removeEmpty(article);
+}
+
+/**
+ * Maps an input or output of the observatory metadata to a Bioschemas FormatParameter.
+ *
+ * @param {Object|string} parameter - The input or output: an EDAM format IRI or a term object.
+ * @returns {Object} - The FormatParameter.
+ */
+function parameterToBioschemas(parameter) {
+    return {
+        '@type': 'bs:FormatParameter',
+        'schema:encodingFormat': termToIRI(parameter),
+    };
+}
+
+/**
+ * Builds a Bioschemas ComputationalTool document from the observatory metadata.
+ *
+ * @param {Object} metadata - The observatory metadata, as returned by POST /metadata (prepared or not).
+ * @returns {Object} - The Bioschemas JSON-LD document.
+ */
+function buildBioschemas(metadata) {
+    const meta = unwrapListsIds(metadata);
+    const list = field => (Array.isArray(meta[field]) ? meta[field] : []);
+
+    const documentation = list('documentation');
+    const readme = documentation.find(doc => doc.type === 'readme');
+    const url = list('webpage')[0] || list('repository')[0];
+
+    const subCategories = list('edam_topics').map(termToIRI)
+        .concat(list('topics').map(termToIRI))
+        .filter((iri, index, all) => iri && all.indexOf(iri) === index);
+
+    const bioschemas = {
+        '@context': BIOSCHEMAS_CONTEXT,
+        '@type': 'schema:SoftwareApplication',
+        '@id': url,
+        'dct:conformsTo': PROFILE_URL,
+        'schema:name': meta.name || list('label')[0],
+        'schema:description': list('description').join('\n\n'),
+        'schema:url': url,
+        'schema:applicationCategory': meta.type || undefined,
+        'schema:applicationSubCategory': subCategories,
+        'schema:featureList': list('edam_operations').map(termToIRI).filter(Boolean),
+        'schema:citation': list('publication').map(publicationToBioschemas),
+        'schema:license': list('license').map(license => removeEmpty({
+            '@type': 'schema:CreativeWork',
+            '@id': licenseToIRI(license) || undefined,
+            'schema:name': typeof license === 'object' ? license.name : license,
+        })),
+        'schema:softwareVersion': currentVersion(list('version')),
+        'schema:author': list('authors').map(authorToBioschemas),
+        'schema:maintainer': list('authors').filter(author => author.maintainer).map(authorToBioschemas),
+        'schema:codeRepository': list('repository'),
+        'schema:identifier': list('identifiers').map(identifier => identifier.url || identifier.value).filter(Boolean),
+        'schema:keywords': list('tags'),
+        'schema:operatingSystem': list('os'),
+        'schema:softwareRequirements': list('dependencies').map(dependencyName).filter(Boolean),
+        'schema:downloadUrl': list('download').filter(item => typeof item !== 'object' || item.registry !== '')
+            .map(item => (typeof item === 'object' ? item.url : item)).filter(Boolean),
+        'schema:softwareHelp': documentation.map(doc => ({ '@id': doc.url })),
+        'schema:datePublished': meta.date_released || undefined,
+        'bs:input': list('input').map(parameterToBioschemas),
+        'bs:output': list('output').map(parameterToBioschemas),
+        'codemeta:readme': readme ? readme.url : undefined,
+    };
+
+    return removeEmpty(bioschemas);
+}
+
+/**
+ * Reports which properties of the ComputationalTool profile are present in a Bioschemas document
+ * and which are still missing, by marginality (minimum, recommended and optional).
+ *
+ * @param {Object} document - The Bioschemas document, with prefixed properties.
+ * @returns {Object} - { profile, conforms, minimum, recommended, optional }, each level being { present, missing }.
+ */
+function bioschemasConformance(document) {
+    const report = {
+        profile: PROFILE_URL,
+    };
+
+    for (const [marginality, properties] of Object.entries(PROFILE_PROPERTIES)) {
+        report[marginality] = {
+            present: properties.filter(property => document[property] !== undefined),
+            missing: properties.filter(property => document[property] === undefined),
+        };
+    }
+
+    // A document conforms to the profile when all the minimum properties are present
+    report.conforms = report.minimum.missing.length === 0;
+
+    return report;
+}
+
+/**
+ * Serializes the observatory metadata to a Bioschemas ComputationalTool document and its conformance report.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @returns {Object} - { bioschemas, conformance }.
+ */
+function metadataToBioschemas(metadata) {
+    const bioschemas = buildBioschemas(metadata);
+    return {
+        bioschemas: bioschemas,
+        conformance: bioschemasConformance(bioschemas),
+    };
+}
+
+
+module.exports = {
+    PROFILE_URL,
+    BIOSCHEMAS_CONTEXT,
+    PROFILE_PROPERTIES,
+    termToIRI,
+    authorToBioschemas,
+    publicationToBioschemas,
+    parameterToBioschemas,
+    buildBioschemas,
+    bioschemasConformance,
+    metadataToBioschemas
+};
@@ -0,0 +1,51 @@
+const {
+    PROFILE_URL,
+    termToIRI,
+    buildBioschemas,
+    bioschemasConformance,
+    metadataToBioschemas,
+} = require('./bioschemas');
+
+describe('termToIRI', () => {
+    test('uses the URI of EDAM terms and keeps strings', () => {
+        expect(termToIRI({ term: 'Genomics', uri: 'http://edamontology.org/topic_0622' })).toBe('http://edamontology.org/topic_0622');
+        expect(termToIRI('http://edamontology.org/topic_0091')).toBe('http://edamontology.org/topic_0091');
+        expect(termToIRI(undefined)).toBe('');
+    });
+});
+
+describe('buildBioschemas', () => {
+    test('maps the metadata to a ComputationalTool', () => {
+        const bioschemas = buildBioschemas({
+            name: 'tool',
+            description: ['A tool.'],
+            repository: ['https://github.com/inab/tool'],
+            edam_operations: [{ term: 'Alignment', uri: 'http://edamontology.org/operation_2928' }],
+            license: [{ name: 'MIT License', spdxId: 'MIT' }],
+        });
+        expect(bioschemas).toMatchObject({
+            '@type': 'schema:SoftwareApplication',
+            '@id': 'https://github.com/inab/tool',
+            'dct:conformsTo': PROFILE_URL,
+            'schema:name': 'tool',
+            'schema:url': 'https://github.com/inab/tool',
+            'schema:featureList': ['http://edamontology.org/operation_2928'],
+            'schema:license': [{ '@type': 'schema:CreativeWork', '@id': 'https://spdx.org/licenses/MIT', 'schema:name': 'MIT License' }],
+        });
+        expect(bioschemas).not.toHaveProperty('schema:citation');
+    });
+});
+
+describe('bioschemasConformance', () => {
+    test('conforms when the minimum properties are present', () => {
+        const { conformance } = metadataToBioschemas({ name: 'tool', description: ['A tool.'], webpage: ['https://tool.org'] });
+        expect(conformance.conforms).toBe(true);
+        expect(conformance.recommended.missing).toContain('schema:license');
+    });
+
+    test('lists the missing minimum properties', () => {
+        const report = bioschemasConformance({ 'schema:name': 'tool' });
+        expect(report.conforms).toBe(false);
+        expect(report.minimum.missing).toEqual(['schema:description', 'schema:url']);
+    });
+});
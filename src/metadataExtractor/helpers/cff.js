@@ -0,0 +1,214 @@
+/*
+Helpers to map the Citation File Format (CFF) 1.2.0 model to the observatory metadata.
+
+CFF documents, read or generated, are validated against the CFF 1.2.0 JSON schema bundled in ../schemas,
+a copy of https://citation-file-format.github.io/1.2.0/schema.json that must be kept unchanged.
+The schema is described in:
+https://github.com/citation-file-format/citation-file-format/blob/main/schema-guide.md
+*/
+
+const { validateJSONSchema } = require('./jsonschema');
+
+const CFF_SCHEMA = require('../schemas/cff-1.2.0.json');
+
+const CFF_VERSION = '1.2.0';
+
+// Keys recommended by the CFF guide besides the required ones
+const CFF_RECOMMENDED_KEYS = ['version', 'date-released', 'license', 'repository-code'];
+
+const CFF_REFERENCE_TYPES = [
+    'art', 'article', 'audiovisual', 'bill', 'blog', 'book', 'catalogue', 'conference',
+    'conference-paper', 'data', 'database', 'dictionary', 'edited-work', 'encyclopedia',
+    'film-broadcast', 'generic', 'government-document', 'grant', 'hearing', 'historical-work',
+    'legal-case', 'legal-rule', 'magazine-article', 'manual', 'map', 'multimedia', 'music',
+    'newspaper-article', 'pamphlet', 'patent', 'personal-communication', 'proceedings',
+    'report', 'serial', 'slides', 'software', 'software-code', 'software-container',
+    'software-executable', 'software-virtual-machine', 'sound-recording', 'standard',
+    'statute', 'thesis', 'unpublished', 'video', 'website',
+];
+
+
+/**
+ * Formats a date value of a CFF file as an ISO 8601 date (YYYY-MM-DD).
+ * js-yaml parses unquoted dates into Date objects, so both forms are accepted.
+ *
+ * @param {Date|string} value - The date as found in the parsed CFF file.
+ * @returns {string} - The date as a string, or an empty string if missing.
+ */
+function formatCFFDate(value) {
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    return value ? String(value) : '';
+}
+
+/**
+ * Returns true if the CFF author object describes an entity (organisation, team, ...)
+ * rather than a person. Entities are identified by the `name` key.
+ *
+ * @param {Object} author - A person or entity object from the CFF file.
+ * @returns {boolean}
+ */
+function isCFFEntity(author) {
+    return Boolean(author.name) && !author['family-names'] && !author['given-names'];
+}
+
+/**
+ * Builds the full name of a CFF person:
+ * given-names, name-particle, family-names and name-suffix, in that order.
+ *
+ * @param {Object} person - A person object from the CFF file.
+ * @returns {string} - The full name of the person.
+ */
+function buildCFFPersonName(person) {
+    const parts = [
+        person['given-names'],
+        person['name-particle'],
+        person['family-names'],
+    ].filter(Boolean);
+
+    let name = parts.join(' ');
+    if (person['name-suffix']) {
+        name = `${name}, ${person['name-suffix']}`;
+    }
+
+    return name || person.alias || '';
+}
+
+/**
+ * Maps a CFF person or entity to an observatory author object.
+ * {
+ *    "name": "John Doe",
+ *    "type": "person",
+ *    "email": "john@doe.org",
+ *    "maintainer": false,
+ *    "orcid": "https://orcid.org/0000-0000-0000-0000",
+ *    "affiliation": "Some University",
+ *    "url": ""
+ * }
+ *
+ * @param {Object} author - A person or entity object from the CFF file.
+ * @returns {Object} - The observatory author.
+ */
+function cffAuthorToAuthor(author) {
+    const entity = isCFFEntity(author);
+
+    return {
+        name: entity ? String(author.name) : buildCFFPersonName(author),
+        type: entity ? 'organization' : 'person',
+        email: author.email || '',
+        maintainer: false,
+        orcid: author.orcid || '',
+        affiliation: entity ? '' : (author.affiliation || ''),
+        url: author.website || '',
+    };
+}
+
+/**
+ * Maps a CFF identifier ({ type, value, description }) to an observatory identifier.
+ *
+ * @param {Object} identifier - An identifier object from the CFF file.
+ * @returns {Object} - The observatory identifier: { type, value, url, description }.
+ */
+function cffIdentifierToIdentifier(identifier) {
+    const type = identifier.type || 'other';
+    const value = String(identifier.value || '');
+
+    let url = '';
+    if (type === 'doi') {
+        url = `https://doi.org/${value}`;
+    } else if (type === 'swh') {
+        url = `https://archive.softwareheritage.org/${value}`;
+    } else if (type === 'url') {
+        url = value;
+    }
+
+    return {
+        type: type,
+        value: value,
+        url: url,
+        description: identifier.description || '',
+    };
+}
+
+/**
+ * Maps a CFF reference (as found in `preferred-citation` or `references`) to an observatory publication.
+ *
+ * @param {Object} reference - A reference object from the CFF file.
+ * @returns {Object} - The observatory publication.
+ */
+function cffReferenceToPublication(reference) {
+    // Null or scalar entries are reported by the schema validation
+    const authors = Array.isArray(reference.authors)
+        ? reference.authors.filter(author => author && typeof author === 'object' && !Array.isArray(author))
+        : [];
+
+    let journal = '';
+    if (reference.journal) {
+        journal = reference.journal;
+    } else if (reference.conference && reference.conference.name) {
+        journal = reference.conference.name;
+    } else if (reference['collection-title']) {
+        journal = reference['collection-title'];
+    }
+
+    let year = reference.year || '';
+    if (!year && reference['date-published']) {
+        year = formatCFFDate(reference['date-published']).slice(0, 4);
+    }
+
+    return {
+        type: reference.type || '',
+        title: reference.title || '',
+        year: year ? String(year) : '',
+        doi: reference.doi || '',
+        url: reference.url || '',
+        authors: authors.map(author => cffAuthorToAuthor(author).name),
+        journal: journal,
+        volume: reference.volume ? String(reference.volume) : '',
+        issue: reference.issue ? String(reference.issue) : '',
+        pages: reference.start && reference.end ? `${reference.start}-${reference.end}` : '',
+        issn: reference.issn || '',
+    };
+}
+
+/**
+ * Validates a CFF document against the CFF 1.2.0 JSON schema.
+ * Dates parsed by js-yaml are cast to strings first, as the schema expects.
+ *
+ * @param {Object} citation - The CFF document, e.g. a parsed CITATION.cff file.
+ * @returns {Object} - { valid, errors, warnings }, the warnings listing the recommended keys that are missing.
+ */
+function validateCFFSchema(citation) {
+    const document = JSON.parse(JSON.stringify(citation === undefined ? null : citation,
+        (key, value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T00:00:00\.000Z$/.test(value) ? value.slice(0, 10) : value)));
+    const errors = validateJSONSchema(document, CFF_SCHEMA);
+
+    const warnings = [];
+    if (document && typeof document === 'object' && !Array.isArray(document)) {
+        CFF_RECOMMENDED_KEYS.forEach(key => {
+            if (document[key] === undefined) {
+                warnings.push(`Missing recommended key '${key}'.`);
+            }
+        });
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors: errors,
+        warnings: warnings,
+    };
+}
+
+module.exports = {
+    CFF_SCHEMA,
+    CFF_VERSION,
+    CFF_REFERENCE_TYPES,
+    formatCFFDate,
+    isCFFEntity,
+    buildCFFPersonName,
+    cffAuthorToAuthor,
+    cffIdentifierToIdentifier,
+    cffReferenceToPublication,
+    validateCFFSchema
+};
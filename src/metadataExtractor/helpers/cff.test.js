@@ -0,0 +1,179 @@
+const yaml = require('js-yaml');
+const {
+    formatCFFDate,
+    isCFFEntity,
+    buildCFFPersonName,
+    cffAuthorToAuthor,
+    cffIdentifierToIdentifier,
+    cffReferenceToPublication,
+    validateCFFSchema,
+} = require('./cff');
+const { parseCitationCFF } = require('./metadata');
+
+describe('formatCFFDate', () => {
+    test('formats dates parsed by js-yaml and keeps strings', () => {
+        expect(formatCFFDate(new Date('2023-05-04T00:00:00Z'))).toBe('2023-05-04');
+        expect(formatCFFDate('2023-05-04')).toBe('2023-05-04');
+        expect(formatCFFDate(undefined)).toBe('');
+    });
+});
+
+describe('persons and entities', () => {
+    test('identifies entities by their name', () => {
+        expect(isCFFEntity({ name: 'ELIXIR' })).toBe(true);
+        expect(isCFFEntity({ name: 'x', 'family-names': 'Doe' })).toBe(false);
+    });
+
+    test('builds the full name of a person', () => {
+        const person = { 'given-names': 'Ludwig', 'name-particle': 'van', 'family-names': 'Beethoven', 'name-suffix': 'Jr.' };
+        expect(buildCFFPersonName(person)).toBe('Ludwig van Beethoven, Jr.');
+        expect(buildCFFPersonName({ alias: 'ludwig' })).toBe('ludwig');
+    });
+
+    test('maps a person with ORCID and affiliation', () => {
+        const author = cffAuthorToAuthor({
+            'given-names': 'Eva',
+            'family-names': 'Martin',
+            orcid: 'https://orcid.org/0000-0001-2345-6789',
+            affiliation: 'BSC',
+        });
+        expect(author).toMatchObject({
+            name: 'Eva Martin',
+            type: 'person',
+            orcid: 'https://orcid.org/0000-0001-2345-6789',
+            affiliation: 'BSC',
+        });
+    });
+
+    test('maps an entity to an organization', () => {
+        expect(cffAuthorToAuthor({ name: 'ELIXIR', website: 'https://elixir-europe.org' })).toMatchObject({
+            name: 'ELIXIR',
+            type: 'organization',
+            url: 'https://elixir-europe.org',
+        });
+    });
+});
+
+describe('cffIdentifierToIdentifier', () => {
+    test('builds the URL of DOIs and SWHIDs', () => {
+        expect(cffIdentifierToIdentifier({ type: 'doi', value: '10.5281/zenodo.1' }).url).toBe('https://doi.org/10.5281/zenodo.1');
+        expect(cffIdentifierToIdentifier({ type: 'swh', value: 'swh:1:rel:1' }).url).toBe('https://archive.softwareheritage.org/swh:1:rel:1');
+    });
+});
+
+describe('cffReferenceToPublication', () => {
+    test('maps an article', () => {
+        const publication = cffReferenceToPublication({
+            type: 'article',
+            title: 'A tool',
+            authors: [{ 'given-names': 'Eva', 'family-names': 'Martin' }],
+            journal: 'Bioinformatics',
+            'date-published': new Date('2021-03-01T00:00:00Z'),
+            start: 10,
+            end: 12,
+        });
+        expect(publication).toMatchObject({
+            title: 'A tool',
+            year: '2021',
+            authors: ['Eva Martin'],
+            journal: 'Bioinformatics',
+            pages: '10-12',
+        });
+    });
+
+    test('skips null and scalar authors', () => {
+        const publication = cffReferenceToPublication({ title: 'A tool', authors: [null, 'x', { name: 'ELIXIR' }] });
+        expect(publication.authors).toEqual(['ELIXIR']);
+    });
+});
+
+describe('validateCFFSchema', () => {
+    test('accepts dates parsed by js-yaml and lists the missing recommended keys', () => {
+        const citation = yaml.load([
+            'cff-version: 1.2.0',
+            'message: Cite me',
+            'title: Tool',
+            'authors:',
+            '  - name: ELIXIR',
+            'date-released: 2024-01-01',
+        ].join('\n'));
+        expect(validateCFFSchema(citation)).toEqual({
+            valid: true,
+            errors: [],
+            warnings: ["Missing recommended key 'version'.", "Missing recommended key 'license'.", "Missing recommended key 'repository-code'."],
+        });
+    });
+
+    test('reports the licenses and dates rejected by the official schema', () => {
+        const { valid, errors } = validateCFFSchema({
+            'cff-version': '1.2.0',
+            message: 'Cite me',
+            title: 'Tool',
+            authors: [{ name: 'ELIXIR' }],
+            license: 'Not-A-License',
+            'date-released': '2024-13-01',
+        });
+        expect(valid).toBe(false);
+        expect(errors).toEqual([
+            "license: 'Not-A-License' is not one of the 459 allowed values.",
+            "date-released: '2024-13-01' does not match the pattern ^[0-9]{4}-(0[1-9]|1[012])-(0[1-9]|[12][0-9]|3[01])$.",
+            "date-released: '2024-13-01' is not a valid date.",
+        ]);
+    });
+
+    test('rejects documents that are not objects', () => {
+        expect(validateCFFSchema(undefined)).toMatchObject({ valid: false, warnings: [] });
+    });
+});
+
+describe('parseCitationCFF', () => {
+    test('does not fail on null reference authors', () => {
+        const content = [
+            'cff-version: 1.2.0',
+            'message: Cite it',
+            'title: Tool',
+            'authors:',
+            '  - family-names: Martin',
+            'references:',
+            '  - type: article',
+            '    title: A paper',
+            '    authors:',
+            '      -',
+            '      - name: ELIXIR',
+        ].join('\n');
+        const metadata = parseCitationCFF(content, { authors: [] });
+        expect(metadata.publication).toEqual([expect.objectContaining({ title: 'A paper', authors: ['ELIXIR'] })]);
+        expect(metadata.citation_warnings).toContain('references[0].authors[0]: must be of type object, found null.');
+    });
+
+    test('reports the schema violations and missing recommended keys', () => {
+        const content = [
+            'cff-version: 1.2.0',
+            'title: Tool',
+            'authors:',
+            '  - family-names: Martin',
+            'doi: not-a-doi',
+            'version: 1.0.0',
+            'date-released: 2024-01-01',
+            'license: MIT',
+            'repository-code: https://github.com/owner/tool',
+            'unknown: true',
+        ].join('\n');
+        const metadata = parseCitationCFF(content, { authors: [] });
+        expect(metadata.citation_warnings).toEqual([
+            "document: missing required property 'message'.",
+            "doi: 'not-a-doi' does not match the pattern ^10\\.\\d{4,9}(\\.\\d+)?/[A-Za-z0-9:/_;\\-\\.\\(\\)\\[\\]\\\\]+$.",
+            "document: unknown property 'unknown'.",
+        ]);
+    });
+
+    test('reports a file that is not a mapping', () => {
+        expect(parseCitationCFF('- a', {}).citation_warnings).toEqual(['document: must be of type object, found array.']);
+    });
+
+    test('reports invalid YAML as a warning', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const metadata = parseCitationCFF('title: [', {});
+        expect(metadata.citation_warnings[0]).toMatch(/^CITATION.cff is not valid YAML/);
+    });
+});
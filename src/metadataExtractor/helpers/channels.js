@@ -0,0 +1,404 @@
+/*
+Detection of the distribution channels of a repository: container recipes (Dockerfile, Containerfile,
+docker-compose, Singularity/Apptainer definitions), conda recipes (meta.yaml), Homebrew formulae, the
+publishing steps of the CI workflows (container images and package registries) and the assets of the
+latest release.
+
+Each channel is a `download` entry:
+{ type: 'container' | 'package' | 'binary' | 'source', registry, name, url, source }
+where `source` is the path of the file the channel was found in. Recipes that are not published are
+linked to the recipe itself, without registry. Binaries and source archives also have the `version` they
+belong to.
+*/
+
+const yaml = require('js-yaml');
+const { containerDownload, packageDownload, nameKey } = require('./readme');
+const { collectCommands } = require('./testing');
+
+// Container recipes at the root of the repository or in a docker directory
+const CONTAINER_FILE_REGEX = /^(Dockerfile|Containerfile)([.-][\w.-]+)?$|\.(dockerfile|containerfile)$/i;
+const CONTAINER_DIRECTORIES = ['docker', 'container', 'containers'];
+const COMPOSE_FILES = ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml'];
+const SINGULARITY_FILE_REGEX = /^(Singularity|Apptainer)([.-][\w.-]+)?$|\.def$/i;
+
+// Conda recipes (conda-build meta.yaml, rattler-build recipe.yaml)
+const CONDA_RECIPE_FILES = ['meta.yaml', 'recipe.yaml'];
+const CONDA_RECIPE_DIRECTORIES = ['', 'recipe', 'recipes', 'conda', 'conda-recipe', 'conda.recipe', '.conda'];
+
+// Directories of the Homebrew formulae of a tap
+const HOMEBREW_DIRECTORIES = ['Formula', 'HomebrewFormula'];
+
+// Publishing steps of the CI workflows: the registry and the pattern of the command or action
+const PUBLISH_STEPS = [
+    ['pypi', /^uses: pypa\/gh-action-pypi-publish@|\btwine upload\b|\b(poetry|flit|uv|hatch|pdm) publish\b/i],
+    ['npm', /^uses: JS-DevTools\/npm-publish@|\b(npm|yarn|pnpm) publish\b/i],
+    ['crates.io', /\bcargo publish\b/i],
+    ['rubygems', /\bgem push\b/i],
+];
+const CONTAINER_ACTION_REGEX = /^(docker\/build-push-action|docker\/metadata-action|redhat-actions\/push-to-registry)@/i;
+
+// Archives, checksum files and platforms of release assets
+const ARCHIVE_REGEX = /\.(tar\.gz|tgz|tar\.bz2|tbz2|tar\.xz|txz|zip)$/i;
+const CHECKSUM_ASSET_REGEX = /\.(sha\d*|md5|asc|sig|sha\d*sum)$|^(sha\d*sums|md5sums|checksums?)(\.txt)?$/i;
+const ASSET_PLATFORMS = [
+    ['Linux', /linux|\.deb$|\.rpm$|\.appimage$/i],
+    ['MacOS', /darwin|mac(os)?|osx|apple|\.dmg$|\.pkg$/i],
+    ['Windows', /windows|win(32|64)|\.exe$|\.msi$/i],
+];
+const ARCHITECTURE_REGEX = /x86[_-]64|amd64|arm64|aarch64|i[36]86|armv\d/i;
+
+// Source archives of the tags, by forge
+const TAG_ARCHIVES = {
+    github: (url, tag) => `${url}/archive/refs/tags/${tag}.tar.gz`,
+    gitlab: (url, tag) => `${url}/-/archive/${tag}/${url.split('/').pop()}-${tag}.tar.gz`,
+    gitea: (url, tag) => `${url}/archive/${tag}.tar.gz`,
+};
+
+
+/**
+ * Returns the paths of the recipe files found in the listings of the repository.
+ *
+ * @param {Object} listings - The entries of the root and of the directories listed, by path ('' is the root).
+ * @returns {string[]} - The paths of the container, conda and Homebrew recipes.
+ */
+function findRecipeFiles(listings) {
+    const paths = [];
+    const blobs = dir => (listings[dir] || []).filter(entry => entry.type === 'blob').map(entry => entry.name);
+    const join = (dir, name) => (dir ? `${dir}/${name}` : name);
+
+    [''].concat(CONTAINER_DIRECTORIES).forEach(dir => blobs(dir)
+        .filter(name => CONTAINER_FILE_REGEX.test(name) || (!dir && (COMPOSE_FILES.includes(name) || SINGULARITY_FILE_REGEX.test(name))))
+        .forEach(name => paths.push(join(dir, name))));
+    CONDA_RECIPE_DIRECTORIES.forEach(dir => blobs(dir)
+        .filter(name => CONDA_RECIPE_FILES.includes(name))
+        .forEach(name => paths.push(join(dir, name))));
+    HOMEBREW_DIRECTORIES.forEach(dir => blobs(dir)
+        .filter(name => /\.rb$/.test(name))
+        .forEach(name => paths.push(join(dir, name))));
+    return paths;
+}
+
+/**
+ * Parses a conda recipe: the name and version of the package. Jinja variables set in the recipe
+ * ({% set name = "tool" %}) and the context of rattler-build recipes are substituted.
+ *
+ * @param {string} content - The content of meta.yaml or recipe.yaml.
+ * @returns {Object} - { name, version, channel }. The channel is conda-forge if the recipe mentions it, bioconda otherwise.
+ */
+function parseCondaRecipe(content) {
+    const text = String(content || '');
+    const variables = {};
+    text.replace(/\{%-?\s*set\s+(\w+)\s*=\s*["']([^"']*)["']\s*-?%\}/g, (match, key, value) => {
+        variables[key] = value;
+        return match;
+    });
+
+    const render = value => String(value || '').replace(/\{\{\s*([\w.]+)(\s*\|\s*lower)?\s*\}\}|\$\{\{\s*([\w.]+)(\s*\|\s*lower)?\s*\}\}/g,
+        (match, key, lower, contextKey, contextLower) => {
+            const found = variables[key || contextKey];
+            if (found === undefined) {
+                return match;
+            }
+            return lower || contextLower ? found.toLowerCase() : found;
+        });
+
+    // rattler-build recipes declare their variables in a context section
+    const context = /^context:\s*\n((?:[ \t]+.*\n?)*)/m.exec(text);
+    if (context) {
+        context[1].replace(/^\s+(\w+):\s*["']?([^"'\n#]*?)["']?\s*$/gm, (match, key, value) => {
+            variables[key] = value;
+            return match;
+        });
+    }
+
+    let recipe = {};
+    try {
+        // Jinja statements are not YAML, and the values with expressions are quoted before they are
+        // rendered, so that versions stay strings (1.10 is not 1.1)
+        const rendered = render(text.replace(/^\s*\{%.*%\}\s*$/gm, '')
+            .replace(/:\s*(\$?\{\{.*\}\}.*)$/gm, (match, value) => `: ${JSON.stringify(value)}`));
+        recipe = yaml.load(rendered, { json: true }) || {};
+    } catch (error) {
+        const name = /^\s+name:\s*["']?([^"'\s#]+)/m.exec(render(text));
+        recipe = { package: { name: name ? name[1] : '' } };
+    }
+    const pkg = recipe.package || recipe.recipe || {};
+
+    return {
+        name: String(pkg.name || ''),
+        version: String(pkg.version || ''),
+        channel: /conda-forge/i.test(text) ? 'conda-forge' : 'bioconda',
+    };
+}
+
+/**
+ * Parses a Homebrew formula: the name of the formula and the URL of the archive it installs.
+ *
+ * @param {string} path - The path of the formula (Formula/tool.rb).
+ * @param {string} content - The content of the formula.
+ * @returns {Object|null} - { name, url }, or null if the file is not a formula.
+ */
+function parseHomebrewFormula(path, content) {
+    if (!/<\s*Formula\b/.test(content || '')) {
+        return null;
+    }
+    const url = /^\s*url\s+["']([^"']+)["']/m.exec(content);
+    return {
+        name: path.split('/').pop().replace(/\.rb$/, ''),
+        url: url ? url[1] : '',
+    };
+}
+
+/**
+ * Returns the images of the services of a docker-compose file.
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object[]} - The services: { service, image, build }, `build` being true if the image is built from the repository.
+ */
+function composeImages(content) {
+    let compose;
+    try {
+        compose = yaml.load(content, { json: true });
+    } catch (error) {
+        return [];
+    }
+    const services = compose && typeof compose.services === 'object' ? compose.services : {};
+    return Object.entries(services || {})
+        .filter(([, service]) => service && typeof service === 'object')
+        .map(([name, service]) => ({
+            service: name,
+            image: typeof service.image === 'string' ? service.image : '',
+            build: service.build !== undefined,
+        }));
+}
+
+/**
+ * Finds the publishing steps of a workflow: the container images it pushes and the package registries it
+ * publishes to. Expressions naming the repository (${{ github.repository }}, ${{ github.repository_owner }})
+ * and the environment variables of the workflow are substituted in the images.
+ *
+ * @param {string} content - The content of the workflow.
+ * @param {Object} context - The repository: { owner, repo }.
+ * @returns {Object[]} - The publications: { registry, images }. `registry` is 'container' for images, or the
+ *   package registry.
+ */
+function workflowPublications(content, { owner, repo }) {
+    let workflow;
+    try {
+        workflow = yaml.load(content, { json: true });
+    } catch (error) {
+        return [];
+    }
+    if (!workflow || typeof workflow !== 'object') {
+        return [];
+    }
+
+    const env = { ...(workflow.env || {}) };
+    const substitute = value => String(value)
+        .replace(/\$\{\{\s*github\.repository\s*\}\}/g, `${owner}/${repo}`)
+        .replace(/\$\{\{\s*github\.repository_owner\s*\}\}/g, owner)
+        .replace(/\$\{\{\s*github\.event\.repository\.name\s*\}\}/g, repo)
+        .replace(/\$\{\{\s*env\.(\w+)\s*\}\}/g, (match, key) => (env[key] !== undefined ? substitute(env[key]) : match))
+        .toLowerCase();
+
+    const publications = [];
+    const images = [];
+    Object.values(workflow.jobs || {}).filter(job => job && typeof job === 'object').forEach(job => {
+        Object.assign(env, job.env || {});
+        const commands = collectCommands(job);
+        PUBLISH_STEPS.forEach(([registry, pattern]) => {
+            if (commands.some(command => pattern.test(command)) && !publications.some(item => item.registry === registry)) {
+                publications.push({ registry: registry, images: [] });
+            }
+        });
+
+        (Array.isArray(job.steps) ? job.steps : []).filter(step => step && typeof step === 'object').forEach(step => {
+            const inputs = step.with || {};
+            if (CONTAINER_ACTION_REGEX.test(step.uses || '')) {
+                // The images of docker/metadata-action are the ones pushed by the build steps
+                const pushes = /metadata-action|push-to-registry/.test(step.uses) || (inputs.push !== undefined && String(inputs.push) !== 'false');
+                const values = [inputs.images, inputs.tags, inputs.image].filter(value => typeof value === 'string');
+                if (pushes) {
+                    values.forEach(value => value.split(/[\n,]/).map(item => item.trim()).filter(Boolean)
+                        .forEach(item => images.push(substitute(item.replace(/^name=/, '').split(',')[0]))));
+                }
+            }
+            const push = typeof step.run === 'string' ? /\b(docker|podman) push\s+(\S+)/.exec(step.run) : null;
+            if (push) {
+                images.push(substitute(push[2]));
+            }
+        });
+    });
+
+    const valid = images.filter(image => !/\$\{\{|\$/.test(image) && /^[a-z0-9][\w.-]*(:\d+)?(\/[\w.-]+)*(:[\w.-]+)?$/.test(image));
+    if (valid.length > 0) {
+        publications.push({ registry: 'container', images: valid });
+    }
+    return publications;
+}
+
+/**
+ * Returns the platforms of a release asset from its name.
+ *
+ * @param {string} name - The name of the asset.
+ * @returns {string[]} - The platforms: Linux, MacOS, Windows.
+ */
+function assetPlatforms(name) {
+    return ASSET_PLATFORMS.filter(([, pattern]) => pattern.test(name)).map(([platform]) => platform);
+}
+
+/**
+ * Builds the binaries and source archives of the latest release: its assets (checksum and signature files
+ * excluded), and the source archive of its tag generated by the forge. Archives without platform nor
+ * architecture in their name are source archives.
+ *
+ * @param {Object[]} versions - The versions of the metadata (see releases.js).
+ * @param {Object} context - The repository: { forge, repositoryUrl }.
+ * @returns {Object[]} - The download entries: { type: 'binary' | 'source', registry, name, url, version, os }.
+ */
+function releaseDownloads(versions, { forge = '', repositoryUrl = '' } = {}) {
+    const released = (versions || []).filter(version => version && typeof version === 'object' && version.tag && !version.draft);
+    const latest = released.find(version => version.latest) || released[released.length - 1];
+    if (!latest) {
+        return [];
+    }
+
+    const host = /^https?:\/\/([^/]+)/i.exec(repositoryUrl);
+    const registry = host ? host[1].toLowerCase() : forge;
+    const downloads = (latest.assets || [])
+        .filter(asset => asset.url && !CHECKSUM_ASSET_REGEX.test(asset.name || ''))
+        .map(asset => {
+            const os = assetPlatforms(asset.name);
+            const isSource = ARCHIVE_REGEX.test(asset.name) && os.length === 0 && !ARCHITECTURE_REGEX.test(asset.name);
+            return {
+                type: isSource ? 'source' : 'binary',
+                registry: registry,
+                name: asset.name,
+                url: asset.url,
+                version: latest.version,
+                os: os,
+            };
+        });
+
+    const archive = TAG_ARCHIVES[forge] || TAG_ARCHIVES[/github\.com$/.test(registry) ? 'github' : /gitlab/.test(registry) ? 'gitlab' : ''];
+    if (archive && repositoryUrl) {
+        downloads.push({
+            type: 'source',
+            registry: registry,
+            name: `${repositoryUrl.split('/').pop()}-${latest.tag}.tar.gz`,
+            url: archive(repositoryUrl.replace(/\/+$/, ''), latest.tag),
+            version: latest.version,
+            os: [],
+        });
+    }
+    return downloads;
+}
+
+/**
+ * Detects the distribution channels of a repository from its recipes and workflows.
+ *
+ * Images of docker-compose files are channels only if they are built from the repository or named
+ * as the software. Packages published by the workflows are named as in the manifests, or as the repository.
+ *
+ * @param {Object} files - The content of the recipes and workflows, by path (see findRecipeFiles).
+ * @param {Object} context - The repository: { owner, repo, workflows, packages, fileUrl }.
+ * @param {string[]} [context.workflows] - The paths of the workflows.
+ * @param {Object[]} [context.packages] - The packages already known (from the manifests or the README).
+ * @param {Function} [context.fileUrl] - Builds the web URL of a file from its path.
+ * @returns {Object[]} - The download entries (see the top of this file).
+ */
+function detectDistributionChannels(files, { owner, repo, workflows = [], packages = [], fileUrl = path => path }) {
+    const channels = [];
+    const add = (entry, source) => {
+        if (entry && entry.url && !channels.some(item => item.url === entry.url)) {
+            channels.push({ ...entry, source: source });
+        }
+    };
+    const recipe = (type, registry, name, path) => add({ type: type, registry: registry, name: name, url: fileUrl(path) }, path);
+    const isSoftware = name => nameKey(name) === nameKey(repo);
+
+    Object.entries(files).filter(([, content]) => content).forEach(([path, content]) => {
+        const name = path.split('/').pop();
+        if (CONTAINER_FILE_REGEX.test(name)) {
+            recipe('container', '', repo, path);
+        } else if (COMPOSE_FILES.includes(path)) {
+            composeImages(content).forEach(service => {
+                if (service.image && (service.build || isSoftware(service.image.replace(/[:@].*$/, '')))) {
+                    add(containerDownload(service.image), path);
+                } else if (service.build) {
+                    recipe('container', '', service.service, path);
+                }
+            });
+        } else if (SINGULARITY_FILE_REGEX.test(name) && /^\s*Bootstrap:/mi.test(content)) {
+            recipe('container', '', repo, path);
+        } else if (CONDA_RECIPE_FILES.includes(name)) {
+            const conda = parseCondaRecipe(content);
+            if (conda.name && !/\{\{/.test(conda.name)) {
+                add(packageDownload(conda.channel, conda.name), path);
+            }
+        } else if (/\.rb$/.test(name)) {
+            const formula = parseHomebrewFormula(path, content);
+            if (formula) {
+                recipe('package', 'homebrew', formula.name, path);
+            }
+        }
+    });
+
+    workflows.filter(path => files[path]).forEach(path => {
+        workflowPublications(files[path], { owner, repo }).forEach(publication => {
+            if (publication.registry === 'container') {
+                publication.images.forEach(image => add(containerDownload(image), path));
+            } else {
+                const known = packages.filter(item => item.registry === publication.registry);
+                (known.length > 0 ? known : [packageDownload(publication.registry, repo)]).forEach(item => add(item, path));
+            }
+        });
+    });
+
+    return channels;
+}
+
+/**
+ * Adds the distribution channels to the `download` field of the observatory metadata, and the source
+ * archives to `src`. Channels already known (same URL) get the source they were found in.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @param {Object[]} channels - The download entries (see detectDistributionChannels and releaseDownloads).
+ * @returns {Object} - The metadata.
+ */
+function applyDistributionChannels(metadata, channels) {
+    const download = Array.isArray(metadata.download) ? metadata.download.slice() : [];
+    channels.forEach(channel => {
+        const index = download.findIndex(item => item && item.url === channel.url);
+        if (index < 0) {
+            download.push(channel);
+        } else if (!download[index].source && channel.source) {
+            download[index] = { ...download[index], source: channel.source };
+        }
+    });
+    metadata.download = download;
+
+    const src = Array.isArray(metadata.src) ? metadata.src.slice() : [];
+    (metadata.repository || []).concat(download.filter(item => item.type === 'source').map(item => item.url)).forEach(url => {
+        if (url && !src.includes(url)) {
+            src.push(url);
+        }
+    });
+    metadata.src = src;
+    return metadata;
+}
+
+
+module.exports = {
+    CONTAINER_DIRECTORIES,
+    CONDA_RECIPE_DIRECTORIES,
+    HOMEBREW_DIRECTORIES,
+    findRecipeFiles,
+    parseCondaRecipe,
+    parseHomebrewFormula,
+    composeImages,
+    workflowPublications,
+    releaseDownloads,
+    detectDistributionChannels,
+    applyDistributionChannels
+};
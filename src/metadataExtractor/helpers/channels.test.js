@@ -0,0 +1,151 @@
+const {
+    findRecipeFiles,
+    parseCondaRecipe,
+    parseHomebrewFormula,
+    composeImages,
+    workflowPublications,
+    releaseDownloads,
+    detectDistributionChannels,
+    applyDistributionChannels,
+} = require('./channels');
+
+const PUBLISH_WORKFLOW = `
+name: Publish
+env:
+  IMAGE: ghcr.io/\${{ github.repository }}
+jobs:
+  pypi:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: pypa/gh-action-pypi-publish@release/v1
+  image:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: docker/build-push-action@v5
+        with:
+          push: true
+          tags: \${{ env.IMAGE }}:latest,\${{ env.IMAGE }}:\${{ github.ref_name }}
+      - run: docker push quay.io/inab/tool:latest
+`;
+
+describe('findRecipeFiles', () => {
+    test('finds the container, conda and Homebrew recipes', () => {
+        const blobs = names => names.map(name => ({ name: name, type: 'blob' }));
+        expect(findRecipeFiles({
+            '': blobs(['Dockerfile', 'docker-compose.yml', 'Singularity.def', 'README.md', 'meta.yaml']),
+            docker: blobs(['Dockerfile.gpu', 'entrypoint.sh']),
+            recipe: blobs(['meta.yaml', 'build.sh']),
+            Formula: blobs(['tool.rb']),
+        })).toEqual(['Dockerfile', 'docker-compose.yml', 'Singularity.def', 'docker/Dockerfile.gpu', 'meta.yaml', 'recipe/meta.yaml', 'Formula/tool.rb']);
+    });
+});
+
+describe('parseCondaRecipe', () => {
+    test('substitutes the Jinja variables', () => {
+        expect(parseCondaRecipe([
+            '{% set name = "My-Tool" %}',
+            '{% set version = "1.10" %}',
+            'package:',
+            '  name: {{ name|lower }}',
+            '  version: {{ version }}',
+            'source:',
+            '  url: https://pypi.org/packages/source/{{ name[0] }}/{{ name }}-{{ version }}.tar.gz',
+        ].join('\n'))).toEqual({ name: 'my-tool', version: '1.10', channel: 'bioconda' });
+    });
+
+    test('reads the context of rattler-build recipes', () => {
+        expect(parseCondaRecipe('context:\n  name: tool\n  version: "2.0"\npackage:\n  name: ${{ name }}\n  version: ${{ version }}\n# conda-forge\n'))
+            .toEqual({ name: 'tool', version: '2.0', channel: 'conda-forge' });
+    });
+});
+
+describe('parseHomebrewFormula', () => {
+    test('reads the name and archive of formulae', () => {
+        expect(parseHomebrewFormula('Formula/tool.rb', 'class Tool < Formula\n  url "https://x/tool-1.0.tar.gz"\nend\n'))
+            .toEqual({ name: 'tool', url: 'https://x/tool-1.0.tar.gz' });
+        expect(parseHomebrewFormula('Formula/helper.rb', 'module Helper\nend\n')).toBeNull();
+    });
+});
+
+describe('composeImages', () => {
+    test('lists the images of the services', () => {
+        expect(composeImages('services:\n  app:\n    build: .\n    image: inab/tool:1.0\n  db:\n    image: postgres:16\n')).toEqual([
+            { service: 'app', image: 'inab/tool:1.0', build: true },
+            { service: 'db', image: 'postgres:16', build: false },
+        ]);
+        expect(composeImages('services: [')).toEqual([]);
+    });
+});
+
+describe('workflowPublications', () => {
+    test('finds the registries and the pushed images', () => {
+        expect(workflowPublications(PUBLISH_WORKFLOW, { owner: 'INAB', repo: 'Tool' })).toEqual([
+            { registry: 'pypi', images: [] },
+            // Tags with unknown expressions are left out
+            { registry: 'container', images: ['ghcr.io/inab/tool:latest', 'quay.io/inab/tool:latest'] },
+        ]);
+    });
+});
+
+describe('releaseDownloads', () => {
+    test('builds the binaries and source archives of the latest release', () => {
+        const versions = [
+            { version: '1.0.0', tag: 'v1.0.0', latest: true, assets: [
+                { name: 'tool-linux-x86_64.tar.gz', url: 'https://x/linux.tar.gz' },
+                { name: 'tool-1.0.0.zip', url: 'https://x/src.zip' },
+                { name: 'tool-linux-x86_64.tar.gz.sha256', url: 'https://x/linux.sha256' },
+                { name: 'tool.exe', url: 'https://x/tool.exe' },
+            ] },
+            { version: '1.1.0-rc1', tag: 'v1.1.0-rc1', latest: false, assets: [] },
+        ];
+        expect(releaseDownloads(versions, { forge: 'github', repositoryUrl: 'https://github.com/inab/tool' })).toEqual([
+            { type: 'binary', registry: 'github.com', name: 'tool-linux-x86_64.tar.gz', url: 'https://x/linux.tar.gz', version: '1.0.0', os: ['Linux'] },
+            { type: 'source', registry: 'github.com', name: 'tool-1.0.0.zip', url: 'https://x/src.zip', version: '1.0.0', os: [] },
+            { type: 'binary', registry: 'github.com', name: 'tool.exe', url: 'https://x/tool.exe', version: '1.0.0', os: ['Windows'] },
+            { type: 'source', registry: 'github.com', name: 'tool-v1.0.0.tar.gz', url: 'https://github.com/inab/tool/archive/refs/tags/v1.0.0.tar.gz', version: '1.0.0', os: [] },
+        ]);
+        expect(releaseDownloads(['1.0'])).toEqual([]);
+    });
+});
+
+describe('detectDistributionChannels', () => {
+    test('reports the recipes and the publications of the workflows', () => {
+        const channels = detectDistributionChannels({
+            'Dockerfile': 'FROM python:3.12\n',
+            'docker-compose.yml': 'services:\n  db:\n    image: postgres:16\n  web:\n    build: .\n',
+            'recipe/meta.yaml': 'package:\n  name: tool\n  version: 1.0\n',
+            '.github/workflows/publish.yml': PUBLISH_WORKFLOW,
+        }, {
+            owner: 'inab',
+            repo: 'tool',
+            workflows: ['.github/workflows/publish.yml'],
+            packages: [{ type: 'package', registry: 'pypi', name: 'inab-tool', url: 'https://pypi.org/project/inab-tool/' }],
+            fileUrl: path => `https://x/${path}`,
+        });
+        expect(channels.map(channel => [channel.type, channel.registry, channel.name, channel.source])).toEqual([
+            ['container', '', 'tool', 'Dockerfile'],
+            ['container', '', 'web', 'docker-compose.yml'],
+            ['package', 'bioconda', 'tool', 'recipe/meta.yaml'],
+            ['package', 'pypi', 'inab-tool', '.github/workflows/publish.yml'],
+            ['container', 'ghcr.io', 'inab/tool', '.github/workflows/publish.yml'],
+            ['container', 'quay.io', 'inab/tool', '.github/workflows/publish.yml'],
+        ]);
+    });
+});
+
+describe('applyDistributionChannels', () => {
+    test('adds the channels and the source archives', () => {
+        const metadata = applyDistributionChannels({
+            repository: ['https://github.com/inab/tool'],
+            download: [{ type: 'package', url: 'https://pypi.org/project/tool/' }],
+        }, [
+            { type: 'package', url: 'https://pypi.org/project/tool/', source: '.github/workflows/publish.yml' },
+            { type: 'source', url: 'https://x/tool.tar.gz', source: 'v1.0' },
+        ]);
+        expect(metadata.download).toEqual([
+            { type: 'package', url: 'https://pypi.org/project/tool/', source: '.github/workflows/publish.yml' },
+            { type: 'source', url: 'https://x/tool.tar.gz', source: 'v1.0' },
+        ]);
+        expect(metadata.src).toEqual(['https://github.com/inab/tool', 'https://x/tool.tar.gz']);
+    });
+});
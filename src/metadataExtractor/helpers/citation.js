@@ -0,0 +1,362 @@
+/*
+Serialization of the observatory metadata to a CITATION.cff file (Citation File Format 1.2.0).
+
+The generated document is validated against the CFF 1.2.0 JSON schema (see validateCFFSchema in ./cff).
+Its `license` enum is the SPDX License List of the time: newer licenses cannot be declared in CITATION.cff.
+https://github.com/citation-file-format/citation-file-format/blob/main/schema-guide.md
+*/
+
+const yaml = require('js-yaml');
+const { unwrapListsIds } = require('./metadata');
+const { currentVersion, versionName } = require('./codemeta');
+const { CFF_SCHEMA, CFF_VERSION, CFF_REFERENCE_TYPES, validateCFFSchema } = require('./cff');
+const { resolveRef } = require('./jsonschema');
+const { canonicalSpdxId } = require('./licenses');
+
+const CFF_MESSAGE = 'If you use this software, please cite it using the metadata from this file.';
+
+// SPDX identifiers accepted in the `license` field
+const CFF_LICENSES = new Set(resolveRef(CFF_SCHEMA, '#/definitions/license-enum').enum);
+
+const DOI_REGEX = new RegExp(resolveRef(CFF_SCHEMA, '#/definitions/doi').pattern);
+const SWH_REGEX = new RegExp(resolveRef(CFF_SCHEMA, '#/definitions/swh-identifier').pattern);
+const ORCID_ID_REGEX = /(\d{4}-\d{4}-\d{4}-\d{3}[0-9X])\/?$/;
+const ISSN_REGEX = /^\d{4}-\d{3}[\dxX]$/;
+const PMCID_REGEX = /^PMC[0-9]{7}$/;
+const URL_REGEX = /^(https|http|ftp|sftp):\/\/.+/;
+
+// Lowercase words that start a family name (von Humboldt, van der Berg, de la Cruz...)
+const NAME_PARTICLES = ['da', 'das', 'de', 'del', 'della', 'der', 'di', 'do', 'dos', 'du', 'la', 'le', 'ten', 'ter', 'van', 'von', 'zu'];
+const NAME_SUFFIX_REGEX = /^(jr\.?|sr\.?|i{2,3}|iv|v)$/i;
+
+
+/**
+ * Splits the full name of a person into the CFF name parts.
+ * "Family, Given" is understood; otherwise the last word is the family name, preceded by its particles.
+ * Single words (e.g. a login) are kept as an alias.
+ *
+ * @param {string} name - The full name.
+ * @returns {Object} - { 'given-names', 'name-particle', 'family-names', 'name-suffix' } or { alias }, without empty parts.
+ */
+function splitPersonName(name) {
+    const clean = String(name || '').replace(/\s+/g, ' ').trim();
+    if (!clean) {
+        return {};
+    }
+
+    let words;
+    let given = [];
+    const comma = clean.split(',').map(part => part.trim()).filter(Boolean);
+    if (comma.length === 2 && !NAME_SUFFIX_REGEX.test(comma[1])) {
+        words = comma[0].split(' ');
+        given = comma[1].split(' ');
+    } else {
+        words = clean.replace(/,/g, '').split(' ');
+        if (words.length === 1) {
+            return { alias: words[0] };
+        }
+    }
+
+    let suffix = '';
+    if (words.length > 1 && NAME_SUFFIX_REGEX.test(words[words.length - 1])) {
+        suffix = words.pop();
+    }
+
+    let family = [words.pop()];
+    const particles = [];
+    if (given.length === 0) {
+        // Particles are the lowercase words right before the family name
+        while (words.length > 1 && NAME_PARTICLES.includes(words[words.length - 1])) {
+            particles.unshift(words.pop());
+        }
+        given = words;
+    } else {
+        family = words.concat(family);
+        while (family.length > 1 && NAME_PARTICLES.includes(family[0])) {
+            particles.push(family.shift());
+        }
+    }
+
+    const parts = {
+        'given-names': given.join(' '),
+        'name-particle': particles.join(' '),
+        'family-names': family.join(' '),
+        'name-suffix': suffix,
+    };
+    Object.keys(parts).forEach(key => {
+        if (!parts[key]) {
+            delete parts[key];
+        }
+    });
+    return parts;
+}
+
+/**
+ * Normalises an ORCID (bare identifier or URL) to the https://orcid.org/ form required by CFF.
+ *
+ * @param {string} orcid - The ORCID.
+ * @returns {string} - The ORCID URL, or an empty string if it is not an ORCID.
+ */
+function orcidURL(orcid) {
+    const match = ORCID_ID_REGEX.exec(String(orcid || '').trim());
+    return match ? `https://orcid.org/${match[1]}` : '';
+}
+
+/**
+ * Maps an observatory author to a CFF person or entity.
+ * Noreply addresses of the forges are not exported.
+ *
+ * @param {Object|string} author - The observatory author ({ name, type, email, orcid, affiliation, url }) or a name.
+ * @returns {Object} - The CFF person or entity.
+ */
+function authorToCFF(author) {
+    if (typeof author === 'string') {
+        return splitPersonName(author);
+    }
+
+    const entity = author.type === 'organization';
+    const cffAuthor = entity ? { name: String(author.name || '').trim() } : splitPersonName(author.name);
+
+    if (!entity && author.affiliation) {
+        cffAuthor.affiliation = author.affiliation;
+    }
+    if (author.email && !/noreply/i.test(author.email)) {
+        cffAuthor.email = author.email;
+    }
+    const orcid = orcidURL(author.orcid);
+    if (orcid) {
+        cffAuthor.orcid = orcid;
+    }
+    if (author.url && URL_REGEX.test(author.url)) {
+        cffAuthor.website = author.url;
+    }
+    return cffAuthor;
+}
+
+/**
+ * Maps an observatory identifier to a CFF identifier.
+ * Identifiers of other kinds (RRID, bio.tools, ...) are exported as their URL or as `other`.
+ *
+ * @param {Object} identifier - The observatory identifier ({ type, value, url, description }).
+ * @returns {Object|null} - The CFF identifier ({ type, value, description }), or null if it has no value.
+ */
+function identifierToCFF(identifier) {
+    const value = String(identifier.value || '').trim();
+    let cffIdentifier = null;
+
+    if (identifier.type === 'doi' && DOI_REGEX.test(value)) {
+        cffIdentifier = { type: 'doi', value: value };
+    } else if (identifier.type === 'swh' && SWH_REGEX.test(value)) {
+        cffIdentifier = { type: 'swh', value: value };
+    } else if (identifier.url && URL_REGEX.test(identifier.url)) {
+        cffIdentifier = { type: 'url', value: identifier.url };
+    } else if (value) {
+        cffIdentifier = { type: 'other', value: value };
+    } else {
+        return null;
+    }
+
+    const description = identifier.description || (['doi', 'swh', 'url'].includes(identifier.type) ? '' : identifier.type);
+    if (description) {
+        cffIdentifier.description = description;
+    }
+    return cffIdentifier;
+}
+
+/**
+ * Maps an observatory publication to a CFF reference.
+ * Publications whose authors are unknown are credited to "anonymous", as the CFF guide recommends.
+ *
+ * @param {Object} publication - The observatory publication ({ type, title, year, doi, url, authors, journal, ... }).
+ * @returns {Object} - The CFF reference.
+ */
+function publicationToCFF(publication) {
+    const authors = (Array.isArray(publication.authors) ? publication.authors : [])
+        .map(authorToCFF)
+        .filter(author => Object.keys(author).length > 0);
+
+    const reference = {
+        type: CFF_REFERENCE_TYPES.includes(publication.type) ? publication.type : 'article',
+        title: String(publication.title).trim(),
+        authors: authors.length > 0 ? authors : [{ name: 'anonymous' }],
+    };
+
+    const doi = String(publication.doi || '').trim();
+    if (DOI_REGEX.test(doi)) {
+        reference.doi = doi;
+    }
+    if (publication.url && URL_REGEX.test(publication.url)) {
+        reference.url = publication.url;
+    }
+    if (publication.journal) {
+        reference.journal = String(publication.journal);
+    }
+    const year = parseInt(publication.year, 10);
+    if (year) {
+        reference.year = year;
+    }
+    ['volume', 'issue'].forEach(key => {
+        if (publication[key]) {
+            reference[key] = String(publication[key]);
+        }
+    });
+    const pages = /^(\w+)\s*[-–]+\s*(\w+)$/.exec(String(publication.pages || '').trim());
+    if (pages) {
+        reference.start = pages[1];
+        reference.end = pages[2];
+    }
+    if (ISSN_REGEX.test(publication.issn || '')) {
+        reference.issn = publication.issn;
+    }
+    if (PMCID_REGEX.test(publication.pmcid || '')) {
+        reference.pmcid = publication.pmcid;
+    }
+    return reference;
+}
+
+/**
+ * Builds the content of a CITATION.cff file from the observatory metadata:
+ * title, abstract, authors (maintainers as contact), version and release date, licenses,
+ * repository and webpage, keywords, identifiers (the first DOI also as `doi`) and publications
+ * (the first one as `preferred-citation`, the others as `references`).
+ *
+ * Problems that do not prevent building the file (e.g. publications without title) are appended to `warnings`.
+ *
+ * @param {Object} metadata - The observatory metadata, as returned by POST /metadata (prepared or not).
+ * @param {string[]} [warnings] - The list where the warnings are appended.
+ * @returns {Object} - The CFF document.
+ */
+function buildCFF(metadata, warnings = []) {
+    const meta = unwrapListsIds(metadata);
+    const list = field => (Array.isArray(meta[field]) ? meta[field] : []);
+
+    const citation = {
+        'cff-version': CFF_VERSION,
+        title: list('label')[0] || meta.name,
+        message: CFF_MESSAGE,
+        type: 'software',
+    };
+
+    const authors = list('authors').filter(author => author && author.name);
+    citation.authors = authors.map(authorToCFF).filter(author => Object.keys(author).length > 0);
+    const contact = authors.filter(author => author.maintainer).map(authorToCFF);
+    if (contact.length > 0) {
+        citation.contact = contact;
+    }
+
+    if (list('description').length > 0) {
+        citation.abstract = String(list('description')[0]).trim();
+    }
+
+    const versions = list('version');
+    const version = currentVersion(versions);
+    if (version) {
+        citation.version = version;
+        const current = versions.find(item => versionName(item) === version);
+        const date = meta.date_released || (current && typeof current === 'object' ? current.date : '');
+        if (date) {
+            citation['date-released'] = String(date).slice(0, 10);
+        }
+    }
+
+    // CFF lists alternative licenses; conjunctions cannot be represented
+    const licenses = list('license').filter(Boolean)
+        .map(license => (typeof license === 'object' ? license : { spdxId: license }))
+        .map(license => ({ ...license, id: canonicalSpdxId(license.spdxId) || canonicalSpdxId(license.name) }));
+    const spdxIds = licenses.map(license => license.id)
+        .filter(id => CFF_LICENSES.has(id))
+        .filter((id, index, all) => all.indexOf(id) === index);
+    if (spdxIds.length > 0) {
+        citation.license = spdxIds.length === 1 ? spdxIds[0] : spdxIds;
+    }
+    if (meta.license_expression && /\s(AND|WITH)\s/.test(meta.license_expression)) {
+        warnings.push(`License expression '${meta.license_expression}' cannot be represented in CFF: licenses are listed as alternatives.`);
+    }
+    const others = licenses.filter(license => !CFF_LICENSES.has(license.id));
+    const custom = others.find(license => URL_REGEX.test(license.url || ''));
+    if (custom) {
+        citation['license-url'] = custom.url;
+    }
+    others.filter(license => license !== custom).forEach(license => {
+        const label = license.id || license.spdxId || license.name;
+        warnings.push(license.id
+            ? `License '${label}' is not in the SPDX list of CFF 1.2.0 and was not included.`
+            : `License '${label || 'unknown'}' could not be identified and was not included.`);
+    });
+
+    const repository = list('repository').find(url => URL_REGEX.test(url));
+    if (repository) {
+        citation['repository-code'] = repository;
+    }
+    const webpage = list('webpage').find(url => URL_REGEX.test(url));
+    if (webpage) {
+        citation.url = webpage;
+    }
+
+    const keywords = list('topics').map(topic => (typeof topic === 'object' ? topic.term : topic))
+        .concat(list('tags'))
+        .map(keyword => String(keyword || '').trim())
+        .filter((keyword, index, all) => keyword && all.indexOf(keyword) === index);
+    if (keywords.length > 0) {
+        citation.keywords = keywords;
+    }
+
+    const identifiers = list('identifiers').map(identifierToCFF).filter(Boolean)
+        .filter((identifier, index, all) => all.findIndex(item => item.type === identifier.type && item.value === identifier.value) === index);
+    const doi = identifiers.find(identifier => identifier.type === 'doi');
+    if (doi) {
+        citation.doi = doi.value;
+    }
+    if (identifiers.length > 0) {
+        citation.identifiers = identifiers;
+    }
+
+    const publications = list('publication').filter(publication => {
+        if (publication && publication.title) {
+            return true;
+        }
+        warnings.push(`Publication ${publication && (publication.doi || publication.url) ? `'${publication.doi || publication.url}' ` : ''}has no title and was not included.`);
+        return false;
+    });
+    if (publications.length > 0) {
+        citation['preferred-citation'] = publicationToCFF(publications[0]);
+    }
+    if (publications.length > 1) {
+        citation.references = publications.slice(1).map(publicationToCFF);
+    }
+
+    return citation;
+}
+
+/**
+ * Serializes the observatory metadata to a validated CITATION.cff file.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @returns {Object} - { cff, citation, valid, errors, warnings } where `cff` is the YAML content of the file
+ *   and `citation` the same document as an object.
+ */
+function metadataToCFF(metadata) {
+    const buildWarnings = [];
+    const citation = buildCFF(metadata, buildWarnings);
+    const { valid, errors, warnings } = validateCFFSchema(citation);
+
+    return {
+        cff: yaml.dump(citation, { lineWidth: -1, noRefs: true, quotingType: '"' }),
+        citation: citation,
+        valid: valid,
+        errors: errors,
+        warnings: buildWarnings.concat(warnings),
+    };
+}
+
+
+module.exports = {
+    CFF_MESSAGE,
+    splitPersonName,
+    orcidURL,
+    authorToCFF,
+    identifierToCFF,
+    publicationToCFF,
+    buildCFF,
+    metadataToCFF,
+};
@@ -0,0 +1,172 @@
+const yaml = require('js-yaml');
+const {
+    splitPersonName,
+    orcidURL,
+    authorToCFF,
+    identifierToCFF,
+    publicationToCFF,
+    buildCFF,
+    metadataToCFF,
+} = require('./citation');
+
+const METADATA = {
+    name: 'tool',
+    label: [{ id: 0, term: 'My Tool' }],
+    description: ['  A tool.  '],
+    authors: [
+        { name: 'Eva Martin', email: 'eva@x.org', orcid: '0000-0001-2345-6789', maintainer: true },
+        { name: 'octocat', email: '1+octocat@users.noreply.github.com' },
+        { name: 'ELIXIR', type: 'organization', url: 'https://elixir-europe.org' },
+    ],
+    version: [
+        { version: '1.0.0', date: '2024-01-01T10:00:00Z' },
+        { version: '2.0.0-rc.1', prerelease: true },
+    ],
+    license: [{ name: 'MIT License', spdxId: 'MIT', url: 'https://spdx.org/licenses/MIT' }],
+    repository: ['https://github.com/inab/tool'],
+    webpage: ['https://tool.org'],
+    topics: [{ term: 'Bioinformatics', uri: 'http://edamontology.org/topic_0091' }],
+    tags: ['bioinformatics', 'Bioinformatics'],
+    identifiers: [
+        { type: 'doi', value: '10.5281/zenodo.123' },
+        { type: 'biotools', value: 'tool', url: 'https://bio.tools/tool' },
+    ],
+    publication: [
+        { title: 'The tool', doi: '10.1093/x/1', year: '2024', authors: ['Eva Martin'], pages: '1-10' },
+        { title: 'Another paper', type: 'thesis' },
+    ],
+};
+
+describe('splitPersonName', () => {
+    test('splits the given names, particles, family names and suffixes', () => {
+        expect(splitPersonName('Ludwig van Beethoven Jr.')).toEqual({
+            'given-names': 'Ludwig',
+            'name-particle': 'van',
+            'family-names': 'Beethoven',
+            'name-suffix': 'Jr.',
+        });
+        expect(splitPersonName('de la Cruz, Juana')).toEqual({ 'given-names': 'Juana', 'name-particle': 'de la', 'family-names': 'Cruz' });
+    });
+
+    test('keeps single words as an alias', () => {
+        expect(splitPersonName('octocat')).toEqual({ alias: 'octocat' });
+        expect(splitPersonName('  ')).toEqual({});
+    });
+});
+
+describe('orcidURL', () => {
+    test('normalises bare identifiers and URLs', () => {
+        expect(orcidURL('0000-0001-2345-678X')).toBe('https://orcid.org/0000-0001-2345-678X');
+        expect(orcidURL('http://orcid.org/0000-0001-2345-6789/')).toBe('https://orcid.org/0000-0001-2345-6789');
+        expect(orcidURL('eva')).toBe('');
+    });
+});
+
+describe('authorToCFF', () => {
+    test('maps persons and organizations without noreply addresses', () => {
+        expect(authorToCFF(METADATA.authors[0])).toEqual({
+            'given-names': 'Eva',
+            'family-names': 'Martin',
+            email: 'eva@x.org',
+            orcid: 'https://orcid.org/0000-0001-2345-6789',
+        });
+        expect(authorToCFF(METADATA.authors[1])).toEqual({ alias: 'octocat' });
+        expect(authorToCFF(METADATA.authors[2])).toEqual({ name: 'ELIXIR', website: 'https://elixir-europe.org' });
+    });
+});
+
+describe('identifierToCFF', () => {
+    test('exports other identifiers as their URL or as other', () => {
+        expect(identifierToCFF({ type: 'doi', value: '10.5281/zenodo.123' })).toEqual({ type: 'doi', value: '10.5281/zenodo.123' });
+        expect(identifierToCFF({ type: 'biotools', value: 'tool', url: 'https://bio.tools/tool' }))
+            .toEqual({ type: 'url', value: 'https://bio.tools/tool', description: 'biotools' });
+        expect(identifierToCFF({ type: 'rrid', value: 'SCR_000001' })).toEqual({ type: 'other', value: 'SCR_000001', description: 'rrid' });
+        expect(identifierToCFF({ type: 'doi', value: '' })).toBeNull();
+    });
+});
+
+describe('publicationToCFF', () => {
+    test('credits publications without authors to anonymous', () => {
+        expect(publicationToCFF({ title: 'Paper', type: 'preprint', year: 'n.d.', pages: '5–9' })).toEqual({
+            type: 'article',
+            title: 'Paper',
+            authors: [{ name: 'anonymous' }],
+            start: '5',
+            end: '9',
+        });
+    });
+});
+
+describe('buildCFF', () => {
+    test('maps the observatory metadata', () => {
+        const warnings = [];
+        const citation = buildCFF(METADATA, warnings);
+        expect(citation).toMatchObject({
+            'cff-version': '1.2.0',
+            title: 'My Tool',
+            type: 'software',
+            abstract: 'A tool.',
+            version: '1.0.0',
+            'date-released': '2024-01-01',
+            license: 'MIT',
+            'repository-code': 'https://github.com/inab/tool',
+            url: 'https://tool.org',
+            keywords: ['Bioinformatics', 'bioinformatics'],
+            doi: '10.5281/zenodo.123',
+        });
+        expect(citation.authors).toHaveLength(3);
+        expect(citation.contact).toEqual([citation.authors[0]]);
+        expect(citation['preferred-citation']).toMatchObject({ type: 'article', title: 'The tool', doi: '10.1093/x/1', year: 2024 });
+        expect(citation.references).toEqual([{ type: 'thesis', title: 'Another paper', authors: [{ name: 'anonymous' }] }]);
+        expect(warnings).toEqual([]);
+    });
+
+    test('identifies the licenses given by name', () => {
+        const warnings = [];
+        const citation = buildCFF({
+            name: 'tool',
+            license: [{ name: 'Apache License 2.0', url: 'https://www.apache.org/licenses/LICENSE-2.0' }, 'GPL-3.0', 'MIT'],
+        }, warnings);
+        expect(citation.license).toEqual(['Apache-2.0', 'GPL-3.0-only', 'MIT']);
+        expect(citation['license-url']).toBeUndefined();
+        expect(warnings).toEqual([]);
+    });
+
+    test('warns about the licenses that are not included', () => {
+        const warnings = [];
+        const citation = buildCFF({
+            name: 'tool',
+            license: [
+                { name: 'Custom license', url: 'https://tool.org/LICENSE' },
+                { name: 'Other', spdxId: 'NOASSERTION' },
+                'LicenseRef-Proprietary',
+            ],
+            license_expression: 'MIT AND LicenseRef-Proprietary',
+        }, warnings);
+        expect(citation.license).toBeUndefined();
+        expect(citation['license-url']).toBe('https://tool.org/LICENSE');
+        expect(warnings).toEqual([
+            "License expression 'MIT AND LicenseRef-Proprietary' cannot be represented in CFF: licenses are listed as alternatives.",
+            "License 'NOASSERTION' could not be identified and was not included.",
+            "License 'LicenseRef-Proprietary' is not in the SPDX list of CFF 1.2.0 and was not included.",
+        ]);
+    });
+
+    test('warns about the publications without title', () => {
+        const warnings = [];
+        const citation = buildCFF({ name: 'tool', publication: [{ doi: '10.1093/x/1' }] }, warnings);
+        expect(citation['preferred-citation']).toBeUndefined();
+        expect(warnings).toEqual(["Publication '10.1093/x/1' has no title and was not included."]);
+    });
+});
+
+describe('metadataToCFF', () => {
+    test('serializes a valid CITATION.cff file', () => {
+        const { cff, citation, valid, errors, warnings } = metadataToCFF(METADATA);
+        expect(errors).toEqual([]);
+        expect(valid).toBe(true);
+        expect(warnings).toEqual([]);
+        expect(yaml.load(cff)).toEqual(citation);
+        expect(cff).toMatch(/^cff-version: 1\.2\.0\n/);
+    });
+});
@@ -0,0 +1,316 @@
+/*
+Serialization of the observatory metadata to CodeMeta 3.0 (JSON-LD).
+
+The CodeMeta 3.0 context is bundled in ../contexts so that the document can be compacted
+and validated with jsonld without network access.
+https://w3id.org/codemeta/3.0
+*/
+
+const jsonld = require('jsonld');
+const { unwrapListsIds } = require('./metadata');
+
+const CODEMETA_CONTEXT_URL = 'https://w3id.org/codemeta/3.0';
+const CODEMETA_CONTEXT = require('../contexts/codemeta-3.0.json');
+
+// Contexts served by the document loader instead of fetching them
+const BUNDLED_CONTEXTS = {
+    [CODEMETA_CONTEXT_URL]: CODEMETA_CONTEXT,
+    'https://w3id.org/codemeta/v3.0': CODEMETA_CONTEXT,
+    'https://doi.org/10.5063/schema/codemeta-3.0': CODEMETA_CONTEXT,
+};
+
+
+/**
+ * jsonld document loader that resolves the bundled contexts and refuses any other URL.
+ *
+ * @param {string} url - The URL of the document to load.
+ * @returns {Promise<Object>} - The remote document as expected by jsonld.
+ */
+async function documentLoader(url) {
+    if (BUNDLED_CONTEXTS[url]) {
+        return {
+            contextUrl: null,
+            documentUrl: url,
+            document: BUNDLED_CONTEXTS[url],
+        };
+    }
+    throw new Error(`Context '${url}' is not bundled with the metadata extractor.`);
+}
+
+/**
+ * Returns the URL to use for a license in JSON-LD documents:
+ * the SPDX URL when the SPDX identifier is known, otherwise the license URL or name.
+ *
+ * @param {Object|string} license - An observatory license ({ name, url, spdxId }) or a license name.
+ * @returns {string} - The license IRI.
+ */
+function licenseToIRI(license) {
+    if (typeof license === 'string') {
+        return license;
+    }
+    if (license.spdxId && license.spdxId !== 'NOASSERTION') {
+        return `https://spdx.org/licenses/${license.spdxId}`;
+    }
+    return license.url || license.name || '';
+}
+
+/**
+ * Returns the name of a version entry, which can be a tag name or a release object.
+ *
+ * @param {Object|string} version - A version of the observatory metadata.
+ * @returns {string} - The version name.
+ */
+function versionName(version) {
+    if (version && typeof version === 'object') {
+        return version.version || version.tagName || version.tag || version.name || '';
+    }
+    return version ? String(version) : '';
+}
+
+/**
+ * Returns the current version of the software: the most recent version that is neither a pre-release
+ * nor a draft (which may be declared in CITATION.cff before it is released), or the most recent version.
+ *
+ * @param {Array<Object|string>} versions - The versions of the observatory metadata, sorted by date.
+ * @returns {string|undefined} - The version name, undefined if there are no versions.
+ */
+function currentVersion(versions) {
+    const stable = versions.filter(version => typeof version !== 'object' || !(version.prerelease || version.draft));
+    const current = stable.length > 0 ? stable[stable.length - 1] : versions[versions.length - 1];
+    return versionName(current) || undefined;
+}
+
+/**
+ * Returns the name of a dependency entry, which can be a plain name or a dependency object.
+ *
+ * @param {Object|string} dependency - A dependency of the observatory metadata.
+ * @returns {string} - The dependency name, with its version constraint if known.
+ */
+function dependencyName(dependency) {
+    if (dependency && typeof dependency === 'object') {
+        return [dependency.name, dependency.version].filter(Boolean).join(' ');
+    }
+    return dependency ? String(dependency) : '';
+}
+
+/**
+ * Maps an observatory author to a schema.org Person or Organization.
+ *
+ * @param {Object} author - The observatory author ({ name, type, email, orcid, affiliation, url }).
+ * @returns {Object} - The CodeMeta author.
+ */
+function authorToCodeMeta(author) {
+    const person = {
+        type: author.type === 'organization' ? 'Organization' : 'Person',
+        name: author.name,
+    };
+    if (author.orcid) {
+        person.id = author.orcid;
+    }
+    if (author.email) {
+        person.email = author.email;
+    }
+    if (author.affiliation) {
+        person.affiliation = {
+            type: 'Organization',
+            name: author.affiliation,
+        };
+    }
+    if (author.url) {
+        person.url = author.url;
+    }
+    return person;
+}
+
+/**
+ * Maps an observatory publication to a schema.org ScholarlyArticle.
+ *
+ * @param {Object} publication - The observatory publication ({ title, year, doi, url, authors, journal }).
+ * @returns {Object} - The CodeMeta reference publication.
+ */
+function publicationToCodeMeta(publication) {
+    const article = {
+        type: 'ScholarlyArticle',
+        name: publication.title,
+    };
+    if (publication.doi) {
+        article.id = `https://doi.org/${publication.doi}`;
+        article.identifier = `https://doi.org/${publication.doi}`;
+    }
+    if (publication.url) {
+        article.url = publication.url;
+    }
+    if (publication.year) {
+        article.datePublished = String(publication.year);
+    }
+    if (Array.isArray(publication.authors) && publication.authors.length > 0) {
+        article.author = publication.authors.map(name => ({ type: 'Person', name: name }));
+    }
+    if (publication.journal) {
+        article.isPartOf = {
+            type: 'CreativeWork',
+            name: publication.journal,
+        };
+        if (publication.issn) {
+            article.isPartOf.issn = publication.issn;
+        }
+    }
+    return article;
+}
+
+/**
+ * Removes the properties whose value is undefined, an empty string or an empty array.
+ *
+ * @param {Object} object - The object to clean.
+ * @returns {Object} - The same object, without empty properties.
+ */
+function removeEmpty(object) {
+    for (const key of Object.keys(object)) {
+        const value = object[key];
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            delete object[key];
+        }
+    }
+    return object;
+}
+
+/**
+ * Builds a CodeMeta 3.0 document from the observatory metadata.
+ * The result is plain JSON-LD using the CodeMeta context; it is not compacted nor validated.
+ *
+ * @param {Object} metadata - The observatory metadata, as returned by POST /metadata (prepared or not).
+ * @returns {Object} - The CodeMeta document.
+ */
+function buildCodeMeta(metadata) {
+    const meta = unwrapListsIds(metadata);
+    const list = field => (Array.isArray(meta[field]) ? meta[field] : []);
+
+    const authors = list('authors');
+    const documentation = list('documentation');
+    const readme = documentation.find(doc => doc.type === 'readme');
+
+    const keywords = list('topics').map(topic => (typeof topic === 'object' ? topic.term : topic))
+        .concat(list('tags'))
+        .filter((keyword, index, all) => keyword && all.indexOf(keyword) === index);
+
+    const codemeta = {
+        '@context': CODEMETA_CONTEXT_URL,
+        type: 'SoftwareSourceCode',
+        name: meta.name || list('label')[0],
+        description: list('description').join('\n\n'),
+        codeRepository: list('repository')[0],
+        url: list('webpage')[0],
+        relatedLink: list('links'),
+        version: currentVersion(list('version')),
+        license: list('license').map(licenseToIRI).filter(Boolean),
+        author: authors.map(authorToCodeMeta),
+        maintainer: authors.filter(author => author.maintainer).map(authorToCodeMeta),
+        keywords: keywords,
+        applicationCategory: meta.type || undefined,
+        operatingSystem: list('os'),
+        softwareRequirements: list('dependencies').map(dependencyName).filter(Boolean),
+        // Recipes (Dockerfile, Singularity definitions) are not downloads
+        downloadUrl: list('download').filter(item => typeof item !== 'object' || item.registry !== '')
+            .map(item => (typeof item === 'object' ? item.url : item)).filter(Boolean),
+        readme: readme ? readme.url : undefined,
+        softwareHelp: documentation.filter(doc => doc !== readme).map(doc => ({
+            type: 'CreativeWork',
+            name: doc.type,
+            url: doc.url,
+        })),
+        referencePublication: list('publication').map(publicationToCodeMeta),
+        identifier: list('identifiers').map(identifier => identifier.url || identifier.value).filter(Boolean),
+        datePublished: meta.date_released || undefined,
+        programmingLanguage: list('languages'),
+        funding: list('funding').map(funding => removeEmpty({
+            type: 'Grant',
+            name: funding.name,
+            identifier: funding.identifier,
+            funder: funding.funder ? { type: 'Organization', name: funding.funder } : undefined,
+        })),
+    };
+
+    return removeEmpty(codemeta);
+}
+
+/**
+ * Compacts a CodeMeta document against the CodeMeta 3.0 context and reports the problems found.
+ *
+ * Properties that are not defined in the context are dropped by the JSON-LD processor
+ * and reported as errors, relative IRIs (e.g. a license name where a URL is expected) as warnings.
+ *
+ * @param {Object} document - The CodeMeta document to validate.
+ * @returns {Promise<Object>} - { codemeta, valid, errors, warnings } where `codemeta` is the compacted document.
+ */
+async function validateCodeMeta(document) {
+    const errors = [];
+    const warnings = [];
+
+    const eventHandler = ({ event, next }) => {
+        const details = event.details || {};
+        if (event.code === 'invalid property' || event.code === 'invalid reserved term') {
+            errors.push(`Property '${details.property || details.term}' is not defined in the CodeMeta context and was dropped.`);
+        } else if (event.code === 'relative @id reference' || event.code === 'relative @type reference' || event.code === 'relative @vocab reference') {
+            warnings.push(`'${details.id || details.type || details.vocab}' is not an absolute IRI.`);
+        } else {
+            warnings.push(event.message);
+        }
+        next();
+    };
+
+    const options = { documentLoader, eventHandler };
+
+    const expanded = await jsonld.expand(document, options);
+    const codemeta = await jsonld.compact(expanded, CODEMETA_CONTEXT_URL, { documentLoader });
+
+    if (!codemeta.name) {
+        errors.push(`Missing required property 'name'.`);
+    }
+    if (!codemeta.type && !codemeta['@type']) {
+        errors.push(`Missing property 'type'.`);
+    }
+    [].concat(codemeta.license || []).forEach(license => {
+        if (typeof license === 'string' && !/^https?:\/\//.test(license)) {
+            warnings.push(`License '${license}' should be a URL, e.g. https://spdx.org/licenses/${license}.`);
+        }
+    });
+    ['codeRepository', 'license', 'author', 'version', 'description'].forEach(property => {
+        if (codemeta[property] === undefined) {
+            warnings.push(`Missing recommended property '${property}'.`);
+        }
+    });
+
+    return {
+        codemeta: codemeta,
+        valid: errors.length === 0,
+        errors: errors,
+        warnings: warnings,
+    };
+}
+
+/**
+ * Serializes the observatory metadata to a compacted and validated CodeMeta 3.0 document.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @returns {Promise<Object>} - { codemeta, valid, errors, warnings }.
+ */
+async function metadataToCodeMeta(metadata) {
+    const document = buildCodeMeta(metadata);
+    return validateCodeMeta(document);
+}
+
+
+module.exports = {
+    CODEMETA_CONTEXT_URL,
+    documentLoader,
+    licenseToIRI,
+    versionName,
+    currentVersion,
+    dependencyName,
+    authorToCodeMeta,
+    publicationToCodeMeta,
+    removeEmpty,
+    buildCodeMeta,
+    validateCodeMeta,
+    metadataToCodeMeta
+};
@@ -0,0 +1,97 @@
+const {
+    licenseToIRI,
+    versionName,
+    currentVersion,
+    authorToCodeMeta,
+    buildCodeMeta,
+    validateCodeMeta,
+    metadataToCodeMeta,
+} = require('./codemeta');
+
+const metadata = {
+    name: 'tool',
+    description: ['A tool.'],
+    repository: ['https://github.com/inab/tool'],
+    version: ['1.0', { version: '2.0.0-rc1', prerelease: true }],
+    license: [{ name: 'MIT License', spdxId: 'MIT', url: '' }],
+    authors: [
+        { name: 'Eva Martin', type: 'person', orcid: 'https://orcid.org/0000-0001-2345-6789', maintainer: true },
+        { name: 'BSC', type: 'organization' },
+    ],
+    topics: [{ term: 'Bioinformatics', id: 'http://edamontology.org/topic_0091' }],
+    tags: ['genomics'],
+    publication: [{ title: 'A paper', doi: '10.1093/x', year: 2021, authors: ['Eva Martin'] }],
+};
+
+describe('licenseToIRI', () => {
+    test('uses the SPDX URL, then the license URL', () => {
+        expect(licenseToIRI({ spdxId: 'MIT' })).toBe('https://spdx.org/licenses/MIT');
+        expect(licenseToIRI({ spdxId: 'NOASSERTION', url: 'https://example.org/license' })).toBe('https://example.org/license');
+        expect(licenseToIRI('Apache-2.0')).toBe('Apache-2.0');
+    });
+});
+
+describe('versions', () => {
+    test('names versions given as strings or release objects', () => {
+        expect(versionName('1.0')).toBe('1.0');
+        expect(versionName({ tagName: 'v1.0' })).toBe('v1.0');
+        expect(versionName(null)).toBe('');
+    });
+
+    test('the current version is the last stable one', () => {
+        expect(currentVersion(metadata.version)).toBe('1.0');
+        expect(currentVersion([{ version: '2.0.0-rc1', prerelease: true }])).toBe('2.0.0-rc1');
+    });
+});
+
+describe('authorToCodeMeta', () => {
+    test('maps the ORCID to the id and the affiliation to an organization', () => {
+        expect(authorToCodeMeta({ name: 'Eva', orcid: 'https://orcid.org/1', affiliation: 'BSC' })).toEqual({
+            type: 'Person',
+            name: 'Eva',
+            id: 'https://orcid.org/1',
+            affiliation: { type: 'Organization', name: 'BSC' },
+        });
+    });
+});
+
+describe('buildCodeMeta', () => {
+    test('maps the metadata and removes empty properties', () => {
+        const codemeta = buildCodeMeta(metadata);
+        expect(codemeta).toMatchObject({
+            '@context': 'https://w3id.org/codemeta/3.0',
+            type: 'SoftwareSourceCode',
+            name: 'tool',
+            codeRepository: 'https://github.com/inab/tool',
+            version: '1.0',
+            license: ['https://spdx.org/licenses/MIT'],
+            keywords: ['Bioinformatics', 'genomics'],
+        });
+        expect(codemeta.maintainer).toEqual([expect.objectContaining({ name: 'Eva Martin' })]);
+        expect(codemeta.referencePublication[0].id).toBe('https://doi.org/10.1093/x');
+        expect(codemeta).not.toHaveProperty('operatingSystem');
+    });
+});
+
+describe('validateCodeMeta', () => {
+    test('a generated document is valid', async () => {
+        const result = await metadataToCodeMeta(metadata);
+        expect(result.errors).toEqual([]);
+        expect(result.valid).toBe(true);
+    });
+
+    test('reports properties that are not in the context', async () => {
+        const result = await validateCodeMeta({
+            '@context': 'https://w3id.org/codemeta/3.0',
+            type: 'SoftwareSourceCode',
+            name: 'tool',
+            notAProperty: 'x',
+        });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain(`Property 'notAProperty' is not defined in the CodeMeta context and was dropped.`);
+    });
+
+    test('does not load contexts that are not bundled', async () => {
+        await expect(validateCodeMeta({ '@context': 'https://example.org/context', name: 'x' })).rejects.toThrow();
+    });
+});
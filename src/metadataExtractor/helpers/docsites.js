@@ -0,0 +1,145 @@
+/*
+Detection of documentation sites from their configuration files (MkDocs, Sphinx, Read the Docs,
+Jekyll) and of the URL where each one is published (Read the Docs, GitHub Pages or an explicit URL).
+*/
+
+const yaml = require('js-yaml');
+
+// Configuration files of documentation sites, by generator
+const DOC_SITE_CONFIGS = {
+    mkdocs: ['mkdocs.yml', 'mkdocs.yaml'],
+    sphinx: ['docs/conf.py', 'doc/conf.py', 'docs/source/conf.py', 'doc/source/conf.py', 'conf.py'],
+    readthedocs: ['.readthedocs.yaml', '.readthedocs.yml', 'readthedocs.yml', 'readthedocs.yaml'],
+    jekyll: ['_config.yml', 'docs/_config.yml'],
+};
+
+// All the configuration files, to fetch them at once
+const DOC_SITE_FILES = [].concat(...Object.values(DOC_SITE_CONFIGS));
+
+const READTHEDOCS_REGEX = /https?:\/\/([a-z0-9-]+)\.(?:readthedocs\.(?:io|org)|rtfd\.io)\b/i;
+
+
+/**
+ * Parses a YAML configuration, ignoring the errors (configurations may use custom tags, as MkDocs does).
+ *
+ * @param {string} content - The YAML content.
+ * @returns {Object} - The configuration, empty if it cannot be parsed.
+ */
+function parseConfig(content) {
+    try {
+        const config = yaml.load(content, { json: true, onWarning: () => {} });
+        return config && typeof config === 'object' ? config : {};
+    } catch (error) {
+        // MkDocs configurations often contain !!python/name tags: keep the plain keys
+        const config = {};
+        String(content).split(/\r?\n/).forEach(line => {
+            const match = /^([\w-]+):\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/.exec(line);
+            if (match) {
+                config[match[1]] = match[2];
+            }
+        });
+        return config;
+    }
+}
+
+/**
+ * Returns the URL of the Read the Docs project of a repository: the first Read the Docs link found
+ * in the given texts (README and its badges, homepage, configuration files).
+ * The URL is not derived from the name of the repository: the project with that name often
+ * belongs to another software.
+ *
+ * @param {string[]} texts - The texts where Read the Docs links are looked for.
+ * @returns {string} - The URL of the published documentation, empty if no link is found.
+ */
+function readTheDocsUrl(texts) {
+    for (const text of texts) {
+        const match = READTHEDOCS_REGEX.exec(String(text || ''));
+        if (match) {
+            return `https://${match[1].toLowerCase()}.readthedocs.io/`;
+        }
+    }
+    return '';
+}
+
+/**
+ * Detects the documentation sites of a repository and the URL where each one is published.
+ *
+ * - MkDocs (mkdocs.yml): `site_url`, otherwise Read the Docs or GitHub Pages if configured.
+ * - Sphinx (conf.py): `html_baseurl`, otherwise Read the Docs if configured.
+ * - Read the Docs (.readthedocs.yaml): the Read the Docs link of the README, the homepage or the configuration files.
+ * - Jekyll (_config.yml): `url` and `baseurl`, otherwise GitHub Pages.
+ * - GitHub Pages without configuration file, if the Pages URL is known.
+ *
+ * @param {Object} files - The content of the configuration files, by path (see DOC_SITE_FILES). Missing files are null.
+ * @param {Object} context - The repository: { readme, homepages, pagesUrl }.
+ * @returns {Object[]} - The documentation sites: { generator, config, url }. `config` is the path of the
+ *   configuration file and `url` the published documentation URL, empty if unknown.
+ */
+function detectDocumentationSites(files, { readme = '', homepages = [], pagesUrl = null }) {
+    const sites = [];
+    const found = generator => DOC_SITE_CONFIGS[generator].find(path => files[path]);
+
+    const readthedocsConfig = found('readthedocs');
+    const readthedocs = readthedocsConfig
+        ? readTheDocsUrl([readme].concat(homepages, DOC_SITE_FILES.map(path => files[path])))
+        : '';
+    const readthedocsSettings = readthedocsConfig ? parseConfig(files[readthedocsConfig]) : {};
+
+    const mkdocsConfig = found('mkdocs');
+    if (mkdocsConfig) {
+        const config = parseConfig(files[mkdocsConfig]);
+        sites.push({
+            generator: 'mkdocs',
+            config: mkdocsConfig,
+            url: config.site_url || (readthedocsSettings.mkdocs ? readthedocs : '') || pagesUrl || '',
+        });
+    }
+
+    const sphinxConfig = found('sphinx');
+    if (sphinxConfig) {
+        const baseurl = /^html_baseurl\s*=\s*['"]([^'"]+)['"]/m.exec(files[sphinxConfig]);
+        sites.push({
+            generator: 'sphinx',
+            config: sphinxConfig,
+            url: baseurl ? baseurl[1] : readthedocs,
+        });
+    }
+
+    if (readthedocsConfig) {
+        sites.push({
+            generator: 'readthedocs',
+            config: readthedocsConfig,
+            url: readthedocs,
+        });
+    }
+
+    const jekyllConfig = found('jekyll');
+    if (jekyllConfig) {
+        const config = parseConfig(files[jekyllConfig]);
+        const configured = config.url ? `${String(config.url).replace(/\/+$/, '')}${config.baseurl || ''}` : '';
+        sites.push({
+            generator: 'jekyll',
+            config: jekyllConfig,
+            url: configured || pagesUrl || '',
+        });
+    }
+
+    if (pagesUrl && !sites.some(site => site.url === pagesUrl)) {
+        sites.push({
+            generator: 'github-pages',
+            config: '',
+            url: pagesUrl,
+        });
+    }
+
+    return sites;
+}
+
+
+module.exports = {
+    DOC_SITE_CONFIGS,
+    DOC_SITE_FILES,
+    parseConfig,
+    readTheDocsUrl,
+    detectDocumentationSites
+};
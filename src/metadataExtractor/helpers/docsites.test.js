@@ -0,0 +1,47 @@
+const { parseConfig, readTheDocsUrl, detectDocumentationSites } = require('./docsites');
+
+describe('parseConfig', () => {
+    test('keeps the plain keys of configurations with custom tags', () => {
+        const config = parseConfig('site_name: Tool\nsite_url: https://tool.org/\nmarkdown_extensions:\n  - !!python/name:pymdownx.emoji.twemoji\n');
+        expect(config).toMatchObject({ site_name: 'Tool', site_url: 'https://tool.org/' });
+    });
+});
+
+describe('readTheDocsUrl', () => {
+    test('uses the first Read the Docs link found', () => {
+        expect(readTheDocsUrl(['no link', '[![Docs](https://readthedocs.org/projects/x/badge/)](https://My-Tool.readthedocs.io/en/latest/)'])).toBe('https://my-tool.readthedocs.io/');
+    });
+
+    test('does not guess the project from the repository name', () => {
+        expect(readTheDocsUrl(['no link'])).toBe('');
+    });
+});
+
+describe('detectDocumentationSites', () => {
+    test('reports the configured and linked URLs', () => {
+        const sites = detectDocumentationSites({
+            'mkdocs.yml': 'site_name: Tool\nsite_url: https://tool.org/docs/\n',
+            '.readthedocs.yaml': 'version: 2\nsphinx:\n  configuration: docs/conf.py\n',
+            'docs/conf.py': 'project = "tool"\n',
+        }, {
+            readme: 'Documentation: https://tool-docs.readthedocs.io/en/latest/',
+            pagesUrl: 'https://inab.github.io/tool/',
+        });
+        expect(sites).toEqual([
+            { generator: 'mkdocs', config: 'mkdocs.yml', url: 'https://tool.org/docs/' },
+            { generator: 'sphinx', config: 'docs/conf.py', url: 'https://tool-docs.readthedocs.io/' },
+            { generator: 'readthedocs', config: '.readthedocs.yaml', url: 'https://tool-docs.readthedocs.io/' },
+            { generator: 'github-pages', config: '', url: 'https://inab.github.io/tool/' },
+        ]);
+    });
+
+    test('leaves the Read the Docs URL empty when it is not linked', () => {
+        const sites = detectDocumentationSites({ '.readthedocs.yml': 'version: 2\n' }, { repo: 'tool', readme: '# Tool' });
+        expect(sites).toEqual([{ generator: 'readthedocs', config: '.readthedocs.yml', url: '' }]);
+    });
+
+    test('builds the Jekyll URL from url and baseurl', () => {
+        const sites = detectDocumentationSites({ '_config.yml': 'url: https://inab.github.io/\nbaseurl: /tool\n' }, {});
+        expect(sites).toEqual([{ generator: 'jekyll', config: '_config.yml', url: 'https://inab.github.io/tool' }]);
+    });
+});
@@ -0,0 +1,431 @@
+/*
+Detection of drift between the metadata files committed in a repository and the live state of the repository.
+
+Each metadata file (CITATION.cff, codemeta.json, .zenodo.json, package.json and pyproject.toml) is read on
+its own and compared, field by field, with the forge (name, description, repository URL, latest release and
+detected license) and with the license file. Each conflict has a severity:
+  - error: the files contradict the repository (a version older than the latest release, another license);
+  - warning: the metadata is likely outdated or ambiguous (another repository URL, release date or DOI,
+    a license the forge does not recognise, different versions across files when nothing is released);
+  - info: differences that may be intended (an unreleased version, another name or description, authors
+    missing from some files).
+*/
+
+const yaml = require('js-yaml');
+const { asProvider, buildVersions, parseCitationCFF, fetchLicenseFiles } = require('./metadata');
+const { HARVEST_PARSERS, parsePyprojectFile, asList, isSameAuthor } = require('./harvest');
+const { parseSemver, compareSemver, versionKey } = require('./releases');
+const { canonicalSpdxId, identifyLicenseFiles, withoutGnuVariant } = require('./licenses');
+
+// Metadata files compared, from highest to lowest precedence
+const DRIFT_SOURCES = ['CITATION.cff', 'codemeta.json', '.zenodo.json', 'package.json', 'pyproject.toml'];
+
+// Metadata files listing all the authors (manifests usually list only the maintainers)
+const AUTHOR_SOURCES = ['CITATION.cff', 'codemeta.json', '.zenodo.json'];
+
+// Order of the severities in the report
+const SEVERITIES = ['error', 'warning', 'info'];
+
+
+/**
+ * Maps the content of a CITATION.cff file to partial observatory metadata (see parseCitationCFF).
+ *
+ * @param {string} content - The content of the CITATION.cff file.
+ * @returns {Object} - The partial observatory metadata.
+ * @throws {Error} - If the file is not valid YAML.
+ */
+function parseCitationFile(content) {
+    yaml.load(content);
+    return parseCitationCFF(content, {
+        label: [],
+        description: [],
+        license: [],
+        authors: [],
+        version: [],
+        identifiers: [],
+        publication: [],
+        repository: [],
+        links: [],
+        webpage: [],
+        tags: [],
+    });
+}
+
+// Parser of each compared file
+const DRIFT_PARSERS = {
+    ...HARVEST_PARSERS,
+    'CITATION.cff': parseCitationFile,
+    'pyproject.toml': parsePyprojectFile,
+};
+
+/**
+ * Summarises partial observatory metadata as the statement of a source: the values of the compared fields.
+ *
+ * @param {string} source - The source: the path of the file, or the name of the forge.
+ * @param {Object} partial - The partial observatory metadata of the source.
+ * @returns {Object} - The statement: { source, name, version, date, licenses, description, repository, dois, authors }.
+ */
+function buildStatement(source, partial) {
+    const version = asList(partial.version)[0];
+    return {
+        source: source,
+        name: partial.name || asList(partial.label)[0] || null,
+        version: version ? String(typeof version === 'object' ? version.version : version) : null,
+        date: partial.date_released ? String(partial.date_released).slice(0, 10) : null,
+        licenses: asList(partial.license).map(license => license.spdxId || license.name).filter(Boolean),
+        description: asList(partial.description)[0] || null,
+        repository: asList(partial.repository).filter(Boolean).map(String),
+        dois: asList(partial.identifiers).filter(identifier => identifier.type === 'doi').map(identifier => identifier.value.toLowerCase()),
+        authors: asList(partial.authors).filter(author => author.name),
+    };
+}
+
+/**
+ * Builds the statement of the forge from the repository object (see queryRepositoryObject).
+ * The version is the latest stable release and the license the one detected by the forge.
+ *
+ * @param {string} source - The name of the forge.
+ * @param {Object} repository - The repository object.
+ * @returns {Object} - The statement of the forge, with the `releases` of the repository.
+ */
+function buildForgeStatement(source, repository) {
+    const releases = buildVersions(repository);
+    const latest = releases.find(release => release.latest);
+    const license = repository.licenseInfo;
+    return {
+        ...buildStatement(source, {
+            name: repository.name,
+            description: asList(repository.description),
+            repository: asList(repository.url),
+        }),
+        version: latest ? latest.version : null,
+        date: latest && latest.date ? latest.date.slice(0, 10) : null,
+        licenses: license && canonicalSpdxId(license.spdxId) ? [canonicalSpdxId(license.spdxId)] : [],
+        // The forge found a license file it does not recognise
+        unrecognisedLicense: Boolean(license) && !canonicalSpdxId(license.spdxId),
+        releases: releases,
+    };
+}
+
+/**
+ * Builds a conflict between a source and the reference source of a field.
+ */
+function buildConflict(field, severity, statement, value, reference, referenceValue, message) {
+    return {
+        field: field,
+        severity: severity,
+        source: statement.source,
+        value: value,
+        reference: reference ? { source: reference.source, value: referenceValue } : null,
+        message: message,
+    };
+}
+
+/**
+ * Compares two versions: semantic versions by precedence, other versions by their key (see versionKey).
+ *
+ * @returns {number} - Negative if a precedes b, positive if b precedes a, 0 if they are the same,
+ *   NaN if they differ but cannot be ordered.
+ */
+function compareVersions(a, b) {
+    if (versionKey(a) === versionKey(b)) {
+        return 0;
+    }
+    const semverA = parseSemver(a);
+    const semverB = parseSemver(b);
+    return semverA && semverB ? compareSemver(semverA, semverB) : NaN;
+}
+
+/**
+ * Normalises a repository URL for comparison: without protocol, www, .git suffix and trailing slash.
+ */
+function normaliseRepositoryUrl(url) {
+    return String(url || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^git\+/, '')
+        .replace(/^[a-z]+:\/\/(www\.)?/, '')
+        .replace(/^git@([^:]+):/, '$1/')
+        .replace(/\.git$/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Normalises a name for comparison: lower case letters and digits only.
+ */
+function compactName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Returns the words of a text (three letters or more), in lower case.
+ */
+function textWords(text) {
+    return new Set(String(text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+}
+
+/**
+ * Compares the versions declared by the files with the latest release and their release dates
+ * with the publication of the releases.
+ */
+function compareVersionField(statements, forge) {
+    const conflicts = [];
+    const declared = statements.filter(statement => statement.version);
+
+    if (forge && forge.version) {
+        declared.forEach(statement => {
+            const order = compareVersions(statement.version, forge.version);
+            if (order < 0) {
+                conflicts.push(buildConflict('version', 'error', statement, statement.version, forge, forge.version,
+                    `${statement.source} declares version ${statement.version}, older than the latest release ${forge.version}.`));
+            } else if (order > 0) {
+                conflicts.push(buildConflict('version', 'info', statement, statement.version, forge, forge.version,
+                    `${statement.source} declares version ${statement.version}, which is not released yet (latest release: ${forge.version}).`));
+            } else if (Number.isNaN(order)) {
+                conflicts.push(buildConflict('version', 'warning', statement, statement.version, forge, forge.version,
+                    `${statement.source} declares version ${statement.version}, the latest release is ${forge.version}.`));
+            }
+        });
+    } else if (declared.length > 1) {
+        // Without releases, the files are compared with the one of highest precedence
+        const reference = declared[0];
+        declared.slice(1)
+            .filter(statement => compareVersions(statement.version, reference.version) !== 0)
+            .forEach(statement => conflicts.push(buildConflict('version', 'warning', statement, statement.version, reference, reference.version,
+                `${statement.source} declares version ${statement.version}, ${reference.source} declares version ${reference.version}.`)));
+    }
+
+    // Release dates are compared with the publication of the release of the same version
+    if (forge) {
+        statements.filter(statement => statement.version && statement.date).forEach(statement => {
+            const release = forge.releases.find(item => item.date && compareVersions(item.version, statement.version) === 0);
+            if (release && release.date.slice(0, 10) !== statement.date) {
+                conflicts.push(buildConflict('date_released', 'warning', statement, statement.date, forge, release.date.slice(0, 10),
+                    `${statement.source} gives ${statement.date} as the release date of ${statement.version}, released on ${release.date.slice(0, 10)}.`));
+            }
+        });
+    }
+
+    return conflicts;
+}
+
+/**
+ * Compares the licenses declared by the files and detected by the forge with the license file.
+ * GNU licenses are compared without `-only` and `-or-later`, which the license texts do not tell apart.
+ */
+function compareLicenseField(statements, forge, licenseFile) {
+    const conflicts = [];
+    const ids = statement => statement.licenses.map(id => withoutGnuVariant(canonicalSpdxId(id) || id).toLowerCase());
+    const declared = statements.filter(statement => statement.licenses.length > 0);
+
+    // The license file is the reference, then the license detected by the forge
+    const reference = licenseFile && licenseFile.licenses.length > 0
+        ? licenseFile
+        : (forge && forge.licenses.length > 0 ? forge : null);
+
+    if (!licenseFile && declared.length > 0) {
+        conflicts.push(buildConflict('license', 'warning', { source: 'LICENSE' }, null, declared[0], declared[0].licenses.join(' OR '),
+            `There is no license file, but ${declared[0].source} declares ${declared[0].licenses.join(' OR ')}.`));
+    }
+
+    if (forge && reference === licenseFile && forge.licenses.length === 0 && (forge.unrecognisedLicense || forge.source === 'github')) {
+        conflicts.push(buildConflict('license', 'warning', forge, null, licenseFile, licenseFile.licenses[0],
+            `${forge.source} does not recognise the license of ${licenseFile.source} (${licenseFile.licenses[0]}): its text may have been modified.`));
+    }
+
+    if (!reference) {
+        return conflicts;
+    }
+
+    const referenceIds = ids(reference);
+    const referenceName = reference === forge ? `the license detected by ${forge.source}` : reference.source;
+    declared.concat(forge && forge !== reference && forge.licenses.length > 0 ? [forge] : [])
+        .filter(statement => statement !== reference)
+        .forEach(statement => {
+            const common = ids(statement).filter(id => referenceIds.includes(id));
+            const value = statement.licenses.join(' OR ');
+            if (common.length === 0) {
+                conflicts.push(buildConflict('license', 'error', statement, value, reference, reference.licenses.join(' OR '),
+                    `${statement.source} declares ${value}, but ${referenceName} is ${reference.licenses.join(' OR ')}.`));
+            } else if (common.length < statement.licenses.length) {
+                conflicts.push(buildConflict('license', 'warning', statement, value, reference, reference.licenses.join(' OR '),
+                    `${statement.source} declares ${value}, ${referenceName} is only ${reference.licenses.join(' OR ')}.`));
+            }
+        });
+
+    return conflicts;
+}
+
+/**
+ * Compares the name, description and repository URL of the files with the ones of the forge.
+ */
+function compareForgeFields(statements, forge) {
+    const conflicts = [];
+
+    if (forge.name) {
+        statements.filter(statement => statement.name).forEach(statement => {
+            const name = compactName(statement.name);
+            const reference = compactName(forge.name);
+            if (!name.includes(reference) && !reference.includes(name)) {
+                conflicts.push(buildConflict('name', 'info', statement, statement.name, forge, forge.name,
+                    `${statement.source} names the software ${statement.name}, the repository is ${forge.name}.`));
+            }
+        });
+    }
+
+    if (forge.description) {
+        const reference = textWords(forge.description);
+        statements.filter(statement => statement.description).forEach(statement => {
+            const words = textWords(statement.description);
+            const shared = [...reference].filter(word => words.has(word)).length;
+            if (reference.size > 0 && shared / reference.size < 0.5) {
+                conflicts.push(buildConflict('description', 'info', statement, statement.description, forge, forge.description,
+                    `The description in ${statement.source} differs from the one of the repository.`));
+            }
+        });
+    }
+
+    if (forge.repository.length > 0) {
+        const reference = normaliseRepositoryUrl(forge.repository[0]);
+        statements.filter(statement => statement.repository.length > 0).forEach(statement => {
+            if (!statement.repository.some(url => normaliseRepositoryUrl(url) === reference)) {
+                conflicts.push(buildConflict('repository', 'warning', statement, statement.repository[0], forge, forge.repository[0],
+                    `${statement.source} points to ${statement.repository[0]} instead of ${forge.repository[0]}: the repository may have been moved.`));
+            }
+        });
+    }
+
+    return conflicts;
+}
+
+/**
+ * Compares the DOIs and authors of the files with the ones of the file of highest precedence.
+ */
+function compareFileFields(statements) {
+    const conflicts = [];
+
+    const withDois = statements.filter(statement => statement.dois.length > 0);
+    withDois.slice(1).forEach(statement => {
+        const reference = withDois[0];
+        if (!statement.dois.some(doi => reference.dois.includes(doi))) {
+            conflicts.push(buildConflict('doi', 'warning', statement, statement.dois[0], reference, reference.dois[0],
+                `${statement.source} gives the DOI ${statement.dois[0]}, ${reference.source} gives ${reference.dois[0]}.`));
+        }
+    });
+
+    const withAuthors = statements.filter(statement => AUTHOR_SOURCES.includes(statement.source) && statement.authors.length > 0);
+    withAuthors.slice(1).forEach(statement => {
+        const reference = withAuthors[0];
+        const missing = reference.authors.filter(author => !statement.authors.some(item => isSameAuthor(item, author)));
+        const extra = statement.authors.filter(author => !reference.authors.some(item => isSameAuthor(item, author)));
+        if (missing.length > 0 || extra.length > 0) {
+            const names = authors => authors.map(author => author.name).join(', ');
+            const details = [missing.length > 0 ? `lacks ${names(missing)}` : '', extra.length > 0 ? `adds ${names(extra)}` : '']
+                .filter(Boolean).join(' and ');
+            conflicts.push(buildConflict('authors', 'info', statement, statement.authors.map(author => author.name), reference,
+                reference.authors.map(author => author.name),
+                `Compared with ${reference.source}, ${statement.source} ${details}.`));
+        }
+    });
+
+    return conflicts;
+}
+
+/**
+ * Compares the statements of the metadata files with the forge and the license file.
+ *
+ * @param {Object[]} statements - The statements of the metadata files, from highest to lowest precedence (see buildStatement).
+ * @param {Object} [forge] - The statement of the forge (see buildForgeStatement).
+ * @param {Object} [licenseFile] - The statement of the license file: { source, licenses }.
+ * @returns {Object[]} - The conflicts, from the most to the least severe:
+ *   { field, severity, source, value, reference: { source, value }, message }.
+ */
+function compareMetadataSources(statements, forge, licenseFile) {
+    const conflicts = []
+        .concat(compareVersionField(statements, forge))
+        .concat(compareLicenseField(statements, forge, licenseFile))
+        .concat(forge ? compareForgeFields(statements, forge) : [])
+        .concat(compareFileFields(statements));
+
+    return conflicts.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Detects the drift between the metadata files of a repository (CITATION.cff, codemeta.json, .zenodo.json,
+ * package.json, pyproject.toml), its license file and its state in the forge.
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA to read the files from. Defaults to HEAD.
+ * @returns {Promise<Object>} - The report: { commit, sources, conflicts, summary, consistent }. `sources` lists the
+ *   files looked for ({ source, found, error }) and the license files with their `licenses`, `summary` counts the
+ *   conflicts by severity and `consistent` is true if there are no errors nor warnings.
+ */
+async function detectMetadataDrift(client, owner, repo, ref) {
+    const provider = asProvider(client);
+    const commit = await provider.resolveRef(owner, repo, ref);
+    const sha = ref && commit ? commit.sha : undefined;
+
+    const repository = await provider.queryRepositoryObject(owner, repo, undefined, sha);
+    const forge = buildForgeStatement(provider.name, repository);
+
+    const sources = [];
+    const statements = [];
+    for (const path of DRIFT_SOURCES) {
+        const content = await provider.getFileContent(owner, repo, path, sha);
+        if (!content) {
+            sources.push({ source: path, found: false });
+            continue;
+        }
+        try {
+            statements.push(buildStatement(path, DRIFT_PARSERS[path](content)));
+            sources.push({ source: path, found: true });
+        } catch (error) {
+            sources.push({ source: path, found: true, error: `${path} could not be parsed: ${error.message}` });
+        }
+    }
+
+    // The license files are compared as a whole (LICENSE-MIT and LICENSE-APACHE)
+    const licenseFiles = await fetchLicenseFiles(provider, owner, repo, sha);
+    const found = identifyLicenseFiles(licenseFiles);
+    licenseFiles.forEach(file => sources.push({
+        source: file.path,
+        found: true,
+        licenses: found.filter(item => item.path === file.path && item.spdxId).map(item => item.spdxId),
+    }));
+    const licenseFile = licenseFiles.length > 0
+        ? {
+            source: licenseFiles.map(file => file.path).join(', '),
+            licenses: found.filter(item => item.spdxId).map(item => item.spdxId)
+                .filter((spdxId, index, all) => all.indexOf(spdxId) === index),
+        }
+        : null;
+
+    const conflicts = compareMetadataSources(statements, forge, licenseFile);
+    const summary = {};
+    SEVERITIES.forEach(severity => {
+        summary[severity] = conflicts.filter(conflict => conflict.severity === severity).length;
+    });
+
+    return {
+        commit: {
+            ref: ref || 'HEAD',
+            sha: commit ? commit.sha : null,
+            date: commit ? commit.date : null,
+        },
+        sources: sources,
+        conflicts: conflicts,
+        summary: summary,
+        consistent: summary.error === 0 && summary.warning === 0,
+    };
+}
+
+
+module.exports = {
+    DRIFT_SOURCES,
+    buildStatement,
+    buildForgeStatement,
+    compareMetadataSources,
+    detectMetadataDrift
+};
@@ -0,0 +1,131 @@
+const { buildStatement, compareMetadataSources, detectMetadataDrift } = require('./drift');
+
+const CITATION = [
+    'cff-version: 1.2.0',
+    'message: Cite this software',
+    'title: tool',
+    'version: 1.0.0',
+    'date-released: 2024-01-05',
+    'license: Apache-2.0',
+    'authors:',
+    '  - family-names: Smith',
+    '    given-names: Eva',
+].join('\n');
+
+/**
+ * Builds a provider serving the given files and repository object.
+ */
+function createProvider(files, repository) {
+    return {
+        name: 'github',
+        resolveRef: async () => ({ sha: 'abc123', date: '2024-02-01T00:00:00Z' }),
+        queryRepositoryObject: async () => repository,
+        listDirectory: async () => Object.keys(files).map(name => ({ name: name, type: 'blob' })),
+        getFileContent: async (owner, repo, path) => files[path] || null,
+    };
+}
+
+const statement = (source, fields) => buildStatement(source, fields);
+
+describe('buildStatement', () => {
+    test('summarises the compared fields', () => {
+        expect(buildStatement('codemeta.json', {
+            label: ['tool'],
+            version: [{ version: '1.0.0' }],
+            date_released: '2024-01-05T10:00:00Z',
+            license: [{ spdxId: 'MIT' }, { name: 'Custom' }],
+            identifiers: [{ type: 'doi', value: '10.5281/Zenodo.1' }, { type: 'swh', value: 'swh:1:dir:x' }],
+            authors: [{ name: 'Eva Smith' }, { email: 'x@y.org' }],
+        })).toEqual({
+            source: 'codemeta.json',
+            name: 'tool',
+            version: '1.0.0',
+            date: '2024-01-05',
+            licenses: ['MIT', 'Custom'],
+            description: null,
+            repository: [],
+            dois: ['10.5281/zenodo.1'],
+            authors: [{ name: 'Eva Smith' }],
+        });
+    });
+});
+
+describe('compareMetadataSources', () => {
+    test('compares the files with each other without forge nor license file', () => {
+        const conflicts = compareMetadataSources([
+            statement('CITATION.cff', { version: ['1.0'], identifiers: [{ type: 'doi', value: '10.1/a' }], authors: [{ name: 'Eva Smith' }] }),
+            statement('codemeta.json', { version: ['1.0.0'], identifiers: [{ type: 'doi', value: '10.1/b' }], authors: [{ name: 'Eva Smith' }, { name: 'Ana Ruiz' }] }),
+            statement('package.json', { version: ['2.0.0'] }),
+        ]);
+        expect(conflicts.map(conflict => [conflict.field, conflict.severity, conflict.source])).toEqual([
+            ['version', 'warning', 'package.json'],
+            ['doi', 'warning', 'codemeta.json'],
+            ['authors', 'info', 'codemeta.json'],
+        ]);
+        expect(conflicts[2].message).toBe('Compared with CITATION.cff, codemeta.json adds Ana Ruiz.');
+    });
+
+    test('warns about declared licenses without license file', () => {
+        const conflicts = compareMetadataSources([statement('package.json', { license: [{ spdxId: 'MIT' }] })], null, null);
+        expect(conflicts).toEqual([expect.objectContaining({ field: 'license', severity: 'warning', source: 'LICENSE', value: null })]);
+    });
+
+    test('compares GNU licenses with the license file without -only and -or-later', () => {
+        const licenseFile = { source: 'LICENSE', licenses: ['GPL-3.0-or-later'] };
+        expect(compareMetadataSources([statement('CITATION.cff', { license: [{ spdxId: 'GPL-3.0-only' }] })], null, licenseFile)).toEqual([]);
+        expect(compareMetadataSources([statement('CITATION.cff', { license: [{ spdxId: 'LGPL-3.0-only' }] })], null, licenseFile))
+            .toEqual([expect.objectContaining({ field: 'license', severity: 'error' })]);
+    });
+
+    test('compares the name, description and repository with the forge', () => {
+        const forge = { ...statement('github', { name: 'tool', description: ['Variant calling for cancer genomes'], repository: ['https://github.com/inab/tool'] }), releases: [] };
+        const conflicts = compareMetadataSources([
+            statement('codemeta.json', { name: 'My Tool', description: ['A web portal'], repository: ['git+https://github.com/old/tool.git'] }),
+        ], forge);
+        expect(conflicts.map(conflict => conflict.field)).toEqual(['repository', 'description']);
+    });
+});
+
+describe('detectMetadataDrift', () => {
+    const repository = {
+        name: 'tool',
+        description: 'A tool',
+        url: 'https://github.com/inab/tool',
+        licenseInfo: { spdxId: 'MIT' },
+        latestRelease: { tagName: 'v1.1.0' },
+        releases: {
+            nodes: [
+                { tagName: 'v1.1.0', publishedAt: '2024-02-01T00:00:00Z' },
+                { tagName: 'v1.0.0', publishedAt: '2024-01-01T00:00:00Z' },
+            ],
+        },
+    };
+
+    test('reports the conflicts with the releases and the license file', async () => {
+        const report = await detectMetadataDrift(createProvider({
+            'CITATION.cff': CITATION,
+            'package.json': JSON.stringify({ name: 'tool', version: '1.1.0', license: 'MIT' }),
+            'LICENSE': 'SPDX-License-Identifier: MIT\n',
+        }, repository), 'inab', 'tool');
+
+        expect(report.commit).toEqual({ ref: 'HEAD', sha: 'abc123', date: '2024-02-01T00:00:00Z' });
+        expect(report.sources).toContainEqual({ source: 'codemeta.json', found: false });
+        expect(report.sources).toContainEqual({ source: 'LICENSE', found: true, licenses: ['MIT'] });
+        expect(report.conflicts.map(conflict => [conflict.field, conflict.severity, conflict.source])).toEqual([
+            ['version', 'error', 'CITATION.cff'],
+            ['license', 'error', 'CITATION.cff'],
+            ['date_released', 'warning', 'CITATION.cff'],
+        ]);
+        expect(report.summary).toEqual({ error: 2, warning: 1, info: 0 });
+        expect(report.consistent).toBe(false);
+    });
+
+    test('reports the files that cannot be parsed', async () => {
+        const report = await detectMetadataDrift(createProvider({
+            'codemeta.json': '{ not json',
+            'LICENSE': 'SPDX-License-Identifier: MIT\n',
+        }, repository), 'inab', 'tool');
+        expect(report.sources.find(source => source.source === 'codemeta.json').error).toMatch(/^codemeta.json could not be parsed/);
+        expect(report.consistent).toBe(true);
+    });
+});
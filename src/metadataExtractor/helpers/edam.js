@@ -0,0 +1,316 @@
+/*
+Annotation with the EDAM ontology: the topics (and keywords), description and README headings of a
+repository are mapped to EDAM topics, operations, data and formats.
+
+Concepts are matched by their label and synonyms in an offline snapshot of EDAM: the curated subset
+bundled in vocabularies/edam.json or, if EXTRACTOR_EDAM_SNAPSHOT is set, the EDAM.tsv export of a
+complete release (https://edamontology.org/EDAM.tsv).
+
+https://edamontology.org/page
+*/
+
+const fs = require('fs');
+const path = require('path');
+const MetadataExtractor = require('../extractor');
+const { extractHeadings } = require('./markdown');
+
+const EDAM_URL = 'http://edamontology.org/';
+const BUNDLED_SNAPSHOT = path.join(__dirname, '../vocabularies/edam.json');
+
+// Branches of EDAM, by prefix of the concept identifiers
+const EDAM_BRANCHES = ['topic', 'operation', 'data', 'format'];
+
+// Score of a match, by source, and factor applied to matches of synonyms
+const SOURCE_WEIGHTS = {
+    topics: 1,
+    description: 0.8,
+    readme: 0.6,
+};
+const SYNONYM_FACTOR = 0.85;
+// Factor applied to the topics (keywords) containing a concept, instead of naming it
+const PARTIAL_TOPIC_FACTOR = 0.8;
+
+// Minimum confidence of the annotations
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Roots and broad concepts, only annotated when a topic names them
+const GENERIC_CONCEPTS = [
+    'topic_0003', 'topic_0102', 'topic_0605', 'topic_3070', 'topic_3303', 'topic_3314', 'topic_3315', 'topic_3318',
+    'operation_0004', 'operation_0226', 'operation_2409', 'operation_2423', 'operation_2424', 'operation_2428',
+    'operation_2429', 'operation_2430', 'operation_2928', 'operation_2945', 'operation_2990', 'operation_3096',
+    'operation_3359', 'operation_3429', 'operation_3432', 'operation_3433', 'operation_3434', 'operation_3436',
+    'operation_3438', 'operation_3695', 'operation_3799', 'operation_1812',
+    'data_0006', 'data_0842', 'data_0883', 'data_1274', 'data_1772', 'data_1916', 'data_2044', 'data_2048',
+    'data_2082', 'data_2884', 'data_2968', 'data_3671', 'data_3869',
+    'format_1915', 'format_2330', 'format_2333',
+];
+
+// Words telling whether the data mentioned in a sentence is read or produced by the software
+const INPUT_CUES = ['input', 'read', 'reading', 'accept', 'take', 'import', 'load', 'parse', 'from'];
+const OUTPUT_CUES = ['output', 'write', 'writing', 'export', 'produce', 'generate', 'save', 'create', 'into', 'to'];
+
+// Maximum number of words of the matched labels and synonyms
+const MAX_PHRASE_WORDS = 8;
+
+let cachedIndex = null;
+
+
+/**
+ * Normalises a text for matching: lowercase words without punctuation, in singular form.
+ *
+ * @param {string} text - The text.
+ * @returns {string[]} - The normalised words.
+ */
+function normaliseWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .map(word => {
+            if (word.length > 4 && word.endsWith('ies')) {
+                return `${word.slice(0, -3)}y`;
+            }
+            if (word.length > 3 && word.endsWith('s') && !/(ss|us|is|ics)$/.test(word)) {
+                return word.slice(0, -1);
+            }
+            return word;
+        });
+}
+
+/**
+ * Reads an EDAM snapshot: the JSON format of vocabularies/edam.json, or the EDAM.tsv export of EDAM
+ * (columns "Class ID", "Preferred Label", "Synonyms" separated by |, and "Obsolete").
+ *
+ * @param {string} file - The path of the snapshot.
+ * @returns {Object[]} - The concepts: { id, label, synonyms }. Obsolete concepts are left out.
+ */
+function readSnapshot(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    if (!/\.tsv$/i.test(file)) {
+        return JSON.parse(content).concepts;
+    }
+
+    const [header, ...rows] = content.split(/\r?\n/).map(line => line.split('\t'));
+    const column = name => header.indexOf(name);
+    return rows
+        .filter(row => row[column('Class ID')] && String(row[column('Obsolete')]).toUpperCase() !== 'TRUE')
+        .map(row => ({
+            id: row[column('Class ID')].replace(EDAM_URL, ''),
+            label: row[column('Preferred Label')],
+            synonyms: String(row[column('Synonyms')] || '').split('|').filter(Boolean),
+        }));
+}
+
+/**
+ * Returns the index of the EDAM snapshot: the concepts by normalised label or synonym.
+ * The snapshot is read once.
+ *
+ * @returns {Map<string, Object[]>} - The matches of each phrase: { concept, synonym }, `concept` being
+ *   { id, uri, branch, label }.
+ */
+function getEdamIndex() {
+    if (cachedIndex) {
+        return cachedIndex;
+    }
+
+    cachedIndex = new Map();
+    for (const item of readSnapshot(MetadataExtractor.edamSnapshot || BUNDLED_SNAPSHOT)) {
+        const branch = item.id.split('_')[0];
+        if (!EDAM_BRANCHES.includes(branch)) {
+            continue;
+        }
+        const concept = { id: item.id, uri: `${EDAM_URL}${item.id}`, branch: branch, label: item.label };
+        [item.label].concat(item.synonyms || []).forEach((phrase, index) => {
+            const key = normaliseWords(phrase).join(' ');
+            if (!key || key.split(' ').length > MAX_PHRASE_WORDS) {
+                return;
+            }
+            const matches = cachedIndex.get(key) || [];
+            if (!matches.some(match => match.concept.id === concept.id)) {
+                matches.push({ concept: concept, synonym: index > 0 });
+            }
+            cachedIndex.set(key, matches);
+        });
+    }
+    return cachedIndex;
+}
+
+/**
+ * Finds the EDAM concepts named in a text, preferring the longest phrases
+ * ("multiple sequence alignment" rather than "sequence alignment").
+ *
+ * @param {string[]} words - The normalised words of the text.
+ * @returns {Object[]} - The matches: { concept, synonym, phrase, position }.
+ */
+function findConcepts(words) {
+    const index = getEdamIndex();
+    const found = [];
+    let position = 0;
+    while (position < words.length) {
+        let length = Math.min(MAX_PHRASE_WORDS, words.length - position);
+        for (; length > 0; length--) {
+            const phrase = words.slice(position, position + length).join(' ');
+            if (index.has(phrase)) {
+                index.get(phrase).forEach(match => found.push({ ...match, phrase: phrase, position: position }));
+                break;
+            }
+        }
+        position += Math.max(length, 1);
+    }
+    return found;
+}
+
+/**
+ * Tells whether the data or format found at a position of a sentence is an input or an output,
+ * from the closest preceding cue word, or any cue word of the sentence.
+ *
+ * @param {string[]} words - The normalised words of the sentence.
+ * @param {number} position - The position of the match.
+ * @returns {string|null} - 'input', 'output' or null if the sentence does not tell.
+ */
+function dataDirection(words, position) {
+    const cueOf = word => (INPUT_CUES.includes(word) ? 'input' : OUTPUT_CUES.includes(word) ? 'output' : null);
+    for (let index = position - 1; index >= 0; index--) {
+        if (cueOf(words[index])) {
+            return cueOf(words[index]);
+        }
+    }
+    const following = words.slice(position).map(cueOf).filter(Boolean);
+    return following.length > 0 ? following[0] : null;
+}
+
+/**
+ * Maps the topics, description and README of a repository to EDAM concepts.
+ *
+ * Each match scores the weight of its source (topics 1, description 0.8, README headings 0.6), reduced
+ * for synonyms (x0.85) and topics only containing the concept (x0.8). The confidence of a concept combines
+ * the scores of all its matches (1 - the product of 1 - score). Broad concepts (Operation, Analysis, Data...)
+ * are only annotated when a topic names them. Data and formats mentioned in the description or the README
+ * are annotated if the sentence tells whether they are read or produced; those named by topics are inputs.
+ *
+ * @param {Object} sources - The texts: { topics: string[], description: string, readme: string }.
+ * @param {Object} [options] - The options: { minConfidence } (0.5 by default).
+ * @returns {Object} - The annotations: { topics, operations, inputs, outputs }, lists of EDAM terms
+ *   { term, uri, vocabulary: 'EDAM', branch, confidence, evidence: [{ source, match }] } sorted by confidence.
+ */
+function annotateEdam({ topics = [], description = '', readme = '' }, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+    const annotations = {};
+
+    const addMatch = (match, source, score, direction) => {
+        const { concept } = match;
+        const isData = concept.branch === 'data' || concept.branch === 'format';
+        if (isData && !direction) {
+            return;
+        }
+        const key = isData ? `${direction}:${concept.id}` : concept.id;
+        const annotation = annotations[key] || {
+            concept: concept,
+            direction: direction,
+            scores: [],
+            evidence: [],
+        };
+        annotation.scores.push(score * (match.synonym ? SYNONYM_FACTOR : 1));
+        if (!annotation.evidence.some(item => item.source === source && item.match === match.phrase)) {
+            annotation.evidence.push({ source: source, match: match.phrase });
+        }
+        annotations[key] = annotation;
+    };
+
+    topics.filter(Boolean).forEach(topic => {
+        const words = normaliseWords(topic);
+        findConcepts(words).forEach(match => {
+            const exact = match.phrase === words.join(' ');
+            if (!exact && GENERIC_CONCEPTS.includes(match.concept.id)) {
+                return;
+            }
+            addMatch(match, 'topics', SOURCE_WEIGHTS.topics * (exact ? 1 : PARTIAL_TOPIC_FACTOR), 'input');
+        });
+    });
+
+    const sentences = {
+        description: String(description || '').split(/[.!?;:]\s+|\n/),
+        readme: extractHeadings(readme).map(heading => heading.text),
+    };
+    Object.entries(sentences).forEach(([source, texts]) => {
+        texts.forEach(text => {
+            const words = normaliseWords(text);
+            findConcepts(words)
+                .filter(match => !GENERIC_CONCEPTS.includes(match.concept.id))
+                .forEach(match => addMatch(match, source, SOURCE_WEIGHTS[source], dataDirection(words, match.position)));
+        });
+    });
+
+    const result = { topics: [], operations: [], inputs: [], outputs: [] };
+    Object.values(annotations)
+        .map(annotation => ({
+            annotation: annotation,
+            confidence: Math.round((1 - annotation.scores.reduce((product, score) => product * (1 - score), 1)) * 100) / 100,
+        }))
+        .filter(({ confidence }) => confidence >= minConfidence)
+        .sort((a, b) => b.confidence - a.confidence)
+        .forEach(({ annotation, confidence }) => {
+            const term = {
+                term: annotation.concept.label,
+                uri: annotation.concept.uri,
+                vocabulary: 'EDAM',
+                branch: annotation.concept.branch,
+                confidence: confidence,
+                evidence: annotation.evidence,
+            };
+            if (annotation.concept.branch === 'topic') {
+                result.topics.push(term);
+            } else if (annotation.concept.branch === 'operation') {
+                result.operations.push(term);
+            } else {
+                result[annotation.direction === 'output' ? 'outputs' : 'inputs'].push(term);
+            }
+        });
+    return result;
+}
+
+/**
+ * Adds EDAM annotations to the observatory metadata, keeping the terms it already has (curated or
+ * harvested): `edam_topics`, `edam_operations`, `input` and `output` (formats, as in Bioschemas
+ * FormatParameter) and the `semantics` block (topics, operations, inputs and outputs, data and formats).
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @param {Object} annotations - The annotations (see annotateEdam).
+ * @returns {Object} - The metadata.
+ */
+function applyEdamAnnotations(metadata, annotations) {
+    const merge = (terms, additions) => {
+        const merged = Array.isArray(terms) ? terms.slice() : [];
+        additions.forEach(term => {
+            if (!merged.some(item => item && (item.uri || item) === term.uri)) {
+                merged.push(term);
+            }
+        });
+        return merged;
+    };
+    const formats = terms => terms.filter(term => term.branch === 'format');
+    const semantics = metadata.semantics || {};
+
+    metadata.edam_topics = merge(metadata.edam_topics, annotations.topics);
+    metadata.edam_operations = merge(metadata.edam_operations, annotations.operations);
+    metadata.input = merge(metadata.input, formats(annotations.inputs));
+    metadata.output = merge(metadata.output, formats(annotations.outputs));
+    metadata.semantics = {
+        ...semantics,
+        topics: merge(semantics.topics, annotations.topics),
+        operations: merge(semantics.operations, annotations.operations),
+        inputs: merge(semantics.inputs, annotations.inputs),
+        outputs: merge(semantics.outputs, annotations.outputs),
+    };
+    return metadata;
+}
+
+
+module.exports = {
+    EDAM_URL,
+    normaliseWords,
+    readSnapshot,
+    getEdamIndex,
+    findConcepts,
+    annotateEdam,
+    applyEdamAnnotations
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normaliseWords, readSnapshot, annotateEdam, applyEdamAnnotations } = require('./edam');
+
+const uris = terms => terms.map(term => term.uri.replace('http://edamontology.org/', ''));
+
+describe('normaliseWords', () => {
+    test('lowercases and singularises the words', () => {
+        expect(normaliseWords('Reads FASTA files, queries and analysis')).toEqual(['read', 'fasta', 'file', 'query', 'and', 'analysis']);
+        expect(normaliseWords('Genomics')).toEqual(['genomics']);
+    });
+});
+
+describe('readSnapshot', () => {
+    test('reads the EDAM.tsv export, leaving out obsolete concepts', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-edam-test-'));
+        const file = path.join(directory, 'EDAM.tsv');
+        fs.writeFileSync(file, [
+            'Class ID\tPreferred Label\tSynonyms\tObsolete',
+            'http://edamontology.org/topic_0622\tGenomics\tGenomes|Viral genomics\tFALSE',
+            'http://edamontology.org/topic_0001\tOld topic\t\tTRUE',
+        ].join('\n'));
+        try {
+            expect(readSnapshot(file)).toEqual([{ id: 'topic_0622', label: 'Genomics', synonyms: ['Genomes', 'Viral genomics'] }]);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('annotateEdam', () => {
+    const annotations = annotateEdam({
+        topics: ['genomics', 'variant-calling'],
+        description: 'Reads FASTA files and writes BAM files. Multiple sequence alignment tool.',
+        readme: '# Tool\n\n## Protein structure analysis\n',
+    });
+
+    test('annotates topics and operations with their evidence', () => {
+        expect(uris(annotations.topics)).toEqual(['topic_0622', 'topic_2814']);
+        expect(annotations.topics[0]).toEqual({
+            term: 'Genomics',
+            uri: 'http://edamontology.org/topic_0622',
+            vocabulary: 'EDAM',
+            branch: 'topic',
+            confidence: 1,
+            evidence: [{ source: 'topics', match: 'genomics' }],
+        });
+        // The longest phrase is matched, not "sequence alignment"
+        expect(uris(annotations.operations)).toEqual(['operation_3227', 'operation_0492', 'operation_2406']);
+    });
+
+    test('tells inputs from outputs', () => {
+        expect(uris(annotations.inputs)).toEqual(['format_1929']);
+        expect(uris(annotations.outputs)).toEqual(['format_2572']);
+    });
+
+    test('leaves out broad concepts and data without direction', () => {
+        const result = annotateEdam({ description: 'Alignment of FASTA files' });
+        expect(result).toEqual({ topics: [], operations: [], inputs: [], outputs: [] });
+    });
+
+    test('keeps the annotations above the minimum confidence', () => {
+        const result = annotateEdam({ readme: '## Protein structure analysis' }, { minConfidence: 0.7 });
+        expect(result.topics).toEqual([]);
+    });
+});
+
+describe('applyEdamAnnotations', () => {
+    test('adds the annotations to the terms already in the metadata', () => {
+        const annotations = annotateEdam({ topics: ['genomics'], description: 'Reads FASTA files.' });
+        const metadata = applyEdamAnnotations({
+            edam_topics: ['http://edamontology.org/topic_0622'],
+            semantics: { data: [] },
+        }, annotations);
+
+        expect(metadata.edam_topics).toEqual(['http://edamontology.org/topic_0622']);
+        expect(uris(metadata.input)).toEqual(['format_1929']);
+        expect(metadata.output).toEqual([]);
+        expect(metadata.semantics).toMatchObject({ data: [], inputs: annotations.inputs, topics: annotations.topics });
+    });
+});
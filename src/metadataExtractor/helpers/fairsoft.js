@@ -0,0 +1,490 @@
+/*
+Evaluation of the FAIRsoft indicators from the observatory metadata.
+
+FAIRsoft adapts the FAIR principles to research software (Martín del Pico et al., FAIRsoft - a practical
+implementation of FAIR principles for research software, 2022). Each indicator (F1-F3, A1-A3, I1-I3 and
+R1-R4) is evaluated with checks on the metadata; each check scores 0 to 1 and reports the evidence that
+satisfied it and, if it is not fully satisfied, a hint to improve it.
+*/
+
+const { unwrapListsIds } = require('./metadata');
+const { isOpenSourceLicense } = require('./licenses');
+
+// Registries and e-infrastructures where software can be run or integrated in workflows
+const E_INFRASTRUCTURES = ['bioconda', 'conda-forge', 'conda', 'biocontainers', 'galaxy', 'docker', 'quay', 'bioconductor'];
+
+// Documentation types that are usage guides
+const USAGE_DOCUMENTATION = ['usage', 'tutorial', 'installation', 'faq', 'api', 'site', 'docs', 'doc', 'documentation', 'example', 'examples'];
+
+// Manifests describing a reproducible environment
+const ENVIRONMENT_MANIFESTS = ['environment.yml', 'environment.yaml'];
+
+// Platforms supported by the software
+const ALL_PLATFORMS = ['Linux', 'MacOS', 'Windows'];
+
+
+/**
+ * Returns the helpers used by the checks to read the observatory metadata.
+ *
+ * @param {Object} metadata - The observatory metadata, prepared or not.
+ * @returns {Object} - The helpers: { meta, list, docs, registries, versions }.
+ */
+function metadataReader(metadata) {
+    const meta = unwrapListsIds(metadata);
+    const list = field => (Array.isArray(meta[field]) ? meta[field].filter(item => item !== null && item !== undefined) : []);
+    const docs = types => list('documentation').filter(doc => types.includes(doc.type));
+    const registries = () => list('download').filter(item => item && item.registry);
+    const versions = () => list('version').map(version => (typeof version === 'object' ? version : { version: String(version), tag: String(version) }));
+    return { meta, list, docs, registries, versions };
+}
+
+/**
+ * Builds the result of a check from its evidence: satisfied if there is evidence.
+ */
+const fromEvidence = evidence => ({ score: evidence.length > 0 ? 1 : 0, evidence: evidence });
+
+// The FAIRsoft indicators and their checks. Each check returns { score, evidence }
+const FAIRSOFT_INDICATORS = [
+    {
+        id: 'F1',
+        name: 'Identity uniqueness',
+        checks: [
+            {
+                id: 'F1.1',
+                name: 'The software has a name',
+                evaluate: ({ meta, list }) => fromEvidence([meta.name || list('label')[0]].filter(Boolean).map(name => `name: ${name}`)),
+                hint: 'Declare the name of the software (title in CITATION.cff, name in codemeta.json) and choose one that is not used by other tools.',
+            },
+            {
+                id: 'F1.2',
+                name: 'Versions are identified with semantic versions',
+                evaluate: ({ versions }) => {
+                    const all = versions();
+                    const semantic = all.filter(version => version.semver || /^v?\d+\.\d+(\.\d+)?/.test(version.version || ''));
+                    return {
+                        score: semantic.length > 0 ? 1 : all.length > 0 ? 0.5 : 0,
+                        evidence: (semantic.length > 0 ? semantic : all).slice(-5).map(version => `version: ${version.version || version.tag}`),
+                    };
+                },
+                hint: 'Tag the releases with semantic version numbers (e.g. v1.2.0) and declare the current version in CITATION.cff.',
+            },
+            {
+                id: 'F1.3',
+                name: 'The software has a persistent identifier',
+                evaluate: ({ list }) => fromEvidence(list('identifiers')
+                    .filter(identifier => /^(doi|swh|ark|handle)$/i.test(identifier.type || ''))
+                    .map(identifier => `${identifier.type}: ${identifier.value}`)
+                    // Zenodo DOIs found in the README (badges) identify the archived software
+                    .concat(list('publication')
+                        .filter(publication => /^10\.5281\/zenodo\./i.test(publication.doi || ''))
+                        .map(publication => `doi: ${publication.doi}`))
+                    .filter((evidence, index, all) => all.indexOf(evidence) === index)),
+                hint: 'Archive the releases in Zenodo or Software Heritage to get a persistent identifier (DOI or SWHID), and add it to CITATION.cff.',
+            },
+        ],
+    },
+    {
+        id: 'F2',
+        name: 'Existence of metadata',
+        checks: [
+            {
+                id: 'F2.1',
+                name: 'Structured metadata files are provided',
+                evaluate: ({ meta, list }) => {
+                    const files = list('harvested_files').concat(meta.citation ? ['CITATION.cff'] : []);
+                    const manifests = list('manifest_files');
+                    return {
+                        score: files.length > 0 ? 1 : manifests.length > 0 ? 0.5 : 0,
+                        evidence: files.concat(manifests).filter((file, index, all) => all.indexOf(file) === index),
+                    };
+                },
+                hint: 'Add a CITATION.cff and a codemeta.json file describing the software at the root of the repository.',
+            },
+            {
+                id: 'F2.2',
+                name: 'Metadata uses ontology terms (EDAM)',
+                evaluate: ({ list }) => {
+                    const topics = list('edam_topics');
+                    const operations = list('edam_operations');
+                    const term = item => (typeof item === 'object' ? `${item.term} (${item.uri})` : String(item));
+                    return {
+                        score: (topics.length > 0 ? 0.5 : 0) + (operations.length > 0 ? 0.5 : 0),
+                        evidence: topics.concat(operations).map(term),
+                    };
+                },
+                hint: 'Describe the scientific topics and operations of the software with EDAM terms, e.g. as repository topics, or register it in bio.tools.',
+            },
+        ],
+    },
+    {
+        id: 'F3',
+        name: 'Searchability',
+        checks: [
+            {
+                id: 'F3.1',
+                name: 'The software is in registries',
+                evaluate: ({ registries }) => fromEvidence(registries().map(item => `${item.registry}: ${item.name || item.url}`)),
+                hint: 'Publish the software in a package registry or a catalogue (PyPI, CRAN, Bioconductor, Bioconda, bio.tools).',
+            },
+            {
+                id: 'F3.2',
+                name: 'The source code is in a software repository',
+                evaluate: ({ list }) => fromEvidence(list('repository').map(String)),
+                hint: 'Host the source code in a public software repository (GitHub, GitLab, Codeberg) and link it from the metadata.',
+            },
+            {
+                id: 'F3.3',
+                name: 'The software is described in the literature',
+                evaluate: ({ list }) => fromEvidence(list('publication')
+                    .map(publication => (publication.doi ? `doi: ${publication.doi}` : publication.title || publication.url))
+                    .filter(Boolean)),
+                hint: 'Publish an article describing the software and cite it in the README or as preferred-citation in CITATION.cff.',
+            },
+        ],
+    },
+    {
+        id: 'A1',
+        name: 'Existence of downloadable and buildable working version',
+        checks: [
+            {
+                id: 'A1.1',
+                name: 'Installation instructions are provided',
+                evaluate: ({ meta, docs }) => fromEvidence(docs(['installation']).map(doc => doc.url)
+                    .concat(meta.inst_instr ? ['installation instructions'] : [])),
+                hint: 'Document how to install the software, in an INSTALL.md file or an Installation section of the README.',
+            },
+            {
+                id: 'A1.2',
+                name: 'A working version can be downloaded',
+                evaluate: ({ list, registries, versions }) => fromEvidence(registries().map(item => item.url || item.name)
+                    .concat(...versions().map(version => (version.assets || []).map(asset => asset.url)))
+                    .concat(list('download').filter(item => typeof item === 'string' || (!item.registry && item.url)).map(item => item.url || item))
+                    .filter(Boolean)
+                    .slice(0, 10)),
+                hint: 'Publish releases with downloadable packages or builds (release assets or a package registry).',
+            },
+            {
+                id: 'A1.3',
+                name: 'The source code is available',
+                evaluate: ({ meta, list }) => fromEvidence(meta.isPrivate ? [] : list('repository').map(String)),
+                hint: 'Make the source code available in a public repository.',
+            },
+            {
+                id: 'A1.4',
+                name: 'Tests or test data are provided',
+                evaluate: ({ list }) => fromEvidence(list('test').map(test => (typeof test === 'object' ? test.url || test.type || JSON.stringify(test) : String(test)))),
+                hint: 'Add automated tests and test data, and run them in continuous integration.',
+            },
+        ],
+    },
+    {
+        id: 'A2',
+        name: 'Existence of a working version in e-infrastructures or the web',
+        checks: [
+            {
+                id: 'A2.1',
+                name: 'The software is available in e-infrastructures',
+                evaluate: ({ registries }) => fromEvidence(registries()
+                    .filter(item => E_INFRASTRUCTURES.includes(String(item.registry).toLowerCase()))
+                    .map(item => `${item.registry}: ${item.name || item.url}`)),
+                hint: 'Make the software available in e-infrastructures such as Bioconda, BioContainers or the Galaxy ToolShed.',
+            },
+            {
+                id: 'A2.2',
+                name: 'The software has a homepage or documentation site',
+                evaluate: ({ list }) => fromEvidence(list('webpage').map(String)
+                    .concat(list('documentation_sites').map(site => site.url))
+                    .filter(url => /^https:\/\//.test(url))),
+                hint: 'Publish a homepage or a documentation site served over HTTPS and link it from the repository.',
+            },
+        ],
+    },
+    {
+        id: 'A3',
+        name: 'Unrestricted access',
+        checks: [
+            {
+                id: 'A3.1',
+                name: 'The software can be accessed without registration',
+                evaluate: ({ meta, list }) => fromEvidence(meta.isPrivate || list('repository').length === 0 ? [] : ['public repository']),
+                hint: 'Make the repository public so that the software can be obtained without registration.',
+            },
+            {
+                id: 'A3.2',
+                name: 'The software has a free and open-source license',
+                evaluate: ({ list }) => fromEvidence(list('license')
+                    .map(license => (typeof license === 'object' ? license.spdxId : license))
+                    .filter(spdxId => spdxId && isOpenSourceLicense(spdxId))),
+                hint: 'Release the software under an open-source license approved by the OSI (e.g. MIT, Apache-2.0, GPL-3.0).',
+            },
+            {
+                id: 'A3.3',
+                name: 'The software runs on several platforms',
+                evaluate: ({ list }) => {
+                    const platforms = list('os').filter(os => ALL_PLATFORMS.includes(os));
+                    return { score: platforms.length > 1 ? 1 : platforms.length / 2, evidence: platforms };
+                },
+                hint: 'Declare the supported operating systems (e.g. classifiers in pyproject.toml, OS in DESCRIPTION) and support Linux, macOS and Windows.',
+            },
+        ],
+    },
+    {
+        id: 'I1',
+        name: 'Data format standards and practices',
+        checks: [
+            {
+                id: 'I1.1',
+                name: 'Input and output formats are documented',
+                evaluate: ({ list }) => {
+                    const inputs = list('input');
+                    const outputs = list('output');
+                    const name = item => (typeof item === 'object' ? item.term || item.uri : String(item));
+                    return {
+                        score: (inputs.length > 0 ? 0.5 : 0) + (outputs.length > 0 ? 0.5 : 0),
+                        evidence: inputs.map(item => `input: ${name(item)}`).concat(outputs.map(item => `output: ${name(item)}`)),
+                    };
+                },
+                hint: 'Document the input and output formats of the software in the README or the metadata.',
+            },
+            {
+                id: 'I1.2',
+                name: 'Formats are identified with ontology terms (EDAM)',
+                evaluate: ({ list }) => {
+                    const formats = list('input').concat(list('output'));
+                    const identified = formats.filter(item => /edamontology\.org\/format_/.test(typeof item === 'object' ? item.uri : item));
+                    return {
+                        score: formats.length > 0 ? identified.length / formats.length : 0,
+                        evidence: identified.map(item => (typeof item === 'object' ? item.uri : item)),
+                    };
+                },
+                hint: 'Use standard formats and identify them with EDAM format terms (http://edamontology.org/format_...).',
+            },
+        ],
+    },
+    {
+        id: 'I2',
+        name: 'Integration with other tools',
+        checks: [
+            {
+                id: 'I2.1',
+                name: 'The software has a documented programmatic interface',
+                evaluate: ({ meta, docs, registries }) => fromEvidence(docs(['api']).map(doc => doc.url)
+                    .concat(['lib', 'library', 'rest', 'web API', 'cmd'].includes(meta.type) ? [`type: ${meta.type}`] : [])
+                    .concat(registries().length > 0 ? ['installable package'] : [])),
+                hint: 'Document the API or command-line interface of the software so that it can be used by other tools.',
+            },
+            {
+                id: 'I2.2',
+                name: 'The software can be integrated in workflows',
+                evaluate: ({ list, registries }) => fromEvidence(registries()
+                    .filter(item => E_INFRASTRUCTURES.includes(String(item.registry).toLowerCase()))
+                    .map(item => `${item.registry}: ${item.name || item.url}`)
+                    .concat(list('edam_topics').filter(topic => /topic_0769$/.test(topic.uri || topic)).map(() => 'EDAM topic: Workflows'))),
+                hint: 'Package the software for workflow systems (Bioconda, BioContainers, Galaxy, nf-core modules).',
+            },
+        ],
+    },
+    {
+        id: 'I3',
+        name: 'Dependencies',
+        checks: [
+            {
+                id: 'I3.1',
+                name: 'Dependencies are declared',
+                evaluate: ({ list }) => fromEvidence(list('manifest_files')
+                    .filter(manifest => list('dependencies').some(dependency => dependency.manifest === manifest))),
+                hint: 'Declare the dependencies in a manifest (pyproject.toml, requirements.txt, DESCRIPTION, package.json, environment.yml).',
+            },
+            {
+                id: 'I3.2',
+                name: 'Dependency versions are constrained',
+                evaluate: ({ list }) => {
+                    const dependencies = list('dependencies').filter(dependency => typeof dependency === 'object' && dependency.type !== 'engine');
+                    const constrained = dependencies.filter(dependency => dependency.version);
+                    return {
+                        score: dependencies.length > 0 ? Math.round((constrained.length / dependencies.length) * 100) / 100 : 0,
+                        evidence: constrained.slice(0, 10).map(dependency => `${dependency.name} ${dependency.version}`),
+                    };
+                },
+                hint: 'Constrain the versions of the dependencies (e.g. numpy>=1.24,<2) so that working versions can be rebuilt.',
+            },
+            {
+                id: 'I3.3',
+                name: 'A reproducible environment is provided',
+                evaluate: ({ list, registries }) => fromEvidence(list('manifest_files')
+                    .filter(manifest => ENVIRONMENT_MANIFESTS.includes(manifest))
+                    .concat(registries()
+                        .filter(item => ['bioconda', 'conda-forge', 'conda', 'biocontainers', 'docker', 'quay'].includes(String(item.registry).toLowerCase()))
+                        .map(item => `${item.registry}: ${item.name || item.url}`))),
+                hint: 'Provide a conda environment file or a container image with the dependencies of the software.',
+            },
+        ],
+    },
+    {
+        id: 'R1',
+        name: 'Existence of usage guides',
+        checks: [
+            {
+                id: 'R1.1',
+                name: 'Usage documentation is provided',
+                evaluate: ({ docs }) => {
+                    const guides = docs(USAGE_DOCUMENTATION);
+                    const readme = docs(['readme']);
+                    return {
+                        score: guides.length > 0 ? 1 : readme.length > 0 ? 0.5 : 0,
+                        evidence: readme.concat(guides).slice(0, 10).map(doc => doc.url),
+                    };
+                },
+                hint: 'Add usage guides or tutorials besides the README (e.g. a docs directory or USAGE.md).',
+            },
+            {
+                id: 'R1.2',
+                name: 'The documentation is published',
+                evaluate: ({ list }) => fromEvidence(list('documentation_sites').filter(site => site.url).map(site => site.url)),
+                hint: 'Publish the documentation, e.g. on Read the Docs or GitHub Pages.',
+            },
+        ],
+    },
+    {
+        id: 'R2',
+        name: 'Existence of license',
+        checks: [
+            {
+                id: 'R2.1',
+                name: 'A license is declared',
+                evaluate: ({ list, docs }) => fromEvidence(list('license')
+                    .map(license => (typeof license === 'object' ? license.name || license.spdxId : String(license)))
+                    .concat(docs(['license']).map(doc => doc.url))
+                    .filter(Boolean)),
+                hint: 'Add a LICENSE file with the terms of use of the software.',
+            },
+            {
+                id: 'R2.2',
+                name: 'The license has an SPDX identifier',
+                evaluate: ({ list }) => fromEvidence(list('license')
+                    .map(license => (typeof license === 'object' ? license.spdxId : ''))
+                    .filter(spdxId => spdxId && spdxId !== 'NOASSERTION')),
+                hint: 'Use a standard license whose text is unmodified, and declare its SPDX identifier (e.g. license: MIT in CITATION.cff).',
+            },
+        ],
+    },
+    {
+        id: 'R3',
+        name: 'Existence of contribution policy and credit',
+        checks: [
+            {
+                id: 'R3.1',
+                name: 'A contribution policy is provided',
+                evaluate: ({ list, docs }) => {
+                    const contributing = docs(['contributing']).map(doc => doc.url).concat(list('contribPolicy').map(String));
+                    const conduct = docs(['code_of_conduct']).map(doc => doc.url);
+                    return {
+                        score: contributing.length > 0 ? 1 : conduct.length > 0 ? 0.5 : 0,
+                        evidence: contributing.concat(conduct),
+                    };
+                },
+                hint: 'Add a CONTRIBUTING.md file describing how to report issues and contribute changes.',
+            },
+            {
+                id: 'R3.2',
+                name: 'Authors are credited',
+                evaluate: ({ meta, list }) => {
+                    const authors = list('authors').filter(author => author.name);
+                    return {
+                        score: (authors.length > 0 ? 0.5 : 0) + (meta.citation ? 0.5 : 0),
+                        evidence: authors.slice(0, 10).map(author => (author.orcid ? `${author.name} (${author.orcid})` : author.name))
+                            .concat(meta.citation ? ['CITATION.cff'] : []),
+                    };
+                },
+                hint: 'List the authors, with their ORCID, in a CITATION.cff file so that they are credited when the software is cited.',
+            },
+        ],
+    },
+    {
+        id: 'R4',
+        name: 'Usage and traceability',
+        checks: [
+            {
+                id: 'R4.1',
+                name: 'The source code is under version control',
+                evaluate: ({ meta, list }) => fromEvidence((meta.commit && meta.commit.sha ? [`commit: ${meta.commit.sha}`] : [])
+                    .concat(list('repository').map(String))),
+                hint: 'Keep the source code in a version control system (git) hosted on a public forge.',
+            },
+            {
+                id: 'R4.2',
+                name: 'Releases are published',
+                evaluate: ({ versions }) => fromEvidence(versions().filter(version => version.tag).slice(-5)
+                    .map(version => (version.url ? `${version.tag}: ${version.url}` : version.tag))),
+                hint: 'Publish tagged releases of the software, following a release policy.',
+            },
+            {
+                id: 'R4.3',
+                name: 'Changes between versions are documented',
+                evaluate: ({ docs, versions }) => fromEvidence(docs(['changelog']).map(doc => doc.url)
+                    .concat(versions().filter(version => version.notes).slice(-5).map(version => `release notes: ${version.tag || version.version}`))),
+                hint: 'Keep a CHANGELOG file or write release notes describing the changes of each version.',
+            },
+        ],
+    },
+];
+
+
+/**
+ * Evaluates the FAIRsoft indicators of a software from its observatory metadata.
+ *
+ * The score of an indicator is the mean of its checks, the score of a principle (F, A, I, R) the mean
+ * of its indicators and the overall score the mean of the principles. Scores are between 0 and 1.
+ *
+ * @param {Object} metadata - The observatory metadata, as returned by POST /metadata (prepared or not).
+ * @returns {Object} - The evaluation: { score, principles, indicators, remediation }, where `indicators` lists
+ *   { id, name, score, checks: [{ id, name, score, evidence, hint }] } (`hint` is null for satisfied checks) and
+ *   `remediation` the hints of the checks that are not satisfied, from the lowest score.
+ */
+function evaluateFAIRsoft(metadata) {
+    const reader = metadataReader(metadata);
+    const round = value => Math.round(value * 100) / 100;
+    const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+    const indicators = FAIRSOFT_INDICATORS.map(indicator => {
+        const checks = indicator.checks.map(check => {
+            const { score, evidence } = check.evaluate(reader);
+            return {
+                id: check.id,
+                name: check.name,
+                score: round(Math.min(Math.max(score, 0), 1)),
+                evidence: evidence,
+                hint: score < 1 ? check.hint : null,
+            };
+        });
+        return {
+            id: indicator.id,
+            name: indicator.name,
+            score: round(mean(checks.map(check => check.score))),
+            checks: checks,
+        };
+    });
+
+    const principles = {};
+    ['F', 'A', 'I', 'R'].forEach(principle => {
+        principles[principle] = round(mean(indicators.filter(indicator => indicator.id[0] === principle).map(indicator => indicator.score)));
+    });
+
+    const remediation = [].concat(...indicators.map(indicator => indicator.checks))
+        .filter(check => check.hint)
+        .sort((a, b) => a.score - b.score)
+        .map(check => ({ indicator: check.id, score: check.score, hint: check.hint }));
+
+    return {
+        score: round(mean(Object.values(principles))),
+        principles: principles,
+        indicators: indicators,
+        remediation: remediation,
+    };
+}
+
+
+module.exports = {
+    FAIRSOFT_INDICATORS,
+    evaluateFAIRsoft
+};
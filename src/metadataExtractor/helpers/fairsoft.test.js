@@ -0,0 +1,225 @@
+const { FAIRSOFT_INDICATORS, evaluateFAIRsoft } = require('./fairsoft');
+
+const checkOf = (evaluation, id) => [].concat(...evaluation.indicators.map(indicator => indicator.checks)).find(check => check.id === id);
+
+// The scores of some checks, by id
+const scoresOf = (metadata, ids) => {
+    const evaluation = evaluateFAIRsoft(metadata);
+    return Object.fromEntries(ids.map(id => [id, checkOf(evaluation, id).score]));
+};
+
+describe('evaluateFAIRsoft', () => {
+    test('reports every indicator, with hints for the unsatisfied checks', () => {
+        const evaluation = evaluateFAIRsoft({});
+        expect(evaluation.indicators.map(indicator => indicator.id)).toEqual(FAIRSOFT_INDICATORS.map(indicator => indicator.id));
+        expect(Object.keys(evaluation.principles)).toEqual(['F', 'A', 'I', 'R']);
+        expect(checkOf(evaluation, 'F1.1')).toEqual({
+            id: 'F1.1',
+            name: 'The software has a name',
+            score: 0,
+            evidence: [],
+            hint: FAIRSOFT_INDICATORS[0].checks[0].hint,
+        });
+        expect(evaluation.remediation.length).toBeGreaterThan(0);
+        expect(evaluation.remediation.map(item => item.score)).toEqual(evaluation.remediation.map(item => item.score).sort((a, b) => a - b));
+    });
+
+    test('scores the checks from the evidence of the metadata', () => {
+        const evaluation = evaluateFAIRsoft({
+            name: 'tool',
+            version: [{ version: '1.0.0', tag: 'v1.0.0', semver: { major: 1 }, notes: 'First release' }, 'nightly'],
+            identifiers: [{ type: 'doi', value: '10.5281/zenodo.1' }],
+            publication: [{ doi: '10.5281/zenodo.1' }],
+            edam_topics: [{ term: 'Genomics', uri: 'http://edamontology.org/topic_0622' }],
+        });
+        expect(checkOf(evaluation, 'F1.1')).toMatchObject({ score: 1, evidence: ['name: tool'], hint: null });
+        expect(checkOf(evaluation, 'F1.2')).toMatchObject({ score: 1, evidence: ['version: 1.0.0'] });
+        // The DOI is reported once
+        expect(checkOf(evaluation, 'F1.3').evidence).toEqual(['doi: 10.5281/zenodo.1']);
+        expect(checkOf(evaluation, 'F2.2')).toMatchObject({ score: 0.5, evidence: ['Genomics (http://edamontology.org/topic_0622)'] });
+        expect(checkOf(evaluation, 'R4.3').evidence).toEqual(['release notes: v1.0.0']);
+        expect(evaluation.indicators[0].score).toBe(1);
+    });
+
+    test('accepts prepared metadata', () => {
+        const evaluation = evaluateFAIRsoft({ label: [{ id: 0, term: 'tool' }] });
+        expect(checkOf(evaluation, 'F1.1').evidence).toEqual(['name: tool']);
+    });
+});
+
+describe('findability checks', () => {
+    const ids = ['F1.1', 'F1.2', 'F1.3', 'F2.1', 'F2.2', 'F3.1', 'F3.2', 'F3.3'];
+
+    test('are satisfied by names, semantic versions, identifiers, metadata files, EDAM terms, registries and publications', () => {
+        expect(scoresOf({
+            name: 'tool',
+            version: ['v2.1.0'],
+            identifiers: [{ type: 'swh', value: 'swh:1:dir:0000000000000000000000000000000000000000' }],
+            harvested_files: ['codemeta.json'],
+            edam_topics: ['http://edamontology.org/topic_0622'],
+            edam_operations: ['http://edamontology.org/operation_0292'],
+            download: [{ registry: 'PyPI', name: 'tool', url: 'https://pypi.org/project/tool/' }],
+            repository: ['https://github.com/owner/tool'],
+            publication: [{ title: 'Tool: a tool' }],
+        }, ids)).toEqual({ 'F1.1': 1, 'F1.2': 1, 'F1.3': 1, 'F2.1': 1, 'F2.2': 1, 'F3.1': 1, 'F3.2': 1, 'F3.3': 1 });
+    });
+
+    test('are not satisfied without them', () => {
+        expect(scoresOf({}, ids)).toEqual({ 'F1.1': 0, 'F1.2': 0, 'F1.3': 0, 'F2.1': 0, 'F2.2': 0, 'F3.1': 0, 'F3.2': 0, 'F3.3': 0 });
+    });
+
+    test('are partly satisfied by unversioned releases, manifests only and topics only', () => {
+        expect(scoresOf({
+            version: ['nightly'],
+            manifest_files: ['package.json'],
+            edam_topics: ['http://edamontology.org/topic_0622'],
+        }, ['F1.2', 'F2.1', 'F2.2'])).toEqual({ 'F1.2': 0.5, 'F2.1': 0.5, 'F2.2': 0.5 });
+    });
+
+    test('do not take other identifiers, publications or downloads as evidence', () => {
+        expect(scoresOf({
+            identifiers: [{ type: 'biotools', value: 'tool' }],
+            publication: [{ doi: '10.1093/bioinformatics/btx001' }],
+            download: [{ url: 'https://example.org/tool.tar.gz' }],
+        }, ['F1.3', 'F3.1', 'F3.3'])).toEqual({ 'F1.3': 0, 'F3.1': 0, 'F3.3': 1 });
+    });
+});
+
+describe('accessibility checks', () => {
+    const ids = ['A1.1', 'A1.2', 'A1.3', 'A1.4', 'A2.1', 'A2.2', 'A3.1', 'A3.2', 'A3.3'];
+    const accessible = {
+        documentation: [{ type: 'installation', url: 'https://github.com/owner/tool/blob/main/INSTALL.md' }],
+        download: [{ registry: 'bioconda', name: 'tool', url: 'https://anaconda.org/bioconda/tool' }],
+        repository: ['https://github.com/owner/tool'],
+        test: [{ type: 'ci', url: 'https://github.com/owner/tool/actions' }],
+        webpage: ['https://tool.example.org'],
+        license: [{ spdxId: 'MIT', name: 'MIT License' }],
+        os: ['Linux', 'MacOS'],
+    };
+
+    test('are satisfied by installation guides, packages, public sources, tests, e-infrastructures, homepages, open licenses and platforms', () => {
+        expect(scoresOf(accessible, ids)).toEqual({
+            'A1.1': 1, 'A1.2': 1, 'A1.3': 1, 'A1.4': 1, 'A2.1': 1, 'A2.2': 1, 'A3.1': 1, 'A3.2': 1, 'A3.3': 1,
+        });
+    });
+
+    test('are not satisfied without them', () => {
+        expect(scoresOf({}, ids)).toEqual({
+            'A1.1': 0, 'A1.2': 0, 'A1.3': 0, 'A1.4': 0, 'A2.1': 0, 'A2.2': 0, 'A3.1': 0, 'A3.2': 0, 'A3.3': 0,
+        });
+    });
+
+    test('are not satisfied by private repositories, other registries, plain HTTP pages, closed licenses or one platform', () => {
+        expect(scoresOf({
+            ...accessible,
+            isPrivate: true,
+            download: [{ registry: 'PyPI', name: 'tool', url: 'https://pypi.org/project/tool/' }],
+            webpage: ['http://tool.example.org'],
+            license: [{ spdxId: 'CC-BY-NC-4.0' }],
+            os: ['Linux'],
+        }, ['A1.3', 'A2.1', 'A2.2', 'A3.1', 'A3.2', 'A3.3'])).toEqual({
+            'A1.3': 0, 'A2.1': 0, 'A2.2': 0, 'A3.1': 0, 'A3.2': 0, 'A3.3': 0.5,
+        });
+    });
+
+    test('take release assets and installation instructions as evidence', () => {
+        const evaluation = evaluateFAIRsoft({
+            version: [{ version: '1.0.0', tag: 'v1.0.0', assets: [{ url: 'https://github.com/owner/tool/releases/download/v1.0.0/tool.zip' }] }],
+            inst_instr: true,
+        });
+        expect(checkOf(evaluation, 'A1.2').evidence).toEqual(['https://github.com/owner/tool/releases/download/v1.0.0/tool.zip']);
+        expect(checkOf(evaluation, 'A1.1').evidence).toEqual(['installation instructions']);
+    });
+});
+
+describe('interoperability checks', () => {
+    const ids = ['I1.1', 'I1.2', 'I2.1', 'I2.2', 'I3.1', 'I3.2', 'I3.3'];
+    const interoperable = {
+        input: [{ term: 'FASTQ', uri: 'http://edamontology.org/format_1930' }],
+        output: [{ term: 'BAM', uri: 'http://edamontology.org/format_2572' }],
+        type: 'lib',
+        download: [{ registry: 'bioconda', name: 'tool', url: 'https://anaconda.org/bioconda/tool' }],
+        manifest_files: ['environment.yml'],
+        dependencies: [{ name: 'numpy', version: '>=1.24', manifest: 'environment.yml' }],
+    };
+
+    test('are satisfied by EDAM formats, interfaces, workflow packages and constrained dependencies', () => {
+        expect(scoresOf(interoperable, ids)).toEqual({ 'I1.1': 1, 'I1.2': 1, 'I2.1': 1, 'I2.2': 1, 'I3.1': 1, 'I3.2': 1, 'I3.3': 1 });
+    });
+
+    test('are not satisfied without them', () => {
+        expect(scoresOf({}, ids)).toEqual({ 'I1.1': 0, 'I1.2': 0, 'I2.1': 0, 'I2.2': 0, 'I3.1': 0, 'I3.2': 0, 'I3.3': 0 });
+    });
+
+    test('are partly satisfied by formats without EDAM terms and unconstrained dependencies', () => {
+        expect(scoresOf({
+            input: ['FASTQ', { term: 'FASTA', uri: 'http://edamontology.org/format_1929' }],
+            manifest_files: ['requirements.txt'],
+            dependencies: [
+                { name: 'numpy', version: '>=1.24', manifest: 'requirements.txt' },
+                { name: 'scipy', version: '', manifest: 'requirements.txt' },
+                { name: 'python', version: '>=3.9', type: 'engine', manifest: 'requirements.txt' },
+            ],
+        }, ids)).toEqual({ 'I1.1': 0.5, 'I1.2': 0.5, 'I2.1': 0, 'I2.2': 0, 'I3.1': 1, 'I3.2': 0.5, 'I3.3': 0 });
+    });
+
+    test('do not take manifests without dependencies or other registries as evidence', () => {
+        expect(scoresOf({
+            manifest_files: ['environment.yml'],
+            dependencies: [{ name: 'numpy', manifest: 'setup.py' }],
+            download: [{ registry: 'PyPI', name: 'tool', url: 'https://pypi.org/project/tool/' }],
+            edam_topics: ['http://edamontology.org/topic_0769'],
+        }, ['I2.1', 'I2.2', 'I3.1', 'I3.3'])).toEqual({ 'I2.1': 1, 'I2.2': 1, 'I3.1': 0, 'I3.3': 1 });
+        expect(scoresOf({
+            download: [{ registry: 'PyPI', name: 'tool', url: 'https://pypi.org/project/tool/' }],
+        }, ['I2.2', 'I3.3'])).toEqual({ 'I2.2': 0, 'I3.3': 0 });
+    });
+});
+
+describe('reusability checks', () => {
+    const ids = ['R1.1', 'R1.2', 'R2.1', 'R2.2', 'R3.1', 'R3.2', 'R4.1', 'R4.2', 'R4.3'];
+    const reusable = {
+        documentation: [
+            { type: 'readme', url: 'https://github.com/owner/tool/blob/main/README.md' },
+            { type: 'tutorial', url: 'https://github.com/owner/tool/blob/main/docs/tutorial.md' },
+            { type: 'contributing', url: 'https://github.com/owner/tool/blob/main/CONTRIBUTING.md' },
+            { type: 'changelog', url: 'https://github.com/owner/tool/blob/main/CHANGELOG.md' },
+        ],
+        documentation_sites: [{ url: 'https://tool.readthedocs.io' }],
+        license: [{ spdxId: 'Apache-2.0', name: 'Apache License 2.0' }],
+        authors: [{ name: 'Ada Lovelace', orcid: '0000-0002-1825-0097' }],
+        citation: { title: 'tool' },
+        commit: { sha: 'abc123' },
+        version: [{ version: '1.0.0', tag: 'v1.0.0', url: 'https://github.com/owner/tool/releases/tag/v1.0.0' }],
+    };
+
+    test('are satisfied by guides, published documentation, licenses, contribution policies, credit and releases', () => {
+        expect(scoresOf(reusable, ids)).toEqual({
+            'R1.1': 1, 'R1.2': 1, 'R2.1': 1, 'R2.2': 1, 'R3.1': 1, 'R3.2': 1, 'R4.1': 1, 'R4.2': 1, 'R4.3': 1,
+        });
+        expect(checkOf(evaluateFAIRsoft(reusable), 'R3.2').evidence).toEqual(['Ada Lovelace (0000-0002-1825-0097)', 'CITATION.cff']);
+    });
+
+    test('are not satisfied without them', () => {
+        expect(scoresOf({}, ids)).toEqual({
+            'R1.1': 0, 'R1.2': 0, 'R2.1': 0, 'R2.2': 0, 'R3.1': 0, 'R3.2': 0, 'R4.1': 0, 'R4.2': 0, 'R4.3': 0,
+        });
+    });
+
+    test('are partly satisfied by a README only, a code of conduct only and authors without CITATION.cff', () => {
+        expect(scoresOf({
+            documentation: [
+                { type: 'readme', url: 'https://github.com/owner/tool/blob/main/README.md' },
+                { type: 'code_of_conduct', url: 'https://github.com/owner/tool/blob/main/CODE_OF_CONDUCT.md' },
+            ],
+            authors: [{ name: 'Ada Lovelace' }],
+        }, ['R1.1', 'R3.1', 'R3.2'])).toEqual({ 'R1.1': 0.5, 'R3.1': 0.5, 'R3.2': 0.5 });
+    });
+
+    test('do not take licenses without an SPDX identifier or versions without a tag as evidence', () => {
+        expect(scoresOf({
+            license: [{ spdxId: 'NOASSERTION', name: 'Other' }],
+            version: [{ version: '1.0.0' }],
+        }, ['R2.1', 'R2.2', 'R4.2', 'R4.3'])).toEqual({ 'R2.1': 1, 'R2.2': 0, 'R4.2': 0, 'R4.3': 0 });
+    });
+});
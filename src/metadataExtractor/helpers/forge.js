@@ -0,0 +1,120 @@
+/*
+Helpers shared by the REST forge providers (GitLab and Gitea): HTTP client, pagination headers and errors.
+*/
+
+const axios = require('axios');
+var info = require('debug')('node-api:info');
+var error = require('debug')('node-api:error');
+
+// Time (ms) after which a request to a forge is aborted
+const FORGE_TIMEOUT = 15000;
+
+
+/**
+ * Creates an HTTP client for the REST API of a forge.
+ * Redirects are not followed: they could send the authentication headers (e.g. GitLab's PRIVATE-TOKEN,
+ * which axios does not strip) to another host.
+ *
+ * @param {string} baseURL - The base URL of the API (e.g. https://gitlab.com/api/v4).
+ * @param {Object} headers - The headers sent with every request (authentication).
+ * @param {Object} [options] - { timeout }: the time (ms) after which a request is aborted. Defaults to FORGE_TIMEOUT.
+ * @returns {Object} - The axios instance.
+ */
+function createForgeClient(baseURL, headers = {}, { timeout = FORGE_TIMEOUT } = {}) {
+    return axios.create({
+        baseURL: baseURL.replace(/\/+$/, ''),
+        headers: {
+            Accept: 'application/json',
+            ...headers,
+        },
+        timeout: timeout,
+        maxRedirects: 0,
+    });
+}
+
+/**
+ * Returns the error raised by a request to a forge, with the HTTP status of the response.
+ * Requests that time out are 504 errors and redirects, which are not followed, 502 errors.
+ *
+ * @param {Error} err - The error raised by axios.
+ * @param {string} what - What was requested, for the message.
+ * @returns {Error} - The error, with a `status`.
+ */
+function forgeError(err, what) {
+    let status = err.response ? err.response.status : 502;
+    let message = err.message;
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+        status = 504;
+        message = 'the forge did not answer in time';
+    } else if (status >= 300 && status < 400) {
+        status = 502;
+        message = `the forge redirected the request to ${err.response.headers.location || 'another URL'}, which is not followed`;
+    }
+    const forgeErr = new Error(`Error fetching ${what}: ${message}`);
+    forgeErr.status = status;
+    return forgeErr;
+}
+
+/**
+ * Returns true if the response of a paginated request is not the last page, based on the
+ * pagination headers of GitLab (x-next-page) and Gitea (x-hasmore, x-total-count).
+ * Without pagination headers, a full page is assumed to be followed by another one.
+ *
+ * @param {Object} response - The axios response.
+ * @param {number} page - The number of the page, from 1.
+ * @param {number} perPage - The number of items per page.
+ * @returns {boolean}
+ */
+function hasNextPage(response, page, perPage) {
+    const headers = response.headers || {};
+    const items = Array.isArray(response.data) ? response.data.length : 0;
+
+    if (headers['x-next-page'] !== undefined) {
+        return headers['x-next-page'] !== '';
+    }
+    if (headers['x-hasmore'] !== undefined) {
+        return headers['x-hasmore'] === 'true';
+    }
+    if (headers['x-total-count'] !== undefined) {
+        return page * perPage < parseInt(headers['x-total-count'], 10);
+    }
+    return items === perPage;
+}
+
+/**
+ * Retrieves the text of a file, returning null if the forge answers 404.
+ *
+ * @param {Object} client - The axios instance.
+ * @param {string} url - The URL of the raw file, relative to the API.
+ * @param {Object} params - The query parameters.
+ * @param {string} path - The path of the file, for the logs.
+ * @returns {Promise<string|null>} - The content of the file, or null if it does not exist.
+ */
+async function getRawFile(client, url, params, path) {
+    try {
+        const response = await client.get(url, {
+            params: params,
+            responseType: 'text',
+            // Keep JSON files (codemeta.json, package.json) as text
+            transformResponse: data => data,
+        });
+        info(`${path} found.`);
+        return response.data;
+    } catch (err) {
+        if (err.response && err.response.status === 404) {
+            info(`${path} not found.`);
+        } else {
+            error(`Error fetching ${path}:`, err.message);
+        }
+        return null;
+    }
+}
+
+
+module.exports = {
+    FORGE_TIMEOUT,
+    createForgeClient,
+    forgeError,
+    hasNextPage,
+    getRawFile
+};
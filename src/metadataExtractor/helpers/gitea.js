@@ -0,0 +1,274 @@
+/*
+Forge provider for Gitea and Forgejo instances (e.g. Codeberg), based on the REST API v1.
+See createGitHubProvider in metadata.js for the provider interface.
+
+https://docs.gitea.com/api/
+*/
+
+const { resolveLimits, collectPages } = require('./metadata');
+const { spdxLicense } = require('./licenses');
+const { createForgeClient, forgeError, hasNextPage, getRawFile } = require('./forge');
+
+const CODEBERG_URL = 'https://codeberg.org';
+
+// Default maximum number of items per page of Gitea instances (MAX_RESPONSE_ITEMS)
+const GITEA_PAGE_SIZE = 50;
+
+
+/**
+ * Creates the forge provider of a Gitea (or Forgejo) instance.
+ *
+ * @param {Object} [options] - The options of the provider.
+ * @param {string} [options.baseUrl] - The URL of the instance. Defaults to https://codeberg.org.
+ * @param {string} [options.token] - An access token.
+ * @returns {Object} - The Gitea provider.
+ */
+function createGiteaProvider({ baseUrl = CODEBERG_URL, token } = {}) {
+    const webUrl = baseUrl.replace(/\/+$/, '');
+    const client = createForgeClient(`${webUrl}/api/v1`, token ? { Authorization: `token ${token}` } : {});
+    // Default branch of each repository, known once the repository has been queried
+    const defaultBranches = {};
+
+    const repoPath = (owner, repo) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+    const listPages = (path, params, limit, deadline, getItems = data => data) => collectPages(async (page, perPage) => {
+        const response = await client.get(path, {
+            params: { ...params, page: page, limit: perPage },
+        });
+        return {
+            items: getItems(response.data),
+            hasNextPage: hasNextPage(response, page, perPage),
+        };
+    }, limit, deadline, GITEA_PAGE_SIZE);
+
+    // Gitea users have no type: owners are organisations if they can be retrieved as such
+    const isOrganization = owner => client.get(`/orgs/${encodeURIComponent(owner)}`)
+        .then(() => true)
+        .catch(() => false);
+
+    // Optional parts of the API (licenses, packages) are missing in older instances
+    const orEmpty = promise => promise.catch(() => ({ items: [], truncated: false }));
+
+    async function resolveRef(owner, repo, ref) {
+        let commits;
+        try {
+            // The commits of a branch, tag or SHA, the first one being the commit of the ref
+            const response = await client.get(`${repoPath(owner, repo)}/commits`, {
+                params: { sha: ref || undefined, limit: 1, stat: false, verification: false, files: false },
+            });
+            commits = response.data;
+        } catch (err) {
+            // Gitea answers 409 for empty repositories
+            if (!ref && err.response && [404, 409].includes(err.response.status)) {
+                return null;
+            }
+            throw forgeError(err, `ref ${ref || 'HEAD'} of ${owner}/${repo}`);
+        }
+        if (!Array.isArray(commits) || commits.length === 0) {
+            if (!ref) {
+                return null;
+            }
+            const err = new Error(`Ref ${ref} not found in ${owner}/${repo}.`);
+            err.status = 404;
+            throw err;
+        }
+        return { sha: commits[0].sha, date: commits[0].commit.committer.date };
+    }
+
+    /**
+     * Retrieves a Gitea repository and transforms it to the shape of the GitHub GraphQL repository object.
+     * The commit history is the history of the ref, or of the default branch.
+     */
+    async function queryRepositoryObject(owner, repo, limits, ref) {
+        const resolvedLimits = resolveLimits(limits);
+        const deadline = Date.now() + resolvedLimits.timeBudget;
+
+        let repository;
+        try {
+            const response = await client.get(repoPath(owner, repo));
+            repository = response.data;
+        } catch (err) {
+            throw forgeError(err, `Gitea repository ${owner}/${repo}`);
+        }
+        defaultBranches[`${owner}/${repo}`] = repository.default_branch;
+
+        const releases = await listPages(`${repoPath(owner, repo)}/releases`, { draft: false },
+            resolvedLimits.releases, deadline);
+        const commits = repository.default_branch && !repository.empty
+            ? await listPages(`${repoPath(owner, repo)}/commits`,
+                { sha: ref || repository.default_branch, stat: false, verification: false, files: false },
+                resolvedLimits.commits, deadline)
+            : { items: [], truncated: false };
+        const topics = await orEmpty(listPages(`${repoPath(owner, repo)}/topics`, {},
+            resolvedLimits.topics, deadline, data => data.topics || []));
+        // Packages belong to the owner and may be linked to one of its repositories
+        const packages = await orEmpty(listPages(`/packages/${encodeURIComponent(owner)}`, {},
+            resolvedLimits.packages, deadline,
+            data => data.filter(item => item.repository && item.repository.name === repository.name)));
+        const licenses = await client.get(`${repoPath(owner, repo)}/licenses`)
+            .then(response => response.data || [])
+            .catch(() => []);
+
+        const releaseNodes = releases.items.map(release => ({
+            id: String(release.id),
+            tagName: release.tag_name,
+            name: release.name,
+            url: release.html_url,
+            createdAt: release.created_at,
+            publishedAt: release.published_at,
+            isPrerelease: Boolean(release.prerelease),
+            isDraft: Boolean(release.draft),
+            description: release.body || '',
+            releaseAssets: {
+                nodes: (release.assets || []).map(asset => ({
+                    name: asset.name,
+                    size: asset.size,
+                    downloadUrl: asset.browser_download_url,
+                    contentType: '',
+                    downloadCount: asset.download_count,
+                })),
+            },
+        }));
+        const license = licenses.length > 0 ? spdxLicense(licenses[0]) : null;
+        const inOrganization = await isOrganization(owner);
+
+        return {
+            description: repository.description,
+            descriptionHTML: null,
+            homepageUrl: repository.website || null,
+            isDisabled: false,
+            isEmpty: Boolean(repository.empty),
+            isFork: Boolean(repository.fork),
+            isInOrganization: inOrganization,
+            isLocked: Boolean(repository.archived),
+            isMirror: Boolean(repository.mirror),
+            isPrivate: Boolean(repository.private),
+            isTemplate: Boolean(repository.template),
+            latestRelease: releaseNodes.length > 0
+                ? { name: releaseNodes[0].name, tagName: releaseNodes[0].tagName }
+                : null,
+            licenseInfo: license
+                ? { id: license.spdxId, name: license.name, spdxId: license.spdxId, url: license.url }
+                : null,
+            name: repository.name,
+            mirrorUrl: repository.mirror ? repository.original_url || null : null,
+            url: repository.html_url,
+            defaultBranchRef: repository.default_branch
+                ? {
+                    name: repository.default_branch,
+                    target: {
+                        history: {
+                            edges: commits.items.map(commit => ({
+                                node: {
+                                    author: {
+                                        name: commit.commit.author.name,
+                                        email: commit.commit.author.email,
+                                        user: commit.author ? { login: commit.author.login } : null,
+                                    },
+                                },
+                            })),
+                        },
+                    },
+                }
+                : null,
+            // Releases in chronological order, as returned for GitHub
+            releases: { nodes: releaseNodes.reverse() },
+            packages: {
+                nodes: packages.items.map(item => ({
+                    id: String(item.id),
+                    name: item.name,
+                    packageType: String(item.type || '').toUpperCase(),
+                    version: { version: item.version, summary: '' },
+                    url: item.html_url || '',
+                })),
+            },
+            repositoryTopics: {
+                nodes: topics.items.map(topic => ({
+                    url: `${webUrl}/explore/repos?q=${encodeURIComponent(topic)}&topic=1`,
+                    topic: { id: topic, name: topic },
+                })),
+            },
+            truncated: {
+                commits: commits.truncated,
+                releases: releases.truncated,
+                packages: packages.truncated,
+                topics: topics.truncated,
+            },
+        };
+    }
+
+    async function listDirectory(owner, repo, path, ref) {
+        try {
+            const response = await client.get(`${repoPath(owner, repo)}/contents${path ? '/' + path : ''}`, {
+                params: { ref: ref },
+            });
+            if (!Array.isArray(response.data)) {
+                return [];
+            }
+            return response.data
+                .filter(entry => entry.type === 'file' || entry.type === 'dir')
+                .map(entry => ({ name: entry.name, type: entry.type === 'dir' ? 'tree' : 'blob' }));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function getFileContent(owner, repo, path, ref) {
+        const fileRef = ref || defaultBranches[`${owner}/${repo}`];
+        return getRawFile(client, `${repoPath(owner, repo)}/raw/${path.split('/').map(encodeURIComponent).join('/')}`,
+            fileRef ? { ref: fileRef } : {}, path);
+    }
+
+    /**
+     * Administrators are the owner of the repository, if it is a user, and the collaborators with admin permission.
+     */
+    async function getAdminLogins(owner, repo) {
+        try {
+            const admins = [];
+            if (!(await isOrganization(owner))) {
+                admins.push(owner);
+            }
+
+            const { data: collaborators } = await client.get(`${repoPath(owner, repo)}/collaborators`, {
+                params: { limit: GITEA_PAGE_SIZE },
+            });
+            for (const collaborator of collaborators) {
+                const { data: permission } = await client.get(
+                    `${repoPath(owner, repo)}/collaborators/${encodeURIComponent(collaborator.login)}/permission`
+                );
+                if (permission.permission === 'admin' || permission.permission === 'owner') {
+                    admins.push(collaborator.login);
+                }
+            }
+            return admins;
+        } catch (error) {
+            console.error('Error fetching admin collaborators:', error.message);
+            return [];
+        }
+    }
+
+    function fileUrl(owner, repo, path, ref) {
+        // Refs are resolved to commits before the extraction (see extractRepositoryMetadata)
+        if (ref) {
+            return `${webUrl}/${owner}/${repo}/src/commit/${ref}/${path}`;
+        }
+        const branch = defaultBranches[`${owner}/${repo}`] || 'main';
+        return `${webUrl}/${owner}/${repo}/src/branch/${branch}/${path}`;
+    }
+
+    return {
+        name: 'gitea',
+        resolveRef,
+        queryRepositoryObject,
+        listDirectory,
+        getFileContent,
+        getAdminLogins,
+        fileUrl,
+    };
+}
+
+
+module.exports = {
+    CODEBERG_URL,
+    createGiteaProvider
+};
@@ -0,0 +1,254 @@
+/*
+Forge provider for GitLab (gitlab.com and self-hosted instances), based on the REST API v4.
+See createGitHubProvider in metadata.js for the provider interface.
+
+https://docs.gitlab.com/ee/api/rest/
+*/
+
+const { DEFAULT_LIMITS, resolveLimits, collectPages } = require('./metadata');
+const { createForgeClient, forgeError, hasNextPage, getRawFile } = require('./forge');
+
+const GITLAB_URL = 'https://gitlab.com';
+
+// Maximum number of items per page accepted by the GitLab API
+const GITLAB_PAGE_SIZE = 100;
+
+// Access level of the Maintainer role (Owner is 50)
+const MAINTAINER_ACCESS_LEVEL = 40;
+
+
+/**
+ * Creates the forge provider of a GitLab instance.
+ *
+ * The owner of a repository is its namespace: a user, a group or a subgroup (e.g. "group/subgroup").
+ *
+ * @param {Object} [options] - The options of the provider.
+ * @param {string} [options.baseUrl] - The URL of the GitLab instance. Defaults to https://gitlab.com.
+ * @param {string} [options.token] - A personal, project or group access token.
+ * @returns {Object} - The GitLab provider.
+ */
+function createGitLabProvider({ baseUrl = GITLAB_URL, token } = {}) {
+    const webUrl = baseUrl.replace(/\/+$/, '');
+    const client = createForgeClient(`${webUrl}/api/v4`, token ? { 'PRIVATE-TOKEN': token } : {});
+    // Default branch of each repository, known once the repository has been queried
+    const defaultBranches = {};
+
+    const projectPath = (owner, repo) => `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+
+    const listPages = (owner, repo, path, params, limit, deadline) => collectPages(async (page, perPage) => {
+        const response = await client.get(`${projectPath(owner, repo)}${path}`, {
+            params: { ...params, page: page, per_page: perPage },
+        });
+        return {
+            items: response.data,
+            hasNextPage: hasNextPage(response, page, perPage),
+        };
+    }, limit, deadline, GITLAB_PAGE_SIZE);
+
+    async function resolveRef(owner, repo, ref) {
+        try {
+            const response = await client.get(
+                `${projectPath(owner, repo)}/repository/commits/${encodeURIComponent(ref || 'HEAD')}`
+            );
+            return { sha: response.data.id, date: response.data.committed_date };
+        } catch (err) {
+            if (!ref && err.response && err.response.status === 404) {
+                return null;
+            }
+            throw forgeError(err, `ref ${ref || 'HEAD'} of ${owner}/${repo}`);
+        }
+    }
+
+    /**
+     * Retrieves a GitLab project and transforms it to the shape of the GitHub GraphQL repository object.
+     * The commit history is the history of the ref, or of the default branch.
+     */
+    async function queryRepositoryObject(owner, repo, limits, ref) {
+        const resolvedLimits = resolveLimits(limits);
+        const deadline = Date.now() + resolvedLimits.timeBudget;
+
+        let project;
+        try {
+            const response = await client.get(projectPath(owner, repo), { params: { license: true } });
+            project = response.data;
+        } catch (err) {
+            throw forgeError(err, `GitLab project ${owner}/${repo}`);
+        }
+        defaultBranches[`${owner}/${repo}`] = project.default_branch;
+
+        const releases = await listPages(owner, repo, '/releases', { order_by: 'released_at', sort: 'desc' },
+            resolvedLimits.releases, deadline);
+        const commits = project.default_branch && !project.empty_repo
+            ? await listPages(owner, repo, '/repository/commits', { ref_name: ref || project.default_branch },
+                resolvedLimits.commits, deadline)
+            : { items: [], truncated: false };
+        // The packages registry may be disabled for the project
+        const packages = await listPages(owner, repo, '/packages', {}, resolvedLimits.packages, deadline)
+            .catch(() => ({ items: [], truncated: false }));
+        const topics = project.topics || project.tag_list || [];
+
+        const releaseNodes = releases.items.map(release => ({
+            id: release.tag_name,
+            tagName: release.tag_name,
+            name: release.name,
+            url: release._links ? release._links.self : `${project.web_url}/-/releases/${release.tag_name}`,
+            createdAt: release.created_at,
+            publishedAt: release.released_at,
+            // GitLab releases have no pre-release flag: pre-releases are known from their version
+            isPrerelease: false,
+            isDraft: false,
+            description: release.description || '',
+            releaseAssets: {
+                // Asset links have no size nor download count
+                nodes: (release.assets && release.assets.links ? release.assets.links : []).map(link => ({
+                    name: link.name,
+                    size: null,
+                    downloadUrl: link.direct_asset_url || link.url,
+                    contentType: '',
+                    downloadCount: null,
+                })),
+            },
+        }));
+
+        return {
+            description: project.description,
+            descriptionHTML: null,
+            homepageUrl: null,
+            isDisabled: false,
+            isEmpty: Boolean(project.empty_repo),
+            isFork: Boolean(project.forked_from_project),
+            isInOrganization: Boolean(project.namespace && project.namespace.kind === 'group'),
+            isLocked: Boolean(project.archived),
+            isMirror: Boolean(project.mirror),
+            isPrivate: project.visibility !== 'public',
+            isTemplate: false,
+            latestRelease: releaseNodes.length > 0
+                ? { name: releaseNodes[0].name, tagName: releaseNodes[0].tagName }
+                : null,
+            licenseInfo: project.license
+                ? {
+                    id: project.license.key,
+                    name: project.license.name,
+                    spdxId: '',
+                    url: project.license.html_url || project.license_url,
+                }
+                : null,
+            name: project.name,
+            mirrorUrl: null,
+            url: project.web_url,
+            defaultBranchRef: project.default_branch
+                ? {
+                    name: project.default_branch,
+                    target: {
+                        history: {
+                            edges: commits.items.map(commit => ({
+                                node: {
+                                    // GitLab commits are not linked to user accounts
+                                    author: { name: commit.author_name, email: commit.author_email, user: null },
+                                },
+                            })),
+                        },
+                    },
+                }
+                : null,
+            // Releases in chronological order, as returned for GitHub
+            releases: { nodes: releaseNodes.reverse() },
+            packages: {
+                nodes: packages.items.map(item => ({
+                    id: String(item.id),
+                    name: item.name,
+                    packageType: String(item.package_type || '').toUpperCase(),
+                    version: { version: item.version, summary: '' },
+                    url: item._links && item._links.web_path ? `${webUrl}${item._links.web_path}` : '',
+                })),
+            },
+            repositoryTopics: {
+                nodes: topics.slice(0, resolvedLimits.topics).map(topic => ({
+                    url: `${webUrl}/explore/projects/topics/${encodeURIComponent(topic)}`,
+                    topic: { id: topic, name: topic },
+                })),
+            },
+            truncated: {
+                commits: commits.truncated,
+                releases: releases.truncated,
+                packages: packages.truncated,
+                topics: topics.length > resolvedLimits.topics,
+            },
+        };
+    }
+
+    async function listDirectory(owner, repo, path, ref) {
+        try {
+            // Directories with more entries than a page are listed page by page
+            const entries = await listPages(owner, repo, '/repository/tree', { path: path || undefined, ref: ref },
+                Infinity, Date.now() + DEFAULT_LIMITS.timeBudget);
+            return entries.items
+                .filter(entry => entry.type === 'blob' || entry.type === 'tree')
+                .map(entry => ({ name: entry.name, type: entry.type }));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function getFileContent(owner, repo, path, ref) {
+        return getRawFile(client, `${projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}/raw`,
+            { ref: ref || defaultBranches[`${owner}/${repo}`] || 'HEAD' }, path);
+    }
+
+    async function getAdminLogins(owner, repo) {
+        try {
+            const response = await client.get(`${projectPath(owner, repo)}/members/all`, {
+                params: { per_page: GITLAB_PAGE_SIZE },
+            });
+            return response.data
+                .filter(member => member.access_level >= MAINTAINER_ACCESS_LEVEL)
+                .map(member => member.username);
+        } catch (error) {
+            console.error('Error fetching project maintainers:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * The pipelines of GitLab CI are the runs of .gitlab-ci.yml: the latest finished pipeline of the default branch.
+     */
+    async function getWorkflowRuns(owner, repo) {
+        const conclusions = { success: 'success', failed: 'failure', canceled: 'cancelled', skipped: 'skipped' };
+        try {
+            const response = await client.get(`${projectPath(owner, repo)}/pipelines`, {
+                params: { ref: defaultBranches[`${owner}/${repo}`], scope: 'finished', per_page: 1 },
+            });
+            return response.data.slice(0, 1).map(pipeline => ({
+                workflow: '.gitlab-ci.yml',
+                conclusion: conclusions[pipeline.status] || pipeline.status,
+                url: pipeline.web_url,
+                date: pipeline.updated_at || pipeline.created_at,
+            }));
+        } catch (error) {
+            console.error('Error fetching pipelines:', error.message);
+            return [];
+        }
+    }
+
+    function fileUrl(owner, repo, path, ref) {
+        const branch = ref || defaultBranches[`${owner}/${repo}`] || 'HEAD';
+        return `${webUrl}/${owner}/${repo}/-/blob/${branch}/${path}`;
+    }
+
+    return {
+        name: 'gitlab',
+        resolveRef,
+        queryRepositoryObject,
+        listDirectory,
+        getFileContent,
+        getAdminLogins,
+        getWorkflowRuns,
+        fileUrl,
+    };
+}
+
+
+module.exports = {
+    GITLAB_URL,
+    createGitLabProvider
+};
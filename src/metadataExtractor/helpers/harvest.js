@@ -0,0 +1,561 @@
+/*
+Harvesting of metadata files already present in a repository (codemeta.json, .zenodo.json
+and package manifests) and merging of their content into the observatory metadata.
+
+Precedence, from highest to lowest:
+  1. CITATION.cff (see parseCitationCFF)
+  2. codemeta.json
+  3. .zenodo.json
+  4. package manifests (package.json)
+  5. GitHub API
+
+Sources are applied from the lowest to the highest precedence: single values (name, date_released,
+license_expression) are overwritten, lists are merged without duplicates and the curated authors of the
+source come first, completed with the ORCID, email and affiliation known from the previous ones, which are kept.
+Versions complete the releases with the same version (see mergeVersions) and licenses are identified by
+their SPDX identifier (see normaliseLicenses).
+*/
+
+const TOML = require('@iarna/toml');
+const { mergeVersions } = require('./releases');
+const { spdxLicense, parseLicenseExpression, normaliseLicenses } = require('./licenses');
+
+// Metadata files harvested, from highest to lowest precedence
+const HARVEST_SOURCES = [
+    'codemeta.json',
+    '.zenodo.json',
+    'package.json',
+];
+
+// List fields merged from the harvested files
+const MERGED_LIST_FIELDS = [
+    'label',
+    'description',
+    'webpage',
+    'repository',
+    'links',
+    'tags',
+    'languages',
+    'os',
+];
+
+
+/**
+ * Returns a value as a list: arrays are returned as they are, other values are wrapped.
+ *
+ * @param {*} value - The value.
+ * @returns {Array} - The list, empty if the value is undefined or null.
+ */
+function asList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Normalises a name for comparison: lower case, without accents, punctuation and extra spaces.
+ *
+ * @param {string} name - The name.
+ * @returns {string} - The normalised name.
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[̀-ͯ]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalises an ORCID to its URL form (https://orcid.org/XXXX-XXXX-XXXX-XXXX).
+ *
+ * @param {string} orcid - The ORCID, as an identifier or a URL.
+ * @returns {string} - The ORCID URL, or an empty string if the value is not an ORCID.
+ */
+function normalizeORCID(orcid) {
+    const match = /(\d{4}-\d{4}-\d{4}-\d{3}[0-9X])/.exec(String(orcid || ''));
+    return match ? `https://orcid.org/${match[1]}` : '';
+}
+
+/**
+ * Returns true if two observatory authors are the same person: same GitHub login, ORCID, email or name.
+ *
+ * @param {Object} a - An observatory author.
+ * @param {Object} b - Another observatory author.
+ * @returns {boolean}
+ */
+function isSameAuthor(a, b) {
+    if (a.login && b.login && a.login.toLowerCase() === b.login.toLowerCase()) {
+        return true;
+    }
+    if (a.orcid && b.orcid) {
+        return a.orcid === b.orcid;
+    }
+    if (a.email && b.email && a.email.toLowerCase() === b.email.toLowerCase()) {
+        return true;
+    }
+    return Boolean(a.name) && normalizeName(a.name) === normalizeName(b.name);
+}
+
+/**
+ * Merges a curated list of authors into the known ones. Curated authors come first, completing their
+ * empty fields (email, ORCID, affiliation, url, GitHub login and commit count) with the ones of the same
+ * author in the previous list (see isSameAuthor); the previous authors they do not match (e.g. the other
+ * committers) follow, unchanged.
+ *
+ * @param {Object[]} previous - The authors known so far.
+ * @param {Object[]} curated - The authors of the source with higher precedence.
+ * @returns {Object[]} - The merged authors.
+ */
+function mergeAuthors(previous, curated) {
+    const matched = new Set();
+    const merged = curated.map(author => {
+        const known = previous.find(item => !matched.has(item) && isSameAuthor(item, author));
+        if (!known) {
+            return author;
+        }
+        matched.add(known);
+        const completed = { ...author };
+        ['email', 'orcid', 'affiliation', 'url', 'login', 'commits'].forEach(field => {
+            if (!completed[field] && known[field]) {
+                completed[field] = known[field];
+            }
+        });
+        completed.maintainer = Boolean(author.maintainer || known.maintainer);
+        return completed;
+    });
+    return merged.concat(previous.filter(author => !matched.has(author)));
+}
+
+/**
+ * Parses a person given as "Name <email> (url)", as in package.json.
+ *
+ * @param {string|Object} person - The person, as a string or as { name, email, url }.
+ * @returns {Object} - The observatory author.
+ */
+function parsePersonString(person) {
+    if (person && typeof person === 'object') {
+        return {
+            name: person.name || '',
+            type: 'person',
+            email: person.email || '',
+            maintainer: false,
+            orcid: '',
+            affiliation: '',
+            url: person.url || '',
+        };
+    }
+
+    const match = /^([^<(]*)(?:<([^>]*)>)?\s*(?:\(([^)]*)\))?/.exec(String(person || ''));
+    return {
+        name: (match[1] || '').trim(),
+        type: 'person',
+        email: (match[2] || '').trim(),
+        maintainer: false,
+        orcid: '',
+        affiliation: '',
+        url: (match[3] || '').trim(),
+    };
+}
+
+/**
+ * Returns the text of a schema.org value, which can be a string or an object with a name.
+ *
+ * @param {string|Object} value - The value.
+ * @returns {string} - The text.
+ */
+function schemaText(value) {
+    if (value && typeof value === 'object') {
+        return value.name || value['@value'] || value['@id'] || value.id || '';
+    }
+    return value ? String(value) : '';
+}
+
+/**
+ * Maps a codemeta.json person or organization to an observatory author.
+ *
+ * @param {Object} person - The CodeMeta person or organization.
+ * @returns {Object} - The observatory author.
+ */
+function codemetaPersonToAuthor(person) {
+    if (typeof person === 'string') {
+        return parsePersonString(person);
+    }
+
+    const type = person['@type'] || person.type || 'Person';
+    const isOrganization = /Organization$/.test(type);
+    const name = person.name || [person.givenName, person.familyName].filter(Boolean).join(' ');
+    const id = person['@id'] || person.id || '';
+
+    return {
+        name: name,
+        type: isOrganization ? 'organization' : 'person',
+        email: person.email ? String(person.email).replace(/^mailto:/, '') : '',
+        maintainer: false,
+        orcid: normalizeORCID(id),
+        affiliation: asList(person.affiliation).map(schemaText).filter(Boolean).join('; '),
+        url: person.url || '',
+    };
+}
+
+/**
+ * Maps the content of a codemeta.json file (CodeMeta 2.0 or 3.0) to partial observatory metadata.
+ *
+ * @param {string} content - The content of the codemeta.json file.
+ * @returns {Object} - The partial observatory metadata.
+ */
+function parseCodeMetaFile(content) {
+    const codemeta = JSON.parse(content);
+    const meta = {};
+
+    meta.name = codemeta.name;
+    meta.label = asList(codemeta.name);
+    meta.description = asList(codemeta.description);
+    meta.webpage = asList(codemeta.url);
+    meta.repository = asList(codemeta.codeRepository).map(schemaText);
+    meta.links = asList(codemeta.relatedLink).concat(asList(codemeta.issueTracker)).map(schemaText);
+    meta.version = asList(codemeta.version || codemeta.softwareVersion).map(String);
+    meta.license = asList(codemeta.license).map(schemaText).filter(Boolean).map(spdxLicense);
+    meta.tags = typeof codemeta.keywords === 'string'
+        ? codemeta.keywords.split(',').map(keyword => keyword.trim())
+        : asList(codemeta.keywords).map(schemaText);
+    meta.languages = asList(codemeta.programmingLanguage).map(schemaText);
+    meta.os = asList(codemeta.operatingSystem).map(schemaText);
+    meta.date_released = codemeta.datePublished;
+
+    const authors = asList(codemeta.author).concat(asList(codemeta.creator)).map(codemetaPersonToAuthor);
+    const maintainers = asList(codemeta.maintainer).map(codemetaPersonToAuthor);
+    maintainers.forEach(maintainer => {
+        const author = authors.find(item => isSameAuthor(item, maintainer));
+        if (author) {
+            author.maintainer = true;
+        } else {
+            authors.push({ ...maintainer, maintainer: true });
+        }
+    });
+    meta.authors = authors;
+
+    meta.funding = asList(codemeta.funding).map(funding => {
+        if (typeof funding === 'string') {
+            return { name: funding, funder: '', identifier: '' };
+        }
+        return {
+            name: funding.name || '',
+            funder: asList(funding.funder).map(schemaText).join('; '),
+            identifier: funding.identifier ? schemaText(funding.identifier) : '',
+        };
+    });
+    asList(codemeta.funder).map(schemaText).filter(Boolean).forEach(funder => {
+        if (!meta.funding.some(item => item.funder === funder)) {
+            meta.funding.push({ name: '', funder: funder, identifier: '' });
+        }
+    });
+
+    meta.identifiers = asList(codemeta.identifier).map(schemaText).filter(Boolean).map(identifier => {
+        const doi = /(?:doi\.org\/|^doi:)?(10\.\d{4,9}\/\S+)$/i.exec(identifier);
+        if (doi) {
+            return { type: 'doi', value: doi[1], url: `https://doi.org/${doi[1]}`, description: '' };
+        }
+        return { type: /^https?:\/\//.test(identifier) ? 'url' : 'other', value: identifier, url: '', description: '' };
+    });
+
+    meta.publication = asList(codemeta.referencePublication).map(publication => {
+        if (typeof publication === 'string') {
+            const doi = /(10\.\d{4,9}\/\S+)$/.exec(publication);
+            return { title: '', year: '', doi: doi ? doi[1] : '', url: publication };
+        }
+        const id = schemaText(publication.identifier) || publication['@id'] || '';
+        const doi = /(10\.\d{4,9}\/\S+)$/.exec(id);
+        return {
+            title: publication.name || publication.title || '',
+            year: publication.datePublished ? String(publication.datePublished).slice(0, 4) : '',
+            doi: doi ? doi[1] : '',
+            url: publication.url || '',
+        };
+    });
+
+    return meta;
+}
+
+/**
+ * Maps a .zenodo.json creator or contributor to an observatory author.
+ * Zenodo names are written "Family name, Given names".
+ *
+ * @param {Object} creator - The Zenodo creator: { name, affiliation, orcid }.
+ * @returns {Object} - The observatory author.
+ */
+function zenodoCreatorToAuthor(creator) {
+    const parts = String(creator.name || '').split(',').map(part => part.trim());
+    const name = parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : String(creator.name || '');
+
+    return {
+        name: name,
+        type: 'person',
+        email: '',
+        maintainer: creator.type === 'ContactPerson',
+        orcid: normalizeORCID(creator.orcid),
+        affiliation: creator.affiliation || '',
+        url: '',
+    };
+}
+
+/**
+ * Maps the content of a .zenodo.json file to partial observatory metadata.
+ *
+ * @param {string} content - The content of the .zenodo.json file.
+ * @returns {Object} - The partial observatory metadata.
+ */
+function parseZenodoFile(content) {
+    const zenodo = JSON.parse(content);
+    const meta = {};
+
+    meta.label = asList(zenodo.title);
+    // Zenodo descriptions are HTML
+    meta.description = asList(zenodo.description).map(description => String(description).replace(/<[^>]+>/g, '').trim());
+    meta.version = asList(zenodo.version).map(String);
+    meta.tags = asList(zenodo.keywords).map(String);
+    meta.license = asList(zenodo.license).map(license => spdxLicense(typeof license === 'object' ? license.id : license));
+    meta.date_released = zenodo.publication_date;
+
+    meta.authors = asList(zenodo.creators).map(zenodoCreatorToAuthor);
+    asList(zenodo.contributors)
+        .filter(contributor => contributor.type === 'ContactPerson')
+        .map(zenodoCreatorToAuthor)
+        .forEach(contact => {
+            const author = meta.authors.find(item => isSameAuthor(item, contact));
+            if (author) {
+                author.maintainer = true;
+            } else {
+                meta.authors.push(contact);
+            }
+        });
+
+    // Grants are written "<funder DOI>::<grant number>" or as a grant number of the EC
+    meta.funding = asList(zenodo.grants).map(grant => {
+        const [funder, identifier] = String(grant.id || '').includes('::')
+            ? String(grant.id).split('::')
+            : ['10.13039/501100000780', String(grant.id || '')];
+        return { name: '', funder: `https://doi.org/${funder}`, identifier: identifier };
+    });
+
+    meta.identifiers = asList(zenodo.doi).map(doi => ({ type: 'doi', value: doi, url: `https://doi.org/${doi}`, description: '' }));
+
+    const related = asList(zenodo.related_identifiers);
+    meta.links = related
+        .filter(item => /^https?:\/\//.test(item.identifier || '') && item.relation !== 'isSupplementTo')
+        .map(item => item.identifier);
+    meta.repository = related
+        .filter(item => item.relation === 'isSupplementTo' && /^https?:\/\//.test(item.identifier || ''))
+        .map(item => item.identifier);
+    meta.publication = related
+        .filter(item => item.scheme === 'doi' && ['isDocumentedBy', 'isDescribedBy', 'isCitedBy', 'cites', 'isSupplementTo'].includes(item.relation))
+        .map(item => ({ title: '', year: '', doi: item.identifier.replace(/^https?:\/\/doi\.org\//, ''), url: '' }));
+
+    return meta;
+}
+
+/**
+ * Maps the descriptive fields of a package.json file to partial observatory metadata.
+ *
+ * @param {string} content - The content of the package.json file.
+ * @returns {Object} - The partial observatory metadata.
+ */
+function parsePackageJSONFile(content) {
+    const pkg = JSON.parse(content);
+    const meta = {};
+
+    meta.label = asList(pkg.name);
+    meta.description = asList(pkg.description);
+    meta.version = asList(pkg.version).map(String);
+    meta.tags = asList(pkg.keywords).map(String);
+    meta.webpage = asList(pkg.homepage);
+    meta.languages = ['JavaScript'];
+
+    const license = typeof pkg.license === 'object' && pkg.license ? pkg.license.type : pkg.license;
+    const expression = license && license !== 'UNLICENSED' ? parseLicenseExpression(license) : null;
+    meta.license = expression ? expression.ids.map(spdxLicense) : [];
+    meta.license_expression = expression ? expression.expression : null;
+
+    const repository = typeof pkg.repository === 'object' && pkg.repository ? pkg.repository.url : pkg.repository;
+    meta.repository = asList(repository)
+        .map(url => String(url).replace(/^git\+/, '').replace(/\.git$/, '').replace(/^github:/, 'https://github.com/'));
+
+    meta.authors = asList(pkg.author).concat(asList(pkg.contributors)).map(parsePersonString);
+    asList(pkg.maintainers).map(parsePersonString).forEach(maintainer => {
+        const author = meta.authors.find(item => isSameAuthor(item, maintainer));
+        if (author) {
+            author.maintainer = true;
+        }
+    });
+
+    return meta;
+}
+
+/**
+ * Maps the descriptive fields of a pyproject.toml file ([project] table, or [tool.poetry]) to partial
+ * observatory metadata. The file is not harvested (see HARVEST_SOURCES) but compared with the other
+ * sources to detect drift (see drift.js).
+ *
+ * @param {string} content - The content of the pyproject.toml file.
+ * @returns {Object} - The partial observatory metadata.
+ */
+function parsePyprojectFile(content) {
+    const pyproject = TOML.parse(content);
+    const project = pyproject.project || {};
+    const poetry = (pyproject.tool && pyproject.tool.poetry) || {};
+    const meta = {};
+
+    meta.label = asList(project.name || poetry.name);
+    meta.description = asList(project.description || poetry.description);
+    meta.version = asList(project.version || poetry.version).map(String);
+    meta.tags = asList(project.keywords || poetry.keywords).map(String);
+    meta.languages = ['Python'];
+
+    // An SPDX expression (PEP 639), or a table with the text or the file of the license
+    const license = project.license || poetry.license;
+    const text = typeof license === 'object' && license ? license.text : license;
+    const expression = text && /^[\w.+\-() ]+$/.test(text) ? parseLicenseExpression(text) : null;
+    meta.license = expression ? expression.ids.map(spdxLicense) : [];
+    meta.license_expression = expression ? expression.expression : null;
+
+    const urls = Object.entries(project.urls || poetry.urls || {});
+    const url = pattern => urls.filter(([label]) => pattern.test(label)).map(([, value]) => value);
+    meta.repository = url(/^(repository|source|source code|code)$/i).concat(asList(poetry.repository));
+    meta.webpage = url(/^(homepage|home)$/i).concat(asList(poetry.homepage));
+
+    meta.authors = asList(project.authors).concat(asList(poetry.authors)).map(parsePersonString);
+    asList(project.maintainers).concat(asList(poetry.maintainers)).map(parsePersonString).forEach(maintainer => {
+        const author = meta.authors.find(item => isSameAuthor(item, maintainer));
+        if (author) {
+            author.maintainer = true;
+        }
+    });
+
+    return meta;
+}
+
+// Parser of each harvested file
+const HARVEST_PARSERS = {
+    'codemeta.json': parseCodeMetaFile,
+    '.zenodo.json': parseZenodoFile,
+    'package.json': parsePackageJSONFile,
+};
+
+/**
+ * Merges partial metadata harvested from a file into the observatory metadata.
+ * The partial metadata has higher precedence than the metadata it is merged into.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @param {Object} partial - The partial metadata of the harvested file.
+ * @returns {Object} - The merged metadata.
+ */
+function mergeHarvestedMetadata(metadata, partial) {
+    if (partial.name) {
+        metadata.name = partial.name;
+    }
+    if (partial.date_released) {
+        metadata.date_released = String(partial.date_released);
+    }
+
+    MERGED_LIST_FIELDS.forEach(field => {
+        const values = asList(partial[field]).filter(Boolean);
+        metadata[field] = asList(metadata[field]);
+        values.forEach(value => {
+            if (!metadata[field].includes(value)) {
+                metadata[field].push(value);
+            }
+        });
+    });
+
+    // Versions are release objects (see releases.js): harvested versions complete the known ones
+    metadata.version = mergeVersions(asList(metadata.version), asList(partial.version).filter(Boolean));
+
+    metadata.license = normaliseLicenses(asList(metadata.license).concat(asList(partial.license)));
+    if (partial.license_expression) {
+        metadata.license_expression = partial.license_expression;
+    }
+
+    if (asList(partial.authors).length > 0) {
+        metadata.authors = mergeAuthors(asList(metadata.authors), partial.authors.filter(author => author.name));
+    }
+
+    metadata.funding = asList(metadata.funding);
+    asList(partial.funding).forEach(funding => {
+        if (!metadata.funding.some(item => item.funder === funding.funder && item.identifier === funding.identifier && item.name === funding.name)) {
+            metadata.funding.push(funding);
+        }
+    });
+
+    metadata.identifiers = asList(metadata.identifiers);
+    asList(partial.identifiers).forEach(identifier => {
+        if (!metadata.identifiers.some(item => item.type === identifier.type && item.value === identifier.value)) {
+            metadata.identifiers.push(identifier);
+        }
+    });
+
+    metadata.publication = asList(metadata.publication);
+    asList(partial.publication).forEach(publication => {
+        const known = metadata.publication.some(item =>
+            (publication.doi && item.doi === publication.doi) || (publication.title && item.title === publication.title)
+        );
+        if (!known) {
+            metadata.publication.push(publication);
+        }
+    });
+
+    return metadata;
+}
+
+/**
+ * Parses the harvested metadata files and merges them into the observatory metadata,
+ * from the lowest to the highest precedence (see HARVEST_SOURCES).
+ * Files that cannot be parsed are skipped and reported in `harvest_warnings`.
+ *
+ * @param {Object} metadata - The observatory metadata built from the GitHub API.
+ * @param {Object} files - The content of the harvested files, by path. Missing files are null or undefined.
+ * @returns {Object} - The merged metadata. The paths of the merged files are listed in `harvested_files`.
+ */
+function harvestMetadataFiles(metadata, files) {
+    metadata.harvested_files = [];
+    metadata.harvest_warnings = [];
+
+    HARVEST_SOURCES.slice().reverse().forEach(path => {
+        if (!files[path]) {
+            return;
+        }
+        try {
+            const partial = HARVEST_PARSERS[path](files[path]);
+            metadata = mergeHarvestedMetadata(metadata, partial);
+            metadata.harvested_files.unshift(path);
+        } catch (error) {
+            console.error(`Error parsing ${path}:`, error);
+            metadata.harvest_warnings.push(`${path} could not be parsed: ${error.message}`);
+        }
+    });
+
+    return metadata;
+}
+
+
+module.exports = {
+    HARVEST_SOURCES,
+    HARVEST_PARSERS,
+    spdxLicense,
+    asList,
+    normalizeName,
+    normalizeORCID,
+    isSameAuthor,
+    mergeAuthors,
+    parsePersonString,
+    codemetaPersonToAuthor,
+    parseCodeMetaFile,
+    zenodoCreatorToAuthor,
+    parseZenodoFile,
+    parsePackageJSONFile,
+    parsePyprojectFile,
+    mergeHarvestedMetadata,
+    harvestMetadataFiles
+};
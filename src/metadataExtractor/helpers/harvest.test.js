@@ -0,0 +1,121 @@
+const {
+    normalizeORCID,
+    isSameAuthor,
+    mergeAuthors,
+    parsePersonString,
+    parseCodeMetaFile,
+    parseZenodoFile,
+    parsePackageJSONFile,
+    harvestMetadataFiles,
+} = require('./harvest');
+
+describe('authors', () => {
+    test('normalizes ORCIDs to their URL', () => {
+        expect(normalizeORCID('0000-0001-2345-678X')).toBe('https://orcid.org/0000-0001-2345-678X');
+        expect(normalizeORCID('http://orcid.org/0000-0001-2345-6789')).toBe('https://orcid.org/0000-0001-2345-6789');
+        expect(normalizeORCID('not an orcid')).toBe('');
+    });
+
+    test('matches authors by login, ORCID, email or name', () => {
+        expect(isSameAuthor({ login: 'Eva' }, { login: 'eva' })).toBe(true);
+        expect(isSameAuthor({ email: 'EVA@bsc.es' }, { email: 'eva@bsc.es' })).toBe(true);
+        expect(isSameAuthor({ orcid: 'a', name: 'Eva' }, { orcid: 'b', name: 'Eva' })).toBe(false);
+    });
+
+    test('curated authors keep the details already known', () => {
+        const merged = mergeAuthors(
+            [{ name: 'Eva Martin', email: 'eva@bsc.es', login: 'evamart', commits: 10 }],
+            [{ name: 'Eva Martin', orcid: 'https://orcid.org/1', maintainer: true }]
+        );
+        expect(merged).toEqual([{
+            name: 'Eva Martin',
+            orcid: 'https://orcid.org/1',
+            email: 'eva@bsc.es',
+            login: 'evamart',
+            commits: 10,
+            maintainer: true,
+        }]);
+    });
+
+    test('keeps the committers that are not curated', () => {
+        const committers = [
+            { name: 'Ana Lopez', email: 'ana@bsc.es', login: 'analopez', commits: 25 },
+            { name: 'Eva Martin', email: 'EVA@bsc.es', login: 'evamart', commits: 10 },
+            { name: 'Joan Puig', email: 'joan@bsc.es', commits: 3 },
+        ];
+        const metadata = harvestMetadataFiles({ name: 'tool', authors: committers }, {
+            'package.json': JSON.stringify({ name: 'tool', author: 'Eva M. <eva@bsc.es> (https://bsc.es)' }),
+        });
+        expect(metadata.authors).toEqual([
+            expect.objectContaining({ name: 'Eva M.', email: 'eva@bsc.es', url: 'https://bsc.es', login: 'evamart', commits: 10 }),
+            committers[0],
+            committers[2],
+        ]);
+    });
+
+    test('parses npm person strings', () => {
+        expect(parsePersonString('Eva Martin <eva@bsc.es> (https://bsc.es)')).toMatchObject({
+            name: 'Eva Martin',
+            email: 'eva@bsc.es',
+            url: 'https://bsc.es',
+        });
+    });
+});
+
+describe('parseCodeMetaFile', () => {
+    test('maps authors, maintainers, funding and identifiers', () => {
+        const meta = parseCodeMetaFile(JSON.stringify({
+            name: 'tool',
+            keywords: 'a, b',
+            author: [{ '@type': 'Person', givenName: 'Eva', familyName: 'Martin', '@id': 'https://orcid.org/0000-0001-2345-6789' }],
+            maintainer: { '@type': 'Person', givenName: 'Eva', familyName: 'Martin' },
+            funding: 'H2020',
+            identifier: 'https://doi.org/10.5281/zenodo.1',
+        }));
+        expect(meta.tags).toEqual(['a', 'b']);
+        expect(meta.authors).toHaveLength(1);
+        expect(meta.authors[0]).toMatchObject({ name: 'Eva Martin', maintainer: true });
+        expect(meta.funding).toEqual([{ name: 'H2020', funder: '', identifier: '' }]);
+        expect(meta.identifiers[0]).toMatchObject({ type: 'doi', value: '10.5281/zenodo.1' });
+    });
+});
+
+describe('parseZenodoFile', () => {
+    test('maps creators, grants and related identifiers', () => {
+        const meta = parseZenodoFile(JSON.stringify({
+            title: 'Tool',
+            description: '<p>A tool</p>',
+            creators: [{ name: 'Martin, Eva', orcid: '0000-0001-2345-6789' }],
+            grants: [{ id: '10.13039/501100000780::823830' }],
+            related_identifiers: [{ identifier: 'https://github.com/inab/tool', relation: 'isSupplementTo' }],
+        }));
+        expect(meta.description).toEqual(['A tool']);
+        expect(meta.funding).toEqual([{ name: '', funder: 'https://doi.org/10.13039/501100000780', identifier: '823830' }]);
+        expect(meta.repository).toEqual(['https://github.com/inab/tool']);
+    });
+});
+
+describe('parsePackageJSONFile', () => {
+    test('maps the license expression and the repository', () => {
+        const meta = parsePackageJSONFile(JSON.stringify({
+            name: 'tool',
+            license: '(MIT OR Apache-2.0)',
+            repository: 'git+https://github.com/inab/tool.git',
+        }));
+        expect(meta.license.map(license => license.spdxId)).toEqual(['MIT', 'Apache-2.0']);
+        expect(meta.repository).toEqual(['https://github.com/inab/tool']);
+    });
+});
+
+describe('harvestMetadataFiles', () => {
+    test('merges the files and reports the ones that cannot be parsed', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const metadata = harvestMetadataFiles({ label: ['tool'] }, {
+            'codemeta.json': JSON.stringify({ name: 'tool', description: 'From CodeMeta' }),
+            'package.json': '{ not json',
+        });
+        expect(metadata.harvested_files).toEqual(['codemeta.json']);
+        expect(metadata.description).toEqual(['From CodeMeta']);
+        expect(metadata.harvest_warnings[0]).toMatch(/^package.json could not be parsed/);
+    });
+});
@@ -0,0 +1,158 @@
+/*
+Detection of publication identifiers anywhere in a text (usually the README):
+DOIs (bare, doi.org links and DOI badges), Zenodo records, arXiv identifiers and PubMed/PMC identifiers.
+*/
+
+// Characters that can end a DOI in Markdown or HTML but are not part of it
+const DOI_TRAILING = /[.,;:)\]}>'"]+$/;
+
+const DOI_REGEX = /\b(10\.\d{4,9}\/[^\s"'<>\]\[`]+)/g;
+const ZENODO_RECORD_REGEX = /zenodo\.org\/(?:records?|deposit)\/(\d+)/gi;
+const ZENODO_BADGE_REGEX = /zenodo\.org\/badge\/DOI\/(10\.\d{4,9}\/[^\s"'<>)\]]+?)\.svg/gi;
+const ARXIV_REGEX = /(?:arxiv\.org\/(?:abs|pdf)\/|arXiv:\s*)(\d{4}\.\d{4,5})(v\d+)?/gi;
+const PUBMED_REGEX = /(?:pubmed\.ncbi\.nlm\.nih\.gov\/|ncbi\.nlm\.nih\.gov\/pubmed\/|PMID:?\s*)(\d{1,9})\b/gi;
+const PMC_REGEX = /\b(PMC\d{4,9})\b/g;
+
+
+/**
+ * Decodes the percent-encoded characters of a text. Sequences that are not valid UTF-8
+ * (e.g. the "50%-faster" of a DOI) are kept as they are.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The decoded text.
+ */
+function decodePercentEncoding(text) {
+    // One character: an ASCII byte, or a lead byte followed by its continuation bytes
+    return text.replace(/%[0-7][0-9a-f]|%[c-d][0-9a-f]%[89ab][0-9a-f]|%e[0-9a-f](%[89ab][0-9a-f]){2}|%f[0-7](%[89ab][0-9a-f]){3}/gi, sequence => {
+        try {
+            return decodeURIComponent(sequence);
+        } catch (err) {
+            return sequence;
+        }
+    });
+}
+
+/**
+ * Normalises a DOI found in a text: decodes it, removes the URL prefix, the badge extension and trailing punctuation.
+ *
+ * @param {string} doi - The DOI as found in the text.
+ * @returns {string} - The DOI.
+ */
+function normalizeDOI(doi) {
+    let value = decodePercentEncoding(String(doi))
+        .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+        .replace(/\.svg$/i, '')
+        .replace(DOI_TRAILING, '');
+
+    // Keep closing parentheses that belong to the DOI, e.g. 10.1016/S0022-2836(05)80360-2
+    const opened = (value.match(/\(/g) || []).length;
+    const closed = (value.match(/\)/g) || []).length;
+    if (closed > opened) {
+        value = value.slice(0, value.lastIndexOf(')'));
+    }
+
+    return value;
+}
+
+/**
+ * Builds a publication that is only known by its identifiers.
+ *
+ * @param {Object} fields - The known fields (doi, url, arxiv, pmid, pmcid).
+ * @returns {Object} - The observatory publication.
+ */
+function identifierPublication(fields) {
+    return {
+        type: '',
+        title: '',
+        year: '',
+        doi: '',
+        url: '',
+        authors: [],
+        journal: '',
+        volume: '',
+        issue: '',
+        pages: '',
+        issn: '',
+        ...fields,
+    };
+}
+
+/**
+ * Finds the publications referenced by an identifier in a text:
+ * - DOIs, bare or as doi.org links, and DOI badges (Zenodo, doi.org).
+ * - Zenodo records (https://zenodo.org/records/<id>), mapped to their 10.5281/zenodo.<id> DOI.
+ * - arXiv identifiers (arXiv:2101.00001 or arxiv.org links), mapped to their 10.48550 DOI.
+ * - PubMed identifiers (PMID or pubmed links) and PubMed Central identifiers (PMC...).
+ *
+ * @param {string} content - The text, usually the content of the README.
+ * @returns {Object[]} - The publications found, one per identifier. Titles are empty.
+ */
+function extractPublicationIdentifiers(content) {
+    const text = String(content || '');
+    const publications = [];
+    const seenDOIs = new Set();
+    let match;
+
+    const addDOI = (doi, fields = {}) => {
+        const value = normalizeDOI(doi);
+        if (!/^10\.\d{4,9}\/\S+$/.test(value) || seenDOIs.has(value.toLowerCase())) {
+            return;
+        }
+        seenDOIs.add(value.toLowerCase());
+        publications.push(identifierPublication({ doi: value, url: `https://doi.org/${value}`, ...fields }));
+    };
+
+    // Badges first: the DOI of the badge image has an extension that must be removed
+    ZENODO_BADGE_REGEX.lastIndex = 0;
+    while ((match = ZENODO_BADGE_REGEX.exec(text)) !== null) {
+        addDOI(match[1]);
+    }
+
+    ZENODO_RECORD_REGEX.lastIndex = 0;
+    while ((match = ZENODO_RECORD_REGEX.exec(text)) !== null) {
+        addDOI(`10.5281/zenodo.${match[1]}`);
+    }
+
+    ARXIV_REGEX.lastIndex = 0;
+    while ((match = ARXIV_REGEX.exec(text)) !== null) {
+        addDOI(`10.48550/arXiv.${match[1]}`, { arxiv: match[1], url: `https://arxiv.org/abs/${match[1]}` });
+    }
+
+    DOI_REGEX.lastIndex = 0;
+    while ((match = DOI_REGEX.exec(text)) !== null) {
+        // Skip the DOIs of badge images, already handled
+        if (/\.svg$/i.test(match[1].replace(DOI_TRAILING, ''))) {
+            continue;
+        }
+        addDOI(match[1]);
+    }
+
+    const seenPMIDs = new Set();
+    PUBMED_REGEX.lastIndex = 0;
+    while ((match = PUBMED_REGEX.exec(text)) !== null) {
+        if (seenPMIDs.has(match[1])) {
+            continue;
+        }
+        seenPMIDs.add(match[1]);
+        publications.push(identifierPublication({ pmid: match[1], url: `https://pubmed.ncbi.nlm.nih.gov/${match[1]}/` }));
+    }
+
+    const seenPMCIDs = new Set();
+    PMC_REGEX.lastIndex = 0;
+    while ((match = PMC_REGEX.exec(text)) !== null) {
+        if (seenPMCIDs.has(match[1])) {
+            continue;
+        }
+        seenPMCIDs.add(match[1]);
+        publications.push(identifierPublication({ pmcid: match[1], url: `https://www.ncbi.nlm.nih.gov/pmc/articles/${match[1]}/` }));
+    }
+
+    return publications;
+}
+
+
+module.exports = {
+    normalizeDOI,
+    identifierPublication,
+    extractPublicationIdentifiers
+};
@@ -0,0 +1,75 @@
+const { normalizeDOI, extractPublicationIdentifiers } = require('./identifiers');
+const { cleanBibTeXValue, parseBibTeXAuthors, extractJournalPublication } = require('./metadata');
+
+describe('normalizeDOI', () => {
+    test('removes URL prefixes, badge extensions and trailing punctuation', () => {
+        expect(normalizeDOI('https://doi.org/10.1093/bioinformatics/btab001).')).toBe('10.1093/bioinformatics/btab001');
+        expect(normalizeDOI('10.5281/zenodo.123.svg')).toBe('10.5281/zenodo.123');
+    });
+
+    test('keeps the parentheses that belong to the DOI', () => {
+        expect(normalizeDOI('10.1016/S0022-2836(05)80360-2')).toBe('10.1016/S0022-2836(05)80360-2');
+    });
+
+    test('decodes only the valid percent-encoded characters', () => {
+        expect(normalizeDOI('https://doi.org/10.1002%2F%28SICI%291097')).toBe('10.1002/(SICI)1097');
+        expect(normalizeDOI('10.1234/bench-50%-faster')).toBe('10.1234/bench-50%-faster');
+        expect(normalizeDOI('10.1234/caf%C3%A9%E9')).toBe('10.1234/café%E9');
+    });
+
+    test('does not fail on malformed percent signs in a README', () => {
+        const publications = extractPublicationIdentifiers('Benchmark: doi:10.1234/bench-50%-faster');
+        expect(publications.map(publication => publication.doi)).toEqual(['10.1234/bench-50%-faster']);
+    });
+});
+
+describe('extractPublicationIdentifiers', () => {
+    test('finds DOIs, badges, Zenodo records, arXiv and PubMed identifiers once', () => {
+        const readme = [
+            '[![DOI](https://zenodo.org/badge/DOI/10.5281/zenodo.42.svg)](https://doi.org/10.5281/zenodo.42)',
+            'See https://zenodo.org/records/7 and arXiv:2101.00001v2.',
+            'Published in doi:10.1093/nar/gkab000 (PMID: 12345, PMC7654321).',
+        ].join('\n');
+        const publications = extractPublicationIdentifiers(readme);
+        expect(publications.map(publication => publication.doi).filter(Boolean)).toEqual([
+            '10.5281/zenodo.42',
+            '10.5281/zenodo.7',
+            '10.48550/arXiv.2101.00001',
+            '10.1093/nar/gkab000',
+        ]);
+        expect(publications.find(publication => publication.arxiv)).toMatchObject({ url: 'https://arxiv.org/abs/2101.00001' });
+        expect(publications.find(publication => publication.pmid)).toMatchObject({ pmid: '12345' });
+        expect(publications.find(publication => publication.pmcid)).toMatchObject({ pmcid: 'PMC7654321' });
+    });
+});
+
+describe('BibTeX', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('cleans LaTeX accents and protecting braces', () => {
+        expect(cleanBibTeXValue('{M}art\\\'{i}n del {P}ico')).toBe('Martin del Pico');
+    });
+
+    test('splits authors written in both forms', () => {
+        expect(parseBibTeXAuthors('Martin, Eva and John Doe and {ELIXIR Consortium}')).toEqual(['Eva Martin', 'John Doe', 'ELIXIR Consortium']);
+    });
+
+    test('mines every entry type and merges the identifiers found in the text', () => {
+        const readme = [
+            '```bibtex',
+            '@software{tool,',
+            '  title = {The Tool},',
+            '  author = {Martin, Eva},',
+            '  year = {2023},',
+            '  doi = {10.5281/zenodo.42},',
+            '}',
+            '```',
+            'DOI: https://doi.org/10.5281/zenodo.42',
+        ].join('\n');
+        const publications = extractJournalPublication(readme);
+        expect(publications).toHaveLength(1);
+        expect(publications[0]).toMatchObject({ type: 'software', title: 'The Tool', authors: ['Eva Martin'], doi: '10.5281/zenodo.42' });
+    });
+});
@@ -0,0 +1,239 @@
+/*
+Minimal JSON Schema (draft-07) validator for the schemas bundled in ../schemas,
+so that generated documents can be validated without network access.
+
+Only the keywords used by the bundled schemas are supported:
+$ref (to local definitions), type, enum, const, pattern, minLength, maxLength, minimum, maximum,
+format (date, uri), required, properties, additionalProperties, items, minItems, uniqueItems,
+anyOf, oneOf and allOf. Annotations ($comment, description, examples, default...) are ignored.
+*/
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+
+/**
+ * Resolves a local reference (#/definitions/...) against the root schema.
+ *
+ * @param {Object} root - The root schema.
+ * @param {string} ref - The reference.
+ * @returns {Object} - The referenced schema.
+ */
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Reference '${ref}' is not local to the schema.`);
+    }
+    return ref.slice(1).split('/').filter(Boolean).reduce((schema, key) => {
+        const resolved = schema[key.replace(/~1/g, '/').replace(/~0/g, '~')];
+        if (resolved === undefined) {
+            throw new Error(`Reference '${ref}' could not be resolved.`);
+        }
+        return resolved;
+    }, root);
+}
+
+/**
+ * Returns the JSON Schema type of a value.
+ *
+ * @param {*} value - The value.
+ * @returns {string} - null, array, integer, number, string, boolean or object.
+ */
+function jsonType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Checks a value against the `format` keyword. Unknown formats are accepted.
+ *
+ * @param {string} format - The format name.
+ * @param {string} value - The value.
+ * @returns {boolean}
+ */
+function checkFormat(format, value) {
+    if (format === 'date') {
+        // Date.parse rolls impossible days over (2024-02-30 is March 1st)
+        const date = new Date(`${value}T00:00:00Z`);
+        return DATE_REGEX.test(value) && !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+    if (format === 'uri') {
+        try {
+            new URL(value);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Appends a property or an index to a location in the document.
+ *
+ * @param {string} path - The location of the parent.
+ * @param {string|number} key - The property name or the index.
+ * @returns {string} - e.g. authors[0].orcid
+ */
+function childPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates a value against a (sub)schema, appending the problems found to `errors`.
+ *
+ * @param {*} value - The value to validate.
+ * @param {Object|boolean} schema - The schema of the value.
+ * @param {Object} root - The root schema, used to resolve references.
+ * @param {string} path - The location of the value in the document.
+ * @param {string[]} errors - The list of errors found so far.
+ */
+function validateValue(value, schema, root, path, errors) {
+    const where = path || 'document';
+
+    if (schema === true || schema === undefined) {
+        return;
+    }
+    if (schema === false) {
+        errors.push(`${where}: no value is allowed.`);
+        return;
+    }
+
+    if (schema.$ref) {
+        validateValue(value, resolveRef(root, schema.$ref), root, path, errors);
+        return;
+    }
+
+    const type = jsonType(value);
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const matches = types.includes(type) || (type === 'integer' && types.includes('number'));
+        if (!matches) {
+            errors.push(`${where}: must be of type ${types.join(' or ')}, found ${type}.`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+        const allowed = schema.enum.length > 12 ? `one of the ${schema.enum.length} allowed values` : `one of ${schema.enum.join(', ')}`;
+        errors.push(`${where}: '${value}' is not ${allowed}.`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${where}: must be '${schema.const}'.`);
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${where}: must not be shorter than ${schema.minLength} characters.`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${where}: must not be longer than ${schema.maxLength} characters.`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${where}: '${value}' does not match the pattern ${schema.pattern}.`);
+        }
+        if (schema.format && !checkFormat(schema.format, value)) {
+            errors.push(`${where}: '${value}' is not a valid ${schema.format}.`);
+        }
+    }
+
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${where}: must be greater than or equal to ${schema.minimum}.`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${where}: must be less than or equal to ${schema.maximum}.`);
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${where}: must contain at least ${schema.minItems} item(s).`);
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            value.forEach((item, index) => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) {
+                    errors.push(`${childPath(path, index)}: duplicates a previous item.`);
+                }
+                seen.add(key);
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, root, childPath(path, index), errors));
+        }
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${where}: missing required property '${key}'.`);
+            }
+        });
+        Object.keys(value).forEach(key => {
+            if (properties[key] !== undefined) {
+                validateValue(value[key], properties[key], root, childPath(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}: unknown property '${key}'.`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateValue(value[key], schema.additionalProperties, root, childPath(path, key), errors);
+            }
+        });
+    }
+
+    (schema.allOf || []).forEach(subschema => validateValue(value, subschema, root, path, errors));
+
+    ['anyOf', 'oneOf'].forEach(keyword => {
+        if (!schema[keyword]) {
+            return;
+        }
+        const results = schema[keyword].map(subschema => {
+            const branchErrors = [];
+            validateValue(value, subschema, root, path, branchErrors);
+            return branchErrors;
+        });
+        const passed = results.filter(branchErrors => branchErrors.length === 0).length;
+        if (passed === 0) {
+            // Report the alternative that is closest to the value, e.g. a person rather than an entity,
+            // or a list of licenses rather than a single one when the value is a list
+            const typeError = `${where}: must be of type`;
+            const distance = branchErrors => branchErrors.length + (branchErrors.some(message => message.startsWith(typeError)) ? 1000 : 0);
+            const closest = results.reduce((best, branchErrors) => (distance(branchErrors) < distance(best) ? branchErrors : best));
+            errors.push(...closest);
+        } else if (keyword === 'oneOf' && passed > 1) {
+            errors.push(`${where}: matches more than one of the allowed schemas.`);
+        }
+    });
+}
+
+/**
+ * Validates a document against a JSON Schema.
+ *
+ * @param {*} document - The document, e.g. a parsed JSON or YAML file.
+ * @param {Object} schema - The root schema.
+ * @returns {string[]} - The problems found, as human readable messages with their location. Empty if the document is valid.
+ */
+function validateJSONSchema(document, schema) {
+    const errors = [];
+    validateValue(document, schema, schema, '', errors);
+    return errors.filter((message, index) => errors.indexOf(message) === index);
+}
+
+
+module.exports = {
+    resolveRef,
+    jsonType,
+    validateJSONSchema,
+};
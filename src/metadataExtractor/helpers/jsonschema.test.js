@@ -0,0 +1,109 @@
+const { resolveRef, jsonType, validateJSONSchema } = require('./jsonschema');
+
+const SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name'],
+    definitions: {
+        date: { type: 'string', format: 'date' },
+        'a/b': { const: 'slash' },
+    },
+    properties: {
+        name: { type: 'string', minLength: 1, pattern: '^[a-z]+$' },
+        released: { $ref: '#/definitions/date' },
+        stars: { type: 'integer', minimum: 0 },
+        url: { type: 'string', format: 'uri' },
+        kind: { enum: ['tool', 'library'] },
+        tags: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string' } },
+        license: {
+            anyOf: [
+                { type: 'string', enum: ['MIT', 'Apache-2.0'] },
+                { type: 'array', items: { type: 'string', enum: ['MIT', 'Apache-2.0'] } },
+            ],
+        },
+        contact: {
+            oneOf: [
+                { type: 'object', required: ['email'] },
+                { type: 'object', required: ['name'] },
+            ],
+        },
+    },
+};
+
+describe('resolveRef', () => {
+    test('resolves local references and escaped keys', () => {
+        expect(resolveRef(SCHEMA, '#/definitions/date')).toEqual({ type: 'string', format: 'date' });
+        expect(resolveRef(SCHEMA, '#/definitions/a~1b')).toEqual({ const: 'slash' });
+        expect(resolveRef(SCHEMA, '#')).toBe(SCHEMA);
+    });
+
+    test('rejects missing and remote references', () => {
+        expect(() => resolveRef(SCHEMA, '#/definitions/missing')).toThrow(/could not be resolved/);
+        expect(() => resolveRef(SCHEMA, 'https://x.org/schema.json')).toThrow(/not local/);
+    });
+});
+
+describe('jsonType', () => {
+    test('distinguishes the JSON types', () => {
+        expect([null, [], 1, 1.5, 'a', true, {}].map(jsonType)).toEqual(['null', 'array', 'integer', 'number', 'string', 'boolean', 'object']);
+    });
+});
+
+describe('validateJSONSchema', () => {
+    test('accepts a valid document', () => {
+        const document = {
+            name: 'tool',
+            released: '2024-02-29',
+            stars: 3,
+            url: 'https://tool.org',
+            kind: 'tool',
+            tags: ['a', 'b'],
+            license: ['MIT'],
+            contact: { email: 'eva@x.org' },
+        };
+        expect(validateJSONSchema(document, SCHEMA)).toEqual([]);
+    });
+
+    test('reports the problems with their location', () => {
+        const errors = validateJSONSchema({
+            released: '2024-02-30',
+            stars: -1,
+            url: 'not a url',
+            kind: 'app',
+            tags: ['a', 'a', 1],
+            extra: true,
+        }, SCHEMA);
+        expect(errors).toEqual([
+            "document: missing required property 'name'.",
+            "released: '2024-02-30' is not a valid date.",
+            'stars: must be greater than or equal to 0.',
+            "url: 'not a url' is not a valid uri.",
+            "kind: 'app' is not one of tool, library.",
+            'tags[1]: duplicates a previous item.',
+            'tags[2]: must be of type string, found integer.',
+            "document: unknown property 'extra'.",
+        ]);
+    });
+
+    test('checks the length and pattern of strings', () => {
+        expect(validateJSONSchema({ name: '' }, SCHEMA)).toEqual([
+            'name: must not be shorter than 1 characters.',
+            "name: '' does not match the pattern ^[a-z]+$.",
+        ]);
+    });
+
+    test('reports the closest alternative of anyOf', () => {
+        expect(validateJSONSchema({ name: 'tool', license: ['MIT', 'GPL'] }, SCHEMA))
+            .toEqual(["license[1]: 'GPL' is not one of MIT, Apache-2.0."]);
+    });
+
+    test('requires exactly one alternative of oneOf', () => {
+        expect(validateJSONSchema({ name: 'tool', contact: { name: 'Eva', email: 'eva@x.org' } }, SCHEMA))
+            .toEqual(['contact: matches more than one of the allowed schemas.']);
+    });
+
+    test('accepts boolean schemas', () => {
+        expect(validateJSONSchema('anything', true)).toEqual([]);
+        expect(validateJSONSchema('anything', false)).toEqual(['document: no value is allowed.']);
+    });
+});
@@ -0,0 +1,528 @@
+/*
+Identification of licenses against the SPDX License List bundled in vocabularies/spdx-licenses.json:
+normalisation of identifiers and names, SPDX license expressions (`MIT OR Apache-2.0`) and matching of
+the text of license files (LICENSE, COPYING, LICENSES/*) against the license texts bundled in
+vocabularies/spdx-license-texts.json.
+
+Texts are compared as sets of word pairs once copyright lines and template fields are removed, so
+that slightly modified texts (another copyright holder, reflowed lines, an extra sentence) still match.
+A file containing several license texts yields all of them.
+*/
+
+const path = require('path');
+
+const BUNDLED_LIST = path.join(__dirname, '../vocabularies/spdx-licenses.json');
+const BUNDLED_TEXTS = path.join(__dirname, '../vocabularies/spdx-license-texts.json');
+
+// License files at the root of the repository (LICENSE, LICENSE-MIT, COPYING.LESSER, UNLICENSE...)
+const LICENSE_FILE_REGEX = /^(licen[cs]es?|copying|unlicense)([-._][\w.-]*)?$/i;
+
+// Directory of the license texts of REUSE compliant repositories
+const LICENSES_DIRECTORY = 'LICENSES';
+
+// Minimum similarity of a text with a license text, and minimum share of a license text found in a file
+const TEXT_SIMILARITY = 0.9;
+const TEXT_CONTAINMENT = 0.9;
+
+// Minimum number of word pairs of its own that a license text must have to be found besides another one
+const MIN_OWN_PAIRS = 10;
+
+// License texts followed in the SPDX License List by the text they supplement (LGPL-3.0 by GPL-3.0), by
+// the heading of the supplemented text
+const SUPPLEMENTED_TEXTS = {
+    'LGPL-3.0-only': /GNU GENERAL PUBLIC LICENSE\s+Version 3/,
+};
+
+// GNU licenses, whose texts do not say whether later versions apply, and statements that only one version applies
+const GNU_LICENSE_REGEX = /^((?:A|L)?GPL-\d\.\d)-only$/;
+const GNU_ONLY_REGEX = /\bversion \d(?:\.\d)? only\b|\b(?:A|L)?GPL-\d\.\d-only\b/i;
+
+// Usual names of licenses that are neither SPDX identifiers nor SPDX names (see licenseKey)
+const LICENSE_ALIASES = {
+    'expat': 'MIT',
+    'mitx11': 'MIT',
+    'newbsd': 'BSD-3-Clause',
+    'modifiedbsd': 'BSD-3-Clause',
+    'revisedbsd': 'BSD-3-Clause',
+    'bsd3': 'BSD-3-Clause',
+    'simplifiedbsd': 'BSD-2-Clause',
+    'freebsd': 'BSD-2-Clause',
+    'bsd2': 'BSD-2-Clause',
+    'apache2': 'Apache-2.0',
+    'asl2': 'Apache-2.0',
+    'apachesoftware2': 'Apache-2.0',
+    'cc0': 'CC0-1.0',
+    'boostsoftware': 'BSL-1.0',
+    'mpl2': 'MPL-2.0',
+    'eupl12': 'EUPL-1.2',
+    'psf': 'Python-2.0',
+};
+
+// Notices and distinctive sentences of licenses, used when no license text matches. The headings of the
+// GNU licenses only give the version (see gnuLicenseId)
+const LICENSE_NOTICE_PATTERNS = [
+    { spdxId: 'AGPL-3.0-or-later', pattern: /GNU Affero General Public License[\s\S]{0,200}either version 3 of the License, or \(at your option\) any later version/i },
+    { spdxId: 'LGPL-3.0-or-later', pattern: /GNU Lesser General Public License[\s\S]{0,200}either version 3 of the License, or \(at your option\) any later version/i },
+    { spdxId: 'LGPL-2.1-or-later', pattern: /GNU Lesser General Public License[\s\S]{0,200}either version 2\.1 of the License, or \(at your option\) any later version/i },
+    { spdxId: 'GPL-3.0-or-later', pattern: /GNU General Public License[\s\S]{0,200}either version 3 of the License, or \(at your option\) any later version/i },
+    { spdxId: 'GPL-2.0-or-later', pattern: /GNU General Public License[\s\S]{0,200}either version 2 of the License, or \(at your option\) any later version/i },
+    { spdxId: 'Apache-2.0', pattern: /Licensed under the Apache License,? Version 2\.0/i },
+    { spdxId: 'AGPL-3.0-only', pattern: /GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { spdxId: 'LGPL-3.0-only', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { spdxId: 'LGPL-2.1-only', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i },
+    { spdxId: 'GPL-3.0-only', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { spdxId: 'GPL-2.0-only', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i },
+    { spdxId: 'Apache-2.0', pattern: /Apache License,?\s+Version 2\.0/i },
+    { spdxId: 'MPL-2.0', pattern: /Mozilla Public License,?\s+(Version|v\.?)\s*2\.0/i },
+    { spdxId: 'EUPL-1.2', pattern: /European Union Public Licen[cs]e\s+v\.?\s*1\.2/i },
+    { spdxId: 'Unlicense', pattern: /This is free and unencumbered software released into the public domain/i },
+    { spdxId: 'MIT', pattern: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+    { spdxId: 'BSD-3-Clause', pattern: /Redistribution and use in source and binary forms[\s\S]*Neither the name/i },
+    { spdxId: 'BSD-2-Clause', pattern: /Redistribution and use in source and binary forms/i },
+];
+
+let cachedList = null;
+let cachedTexts = null;
+
+
+/**
+ * Returns the key of a license identifier or name, so that the usual spellings of a license have the
+ * same key: `GPL-3.0`, `GPLv3` and `GNU General Public License v3` are all `gpl3`.
+ *
+ * @param {string} value - The identifier or name.
+ * @returns {string} - The key.
+ */
+function licenseKey(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/gnu\s+affero\s+general\s+public/g, 'agpl')
+        .replace(/gnu\s+(lesser|library)\s+general\s+public/g, 'lgpl')
+        .replace(/gnu\s+general\s+public/g, 'gpl')
+        .replace(/\bgnu\s+/g, '')
+        .replace(/\b(the|licen[cs]es?|version)\b/g, ' ')
+        .replace(/\bv(?=\d)|(?<=gpl)v(?=\d)/g, '')
+        .replace(/(\d)\.0\b/g, '$1')
+        .replace(/[^a-z0-9+.]|\.(?!\d)/g, '')
+        .replace(/\./g, '');
+}
+
+/**
+ * Returns the current identifier of a deprecated GNU identifier (GPL-3.0 is GPL-3.0-only, GPL-3.0+ GPL-3.0-or-later).
+ *
+ * @param {string} spdxId - The SPDX identifier.
+ * @returns {string} - The current identifier.
+ */
+function replaceDeprecatedId(spdxId) {
+    const match = /^((?:A|L)?GPL|GFDL)-(\d\.\d)(\+)?$/.exec(spdxId);
+    return match ? `${match[1]}-${match[2]}-${match[3] ? 'or-later' : 'only'}` : spdxId;
+}
+
+/**
+ * Returns the SPDX License List, indexed by identifier and by key (see licenseKey). The list is read once.
+ *
+ * @returns {Object} - { byId: Map<string, Object>, byKey: Map<string, string> }, the licenses being
+ *   { id, name, osi, deprecated }.
+ */
+function getLicenseList() {
+    if (cachedList) {
+        return cachedList;
+    }
+
+    const { licenses } = require(BUNDLED_LIST);
+    const byId = new Map(licenses.map(license => [license.id.toLowerCase(), license]));
+    const byKey = new Map();
+    // Current identifiers first, so that the names of deprecated identifiers do not hide them
+    licenses.filter(license => !license.deprecated).concat(licenses.filter(license => license.deprecated)).forEach(license => {
+        const id = replaceDeprecatedId(license.id);
+        [license.id, license.name].map(licenseKey).forEach(key => {
+            if (key && !byKey.has(key)) {
+                byKey.set(key, id);
+            }
+        });
+    });
+    Object.entries(LICENSE_ALIASES).forEach(([key, id]) => byKey.set(key, id));
+
+    cachedList = { byId, byKey };
+    return cachedList;
+}
+
+/**
+ * Returns the SPDX identifier of a license given by its identifier (in any case), its SPDX name or a usual
+ * name (`Apache License 2.0`, `GPLv3`, `New BSD`). Deprecated GNU identifiers are replaced by the current ones.
+ *
+ * @param {string} value - The identifier or name of the license.
+ * @returns {string|null} - The SPDX identifier, `LicenseRef-` identifiers as they are, or null if the license is unknown.
+ */
+function canonicalSpdxId(value) {
+    const text = String(value || '').trim();
+    if (!text || /^(NOASSERTION|NONE)$/i.test(text)) {
+        return null;
+    }
+    if (/^(DocumentRef-[\w.-]+:)?LicenseRef-[\w.-]+$/.test(text)) {
+        return text;
+    }
+
+    const { byId, byKey } = getLicenseList();
+    const license = byId.get(text.toLowerCase());
+    if (license) {
+        return replaceDeprecatedId(license.id);
+    }
+    return byKey.get(licenseKey(text)) || null;
+}
+
+/**
+ * Returns the SPDX License List entry of an identifier.
+ *
+ * @param {string} spdxId - The SPDX identifier.
+ * @returns {Object|null} - { id, name, osi, deprecated }, or null if the identifier is unknown.
+ */
+function getLicenseInfo(spdxId) {
+    return getLicenseList().byId.get(String(spdxId || '').toLowerCase()) || null;
+}
+
+/**
+ * Returns true if a license is approved by the Open Source Initiative or dedicates the work to the
+ * public domain (CC0-1.0, Unlicense, 0BSD).
+ *
+ * @param {string} spdxId - The SPDX identifier.
+ * @returns {boolean}
+ */
+function isOpenSourceLicense(spdxId) {
+    const license = getLicenseInfo(canonicalSpdxId(spdxId));
+    return Boolean(license) && (license.osi || ['CC0-1.0', 'Unlicense', '0BSD'].includes(license.id));
+}
+
+/**
+ * Parses an SPDX license expression (`MIT OR Apache-2.0`, `(GPL-3.0-or-later AND MIT)`,
+ * `Apache-2.0 WITH LLVM-exception`). Licenses are normalised (see canonicalSpdxId) and operators
+ * written in lower case or as `/` (`MIT/Apache-2.0`) are accepted.
+ *
+ * @param {string} expression - The license expression, or a single license identifier or name.
+ * @returns {Object|null} - { expression, ids }: the normalised expression and the identifiers of its licenses
+ *   (without exceptions), or null if the expression is empty. Unknown licenses are kept as they are written.
+ */
+function parseLicenseExpression(expression) {
+    const text = String(expression || '').trim();
+    if (!text) {
+        return null;
+    }
+
+    // A license name (`Apache License 2.0`) is not an expression
+    const single = canonicalSpdxId(text);
+    if (single) {
+        return { expression: single, ids: [single] };
+    }
+
+    const tokens = text.replace(/\s*\/\s*/g, ' OR ').match(/\(|\)|[^\s()]+/g) || [];
+    const ids = [];
+    let exception = false;
+    const normalised = tokens.map(token => {
+        const operator = token.toUpperCase();
+        if (['AND', 'OR', 'WITH'].includes(operator)) {
+            exception = operator === 'WITH';
+            return operator;
+        }
+        if (token === '(' || token === ')') {
+            return token;
+        }
+        if (exception) {
+            exception = false;
+            return token;
+        }
+        const id = canonicalSpdxId(token) || token;
+        if (!ids.includes(id)) {
+            ids.push(id);
+        }
+        return id;
+    });
+
+    return {
+        expression: normalised.join(' ').replace(/\( /g, '(').replace(/ \)/g, ')'),
+        ids: ids,
+    };
+}
+
+/**
+ * Builds an observatory license from an SPDX identifier, an SPDX expression, an SPDX URL, a license name
+ * or a license URL. Known licenses get their SPDX identifier, name and URL.
+ *
+ * @param {string} license - The license as found in a metadata file.
+ * @returns {Object} - The license: { name, url, spdxId }. Unknown licenses have an empty spdxId.
+ */
+function spdxLicense(license) {
+    const value = String(license).trim();
+    const spdxUrl = /^https?:\/\/spdx\.org\/licenses\/([^/]+?)(\.html|\.json)?$/.exec(value);
+    // opensource.org/licenses/MIT, choosealicense.com/licenses/mit/
+    const licenseUrl = /^https?:\/\/[^/]+\/licen[cs]es?\/([^/]+?)\/?(\.html|\.php)?$/.exec(value);
+    const isUrl = /^https?:\/\//.test(value);
+    const spdxId = canonicalSpdxId(spdxUrl ? spdxUrl[1] : (licenseUrl ? licenseUrl[1] : value));
+
+    if (spdxId && spdxId.includes('LicenseRef-')) {
+        return { name: spdxId, url: '', spdxId: spdxId };
+    }
+    if (spdxId) {
+        return {
+            name: getLicenseInfo(spdxId).name,
+            url: `https://spdx.org/licenses/${spdxId}.html`,
+            spdxId: spdxId,
+        };
+    }
+    return { name: value, url: isUrl ? value : '', spdxId: '' };
+}
+
+/**
+ * Normalises and deduplicates licenses gathered from several sources: each license is identified by its
+ * SPDX identifier (see spdxLicense) and appears once, in the order of the first source giving it.
+ * Licenses given as SPDX expressions are split into their licenses. The NOASSERTION license of GitHub
+ * (a license file it does not recognise) is only kept if no license is identified.
+ *
+ * @param {Object[]} licenses - The licenses: { name, url, spdxId }.
+ * @returns {Object[]} - The normalised licenses: { spdxId, name, url }.
+ */
+function normaliseLicenses(licenses) {
+    const normalised = [];
+    let unrecognised = null;
+
+    (licenses || []).filter(Boolean).forEach(license => {
+        const item = typeof license === 'string' ? { name: license, url: '', spdxId: '' } : license;
+        if (item.spdxId === 'NOASSERTION') {
+            unrecognised = unrecognised || item;
+            return;
+        }
+
+        const parsed = parseLicenseExpression(item.spdxId) || parseLicenseExpression(item.name);
+        const entries = parsed && parsed.ids.every(id => canonicalSpdxId(id))
+            ? parsed.ids.map(spdxLicense)
+            : [spdxLicense(item.spdxId || item.url || item.name)];
+
+        entries.forEach(entry => {
+            // Unknown licenses keep the name and URL of the source
+            const result = entry.spdxId
+                ? entry
+                : { name: item.name || entry.name, url: item.url || entry.url, spdxId: '' };
+            const known = normalised.find(other => (result.spdxId
+                ? other.spdxId === result.spdxId
+                : !other.spdxId && licenseKey(other.name) === licenseKey(result.name)));
+            if (!known && (result.spdxId || result.name)) {
+                normalised.push({ spdxId: result.spdxId, name: result.name, url: result.url || '' });
+            }
+        });
+    });
+
+    if (normalised.length === 0 && unrecognised) {
+        normalised.push({ spdxId: 'NOASSERTION', name: unrecognised.name, url: unrecognised.url || '' });
+    }
+    return normalised;
+}
+
+/**
+ * Returns the word pairs of a license text, once copyright lines, template fields (<year>, [name])
+ * and punctuation are removed.
+ *
+ * @param {string} text - The license text.
+ * @returns {Set<string>} - The word pairs.
+ */
+function textPairs(text) {
+    const words = String(text || '')
+        .split(/\r?\n/)
+        .filter(line => !/^\s*(copyright\b|\(c\)|©|all rights reserved)/i.test(line))
+        .join(' ')
+        .toLowerCase()
+        .replace(/<[^>]*>|\[[^\]]*\]/g, ' ')
+        .replace(/https?:\/\//g, '')
+        .replace(/licence/g, 'license')
+        .match(/[a-z0-9]+/g) || [];
+
+    const pairs = new Set();
+    for (let index = 1; index < words.length; index++) {
+        pairs.add(`${words[index - 1]} ${words[index]}`);
+    }
+    return pairs;
+}
+
+/**
+ * Returns the bundled license texts as word pairs (see textPairs). The texts are read once.
+ *
+ * @returns {Object[]} - The licenses: { spdxId, pairs }.
+ */
+function getLicenseTexts() {
+    if (!cachedTexts) {
+        const { texts } = require(BUNDLED_TEXTS);
+        // Without the supplemented text, so that files with both texts (COPYING and COPYING.LESSER) yield both licenses
+        cachedTexts = Object.entries(texts).map(([spdxId, text]) => ({
+            spdxId: spdxId,
+            pairs: textPairs(SUPPLEMENTED_TEXTS[spdxId] ? text.split(SUPPLEMENTED_TEXTS[spdxId])[0] : text),
+        }));
+    }
+    return cachedTexts;
+}
+
+/**
+ * Returns the share of the pairs of a text found in another one.
+ */
+function containment(pairs, other) {
+    let shared = 0;
+    pairs.forEach(pair => {
+        if (other.has(pair)) {
+            shared++;
+        }
+    });
+    return pairs.size > 0 ? shared / pairs.size : 0;
+}
+
+/**
+ * Returns the identifier of a GNU license found by its text or heading, which do not say whether later
+ * versions apply: `-only` if the file says that only this version applies, `-or-later` otherwise.
+ *
+ * @param {string} spdxId - The identifier of the matched license text or notice.
+ * @param {string} content - The content of the license file.
+ * @returns {string} - The identifier.
+ */
+function gnuLicenseId(spdxId, content) {
+    const match = GNU_LICENSE_REGEX.exec(spdxId);
+    return match && !GNU_ONLY_REGEX.test(content) ? `${match[1]}-or-later` : spdxId;
+}
+
+/**
+ * Returns the identifier of a GNU license without `-only` or `-or-later` (GPL-3.0), to compare licenses found
+ * by their text with declared ones. Other identifiers are returned as they are.
+ *
+ * @param {string} spdxId - The SPDX identifier.
+ * @returns {string} - The identifier.
+ */
+function withoutGnuVariant(spdxId) {
+    return String(spdxId || '').replace(/^((?:A|L)?GPL-\d\.\d)-(only|or-later)$/, '$1');
+}
+
+/**
+ * Identifies the licenses of the text of a license file:
+ * 1. the SPDX-License-Identifier tag, if any;
+ * 2. the license texts the file is similar to (Sørensen-Dice coefficient of their word pairs) or that
+ *    it contains, for files with several licenses;
+ * 3. license notices (`either version 3 of the License, or (at your option) any later version`) and
+ *    distinctive sentences, for files that are neither full nor slightly modified license texts.
+ *
+ * The texts of the GNU licenses do not say whether later versions apply: they are identified as `-or-later`
+ * unless the file says that only that version applies (`version 3 only`, `GPL-3.0-only`).
+ *
+ * @param {string} text - The text of the license file.
+ * @returns {Object[]} - The licenses found: { spdxId, confidence, method }, method being 'identifier',
+ *   'text' or 'notice'. Empty if the license is not recognised.
+ */
+function matchLicenseText(text) {
+    const content = String(text || '');
+
+    const tag = /SPDX-License-Identifier:\s*(.+?)\s*(\*\/|-->)?\s*$/m.exec(content);
+    const expression = tag ? parseLicenseExpression(tag[1]) : null;
+    if (expression) {
+        return expression.ids.map(spdxId => ({ spdxId: spdxId, confidence: 1, method: 'identifier' }));
+    }
+
+    const pairs = textPairs(content);
+    if (pairs.size === 0) {
+        return [];
+    }
+    const scores = getLicenseTexts().map(license => {
+        const shared = license.pairs.size * containment(license.pairs, pairs);
+        return {
+            license: license,
+            similarity: (2 * shared) / (license.pairs.size + pairs.size),
+            containment: shared / license.pairs.size,
+        };
+    });
+
+    // The most similar license text, then the license texts whose own word pairs (the ones that are not in
+    // the licenses already found) are in the file, so that files with several licenses yield all of them
+    // while similar licenses (BSD-2-Clause and BSD-3-Clause, GPL-3.0 and LGPL-3.0) are not confused
+    const found = [];
+    const covered = new Set();
+    scores
+        .filter(score => score.similarity >= TEXT_SIMILARITY || score.containment >= TEXT_CONTAINMENT)
+        .sort((a, b) => b.similarity - a.similarity)
+        .forEach(score => {
+            const own = new Set([...score.license.pairs].filter(pair => !covered.has(pair)));
+            if (found.length === 0 || (own.size >= MIN_OWN_PAIRS && containment(own, pairs) >= TEXT_CONTAINMENT)) {
+                found.push(score);
+                score.license.pairs.forEach(pair => covered.add(pair));
+            }
+        });
+    if (found.length > 0) {
+        return found.map(score => ({
+            spdxId: gnuLicenseId(score.license.spdxId, content),
+            confidence: Math.round(Math.max(score.similarity, score.containment) * 100) / 100,
+            method: 'text',
+        }));
+    }
+
+    const notice = LICENSE_NOTICE_PATTERNS.find(item => item.pattern.test(content.replace(/\s+/g, ' ')));
+    return notice ? [{ spdxId: gnuLicenseId(notice.spdxId, content), confidence: 0.8, method: 'notice' }] : [];
+}
+
+/**
+ * Identifies the licenses of the license files of a repository.
+ *
+ * @param {Object[]} files - The license files: { path, content }.
+ * @returns {Object[]} - The licenses found in each file: { path, spdxId, confidence, method } (see matchLicenseText;
+ *   the files of the LICENSES directory are identified by their name, method 'filename').
+ *   Files whose license is not recognised have a null spdxId.
+ */
+function identifyLicenseFiles(files) {
+    return [].concat(...files.map(file => {
+        // REUSE names the files of the LICENSES directory after their SPDX identifier
+        const reuse = file.path.startsWith(`${LICENSES_DIRECTORY}/`)
+            ? canonicalSpdxId(file.path.slice(LICENSES_DIRECTORY.length + 1).replace(/\.(txt|md)$/i, ''))
+            : null;
+        if (reuse) {
+            return [{ path: file.path, spdxId: reuse, confidence: 1, method: 'filename' }];
+        }
+        const matches = matchLicenseText(file.content);
+        return matches.length > 0
+            ? matches.map(match => ({ path: file.path, ...match }))
+            : [{ path: file.path, spdxId: null, confidence: 0, method: null }];
+    }));
+}
+
+/**
+ * Adds the licenses of the license files to the observatory metadata and normalises all the licenses
+ * (see normaliseLicenses). The licenses declared by the metadata files come first.
+ *
+ * Without a license expression declared by a metadata file, the expression is the license of the
+ * repository if it has only one: several license files may be alternatives or apply to different parts.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @param {Object[]} files - The license files: { path, content }.
+ * @returns {Object} - The metadata, with the licenses found in each file in `license_files`.
+ */
+function applyLicenseFiles(metadata, files) {
+    const found = identifyLicenseFiles(files);
+    const declared = normaliseLicenses(metadata.license || []).map(license => withoutGnuVariant(license.spdxId));
+
+    metadata.license_files = found;
+    // The GNU licenses declared by the metadata files say whether later versions apply, their texts do not
+    metadata.license = normaliseLicenses((metadata.license || [])
+        .concat(found.filter(item => item.spdxId && !declared.includes(withoutGnuVariant(item.spdxId)))
+            .map(item => spdxLicense(item.spdxId))));
+
+    const identified = metadata.license.filter(license => license.spdxId && license.spdxId !== 'NOASSERTION');
+    if (!metadata.license_expression && identified.length === 1 && metadata.license.length === 1) {
+        metadata.license_expression = identified[0].spdxId;
+    }
+    return metadata;
+}
+
+
+module.exports = {
+    LICENSE_FILE_REGEX,
+    LICENSES_DIRECTORY,
+    licenseKey,
+    canonicalSpdxId,
+    getLicenseInfo,
+    isOpenSourceLicense,
+    parseLicenseExpression,
+    spdxLicense,
+    normaliseLicenses,
+    withoutGnuVariant,
+    matchLicenseText,
+    identifyLicenseFiles,
+    applyLicenseFiles
+};
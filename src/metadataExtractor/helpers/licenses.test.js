@@ -0,0 +1,144 @@
+const { texts } = require('../vocabularies/spdx-license-texts.json');
+const {
+    licenseKey,
+    canonicalSpdxId,
+    isOpenSourceLicense,
+    parseLicenseExpression,
+    spdxLicense,
+    normaliseLicenses,
+    withoutGnuVariant,
+    matchLicenseText,
+    identifyLicenseFiles,
+    applyLicenseFiles,
+} = require('./licenses');
+
+// COPYING.LESSER: the SPDX text of LGPL-3.0 is followed by the text of GPL-3.0
+const LGPL_3_0 = texts['LGPL-3.0-only'].split(/GNU GENERAL PUBLIC LICENSE\s+Version 3/)[0];
+
+const ids = matches => matches.map(match => match.spdxId);
+
+describe('canonicalSpdxId', () => {
+    test('recognises identifiers, names and usual spellings', () => {
+        expect(licenseKey('GNU General Public License v3.0')).toBe(licenseKey('GPLv3'));
+        expect(canonicalSpdxId('apache-2.0')).toBe('Apache-2.0');
+        expect(canonicalSpdxId('Apache License 2.0')).toBe('Apache-2.0');
+        expect(canonicalSpdxId('New BSD')).toBe('BSD-3-Clause');
+        expect(canonicalSpdxId('GPL-3.0+')).toBe('GPL-3.0-or-later');
+        expect(canonicalSpdxId('LicenseRef-Custom')).toBe('LicenseRef-Custom');
+        expect(canonicalSpdxId('NOASSERTION')).toBeNull();
+        expect(canonicalSpdxId('My own license')).toBeNull();
+    });
+
+    test('tells open source licenses', () => {
+        expect(isOpenSourceLicense('MIT')).toBe(true);
+        expect(isOpenSourceLicense('CC0-1.0')).toBe(true);
+        expect(isOpenSourceLicense('CC-BY-NC-4.0')).toBe(false);
+    });
+});
+
+describe('parseLicenseExpression', () => {
+    test('normalises the licenses and operators', () => {
+        expect(parseLicenseExpression('mit/apache-2.0')).toEqual({ expression: 'MIT OR Apache-2.0', ids: ['MIT', 'Apache-2.0'] });
+        expect(parseLicenseExpression('(GPL-2.0+ and MIT) with Classpath-exception-2.0')).toEqual({
+            expression: '(GPL-2.0-or-later AND MIT) WITH Classpath-exception-2.0',
+            ids: ['GPL-2.0-or-later', 'MIT'],
+        });
+        expect(parseLicenseExpression('')).toBeNull();
+    });
+});
+
+describe('spdxLicense and normaliseLicenses', () => {
+    test('builds licenses from identifiers, URLs and names', () => {
+        expect(spdxLicense('https://opensource.org/licenses/MIT')).toEqual({ name: 'MIT License', url: 'https://spdx.org/licenses/MIT.html', spdxId: 'MIT' });
+        expect(spdxLicense('https://example.org/license')).toEqual({ name: 'https://example.org/license', url: 'https://example.org/license', spdxId: '' });
+    });
+
+    test('splits expressions and removes duplicates', () => {
+        expect(normaliseLicenses([
+            { spdxId: 'NOASSERTION', name: 'Other' },
+            { spdxId: 'MIT OR Apache-2.0' },
+            'MIT',
+            { name: 'Custom License', url: 'https://x.org/license' },
+        ])).toEqual([
+            { spdxId: 'MIT', name: 'MIT License', url: 'https://spdx.org/licenses/MIT.html' },
+            { spdxId: 'Apache-2.0', name: 'Apache License 2.0', url: 'https://spdx.org/licenses/Apache-2.0.html' },
+            { spdxId: '', name: 'Custom License', url: 'https://x.org/license' },
+        ]);
+        expect(normaliseLicenses([{ spdxId: 'NOASSERTION', name: 'Other' }])).toEqual([{ spdxId: 'NOASSERTION', name: 'Other', url: '' }]);
+    });
+});
+
+describe('matchLicenseText', () => {
+    test('reads the SPDX-License-Identifier tag', () => {
+        expect(matchLicenseText('// SPDX-License-Identifier: MIT OR Apache-2.0\n')).toEqual([
+            { spdxId: 'MIT', confidence: 1, method: 'identifier' },
+            { spdxId: 'Apache-2.0', confidence: 1, method: 'identifier' },
+        ]);
+    });
+
+    test('matches modified license texts', () => {
+        const text = texts.MIT.replace(/Copyright.*\n/, 'Copyright (c) 2024 INB\n').replace(/\n/g, ' ');
+        expect(matchLicenseText(`${text}\nThis software is provided by the INB.`)).toEqual([{ spdxId: 'MIT', confidence: expect.any(Number), method: 'text' }]);
+    });
+
+    test('reports every license of files with several texts', () => {
+        expect(ids(matchLicenseText(`${texts.MIT}\n\n${texts['Apache-2.0']}`)).sort()).toEqual(['Apache-2.0', 'MIT']);
+        expect(ids(matchLicenseText(`${texts['GPL-3.0-only']}\n\n${LGPL_3_0}`))).toEqual(['GPL-3.0-or-later', 'LGPL-3.0-or-later']);
+        expect(ids(matchLicenseText(texts['LGPL-3.0-only']))).toEqual(['GPL-3.0-or-later', 'LGPL-3.0-or-later']);
+    });
+
+    test('does not confuse similar licenses', () => {
+        expect(ids(matchLicenseText(texts['GPL-3.0-only']))).toEqual(['GPL-3.0-or-later']);
+        expect(ids(matchLicenseText(LGPL_3_0))).toEqual(['LGPL-3.0-or-later']);
+        expect(ids(matchLicenseText(texts['BSD-2-Clause']))).toEqual(['BSD-2-Clause']);
+        expect(ids(matchLicenseText(texts['BSD-3-Clause']))).toEqual(['BSD-3-Clause']);
+    });
+
+    test('only reports -only GNU licenses when the file says so', () => {
+        expect(ids(matchLicenseText(`This program is distributed under the GPL version 3 only.\n\n${texts['GPL-3.0-only']}`))).toEqual(['GPL-3.0-only']);
+        expect(ids(matchLicenseText('GNU GENERAL PUBLIC LICENSE\n   Version 2, June 1991\n'))).toEqual(['GPL-2.0-or-later']);
+    });
+
+    test('reads license notices', () => {
+        expect(matchLicenseText('This program is free software: you can redistribute it under the terms of the GNU Affero General Public License ' +
+            'as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.'))
+            .toEqual([{ spdxId: 'AGPL-3.0-or-later', confidence: 0.8, method: 'notice' }]);
+        expect(matchLicenseText('All rights reserved.')).toEqual([]);
+    });
+});
+
+describe('withoutGnuVariant', () => {
+    test('removes -only and -or-later from GNU identifiers', () => {
+        expect(withoutGnuVariant('LGPL-2.1-or-later')).toBe('LGPL-2.1');
+        expect(withoutGnuVariant('GPL-3.0-only')).toBe('GPL-3.0');
+        expect(withoutGnuVariant('MIT')).toBe('MIT');
+    });
+});
+
+describe('identifyLicenseFiles and applyLicenseFiles', () => {
+    const files = [
+        { path: 'LICENSE', content: texts['GPL-3.0-only'] },
+        { path: 'LICENSES/MIT.txt', content: 'anything' },
+        { path: 'NOTICE', content: 'Nothing to see' },
+    ];
+
+    test('identifies each file', () => {
+        expect(identifyLicenseFiles(files)).toEqual([
+            { path: 'LICENSE', spdxId: 'GPL-3.0-or-later', confidence: 1, method: 'text' },
+            { path: 'LICENSES/MIT.txt', spdxId: 'MIT', confidence: 1, method: 'filename' },
+            { path: 'NOTICE', spdxId: null, confidence: 0, method: null },
+        ]);
+    });
+
+    test('adds the licenses of the files after the declared ones', () => {
+        const metadata = applyLicenseFiles({ license: [{ spdxId: 'GPL-3.0-only' }] }, files);
+        expect(ids(metadata.license)).toEqual(['GPL-3.0-only', 'MIT']);
+        expect(metadata.license_files).toHaveLength(3);
+        expect(metadata.license_expression).toBeUndefined();
+    });
+
+    test('sets the expression of repositories with one license', () => {
+        const metadata = applyLicenseFiles({}, [{ path: 'LICENSE', content: texts['Apache-2.0'] }]);
+        expect(metadata.license_expression).toBe('Apache-2.0');
+    });
+});
@@ -0,0 +1,384 @@
+/*
+Offline extraction: forge provider reading a directory of the server, either a git working copy
+or the content of an uploaded archive (.zip, .tar.gz). See createGitHubProvider in metadata.js
+for the provider interface.
+
+Archives are unpacked and git histories are read with the tar, unzip and git commands.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { resolveLimits } = require('./metadata');
+var info = require('debug')('node-api:info');
+
+// Maximum size of the output of the git commands (bytes)
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+// Full or abbreviated commit SHA
+const SHA_REGEX = /^[0-9a-f]{4,40}$/i;
+
+
+/**
+ * Runs a git command in a working copy and returns its output.
+ *
+ * @param {string} root - The working copy.
+ * @param {string[]} args - The arguments of the command.
+ * @returns {Promise<string>} - The output of the command.
+ */
+async function gitOutput(root, args) {
+    // The working copy may belong to another user (uploads, mounted volumes)
+    const { stdout } = await execFile('git', ['-c', 'safe.directory=*', '-C', root].concat(args), {
+        maxBuffer: GIT_MAX_BUFFER,
+    });
+    return stdout;
+}
+
+/**
+ * Runs a git command in a working copy and returns its output lines.
+ *
+ * @param {string} root - The working copy.
+ * @param {string[]} args - The arguments of the command.
+ * @returns {Promise<string[]>} - The non-empty lines of the output.
+ */
+async function git(root, args) {
+    const stdout = await gitOutput(root, args);
+    return stdout.split('\n').filter(line => line.trim() !== '');
+}
+
+/**
+ * Checks a ref given by a client before it is passed to git: a commit SHA, or a branch or tag name
+ * accepted by `git check-ref-format --allow-onelevel`. Refs starting with '-' would be read by git as options.
+ *
+ * @param {string} ref - The ref.
+ * @returns {Promise<string>} - The ref.
+ * @throws {Error} - With status 400 if the ref is not valid.
+ */
+async function checkRef(ref) {
+    if (typeof ref === 'string' && SHA_REGEX.test(ref)) {
+        return ref;
+    }
+    if (typeof ref === 'string' && ref !== '' && !ref.startsWith('-')) {
+        try {
+            await execFile('git', ['check-ref-format', '--allow-onelevel', ref]);
+            return ref;
+        } catch (error) {
+            // Not a valid ref name
+        }
+    }
+    const err = new Error(`Invalid ref: ${ref}. Use a branch, a tag or a commit SHA.`);
+    err.status = 400;
+    throw err;
+}
+
+/**
+ * Returns true if a directory is the root of a git working copy with at least one commit.
+ *
+ * @param {string} root - The directory.
+ * @returns {Promise<boolean>}
+ */
+async function isGitWorkingCopy(root) {
+    // Without .git, git would look for a working copy in the parent directories
+    if (!fs.existsSync(path.join(root, '.git'))) {
+        return false;
+    }
+    try {
+        await git(root, ['rev-parse', '--verify', 'HEAD']);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Returns the web URL of a git remote URL (https or scp-like ssh), without the .git suffix.
+ *
+ * @param {string} remote - The remote URL.
+ * @returns {string|null} - The web URL, or null if it cannot be derived.
+ */
+function remoteToUrl(remote) {
+    const value = String(remote || '').trim().replace(/\.git$/, '');
+    const scp = /^[\w.-]+@([^:/]+):(.+)$/.exec(value);
+    if (scp) {
+        return `https://${scp[1]}/${scp[2]}`;
+    }
+    const url = /^(?:https?|ssh|git):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+)$/.exec(value);
+    return url ? `https://${url[1]}/${url[2]}` : null;
+}
+
+/**
+ * Removes the symbolic links and the special files (devices, FIFOs...) of an unpacked archive, recursively.
+ * Links could point to any file of the server, e.g. a CITATION.cff linked to the private key of the app.
+ *
+ * @param {string} directory - The directory.
+ * @returns {Promise<void>}
+ */
+async function removeLinks(directory) {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            await removeLinks(entryPath);
+        } else if (!entry.isFile()) {
+            await fs.promises.unlink(entryPath);
+        }
+    }
+}
+
+/**
+ * Unpacks an uploaded archive in a new temporary directory. The format is detected from the
+ * content: zip or gzip-compressed tar. If the archive contains a single top-level directory
+ * (as the archives downloaded from GitHub, GitLab or Zenodo), it is the root of the repository.
+ * Symbolic links and special files are removed (see removeLinks).
+ *
+ * @param {Buffer} buffer - The content of the archive.
+ * @returns {Promise<Object>} - { root, cleanup }: the root of the unpacked repository and a function removing it.
+ * @throws {Error} - With status 400 if the archive is not a zip or a .tar.gz file, or cannot be unpacked.
+ */
+async function extractArchive(buffer) {
+    const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+    const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    if (!isZip && !isGzip) {
+        const err = new Error('The archive must be a .zip or a .tar.gz file.');
+        err.status = 400;
+        throw err;
+    }
+
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'metadata-archive-'));
+    const cleanup = () => fs.promises.rm(directory, { recursive: true, force: true });
+
+    try {
+        const archivePath = path.join(directory, isZip ? 'archive.zip' : 'archive.tar.gz');
+        const contentPath = path.join(directory, 'content');
+        await fs.promises.writeFile(archivePath, buffer);
+        await fs.promises.mkdir(contentPath);
+
+        if (isZip) {
+            await execFile('unzip', ['-q', archivePath, '-d', contentPath]);
+        } else {
+            await execFile('tar', ['-xzf', archivePath, '-C', contentPath, '--no-same-owner']);
+        }
+        await fs.promises.rm(archivePath);
+        await removeLinks(contentPath);
+
+        const entries = await fs.promises.readdir(contentPath, { withFileTypes: true });
+        const root = entries.length === 1 && entries[0].isDirectory()
+            ? path.join(contentPath, entries[0].name)
+            : contentPath;
+
+        return { root, cleanup };
+    } catch (error) {
+        await cleanup();
+        if (!error.status) {
+            error.status = 400;
+            error.message = `The archive could not be unpacked: ${error.message}`;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Creates the provider of a local directory: a git working copy (source 'git') or an unpacked
+ * archive (source 'archive'). The owner and repo arguments of the provider methods are ignored.
+ *
+ * For git working copies, authors and versions are taken from the git history (commit authors of HEAD
+ * and tags). The history of unpacked archives is never read, even if they contain a .git directory,
+ * as its configuration could run commands: authors and versions are only known from the metadata
+ * files (CITATION.cff, codemeta.json, ...).
+ *
+ * Without a ref, files are read from the directory (including the uncommitted changes of a working copy).
+ * With a ref, they are read from the commit with git; unpacked archives have no refs.
+ *
+ * @param {string} root - The directory.
+ * @param {Object} [options] - The options of the provider.
+ * @param {string} [options.source] - The source of the metadata: 'git' or 'archive'. Defaults to 'git'.
+ * @param {string} [options.name] - The name of the software. Defaults to the name of the directory.
+ * @returns {Object} - The local provider.
+ */
+function createLocalProvider(root, { source = 'git', name } = {}) {
+    const base = path.resolve(root);
+
+    const isInside = (absolute, directory) => absolute === directory || absolute.startsWith(directory + path.sep);
+
+    // Paths are relative to the root and must not leave it
+    const resolve = relativePath => {
+        const absolute = path.resolve(base, relativePath || '.');
+        return isInside(absolute, base) ? absolute : null;
+    };
+
+    // Files of the directory are read through their real path, which must not leave the root either:
+    // working copies may contain symbolic links to any file of the server
+    let realBase = null;
+    const resolveReal = async relativePath => {
+        const absolute = resolve(relativePath);
+        if (!absolute) {
+            return null;
+        }
+        realBase = realBase || await fs.promises.realpath(base);
+        const real = await fs.promises.realpath(absolute);
+        return isInside(real, realBase) ? real : null;
+    };
+
+    async function resolveRef(owner, repo, ref) {
+        if (source !== 'git' || !(await isGitWorkingCopy(base))) {
+            if (!ref) {
+                return null;
+            }
+            const err = new Error('Refs can only be used with git working copies.');
+            err.status = 400;
+            throw err;
+        }
+        const commit = ref ? await checkRef(ref) : 'HEAD';
+        try {
+            const [sha, date] = await git(base, ['show', '-s', '--format=%H%n%cI', '--end-of-options', `${commit}^{commit}`, '--']);
+            return { sha: sha, date: date };
+        } catch (error) {
+            const err = new Error(`Ref ${ref || 'HEAD'} not found.`);
+            err.status = 404;
+            throw err;
+        }
+    }
+
+    async function queryRepositoryObject(owner, repo, limits, ref) {
+        const resolvedLimits = resolveLimits(limits);
+        const hasHistory = source === 'git' && await isGitWorkingCopy(base);
+
+        let authors = [];
+        let tags = [];
+        let branch = null;
+        let remote = null;
+        if (hasHistory) {
+            const commit = ref ? await checkRef(ref) : 'HEAD';
+            authors = (await git(base, ['log', '--format=%an%x1f%ae', '-n', String(resolvedLimits.commits + 1), '--end-of-options', commit, '--']))
+                .map(line => line.split('\x1f'))
+                .map(([authorName, email]) => ({ name: authorName, email: email, user: null }));
+            // With a ref, only the tags of its history. The ref is the value of --merged, it cannot be read as an option
+            tags = (await git(base, ['tag', '--sort=creatordate', '--format=%(refname:short)%09%(creatordate:iso-strict)%09%(contents:subject)']
+                .concat(ref ? [`--merged=${commit}`] : [])))
+                .map(line => line.split('\t'))
+                .map(([tagName, date, subject]) => ({ tagName: tagName, date: date, subject: subject || '' }));
+            branch = (await git(base, ['rev-parse', '--abbrev-ref', 'HEAD']))[0];
+            remote = await git(base, ['remote', 'get-url', 'origin']).then(lines => lines[0]).catch(() => null);
+        }
+
+        // The most recent tags are kept, in chronological order
+        const releases = (resolvedLimits.releases > 0 ? tags.slice(-resolvedLimits.releases) : []).map(tag => ({
+            id: tag.tagName,
+            tagName: tag.tagName,
+            name: tag.tagName,
+            url: '',
+            createdAt: tag.date,
+            publishedAt: tag.date,
+            isPrerelease: false,
+            isDraft: false,
+            // The message of annotated tags, the subject of the commit of lightweight tags
+            description: tag.subject,
+            releaseAssets: { nodes: [] },
+        }));
+
+        return {
+            description: null,
+            descriptionHTML: null,
+            homepageUrl: null,
+            isDisabled: false,
+            isEmpty: (await fs.promises.readdir(base)).filter(entry => entry !== '.git').length === 0,
+            isFork: false,
+            isInOrganization: false,
+            isLocked: false,
+            isMirror: false,
+            isPrivate: true,
+            isTemplate: false,
+            latestRelease: releases.length > 0
+                ? { name: releases[releases.length - 1].name, tagName: releases[releases.length - 1].tagName }
+                : null,
+            licenseInfo: null,
+            name: name || repo || path.basename(base),
+            mirrorUrl: null,
+            url: remoteToUrl(remote),
+            defaultBranchRef: hasHistory
+                ? {
+                    name: branch,
+                    target: {
+                        history: {
+                            edges: authors.slice(0, resolvedLimits.commits).map(author => ({ node: { author: author } })),
+                        },
+                    },
+                }
+                : null,
+            releases: { nodes: releases },
+            packages: { nodes: [] },
+            repositoryTopics: { nodes: [] },
+            truncated: {
+                commits: authors.length > resolvedLimits.commits,
+                releases: tags.length > releases.length,
+                packages: false,
+                topics: false,
+            },
+        };
+    }
+
+    async function listDirectory(owner, repo, directory, ref) {
+        try {
+            const absolute = ref ? resolve(directory) : await resolveReal(directory);
+            if (!absolute) {
+                return [];
+            }
+            if (ref) {
+                // <mode> <type> <object>\t<name>
+                const prefix = path.relative(base, absolute);
+                return (await git(base, ['ls-tree', '--end-of-options', await checkRef(ref), prefix ? `${prefix}/` : '.']))
+                    .map(line => line.split('\t'))
+                    .map(([fields, entryPath]) => ({ name: path.basename(entryPath), type: fields.split(' ')[1] }))
+                    .filter(entry => entry.type === 'blob' || entry.type === 'tree');
+            }
+            const entries = await fs.promises.readdir(absolute, { withFileTypes: true });
+            return entries
+                .filter(entry => entry.name !== '.git' && (entry.isFile() || entry.isDirectory()))
+                .map(entry => ({ name: entry.name, type: entry.isDirectory() ? 'tree' : 'blob' }));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async function getFileContent(owner, repo, filePath, ref) {
+        try {
+            const absolute = ref ? resolve(filePath) : await resolveReal(filePath);
+            if (!absolute) {
+                info(`${filePath} is outside the repository.`);
+                return null;
+            }
+            const content = ref
+                ? await gitOutput(base, ['show', '--end-of-options', `${await checkRef(ref)}:${path.relative(base, absolute).split(path.sep).join('/')}`])
+                : await fs.promises.readFile(absolute, 'utf8');
+            info(`${filePath} found.`);
+            return content;
+        } catch (error) {
+            info(`${filePath} not found.`);
+            return null;
+        }
+    }
+
+    return {
+        name: source,
+        resolveRef,
+        queryRepositoryObject,
+        listDirectory,
+        getFileContent,
+        // There are no collaborators outside a forge
+        getAdminLogins: async () => [],
+        // Files are referenced by their path in the repository
+        fileUrl: (owner, repo, filePath, ref) => (ref ? `${ref}:${filePath}` : filePath),
+    };
+}
+
+
+module.exports = {
+    checkRef,
+    isGitWorkingCopy,
+    remoteToUrl,
+    removeLinks,
+    extractArchive,
+    createLocalProvider
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { checkRef, remoteToUrl, extractArchive, createLocalProvider } = require('./local');
+
+let workspace;
+
+beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-local-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+/**
+ * Packs a directory of the workspace in a .tar.gz archive and returns its content.
+ */
+function tarGz(directory) {
+    const archive = path.join(workspace, 'archive.tar.gz');
+    execFileSync('tar', ['-czf', archive, '-C', workspace, directory]);
+    return fs.readFileSync(archive);
+}
+
+describe('remoteToUrl', () => {
+    test('maps https and ssh remotes to web URLs', () => {
+        expect(remoteToUrl('git@github.com:inab/tool.git')).toBe('https://github.com/inab/tool');
+        expect(remoteToUrl('https://user@gitlab.com/inab/tool.git')).toBe('https://gitlab.com/inab/tool');
+        expect(remoteToUrl('/srv/git/tool')).toBeNull();
+    });
+});
+
+describe('extractArchive', () => {
+    test('unpacks the single top-level directory as the root', async () => {
+        fs.mkdirSync(path.join(workspace, 'tool-1.0'));
+        fs.writeFileSync(path.join(workspace, 'tool-1.0', 'README.md'), '# Tool\n');
+
+        const { root, cleanup } = await extractArchive(tarGz('tool-1.0'));
+        try {
+            const provider = createLocalProvider(root, { source: 'archive' });
+            expect(await provider.getFileContent('', '', 'README.md')).toBe('# Tool\n');
+            expect(await provider.listDirectory('', '', '')).toEqual([{ name: 'README.md', type: 'blob' }]);
+        } finally {
+            await cleanup();
+        }
+        expect(fs.existsSync(root)).toBe(false);
+    });
+
+    test('removes symbolic links to files of the server', async () => {
+        const secret = path.join(workspace, 'secret.env');
+        fs.writeFileSync(secret, 'PRIVATE_KEY=secret\n');
+        fs.mkdirSync(path.join(workspace, 'tool'));
+        fs.writeFileSync(path.join(workspace, 'tool', 'README.md'), '# Tool\n');
+        fs.symlinkSync(secret, path.join(workspace, 'tool', 'CITATION.cff'));
+        fs.symlinkSync(workspace, path.join(workspace, 'tool', 'docs'));
+
+        const { root, cleanup } = await extractArchive(tarGz('tool'));
+        try {
+            const provider = createLocalProvider(root, { source: 'archive' });
+            expect(await provider.getFileContent('', '', 'CITATION.cff')).toBeNull();
+            expect(await provider.getFileContent('', '', 'docs/secret.env')).toBeNull();
+            expect(await provider.listDirectory('', '', '')).toEqual([{ name: 'README.md', type: 'blob' }]);
+        } finally {
+            await cleanup();
+        }
+    });
+
+    test('rejects files that are not archives', async () => {
+        await expect(extractArchive(Buffer.from('not an archive'))).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('createLocalProvider', () => {
+    test('does not follow links leaving the directory', async () => {
+        fs.writeFileSync(path.join(workspace, 'secret.env'), 'PRIVATE_KEY=secret\n');
+        const root = path.join(workspace, 'tool');
+        fs.mkdirSync(path.join(root, 'docs'), { recursive: true });
+        fs.writeFileSync(path.join(root, 'docs', 'index.md'), 'Docs\n');
+        fs.symlinkSync(path.join(workspace, 'secret.env'), path.join(root, 'CITATION.cff'));
+        fs.symlinkSync(workspace, path.join(root, 'outside'));
+        fs.symlinkSync('docs/index.md', path.join(root, 'README.md'));
+
+        const provider = createLocalProvider(root);
+        expect(await provider.getFileContent('', '', 'CITATION.cff')).toBeNull();
+        expect(await provider.getFileContent('', '', '../secret.env')).toBeNull();
+        expect(await provider.listDirectory('', '', 'outside')).toEqual([]);
+        // Links inside the directory are followed
+        expect(await provider.getFileContent('', '', 'README.md')).toBe('Docs\n');
+    });
+});
+
+describe('checkRef', () => {
+    test('accepts commit SHAs, branches and tags', async () => {
+        await expect(checkRef('0a1b2c3d')).resolves.toBe('0a1b2c3d');
+        await expect(checkRef('main')).resolves.toBe('main');
+        await expect(checkRef('release/v1.0')).resolves.toBe('release/v1.0');
+    });
+
+    test('rejects options and invalid names', async () => {
+        for (const ref of ['--output=/tmp/x', '-n', 'a..b', 'main~1:path', '', { ref: 'main' }]) {
+            await expect(checkRef(ref)).rejects.toMatchObject({ status: 400 });
+        }
+    });
+});
+
+describe('createLocalProvider with a git working copy', () => {
+    let root;
+
+    beforeEach(() => {
+        root = path.join(workspace, 'tool');
+        fs.mkdirSync(root);
+        const git = args => execFileSync('git', args, {
+            cwd: root,
+            env: { ...process.env, GIT_AUTHOR_NAME: 'Eva', GIT_AUTHOR_EMAIL: 'eva@x.org', GIT_COMMITTER_NAME: 'Eva', GIT_COMMITTER_EMAIL: 'eva@x.org' },
+        });
+        git(['init', '-q', '-b', 'main']);
+        fs.writeFileSync(path.join(root, 'README.md'), '# Tool 1.0\n');
+        git(['add', 'README.md']);
+        git(['commit', '-q', '-m', 'First version']);
+        git(['tag', 'v1.0']);
+        fs.writeFileSync(path.join(root, 'README.md'), '# Tool 2.0\n');
+        git(['commit', '-q', '-a', '-m', 'Second version']);
+    });
+
+    test('reads the files and tags of a ref', async () => {
+        const provider = createLocalProvider(root);
+        const { sha } = await provider.resolveRef('', '', 'v1.0');
+        expect(sha).toMatch(/^[0-9a-f]{40}$/);
+        expect(await provider.getFileContent('', '', 'README.md', sha)).toBe('# Tool 1.0\n');
+        expect(await provider.getFileContent('', '', 'README.md')).toBe('# Tool 2.0\n');
+        expect(await provider.listDirectory('', '', '', 'v1.0')).toEqual([{ name: 'README.md', type: 'blob' }]);
+
+        const repository = await provider.queryRepositoryObject('', '', {}, 'v1.0');
+        expect(repository.releases.nodes.map(release => release.tagName)).toEqual(['v1.0']);
+    });
+
+    test('does not pass options given as refs to git', async () => {
+        const output = path.join(workspace, 'output.txt');
+        const provider = createLocalProvider(root);
+        await expect(provider.resolveRef('', '', `--output=${output}`)).rejects.toMatchObject({ status: 400 });
+        await expect(provider.queryRepositoryObject('', '', {}, `--output=${output}`)).rejects.toMatchObject({ status: 400 });
+        expect(await provider.getFileContent('', '', 'README.md', `--output=${output}`)).toBeNull();
+        expect(fs.existsSync(output)).toBe(false);
+    });
+});
@@ -0,0 +1,737 @@
+/*
+Parsing of language manifests (package.json, pyproject.toml, setup.cfg, requirements.txt, R DESCRIPTION,
+pom.xml, Cargo.toml, environment.yml and go.mod) to extract the declared dependencies,
+the package registry coordinates and the supported platforms.
+
+Each parser returns:
+{
+    dependencies: [{ name, version, type, ecosystem, manifest }],
+    packages: [{ type: 'package', registry, name, url }],
+    download: [{ type: 'package', registry, name, url }],
+    os: ['Linux', 'MacOS', 'Windows'],
+    languages: ['Python']
+}
+where the dependency type is one of 'runtime', 'dev', 'build', 'optional', 'peer' or 'engine'
+(the language runtime itself, e.g. node or python).
+
+A manifest does not mean that the package was published: `packages` are only the names it would have
+in its registry, which become download channels when a publishing workflow or a README badge confirms
+them (see channels.js and readme.js). Go modules need no publishing, so they are `download` entries.
+*/
+
+const TOML = require('@iarna/toml');
+const yaml = require('js-yaml');
+const { XMLParser } = require('fast-xml-parser');
+
+// Manifest files looked for at the root of the repository
+const MANIFEST_FILES = [
+    'package.json',
+    'pyproject.toml',
+    'setup.cfg',
+    'requirements.txt',
+    'DESCRIPTION',
+    'pom.xml',
+    'Cargo.toml',
+    'environment.yml',
+    'environment.yaml',
+    'go.mod',
+];
+
+const ALL_PLATFORMS = ['Linux', 'MacOS', 'Windows'];
+
+
+/**
+ * Returns an empty manifest result.
+ *
+ * @returns {Object} - { dependencies, packages, download, os, languages }.
+ */
+function emptyManifest() {
+    return {
+        dependencies: [],
+        packages: [],
+        download: [],
+        os: [],
+        languages: [],
+    };
+}
+
+/**
+ * Builds a dependency object.
+ *
+ * @param {string} name - The name of the dependency.
+ * @param {string} version - The version constraint, or an empty string if any version is accepted.
+ * @param {string} type - The dependency type (runtime, dev, build, optional, peer or engine).
+ * @param {string} ecosystem - The package ecosystem (npm, pypi, cran, maven, cargo, conda, go).
+ * @param {string} manifest - The manifest file declaring the dependency.
+ * @returns {Object} - The dependency.
+ */
+function buildDependency(name, version, type, ecosystem, manifest) {
+    return {
+        name: String(name).trim(),
+        version: version === undefined || version === null || version === '*' ? '' : String(version).trim(),
+        type: type,
+        ecosystem: ecosystem,
+        manifest: manifest,
+    };
+}
+
+/**
+ * Parses a PEP 508 requirement, e.g. "numpy[extra] >=1.20,<2 ; python_version >= '3.8'".
+ *
+ * @param {string} requirement - The requirement string.
+ * @returns {Object|null} - { name, version, markers }, or null if the line is not a requirement.
+ */
+function parsePEP508(requirement) {
+    const match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*([^;@]*)(?:@\s*(\S+))?\s*(?:;\s*(.*))?$/.exec(requirement);
+    if (!match) {
+        return null;
+    }
+    return {
+        name: match[1],
+        version: (match[3] || '').replace(/[()\s]/g, '') || (match[4] ? `@ ${match[4]}` : ''),
+        markers: match[5] || '',
+    };
+}
+
+/**
+ * Maps Python trove classifiers ("Operating System :: ...") to platforms.
+ *
+ * @param {string[]} classifiers - The trove classifiers.
+ * @returns {string[]} - The platforms.
+ */
+function platformsFromClassifiers(classifiers) {
+    const platforms = new Set();
+    (classifiers || []).forEach(classifier => {
+        if (!classifier.startsWith('Operating System ::')) {
+            return;
+        }
+        if (/OS Independent/.test(classifier)) {
+            ALL_PLATFORMS.forEach(platform => platforms.add(platform));
+        } else if (/POSIX :: Linux|Unix|POSIX$/.test(classifier)) {
+            platforms.add('Linux');
+            if (/Unix|POSIX$/.test(classifier)) {
+                platforms.add('MacOS');
+            }
+        } else if (/MacOS/.test(classifier)) {
+            platforms.add('MacOS');
+        } else if (/Windows/.test(classifier)) {
+            platforms.add('Windows');
+        }
+    });
+    return Array.from(platforms);
+}
+
+/**
+ * Parses a package.json manifest (npm).
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The manifest result.
+ */
+function parsePackageJSONManifest(content) {
+    const pkg = JSON.parse(content);
+    const result = emptyManifest();
+    const manifest = 'package.json';
+
+    const sections = {
+        dependencies: 'runtime',
+        devDependencies: 'dev',
+        peerDependencies: 'peer',
+        optionalDependencies: 'optional',
+    };
+    for (const [section, type] of Object.entries(sections)) {
+        for (const [name, version] of Object.entries(pkg[section] || {})) {
+            result.dependencies.push(buildDependency(name, version, type, 'npm', manifest));
+        }
+    }
+    for (const [name, version] of Object.entries(pkg.engines || {})) {
+        result.dependencies.push(buildDependency(name, version, 'engine', 'npm', manifest));
+    }
+
+    if (pkg.name && !pkg.private) {
+        result.packages.push({
+            type: 'package',
+            registry: 'npm',
+            name: pkg.name,
+            url: `https://www.npmjs.com/package/${pkg.name}`,
+        });
+    }
+
+    // npm "os" uses Node.js platform names, negated with "!"
+    const npmPlatforms = { linux: 'Linux', darwin: 'MacOS', win32: 'Windows' };
+    if (Array.isArray(pkg.os) && pkg.os.length > 0) {
+        const excluded = pkg.os.filter(os => os.startsWith('!')).map(os => os.slice(1));
+        const included = pkg.os.filter(os => !os.startsWith('!'));
+        result.os = Object.entries(npmPlatforms)
+            .filter(([os]) => (included.length === 0 || included.includes(os)) && !excluded.includes(os))
+            .map(([, platform]) => platform);
+    }
+
+    result.languages.push(pkg.devDependencies && pkg.devDependencies.typescript ? 'TypeScript' : 'JavaScript');
+
+    return result;
+}
+
+/**
+ * Parses a pyproject.toml manifest (PEP 621 and Poetry).
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The manifest result.
+ */
+function parsePyprojectManifest(content) {
+    const pyproject = TOML.parse(content);
+    const result = emptyManifest();
+    const manifest = 'pyproject.toml';
+    const project = pyproject.project || {};
+    const poetry = (pyproject.tool && pyproject.tool.poetry) || {};
+
+    const addRequirement = (requirement, type) => {
+        const parsed = parsePEP508(requirement);
+        if (parsed) {
+            result.dependencies.push(buildDependency(parsed.name, parsed.version, type, 'pypi', manifest));
+        }
+    };
+
+    (project.dependencies || []).forEach(requirement => addRequirement(requirement, 'runtime'));
+    Object.values(project['optional-dependencies'] || {}).forEach(requirements => {
+        requirements.forEach(requirement => addRequirement(requirement, 'optional'));
+    });
+    Object.values(pyproject['dependency-groups'] || {}).forEach(requirements => {
+        requirements.filter(requirement => typeof requirement === 'string').forEach(requirement => addRequirement(requirement, 'dev'));
+    });
+    ((pyproject['build-system'] || {}).requires || []).forEach(requirement => addRequirement(requirement, 'build'));
+    if (project['requires-python']) {
+        result.dependencies.push(buildDependency('python', project['requires-python'], 'engine', 'pypi', manifest));
+    }
+
+    // Poetry declares dependencies as tables: name = "^1.0" or name = { version = "^1.0" }
+    const addPoetryTable = (table, type) => {
+        for (const [name, spec] of Object.entries(table || {})) {
+            const version = typeof spec === 'object' && spec !== null ? spec.version : spec;
+            const optional = typeof spec === 'object' && spec !== null && spec.optional;
+            result.dependencies.push(buildDependency(
+                name,
+                version,
+                name === 'python' ? 'engine' : (optional ? 'optional' : type),
+                'pypi',
+                manifest
+            ));
+        }
+    };
+    addPoetryTable(poetry.dependencies, 'runtime');
+    addPoetryTable(poetry['dev-dependencies'], 'dev');
+    Object.values(poetry.group || {}).forEach(group => addPoetryTable(group.dependencies, 'dev'));
+
+    const name = project.name || poetry.name;
+    if (name) {
+        result.packages.push({
+            type: 'package',
+            registry: 'pypi',
+            name: name,
+            url: `https://pypi.org/project/${name}/`,
+        });
+    }
+
+    result.os = platformsFromClassifiers(project.classifiers || poetry.classifiers);
+    result.languages.push('Python');
+
+    return result;
+}
+
+/**
+ * Parses an INI file (as used by setup.cfg). Indented lines continue the previous value.
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The sections, each one being an object of values.
+ */
+function parseINI(content) {
+    const sections = {};
+    let section = null;
+    let key = null;
+
+    content.split(/\r?\n/).forEach(line => {
+        if (/^\s*[#;]/.test(line) || line.trim() === '') {
+            return;
+        }
+        const header = /^\[([^\]]+)\]\s*$/.exec(line);
+        if (header) {
+            section = header[1].trim();
+            sections[section] = sections[section] || {};
+            key = null;
+            return;
+        }
+        if (!section) {
+            return;
+        }
+        if (/^\s+/.test(line) && key) {
+            sections[section][key] += `\n${line.trim()}`;
+            return;
+        }
+        const pair = /^([^=:]+)[=:](.*)$/.exec(line);
+        if (pair) {
+            key = pair[1].trim();
+            sections[section][key] = pair[2].trim();
+        }
+    });
+
+    return sections;
+}
+
+/**
+ * Parses a setup.cfg manifest (setuptools).
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The manifest result.
+ */
+function parseSetupCfgManifest(content) {
+    const cfg = parseINI(content);
+    const result = emptyManifest();
+    const manifest = 'setup.cfg';
+    const lines = value => String(value || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    const options = cfg.options || {};
+    const addRequirement = (requirement, type) => {
+        const parsed = parsePEP508(requirement);
+        if (parsed) {
+            result.dependencies.push(buildDependency(parsed.name, parsed.version, type, 'pypi', manifest));
+        }
+    };
+
+    lines(options.install_requires).forEach(requirement => addRequirement(requirement, 'runtime'));
+    lines(options.setup_requires).forEach(requirement => addRequirement(requirement, 'build'));
+    lines(options.tests_require).forEach(requirement => addRequirement(requirement, 'dev'));
+    Object.values(cfg['options.extras_require'] || {}).forEach(value => {
+        lines(value).forEach(requirement => addRequirement(requirement, 'optional'));
+    });
+    if (options.python_requires) {
+        result.dependencies.push(buildDependency('python', options.python_requires, 'engine', 'pypi', manifest));
+    }
+
+    const metadata = cfg.metadata || {};
+    if (metadata.name) {
+        result.packages.push({
+            type: 'package',
+            registry: 'pypi',
+            name: metadata.name,
+            url: `https://pypi.org/project/${metadata.name}/`,
+        });
+    }
+
+    result.os = platformsFromClassifiers(lines(metadata.classifiers));
+    result.languages.push('Python');
+
+    return result;
+}
+
+/**
+ * Parses a requirements.txt file (pip).
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The manifest result.
+ */
+function parseRequirementsManifest(content) {
+    const result = emptyManifest();
+
+    content.split(/\r?\n/)
+        .map(line => line.replace(/\s+#.*$/, '').trim())
+        // Skip comments, options (-r, -e, --index-url, ...) and direct URLs
+        .filter(line => line && !line.startsWith('#') && !line.startsWith('-') && !/^[a-z+]+:\/\//.test(line))
+        .forEach(line => {
+            const parsed = parsePEP508(line);
+            if (parsed) {
+                result.dependencies.push(buildDependency(parsed.name, parsed.version, 'runtime', 'pypi', 'requirements.txt'));
+            }
+        });
+
+    result.languages.push('Python');
+
+    return result;
+}
+
+/**
+ * Parses a Debian Control File (as used by R DESCRIPTION files). Indented lines continue the previous field.
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The fields.
+ */
+function parseDCF(content) {
+    const fields = {};
+    let key = null;
+
+    content.split(/\r?\n/).forEach(line => {
+        if (/^\s+/.test(line) && key) {
+            fields[key] += ` ${line.trim()}`;
+            return;
+        }
+        const pair = /^([^:\s]+):\s*(.*)$/.exec(line);
+        if (pair) {
+            key = pair[1];
+            fields[key] = pair[2].trim();
+        }
+    });
+
+    return fields;
+}
+
+/**
+ * Parses an R DESCRIPTION file.
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The manifest result.
+ */
+function parseDescriptionManifest(content) {
+    const description = parseDCF(content);
+    const result = emptyManifest();
+    const manifest = 'DESCRIPTION';
+    const isBioconductor = Boolean(description.biocViews);
+    const ecosystem = isBioconductor ? 'bioconductor' : 'cran';
+
+    const sections = {
+        Depends: 'runtime',
+        Imports: 'runtime',
+        LinkingTo: 'build',
+        Suggests: 'optional',
+        Enhances: 'optional',
+    };
+    for (const [field, type] of Object.entries(sections)) {
+        String(description[field] || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+            const match = /^([A-Za-z0-9.]+)\s*(?:\(([^)]*)\))?/.exec(item);
+            if (!match) {
+                return;
+            }
+            const name = match[1];
+            const version = (match[2] || '').replace(/\s+/g, '');
+            result.dependencies.push(buildDependency(name, version, name === 'R' ? 'engine' : type, ecosystem, manifest));
+        });
+    }
+
+    if (description.Package) {
+        result.packages.push({
+            type: 'package',
+            registry: ecosystem,
+            name: description.Package,
+            url: isBioconductor
+                ? `https://bioconductor.org/packages/${description.Package}`
+                : `https://cran.r-project.org/package=${description.Package}`,
+        });
+    }
+
+    if (description.OS_type === 'unix') {
+        result.os = ['Linux', 'MacOS'];
+    } else if (description.OS_type === 'windows') {
+        result.os = ['Windows'];
+    }
+
+    result.languages.push('R');
+
+    return result;
+}
+
+/**
+ * Parses a Maven pom.xml file.
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The manifest result.
+ */
+function parsePomManifest(content) {
+    const parser = new XMLParser({ parseTagValue: false, ignoreAttributes: true });
+    const pom = parser.parse(content).project || {};
+    const result = emptyManifest();
+    const manifest = 'pom.xml';
+
+    const dependencies = [].concat((pom.dependencies || {}).dependency || []);
+    dependencies.forEach(dependency => {
+        const scope = dependency.scope || 'compile';
+        let type = 'runtime';
+        if (scope === 'test') {
+            type = 'dev';
+        } else if (scope === 'provided') {
+            type = 'peer';
+        } else if (dependency.optional === 'true') {
+            type = 'optional';
+        }
+        result.dependencies.push(buildDependency(
+            `${dependency.groupId}:${dependency.artifactId}`,
+            dependency.version,
+            type,
+            'maven',
+            manifest
+        ));
+    });
+
+    const properties = pom.properties || {};
+    const javaVersion = properties['maven.compiler.release'] || properties['maven.compiler.source'] || properties['java.version'];
+    if (javaVersion) {
+        result.dependencies.push(buildDependency('java', javaVersion, 'engine', 'maven', manifest));
+    }
+
+    const groupId = pom.groupId || (pom.parent || {}).groupId;
+    if (groupId && pom.artifactId) {
+        result.packages.push({
+            type: 'package',
+            registry: 'maven',
+            name: `${groupId}:${pom.artifactId}`,
+            url: `https://central.sonatype.com/artifact/${groupId}/${pom.artifactId}`,
+        });
+    }
+
+    result.languages.push('Java');
+
+    return result;
+}
+
+/**
+ * Parses a Cargo.toml manifest (Rust).
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The manifest result.
+ */
+function parseCargoManifest(content) {
+    const cargo = TOML.parse(content);
+    const result = emptyManifest();
+    const manifest = 'Cargo.toml';
+
+    const addTable = (table, type) => {
+        for (const [name, spec] of Object.entries(table || {})) {
+            const isTable = typeof spec === 'object' && spec !== null;
+            const version = isTable ? spec.version : spec;
+            result.dependencies.push(buildDependency(
+                isTable && spec.package ? spec.package : name,
+                version,
+                isTable && spec.optional ? 'optional' : type,
+                'cargo',
+                manifest
+            ));
+        }
+    };
+
+    addTable(cargo.dependencies, 'runtime');
+    addTable(cargo['dev-dependencies'], 'dev');
+    addTable(cargo['build-dependencies'], 'build');
+
+    // Platform specific dependencies: [target.'cfg(windows)'.dependencies]
+    const platforms = new Set();
+    for (const [target, tables] of Object.entries(cargo.target || {})) {
+        addTable(tables.dependencies, 'runtime');
+        addTable(tables['dev-dependencies'], 'dev');
+        addTable(tables['build-dependencies'], 'build');
+        if (/windows/.test(target)) {
+            platforms.add('Windows');
+        }
+        if (/linux|unix/.test(target)) {
+            platforms.add('Linux');
+        }
+        if (/macos|unix/.test(target)) {
+            platforms.add('MacOS');
+        }
+    }
+    result.os = Array.from(platforms);
+
+    const pkg = cargo.package || {};
+    if (pkg['rust-version']) {
+        result.dependencies.push(buildDependency('rust', pkg['rust-version'], 'engine', 'cargo', manifest));
+    }
+    if (pkg.name && pkg.publish !== false) {
+        result.packages.push({
+            type: 'package',
+            registry: 'crates.io',
+            name: pkg.name,
+            url: `https://crates.io/crates/${pkg.name}`,
+        });
+    }
+
+    result.languages.push('Rust');
+
+    return result;
+}
+
+/**
+ * Parses a conda environment.yml file. Pip dependencies listed in the file are also extracted.
+ *
+ * @param {string} content - The content of the file.
+ * @param {string} [manifest] - The name of the file (environment.yml or environment.yaml).
+ * @returns {Object} - The manifest result.
+ */
+function parseEnvironmentManifest(content, manifest = 'environment.yml') {
+    const environment = yaml.load(content) || {};
+    const result = emptyManifest();
+
+    (environment.dependencies || []).forEach(dependency => {
+        if (dependency && typeof dependency === 'object') {
+            (dependency.pip || []).forEach(requirement => {
+                const parsed = parsePEP508(requirement);
+                if (parsed) {
+                    result.dependencies.push(buildDependency(parsed.name, parsed.version, 'runtime', 'pypi', manifest));
+                }
+            });
+            return;
+        }
+
+        // MatchSpec: [channel::]name[ version[ build]], name=version=build or name>=version
+        const spec = String(dependency).replace(/^[^:]+::/, '').trim();
+        const match = /^([A-Za-z0-9._-]+)\s*([^\s]*)/.exec(spec);
+        if (!match) {
+            return;
+        }
+        const name = match[1];
+        let version = match[2];
+        if (/^=[^=]/.test(version)) {
+            // Drop the build string of name=version=build
+            version = `=${version.slice(1).split('=')[0]}`;
+        }
+        result.dependencies.push(buildDependency(name, version, name === 'python' ? 'engine' : 'runtime', 'conda', manifest));
+    });
+
+    return result;
+}
+
+/**
+ * Parses a go.mod file.
+ *
+ * @param {string} content - The content of the file.
+ * @returns {Object} - The manifest result.
+ */
+function parseGoModManifest(content) {
+    const result = emptyManifest();
+    const manifest = 'go.mod';
+    let inRequire = false;
+
+    content.split(/\r?\n/).forEach(rawLine => {
+        const indirect = /\/\/\s*indirect/.test(rawLine);
+        const line = rawLine.replace(/\/\/.*$/, '').trim();
+
+        const addRequire = requirement => {
+            const [name, version] = requirement.split(/\s+/);
+            if (name && !indirect) {
+                result.dependencies.push(buildDependency(name, version, 'runtime', 'go', manifest));
+            }
+        };
+
+        if (inRequire) {
+            if (line === ')') {
+                inRequire = false;
+            } else if (line) {
+                addRequire(line);
+            }
+            return;
+        }
+
+        let match;
+        if ((match = /^module\s+(\S+)/.exec(line))) {
+            result.download.push({
+                type: 'package',
+                registry: 'go',
+                name: match[1],
+                url: `https://pkg.go.dev/${match[1]}`,
+            });
+        } else if ((match = /^go\s+(\S+)/.exec(line))) {
+            result.dependencies.push(buildDependency('go', `>=${match[1]}`, 'engine', 'go', manifest));
+        } else if (/^require\s*\($/.test(line)) {
+            inRequire = true;
+        } else if ((match = /^require\s+(.+)$/.exec(line))) {
+            addRequire(match[1]);
+        }
+    });
+
+    result.languages.push('Go');
+
+    return result;
+}
+
+// Parser of each manifest file
+const MANIFEST_PARSERS = {
+    'package.json': parsePackageJSONManifest,
+    'pyproject.toml': parsePyprojectManifest,
+    'setup.cfg': parseSetupCfgManifest,
+    'requirements.txt': parseRequirementsManifest,
+    'DESCRIPTION': parseDescriptionManifest,
+    'pom.xml': parsePomManifest,
+    'Cargo.toml': parseCargoManifest,
+    'environment.yml': content => parseEnvironmentManifest(content, 'environment.yml'),
+    'environment.yaml': content => parseEnvironmentManifest(content, 'environment.yaml'),
+    'go.mod': parseGoModManifest,
+};
+
+/**
+ * Parses the manifest files of a repository and adds the dependencies, package registry coordinates
+ * (`manifest_packages`, not confirmed to be published), Go modules (as `package` download entries) and
+ * supported platforms to the observatory metadata.
+ * Files that cannot be parsed are skipped and reported in `manifest_warnings`.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @param {Object} files - The content of the manifest files, by path. Missing files are null or undefined.
+ * @returns {Object} - The metadata. The paths of the parsed manifests are listed in `manifest_files`.
+ */
+function applyManifests(metadata, files) {
+    metadata.manifest_files = [];
+    metadata.manifest_warnings = [];
+    ['dependencies', 'manifest_packages', 'download', 'os', 'languages'].forEach(field => {
+        metadata[field] = metadata[field] || [];
+    });
+
+    MANIFEST_FILES.forEach(path => {
+        if (!files[path]) {
+            return;
+        }
+
+        let result;
+        try {
+            result = MANIFEST_PARSERS[path](files[path]);
+        } catch (error) {
+            console.error(`Error parsing ${path}:`, error);
+            metadata.manifest_warnings.push(`${path} could not be parsed: ${error.message}`);
+            return;
+        }
+        metadata.manifest_files.push(path);
+
+        result.dependencies.forEach(dependency => {
+            const known = metadata.dependencies.some(item =>
+                item.name === dependency.name && item.ecosystem === dependency.ecosystem && item.type === dependency.type
+            );
+            if (!known) {
+                metadata.dependencies.push(dependency);
+            }
+        });
+
+        result.packages.forEach(entry => {
+            if (!metadata.manifest_packages.some(item => item.url === entry.url)) {
+                metadata.manifest_packages.push(entry);
+            }
+        });
+
+        result.download.forEach(download => {
+            if (!metadata.download.some(item => item.url === download.url)) {
+                metadata.download.push(download);
+            }
+        });
+
+        ['os', 'languages'].forEach(field => {
+            result[field].forEach(value => {
+                if (!metadata[field].includes(value)) {
+                    metadata[field].push(value);
+                }
+            });
+        });
+    });
+
+    return metadata;
+}
+
+
+module.exports = {
+    MANIFEST_FILES,
+    buildDependency,
+    parsePEP508,
+    platformsFromClassifiers,
+    parsePackageJSONManifest,
+    parsePyprojectManifest,
+    parseINI,
+    parseSetupCfgManifest,
+    parseRequirementsManifest,
+    parseDCF,
+    parseDescriptionManifest,
+    parsePomManifest,
+    parseCargoManifest,
+    parseEnvironmentManifest,
+    parseGoModManifest,
+    applyManifests
+};
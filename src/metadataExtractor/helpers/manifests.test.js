@@ -0,0 +1,260 @@
+const {
+    parsePEP508,
+    platformsFromClassifiers,
+    parsePackageJSONManifest,
+    parsePyprojectManifest,
+    parseSetupCfgManifest,
+    parseRequirementsManifest,
+    parseDescriptionManifest,
+    parsePomManifest,
+    parseCargoManifest,
+    parseEnvironmentManifest,
+    parseGoModManifest,
+    applyManifests,
+} = require('./manifests');
+
+describe('parsePEP508', () => {
+    test('parses names, extras, versions and markers', () => {
+        expect(parsePEP508('requests[security] >=2.8.1, ==2.8.* ; python_version < "2.7"')).toEqual({
+            name: 'requests',
+            version: '>=2.8.1,==2.8.*',
+            markers: 'python_version < "2.7"',
+        });
+        expect(parsePEP508('pip @ https://github.com/pypa/pip/archive/22.0.zip').version).toBe('@ https://github.com/pypa/pip/archive/22.0.zip');
+    });
+});
+
+describe('platformsFromClassifiers', () => {
+    test('maps the Operating System classifiers', () => {
+        expect(platformsFromClassifiers(['Operating System :: POSIX :: Linux'])).toEqual(['Linux']);
+        expect(platformsFromClassifiers(['Operating System :: Microsoft :: Windows', 'License :: OSI Approved'])).toEqual(['Windows']);
+    });
+});
+
+describe('parsePackageJSONManifest', () => {
+    test('reads the dependency sections, engines and platforms', () => {
+        const result = parsePackageJSONManifest(JSON.stringify({
+            name: 'tool',
+            dependencies: { express: '^4.19.0' },
+            devDependencies: { jest: '^29.0.0', typescript: '^5.0.0' },
+            peerDependencies: { react: '>=18' },
+            optionalDependencies: { fsevents: '*' },
+            engines: { node: '>=18' },
+            os: ['!win32'],
+        }));
+        expect(result.dependencies.map(dependency => [dependency.name, dependency.version, dependency.type])).toEqual([
+            ['express', '^4.19.0', 'runtime'],
+            ['jest', '^29.0.0', 'dev'],
+            ['typescript', '^5.0.0', 'dev'],
+            ['react', '>=18', 'peer'],
+            ['fsevents', '', 'optional'],
+            ['node', '>=18', 'engine'],
+        ]);
+        expect(result.os).toEqual(['Linux', 'MacOS']);
+        expect(result.languages).toEqual(['TypeScript']);
+    });
+
+    test('does not claim that the package is published', () => {
+        const result = parsePackageJSONManifest(JSON.stringify({ name: 'tool' }));
+        expect(result.download).toEqual([]);
+        expect(result.packages).toEqual([{ type: 'package', registry: 'npm', name: 'tool', url: 'https://www.npmjs.com/package/tool' }]);
+        expect(parsePackageJSONManifest(JSON.stringify({ name: 'tool', private: true })).packages).toEqual([]);
+    });
+});
+
+describe('parsePyprojectManifest', () => {
+    test('reads PEP 621 projects', () => {
+        const result = parsePyprojectManifest([
+            '[build-system]',
+            'requires = ["hatchling>=1.20"]',
+            '[project]',
+            'name = "tool"',
+            'requires-python = ">=3.9"',
+            'dependencies = ["numpy>=1.24", "pandas"]',
+            'classifiers = ["Operating System :: POSIX :: Linux"]',
+            '[project.optional-dependencies]',
+            'plot = ["matplotlib"]',
+            '[dependency-groups]',
+            'test = ["pytest>=8"]',
+        ].join('\n'));
+        expect(result.dependencies.map(dependency => [dependency.name, dependency.version, dependency.type])).toEqual([
+            ['numpy', '>=1.24', 'runtime'],
+            ['pandas', '', 'runtime'],
+            ['matplotlib', '', 'optional'],
+            ['pytest', '>=8', 'dev'],
+            ['hatchling', '>=1.20', 'build'],
+            ['python', '>=3.9', 'engine'],
+        ]);
+        expect(result.os).toEqual(['Linux']);
+        expect(result.packages.map(item => item.url)).toEqual(['https://pypi.org/project/tool/']);
+        expect(result.download).toEqual([]);
+    });
+
+    test('reads Poetry projects', () => {
+        const result = parsePyprojectManifest([
+            '[tool.poetry]',
+            'name = "tool"',
+            '[tool.poetry.dependencies]',
+            'python = "^3.10"',
+            'requests = "^2.31"',
+            'rich = { version = "^13.0", optional = true }',
+            '[tool.poetry.group.dev.dependencies]',
+            'pytest = "^8.0"',
+        ].join('\n'));
+        expect(result.dependencies.map(dependency => [dependency.name, dependency.version, dependency.type])).toEqual([
+            ['python', '^3.10', 'engine'],
+            ['requests', '^2.31', 'runtime'],
+            ['rich', '^13.0', 'optional'],
+            ['pytest', '^8.0', 'dev'],
+        ]);
+    });
+});
+
+describe('parseSetupCfgManifest', () => {
+    test('reads the multi-line options and extras', () => {
+        const result = parseSetupCfgManifest([
+            '[metadata]',
+            'name = tool',
+            'classifiers =',
+            '    Operating System :: Microsoft :: Windows',
+            '; a comment',
+            '[options]',
+            'python_requires = >=3.8',
+            'install_requires =',
+            '    numpy>=1.20',
+            '    scipy',
+            'setup_requires = setuptools_scm',
+            '[options.extras_require]',
+            'docs = sphinx',
+        ].join('\n'));
+        expect(result.dependencies.map(dependency => [dependency.name, dependency.version, dependency.type])).toEqual([
+            ['numpy', '>=1.20', 'runtime'],
+            ['scipy', '', 'runtime'],
+            ['setuptools_scm', '', 'build'],
+            ['sphinx', '', 'optional'],
+            ['python', '>=3.8', 'engine'],
+        ]);
+        expect(result.os).toEqual(['Windows']);
+        expect(result.packages.map(item => item.name)).toEqual(['tool']);
+        expect(result.download).toEqual([]);
+    });
+});
+
+describe('parsePomManifest', () => {
+    test('maps the Maven scopes and the Java version', () => {
+        const result = parsePomManifest([
+            '<project>',
+            '  <parent><groupId>es.bsc</groupId></parent>',
+            '  <artifactId>tool</artifactId>',
+            '  <properties><maven.compiler.release>17</maven.compiler.release></properties>',
+            '  <dependencies>',
+            '    <dependency><groupId>org.slf4j</groupId><artifactId>slf4j-api</artifactId><version>2.0.9</version></dependency>',
+            '    <dependency><groupId>junit</groupId><artifactId>junit</artifactId><version>4.13</version><scope>test</scope></dependency>',
+            '    <dependency><groupId>javax.servlet</groupId><artifactId>servlet-api</artifactId><scope>provided</scope></dependency>',
+            '  </dependencies>',
+            '</project>',
+        ].join('\n'));
+        expect(result.dependencies.map(dependency => [dependency.name, dependency.version, dependency.type])).toEqual([
+            ['org.slf4j:slf4j-api', '2.0.9', 'runtime'],
+            ['junit:junit', '4.13', 'dev'],
+            ['javax.servlet:servlet-api', '', 'peer'],
+            ['java', '17', 'engine'],
+        ]);
+        expect(result.packages.map(item => item.name)).toEqual(['es.bsc:tool']);
+        expect(result.download).toEqual([]);
+        expect(result.languages).toEqual(['Java']);
+    });
+});
+
+describe('parseEnvironmentManifest', () => {
+    test('reads conda match specs and pip requirements', () => {
+        const result = parseEnvironmentManifest([
+            'name: tool',
+            'channels: [conda-forge, bioconda]',
+            'dependencies:',
+            '  - python=3.11',
+            '  - bioconda::samtools=1.19=h50ea8bc_0',
+            '  - numpy >=1.24',
+            '  - pip:',
+            '    - requests==2.31.0',
+        ].join('\n'), 'environment.yaml');
+        expect(result.dependencies.map(dependency => [dependency.name, dependency.version, dependency.type, dependency.ecosystem])).toEqual([
+            ['python', '=3.11', 'engine', 'conda'],
+            ['samtools', '=1.19', 'runtime', 'conda'],
+            ['numpy', '>=1.24', 'runtime', 'conda'],
+            ['requests', '==2.31.0', 'runtime', 'pypi'],
+        ]);
+        expect(result.dependencies[0].manifest).toBe('environment.yaml');
+    });
+});
+
+describe('parseRequirementsManifest', () => {
+    test('skips comments, options and URLs', () => {
+        const result = parseRequirementsManifest('# deps\nnumpy>=1.20  # arrays\n-r dev.txt\nhttps://example.org/x.whl\npandas\n');
+        expect(result.dependencies.map(dependency => [dependency.name, dependency.version])).toEqual([['numpy', '>=1.20'], ['pandas', '']]);
+        expect(result.languages).toEqual(['Python']);
+    });
+});
+
+describe('parseDescriptionManifest', () => {
+    test('detects Bioconductor packages and the R engine', () => {
+        const result = parseDescriptionManifest('Package: tool\nDepends: R (>= 4.0), methods\nImports: BiocGenerics\nbiocViews: Software\n');
+        expect(result.dependencies).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'R', version: '>=4.0', type: 'engine', ecosystem: 'bioconductor' }),
+            expect.objectContaining({ name: 'BiocGenerics', type: 'runtime' }),
+        ]));
+        expect(result.packages[0].url).toBe('https://bioconductor.org/packages/tool');
+        expect(result.download).toEqual([]);
+    });
+});
+
+describe('parseCargoManifest', () => {
+    test('reads dependency tables and platform targets', () => {
+        const result = parseCargoManifest([
+            '[package]',
+            'name = "tool"',
+            'rust-version = "1.70"',
+            '[dependencies]',
+            'serde = { version = "1.0", optional = true }',
+            '[target.\'cfg(windows)\'.dependencies]',
+            'winapi = "0.3"',
+        ].join('\n'));
+        expect(result.dependencies.map(dependency => [dependency.name, dependency.type])).toEqual([
+            ['serde', 'optional'],
+            ['winapi', 'runtime'],
+            ['rust', 'engine'],
+        ]);
+        expect(result.os).toEqual(['Windows']);
+        expect(result.packages[0].url).toBe('https://crates.io/crates/tool');
+    });
+});
+
+describe('parseGoModManifest', () => {
+    test('skips indirect requirements', () => {
+        const result = parseGoModManifest('module example.org/tool\n\ngo 1.21\n\nrequire (\n\tgithub.com/a/b v1.0.0\n\tgithub.com/c/d v0.1.0 // indirect\n)\n');
+        expect(result.dependencies.map(dependency => dependency.name)).toEqual(['go', 'github.com/a/b']);
+        expect(result.download[0]).toEqual({ type: 'package', registry: 'go', name: 'example.org/tool', url: 'https://pkg.go.dev/example.org/tool' });
+    });
+});
+
+describe('applyManifests', () => {
+    test('adds dependencies once and reports unparsable manifests', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const metadata = applyManifests({}, {
+            'requirements.txt': 'numpy\nnumpy\n',
+            'Cargo.toml': '[package\n',
+        });
+        expect(metadata.manifest_files).toEqual(['requirements.txt']);
+        expect(metadata.dependencies).toHaveLength(1);
+        expect(metadata.manifest_warnings[0]).toMatch(/^Cargo.toml could not be parsed/);
+    });
+
+    test('keeps the registry names of the packages out of the downloads', () => {
+        const metadata = applyManifests({ download: [] }, {
+            'package.json': JSON.stringify({ name: 'tool' }),
+            'setup.cfg': '[metadata]\nname = tool\n',
+        });
+        expect(metadata.download).toEqual([]);
+        expect(metadata.manifest_packages.map(item => item.registry)).toEqual(['npm', 'pypi']);
+    });
+});
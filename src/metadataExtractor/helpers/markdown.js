@@ -0,0 +1,75 @@
+/*
+Helpers to read the structure of Markdown and reStructuredText documents (README, CHANGELOG).
+*/
+
+
+/**
+ * Returns the GitHub anchor of a Markdown heading.
+ *
+ * @param {string} heading - The text of the heading.
+ * @returns {string} - The anchor, without #.
+ */
+function headingAnchor(heading) {
+    return heading
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+}
+
+/**
+ * Finds the headings of a document: ATX headings (`## Title`) and setext headings (a line
+ * underlined with =, -, ~, ^ or *, as in Markdown and reStructuredText).
+ *
+ * @param {string} content - The content of the document.
+ * @returns {Object[]} - The headings: { text, level, anchor, line }, in order, `line` being the index of the
+ *   line of the heading. Setext headings underlined with = have level 1, the others level 2. Duplicated anchors
+ *   get a numeric suffix, as on GitHub.
+ */
+function extractHeadings(content) {
+    const headings = [];
+    const anchors = {};
+    const lines = String(content || '').split(/\r?\n/);
+    let fenced = false;
+
+    lines.forEach((line, index) => {
+        // Code blocks may contain lines starting with #
+        if (/^\s{0,3}(```|~~~)/.test(line)) {
+            fenced = !fenced;
+            return;
+        }
+        if (fenced) {
+            return;
+        }
+
+        const atx = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+        const underline = !atx && line.trim() && !/^\s*[-*+]\s/.test(line) && index + 1 < lines.length
+            ? /^\s*(=+|-+|~+|\^+|\*+)\s*$/.exec(lines[index + 1])
+            : null;
+        if (!atx && !underline) {
+            return;
+        }
+
+        const text = atx ? atx[2] : line.trim();
+        let anchor = headingAnchor(text);
+        anchors[anchor] = (anchors[anchor] || 0) + 1;
+        if (anchors[anchor] > 1) {
+            anchor = `${anchor}-${anchors[anchor] - 1}`;
+        }
+
+        headings.push({
+            text: text,
+            level: atx ? atx[1].length : underline[1][0] === '=' ? 1 : 2,
+            anchor: anchor,
+            line: index,
+        });
+    });
+    return headings;
+}
+
+
+module.exports = {
+    headingAnchor,
+    extractHeadings
+};
@@ -0,0 +1,36 @@
+const { headingAnchor, extractHeadings } = require('./markdown');
+
+describe('headingAnchor', () => {
+    test('builds the GitHub anchor of a heading', () => {
+        expect(headingAnchor('[1.2.0] - 2024-01-31')).toBe('120---2024-01-31');
+        expect(headingAnchor('See [the docs](https://x.org) — Installation!')).toBe('see-the-docs--installation');
+        expect(headingAnchor('Análisis')).toBe('análisis');
+    });
+});
+
+describe('extractHeadings', () => {
+    test('finds ATX and setext headings outside code blocks', () => {
+        const content = [
+            '# Tool #',
+            '',
+            '```bash',
+            '# not a heading',
+            '```',
+            'Usage',
+            '=====',
+            '- item',
+            '------',
+            'Usage',
+            '~~~~~',
+        ].join('\n');
+        expect(extractHeadings(content)).toEqual([
+            { text: 'Tool', level: 1, anchor: 'tool', line: 0 },
+            { text: 'Usage', level: 1, anchor: 'usage', line: 5 },
+            { text: 'Usage', level: 2, anchor: 'usage-1', line: 9 },
+        ]);
+    });
+
+    test('accepts empty documents', () => {
+        expect(extractHeadings(undefined)).toEqual([]);
+    });
+});
@@ -2,24 +2,337 @@ const parse = require("bibtex-parser");
 var info = require('debug')('node-api:info');
 var error = require('debug')('node-api:error');
 const yaml = require('js-yaml');
+const {
+    validateCFFSchema,
+    formatCFFDate,
+    cffAuthorToAuthor,
+    cffIdentifierToIdentifier,
+    cffReferenceToPublication
+} = require('./cff');
+const { HARVEST_SOURCES, harvestMetadataFiles, mergeAuthors } = require('./harvest');
+const {
+    LICENSE_FILE_REGEX,
+    LICENSES_DIRECTORY,
+    spdxLicense,
+    parseLicenseExpression,
+    normaliseLicenses,
+    applyLicenseFiles
+} = require('./licenses');
+const { MANIFEST_FILES, applyManifests } = require('./manifests');
+const { extractPublicationIdentifiers } = require('./identifiers');
+const { DOC_SITE_FILES, detectDocumentationSites } = require('./docsites');
+const {
+    releaseToVersion,
+    versionFromString,
+    mergeVersions,
+    sortVersions,
+    markLatestRelease,
+    linkChangelog,
+} = require('./releases');
+const { annotateEdam, applyEdamAnnotations } = require('./edam');
+const { findReadme, analyseReadme, applyReadmeAnalysis } = require('./readme');
+const { WORKFLOW_DIRECTORIES, TEST_FILES, detectTestEvidence, applyTestEvidence } = require('./testing');
+const {
+    CONTAINER_DIRECTORIES,
+    CONDA_RECIPE_DIRECTORIES,
+    HOMEBREW_DIRECTORIES,
+    findRecipeFiles,
+    releaseDownloads,
+    detectDistributionChannels,
+    applyDistributionChannels
+} = require('./channels');
+const {
+    CODEOWNERS_FILES,
+    MAINTAINERS_FILES,
+    AUTHORS_FILES,
+    resolveIdentities,
+    inferMaintainers
+} = require('./authors');
+
+
+// Default maximum number of items retrieved for each connection, and time budget (ms) for the pagination
+const DEFAULT_LIMITS = {
+    commits: 100,
+    releases: 100,
+    packages: 100,
+    topics: 100,
+    timeBudget: 20000,
+};
+
+// Maximum limits a client can ask for, so that one extraction cannot use up the rate limit of the installation
+const MAX_LIMITS = {
+    commits: 2000,
+    releases: 1000,
+    packages: 500,
+    topics: 100,
+    timeBudget: 60000,
+};
+
+// GitHub GraphQL connections return at most 100 items per page
+const PAGE_SIZE = 100;
+
+// Queries and location of each paginated connection of the repository
+const CONNECTIONS = {
+    commits: {
+        query: `
+        query ($owner: String!, $repo: String!, $ref: String!, $first: Int!, $after: String) {
+            repository(owner: $owner, name: $repo) {
+                object(expression: $ref) {
+                    ... on Commit {
+                        history(first: $first, after: $after) {
+                            pageInfo {
+                                hasNextPage
+                                endCursor
+                            }
+                            edges {
+                                node {
+                                    author {
+                                        name
+                                        email
+                                        user {
+                                            login
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }`,
+        connection: repository => repository.object ? repository.object.history : null,
+        items: 'edges',
+    },
+    releases: {
+        query: `
+        query ($owner: String!, $repo: String!, $first: Int!, $after: String) {
+            repository(owner: $owner, name: $repo) {
+                releases(first: $first, after: $after, orderBy: {field: CREATED_AT, direction: DESC}) {
+                    pageInfo {
+                        hasNextPage
+                        endCursor
+                    }
+                    nodes {
+                        id
+                        tagName
+                        name
+                        url
+                        createdAt
+                        publishedAt
+                        isPrerelease
+                        isDraft
+                        description
+                        releaseAssets(first: 50) {
+                            nodes {
+                                name
+                                size
+                                downloadUrl
+                                contentType
+                                downloadCount
+                            }
+                        }
+                    }
+                }
+            }
+        }`,
+        connection: repository => repository.releases,
+        items: 'nodes',
+    },
+    packages: {
+        query: `
+        query ($owner: String!, $repo: String!, $first: Int!, $after: String) {
+            repository(owner: $owner, name: $repo) {
+                packages(first: $first, after: $after) {
+                    pageInfo {
+                        hasNextPage
+                        endCursor
+                    }
+                    nodes {
+                        id
+                        name
+                        packageType
+                        version(version: "") {
+                            version
+                            summary
+                        }
+                    }
+                }
+            }
+        }`,
+        connection: repository => repository.packages,
+        items: 'nodes',
+    },
+    topics: {
+        query: `
+        query ($owner: String!, $repo: String!, $first: Int!, $after: String) {
+            repository(owner: $owner, name: $repo) {
+                repositoryTopics(first: $first, after: $after) {
+                    pageInfo {
+                        hasNextPage
+                        endCursor
+                    }
+                    nodes {
+                        url
+                        topic {
+                            id
+                            name
+                        }
+                    }
+                }
+            }
+        }`,
+        connection: repository => repository.repositoryTopics,
+        items: 'nodes',
+    },
+};
+
+
+/**
+ * Normalises the limits of an extraction. A number applies to every connection (as the former commitLimit),
+ * an object overrides the default limit of the connections it names. Limits above MAX_LIMITS are lowered to it.
+ *
+ * @param {number|Object} [limits] - The limits: { commits, releases, packages, topics, timeBudget }.
+ * @returns {Object} - The complete limits.
+ * @throws {Error} With status 400 if a limit is not a number or is negative.
+ */
+function resolveLimits(limits) {
+    const requested = typeof limits === 'number' || typeof limits === 'string'
+        ? { commits: limits, releases: limits, packages: limits, topics: limits }
+        : (limits || {});
+
+    const resolved = { ...DEFAULT_LIMITS };
+    for (const key of Object.keys(DEFAULT_LIMITS)) {
+        if (requested[key] === undefined || requested[key] === null) {
+            continue;
+        }
+        const value = Number(requested[key]);
+        if (String(requested[key]).trim() === '' || isNaN(value) || value < 0) {
+            const err = new Error(`Invalid limit '${key}': ${requested[key]}. Use a number from 0 to ${MAX_LIMITS[key]}.`);
+            err.status = 400;
+            throw err;
+        }
+        resolved[key] = Math.min(Math.floor(value), MAX_LIMITS[key]);
+    }
+    return resolved;
+}
+
+/**
+ * Retrieves the items of a connection of the repository, following the cursors page by page
+ * until the limit is reached, there are no more pages or the deadline is exceeded.
+ * The first page is always retrieved, even if the deadline is exceeded.
+ *
+ * @param {Octokit} octokit - The Octokit instance used to make API requests.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} name - The name of the connection (see CONNECTIONS).
+ * @param {number} limit - The maximum number of items to retrieve.
+ * @param {number} deadline - The timestamp (ms) after which no more pages are requested.
+ * @param {Object} [variables] - The other variables of the query (e.g. the ref of the commit history).
+ * @returns {Promise<Object>} - { items, truncated } where truncated is true if there are more items than retrieved.
+ */
+async function paginateConnection(octokit, owner, repo, name, limit, deadline, variables = {}) {
+    const { query, connection, items: itemsKey } = CONNECTIONS[name];
+    let items = [];
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage && items.length < limit) {
+        if (items.length > 0 && Date.now() > deadline) {
+            info(`Time budget exceeded while retrieving ${name}`);
+            break;
+        }
+
+        const { repository } = await octokit.graphql(query, {
+            ...variables,
+            owner: owner,
+            repo: repo,
+            first: Math.min(PAGE_SIZE, limit - items.length),
+            after: after,
+        });
+
+        const page = repository ? connection(repository) : null;
+        if (!page) {
+            hasNextPage = false;
+            break;
+        }
+
+        items = items.concat(page[itemsKey]);
+        hasNextPage = page.pageInfo.hasNextPage;
+        after = page.pageInfo.endCursor;
+    }
+
+    return {
+        items: items,
+        truncated: hasNextPage,
+    };
+}
+
+/**
+ * Retrieves the items of a paginated REST list page by page (pages are numbered from 1),
+ * until the limit is reached, there are no more pages or the deadline is exceeded.
+ * The first page is always retrieved, even if the deadline is exceeded.
+ * Used by the forge providers whose APIs are not cursor-based (see paginateConnection for GitHub).
+ *
+ * @param {Function} fetchPage - Retrieves a page: async (page, perPage) => { items, hasNextPage }.
+ * @param {number} limit - The maximum number of items to retrieve.
+ * @param {number} deadline - The timestamp (ms) after which no more pages are requested.
+ * @param {number} [pageSize] - The maximum number of items per page accepted by the API.
+ * @returns {Promise<Object>} - { items, truncated } where truncated is true if there are more items than retrieved.
+ */
+async function collectPages(fetchPage, limit, deadline, pageSize = PAGE_SIZE) {
+    if (limit === 0) {
+        return { items: [], truncated: false };
+    }
+
+    // The page size must not change between pages, otherwise page numbers would not match
+    const perPage = Math.min(pageSize, limit);
+    let items = [];
+    let page = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage && items.length < limit) {
+        if (items.length > 0 && Date.now() > deadline) {
+            info('Time budget exceeded while retrieving a paginated list');
+            break;
+        }
+        const result = await fetchPage(page, perPage);
+        items = items.concat(result.items);
+        hasNextPage = result.hasNextPage && result.items.length > 0;
+        page++;
+    }
 
+    return {
+        items: items.slice(0, limit),
+        truncated: hasNextPage || items.length > limit,
+    };
+}
 
 /**
  * Queries the GitHub API to retrieve metadata about a repository.
  *
+ * The commit history (of the given ref, HEAD by default), releases, packages and topics are retrieved with cursor-based pagination,
+ * each one up to its own limit. Pages after the first one are only requested within the time budget.
+ * Releases are requested from the most recent one and returned in chronological order.
+ * The returned object has the shape of the GraphQL repository object, plus a `truncated` object
+ * telling which lists were not retrieved completely.
+ *
  * @param {Octokit} octokit - The Octokit instance used to make API requests.
  * @param {string} owner - The owner of the repository.
  * @param {string} repo - The name of the repository.
- * @param {number} commitLimit - The maximum number of commits to retrieve.
+ * @param {number|Object} [limits] - The maximum number of items to retrieve, for every connection (number)
+ *   or by connection: { commits, releases, packages, topics, timeBudget } (see DEFAULT_LIMITS).
+ * @param {string} [ref] - The branch, tag or commit SHA whose history is retrieved. Defaults to HEAD.
  * @returns {Promise<Object>} - A promise that resolves to the repository metadata.
  * 
  * @see https://docs.github.com/en/graphql/overview/explorer
  */
-async function queryRepositoryObject(octokit, owner, repo, commitLimit) {
-    
+async function queryRepositoryObject(octokit, owner, repo, limits, ref) {
+    const resolvedLimits = resolveLimits(limits);
+    const deadline = Date.now() + resolvedLimits.timeBudget;
+
     const { repository } = await octokit.graphql(
         `
-        query ($owner: String!, $repo: String!, $commitLimit: Int!) {    
+        query ($owner: String!, $repo: String!) {    
             repository(owner: $owner, name: $repo) {
             description
             descriptionHTML
@@ -44,64 +357,43 @@ async function queryRepositoryObject(octokit, owner, repo, commitLimit) {
             }
             name
             mirrorUrl
-            packages(first: $commitLimit) {
-                nodes {
-                    id
-                    name
-                    packageType
-                    version(version: "") {
-                    version
-                    summary
-                    }
-                }
-            }
-            releases(last: $commitLimit) {
-                nodes {
-                    id
-                    tagName
-                    name
-                    url
-                }
-            }
             url
             defaultBranchRef {
-                target {
-                    ... on Commit {
-                        history(first: $commitLimit) {
-                            edges {
-                                node {
-                                    author {
-                                        name
-                                        email
-                                        user {
-                                            login
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-            repositoryTopics(first: $commitLimit) {
-                nodes {
-                url
-                topic {
-                    id
-                    name
-                }
-                }
+                name
             }
             }
         }
     `,
     {
         owner: owner,
-        repo: repo,
-        commitLimit: commitLimit
+        repo: repo
     }
     );
 
+    const results = {};
+    for (const name of Object.keys(CONNECTIONS)) {
+        if (resolvedLimits[name] === 0) {
+            results[name] = { items: [], truncated: false };
+            continue;
+        }
+        const variables = name === 'commits' ? { ref: ref || 'HEAD' } : {};
+        results[name] = await paginateConnection(octokit, owner, repo, name, resolvedLimits[name], deadline, variables);
+    }
+
+    repository.releases = { nodes: results.releases.items.slice().reverse() };
+    repository.packages = { nodes: results.packages.items };
+    repository.repositoryTopics = { nodes: results.topics.items };
+    if (repository.defaultBranchRef) {
+        repository.defaultBranchRef.target = {
+            history: { edges: results.commits.items },
+        };
+    }
+
+    repository.truncated = {};
+    for (const name of Object.keys(CONNECTIONS)) {
+        repository.truncated[name] = results[name].truncated;
+    }
+
     return repository;
 
 }
@@ -149,38 +441,231 @@ function buildTopics(githubObject) {
 /**
  * Builds an array of author objects based on the given GitHub object.
  * 
- * For each collaborator in the github object, generate an object in the authors array
+ * Commit authors are merged by GitHub login (including noreply addresses), email and
+ * normalised name (see resolveIdentities). For each contributor, generate an object in the authors array
  * {
  *    "name": "John Doe",
- *    "email": "",
- *    "maintainer": "true",
+ *    "type": "person",
+ *    "email": "john@doe.org",
+ *    "maintainer": false,
+ *    "login": "johndoe",
+ *    "commits": 42
  * }
  *
  * @param {Object} githubObject - The GitHub object containing information about the repository.
- * @returns {Array} - An array of author objects.
+ * @returns {Array} - An array of author objects, by number of commits.
  */
 function buildAuthors(githubObject) {
-    var authors = [];
-    
-    // Extract contributors from the commit history
-    let contributors = githubObject.defaultBranchRef.target.history.edges.map((edge) => edge.node.author); 
-
-    // For each contributor, generate an author object
-    contributors.forEach(contributor => {
-        const author = {
-            name: contributor.name,
-            type: 'person',  // GitHub contributor type is always 'person'
-            email: contributor.email || '',
-            maintainer: false
-        };
+    // Extract contributors from the commit history. Empty repositories have no default branch
+    if (!githubObject.defaultBranchRef || !githubObject.defaultBranchRef.target) {
+        return [];
+    }
+    const contributors = githubObject.defaultBranchRef.target.history.edges.map((edge) => edge.node.author);
 
-        // Avoid duplicates based on email
-        if (!authors.some(existingAuthor => existingAuthor.email === author.email)) {
-            authors.push(author);
+    return resolveIdentities(contributors);
+}
+
+
+/**
+ * Retrieves the logins of the admin collaborators of a repository.
+ * Listing collaborators requires push access: if it is not granted, an empty list is returned.
+ *
+ * @param {Octokit} octokit - The Octokit instance used to make API requests.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @returns {Promise<string[]>} - The logins of the admin collaborators.
+ */
+async function getAdminLogins(octokit, owner, repo) {
+    try {
+        const resp = await octokit.request('GET /repos/{owner}/{repo}/collaborators', {
+            owner: owner,
+            repo: repo,
+            permission: 'admin',
+            per_page: 100,
+        });
+        return resp.data.map(collaborator => collaborator.login);
+    } catch (error) {
+        console.error('Error fetching admin collaborators:', error.message);
+        return [];
+    }
+}
+
+
+/**
+ * Builds the forge provider of GitHub, backed by an Octokit instance.
+ *
+ * A forge provider gives access to a repository hosted on a forge (GitHub, GitLab, Gitea) through
+ * the same interface, so that the whole extraction runs unchanged on any of them:
+ * - name: the name of the forge, used as the `source` of the metadata.
+ * - resolveRef(owner, repo, ref): the commit of a branch, tag or SHA (HEAD by default): { sha, date },
+ *   or null if the repository has no commits. Throws an error with status 404 if the ref does not exist.
+ * - queryRepositoryObject(owner, repo, limits, ref): the repository, in the shape of the GitHub GraphQL
+ *   repository object (see queryRepositoryObject), transformed by githubMetadata.
+ * - listDirectory(owner, repo, path, ref): the entries of a directory ({ name, type: 'blob'|'tree' }).
+ * - getFileContent(owner, repo, path, ref): the text of a file, or null if it does not exist.
+ * - getAdminLogins(owner, repo): the logins of the administrators of the repository.
+ * - fileUrl(owner, repo, path, ref): the web URL of a file at the ref, or on the default branch
+ *   once the repository has been queried.
+ * The ref of the methods is optional: HEAD (the default branch) is used if it is not given.
+ * - getPagesUrl(owner, repo) (optional): the URL of the site published by the forge (e.g. GitHub Pages), or null.
+ * - getWorkflowRuns(owner, repo) (optional): the latest completed run of each CI workflow on the default
+ *   branch: { workflow, conclusion, url, date }, `workflow` being the path of the workflow file.
+ *
+ * @param {Octokit} octokit - The Octokit instance used to make API requests.
+ * @returns {Object} - The GitHub provider.
+ */
+function createGitHubProvider(octokit) {
+    // Default branch of each repository, known once the repository has been queried
+    const defaultBranches = {};
+
+    return {
+        name: 'github',
+        resolveRef: (owner, repo, ref) => resolveRef(octokit, owner, repo, ref),
+        queryRepositoryObject: async (owner, repo, limits, ref) => {
+            const repository = await queryRepositoryObject(octokit, owner, repo, limits, ref);
+            if (repository.defaultBranchRef) {
+                defaultBranches[`${owner}/${repo}`] = repository.defaultBranchRef.name;
+            }
+            return repository;
+        },
+        listDirectory: (owner, repo, path, ref) => fetchDirectoryContentsGraphQL(octokit, owner, repo, path, ref),
+        getFileContent: (owner, repo, path, ref) => getFileContent(octokit, owner, repo, path, ref),
+        getAdminLogins: (owner, repo) => getAdminLogins(octokit, owner, repo),
+        getPagesUrl: (owner, repo) => getPagesUrl(octokit, owner, repo),
+        getWorkflowRuns: (owner, repo) => getWorkflowRuns(octokit, owner, repo, defaultBranches[`${owner}/${repo}`]),
+        // GitHub resolves HEAD to the default branch
+        fileUrl: (owner, repo, path, ref) =>
+            `https://github.com/${owner}/${repo}/blob/${ref || defaultBranches[`${owner}/${repo}`] || 'HEAD'}/${path}`,
+    };
+}
+
+/**
+ * Resolves a branch, tag or commit SHA of a GitHub repository to its commit.
+ * Annotated tags are resolved to the commit they point to.
+ *
+ * @param {Octokit} octokit - The Octokit instance used to make API requests.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<Object|null>} - The commit: { sha, date }, or null if HEAD is requested and the repository is empty.
+ * @throws {Error} - With status 404 if the ref does not exist.
+ */
+async function resolveRef(octokit, owner, repo, ref) {
+    const { repository } = await octokit.graphql(
+        `
+        query ($owner: String!, $repo: String!, $expression: String!) {
+            repository(owner: $owner, name: $repo) {
+                object(expression: $expression) {
+                    ... on Commit {
+                        oid
+                        committedDate
+                    }
+                    ... on Tag {
+                        target {
+                            ... on Commit {
+                                oid
+                                committedDate
+                            }
+                        }
+                    }
+                }
+            }
         }
-    });
-    
-    return authors;
+    `,
+    {
+        owner: owner,
+        repo: repo,
+        expression: ref || 'HEAD',
+    }
+    );
+
+    const object = repository.object ? (repository.object.target || repository.object) : null;
+    if (!object || !object.oid) {
+        if (!ref) {
+            return null;
+        }
+        const err = new Error(`Ref ${ref} not found in ${owner}/${repo}.`);
+        err.status = 404;
+        throw err;
+    }
+
+    return {
+        sha: object.oid,
+        date: object.committedDate,
+    };
+}
+
+/**
+ * Retrieves the URL of the GitHub Pages site of a repository.
+ *
+ * @param {Octokit} octokit - The Octokit instance used to make API requests.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @returns {Promise<string|null>} - The URL of the site, or null if GitHub Pages is not enabled.
+ */
+async function getPagesUrl(octokit, owner, repo) {
+    try {
+        const resp = await octokit.request('GET /repos/{owner}/{repo}/pages', {
+            owner: owner,
+            repo: repo,
+        });
+        return resp.data.html_url || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Retrieves the latest completed run of each GitHub Actions workflow on a branch.
+ *
+ * @param {Octokit} octokit - The Octokit instance used to make API requests.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [branch] - The branch, usually the default branch. All branches if not given.
+ * @returns {Promise<Object[]>} - The runs: { workflow, conclusion, url, date }, `workflow` being the path of
+ *   the workflow file. Empty if Actions are disabled or the runs cannot be read.
+ */
+async function getWorkflowRuns(octokit, owner, repo, branch) {
+    try {
+        const resp = await octokit.request('GET /repos/{owner}/{repo}/actions/runs', {
+            owner: owner,
+            repo: repo,
+            branch: branch,
+            status: 'completed',
+            exclude_pull_requests: true,
+            per_page: 100,
+        });
+        const runs = [];
+        // Runs are returned from the most recent
+        for (const run of resp.data.workflow_runs || []) {
+            if (run.path && !runs.some(item => item.workflow === run.path.replace(/@.*$/, ''))) {
+                runs.push({
+                    workflow: run.path.replace(/@.*$/, ''),
+                    conclusion: run.conclusion,
+                    url: run.html_url,
+                    date: run.updated_at || run.created_at,
+                });
+            }
+        }
+        return runs;
+    } catch (error) {
+        console.error('Error fetching workflow runs:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Returns the forge provider of a client: providers are returned as they are,
+ * Octokit instances are wrapped in the GitHub provider.
+ *
+ * @param {Object} client - A forge provider or an Octokit instance.
+ * @returns {Object} - The forge provider.
+ */
+function asProvider(client) {
+    if (client && typeof client.listDirectory === 'function' && typeof client.queryRepositoryObject === 'function') {
+        return client;
+    }
+    return createGitHubProvider(client);
 }
 
 
@@ -189,23 +674,65 @@ function buildAuthors(githubObject) {
 
 function buildLicense(githubObject) {
  /*
- For each license in the github object, generate an object in the license array
+ For the license detected by the forge, generate an object in the license array,
+ normalised with the SPDX License List (see normaliseLicenses)
  {
+     "spdxId": "MIT",
      "name": "MIT License",
-     "url" : "https://opensource.org/licenses/MIT",
+     "url" : "https://spdx.org/licenses/MIT.html",
  }
+ The licenses of the license files are identified later (see applyLicenseFiles).
  */
  if(githubObject.licenseInfo){
-     var licenses = [{
+     var licenses = normaliseLicenses([{
          name: githubObject.licenseInfo.name,
-         url: githubObject.licenseInfo.url
-     }]
+         url: githubObject.licenseInfo.url,
+         spdxId: githubObject.licenseInfo.spdxId
+     }])
  }else{
      var licenses = [];
  }
  return licenses;
 }
 
+/**
+ * Builds the versions of a repository from its releases (see releaseToVersion), sorted by date,
+ * the latest stable release being the one designated by the forge.
+ *
+ * @param {Object} githubObject - The repository object.
+ * @returns {Object[]} - The versions.
+ */
+function buildVersions(githubObject) {
+    const versions = sortVersions(githubObject.releases.nodes.map(releaseToVersion));
+    return markLatestRelease(versions, githubObject.latestRelease ? githubObject.latestRelease.tagName : null);
+}
+
+/**
+ * Builds the packages published in the package registry of the forge (GitHub Packages, GitLab and Gitea
+ * package registries) as download entries: container images and packages.
+ *
+ * @param {Object} githubObject - The repository object.
+ * @returns {Object[]} - The download entries: { type, registry, name, url, package_type, version }, the
+ *   registry being the host of the forge.
+ */
+function buildDownloads(githubObject) {
+    const host = /^https?:\/\/([^/]+)/i.exec(githubObject.url || '');
+    const nodes = githubObject.packages ? githubObject.packages.nodes || [] : [];
+    return nodes.filter(node => node && node.name).map(node => {
+        const packageType = String(node.packageType || '').toLowerCase();
+        const isContainer = packageType === 'docker' || packageType === 'container';
+        return {
+            type: isContainer ? 'container' : 'package',
+            registry: host ? host[1].toLowerCase() : '',
+            name: node.name,
+            // GitHub Packages have no URL in the GraphQL API
+            url: node.url || `${githubObject.url}/pkgs/${isContainer ? 'container' : packageType}/${node.name}`,
+            package_type: packageType,
+            version: node.version && node.version.version ? node.version.version : '',
+        };
+    });
+}
+
 function githubMetadata(ghObject) {
  const meta = {
      name: ghObject.name,
@@ -226,8 +753,10 @@ function githubMetadata(ghObject) {
      isLocked: ghObject.isLocked,
      isPrivate: ghObject.isPrivate,
      isTemplate: ghObject.isTemplate,
-     version: ghObject.releases.nodes.map((node) => node.tagName),
+     version: buildVersions(ghObject),
      license: buildLicense(ghObject),
+     license_expression: null,
+     license_files: [],
      repository: removeNull([ 
          ghObject.url
      ]),
@@ -239,7 +768,8 @@ function githubMetadata(ghObject) {
      contribPolicy: [],
      dependencies: [],
      documentation: [],
-     download: [], // This could be package or come from repository contents
+     documentation_sites: [],
+     download: buildDownloads(ghObject), // Forge packages, then manifests, README and repository contents
      edam_operations: [],
      edam_topics: [],
      https: true,
@@ -249,12 +779,17 @@ function githubMetadata(ghObject) {
      os: [],
      output: [],
      publication: [],
+     readme: null,
+     identifiers: [],
+     funding: [],
+     languages: [],
      semantics: {
          inputs: [],
          outputs: [],
          topics: [],
          operations: [],
      },
+     truncated: ghObject.truncated || {},
      source: ['github'],
      src: [],
      ssl: true,
@@ -317,49 +852,456 @@ function PrepareListsIds(metadata) {
  return metadata;
 }
 
-async function getRepositoryMetadata(octokit, owner, repo) {
- // Use the Explorer to build the GraphQL query: https://docs.github.com/en/graphql/overview/explorer
- const repository = await queryRepositoryObject(octokit, owner, repo, 100);
+/**
+ * Reverts PrepareListsIds: for each list field, replaces the `{ term, id }` wrappers by their term.
+ * Lists that are not wrapped are left untouched, so it is safe to call on any observatory metadata.
+ *
+ * @param {Object} metadata - The observatory metadata, prepared or not.
+ * @returns {Object} - A copy of the metadata with plain lists.
+ */
+function unwrapListsIds(metadata) {
+    const unwrapped = { ...metadata };
+
+    for (const [field, value] of Object.entries(unwrapped)) {
+        if (!Array.isArray(value)) {
+            continue;
+        }
+        const isPrepared = value.length > 0 && value.every(item =>
+            item !== null && typeof item === 'object' && 'term' in item && 'id' in item && Object.keys(item).length === 2
+        );
+        if (isPrepared) {
+            unwrapped[field] = value.map(item => item.term);
+        }
+    }
+
+    return unwrapped;
+}
+
+/**
+ * Retrieves the repository from its forge and transforms it to the observatory metadata.
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {number|Object} [limits] - The limits of the pagination (see queryRepositoryObject).
+ * @param {string} [ref] - The branch, tag or commit SHA whose history gives the authors. Defaults to HEAD.
+ * @returns {Promise<Object>} - The observatory metadata.
+ */
+async function getRepositoryMetadata(client, owner, repo, limits, ref) {
+ const provider = asProvider(client);
+ const repository = await provider.queryRepositoryObject(owner, repo, limits, ref);
  info('Repository object retrieved. Transforming to metadata')
  var metadata = githubMetadata(repository); // transform data to the observatory metadata schema
+ metadata.source = [provider.name];
  info('Metadata transformed. Returning metadata')
  return metadata;
 }
 
 
-async function fetchDocumentationFiles(octokit, owner, repo) {
-    const docDirs = ['docs', 'documentation', 'example'];
-    const docTypes = {
-        'readme': ['README.md', 'README.txt'],
-        'contributing': ['CONTRIBUTING.md', 'CONTRIBUTING.txt'],
-        'license': ['LICENSE.md', 'LICENSE.txt', 'LICENSE'],
-        'code_of_conduct': ['CODE_OF_CONDUCT.md', 'CODE_OF_CONDUCT.txt'],
-        'changelog': ['CHANGELOG.md', 'CHANGELOG.txt'],
-        'installation': ['INSTALL.md', 'INSTALL.txt', 'INSTALL'],
-        'usage': ['USAGE.md', 'USAGE.txt', 'USAGE'],
-        'api': ['API.md', 'API.txt', 'API'],
-        'faq': ['FAQ.md', 'FAQ.txt', 'FAQ'],
-        'tutorial': ['TUTORIAL.md', 'TUTORIAL.txt', 'TUTORIAL'],
-        'requirements': ['REQUIREMENTS.md', 'REQUIREMENTS.txt', 'REQUIREMENTS'],
-        'citation': ['CITATION.md', 'CITATION.txt', 'CITATION', 'CITATION.cff'],
+/**
+ * Runs the whole extraction for a repository: repository metadata, documentation files,
+ * publications in the README (optional), existing metadata files (codemeta.json, .zenodo.json,
+ * package.json), language manifests (dependencies, package registries and platforms) and CITATION.cff.
+ * The licenses of the license files are identified with the SPDX License List (see applyLicenseFiles), and
+ * the README is analysed for installation instructions, install commands and badges (see analyseReadme), and
+ * the testing and CI evidence is detected, with the latest CI runs of the default branch (see fetchTestEvidence).
+ * The distribution channels (container recipes, conda recipes, Homebrew formulae, publishing workflows
+ * and release assets) are added to `download` and `src` (see fetchDistributionChannels).
+ * Topics, keywords, description and README headings are then annotated with EDAM concepts (see annotateEdam).
+ *
+ * Sources are merged with the following precedence, from highest to lowest:
+ * CITATION.cff, codemeta.json, .zenodo.json, package.json and the forge API.
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {boolean} readmeExtract - Whether to extract publications from the README.
+ * @param {Object} [limits] - The limits of the GraphQL pagination (see queryRepositoryObject).
+ * @param {string} [ref] - The branch, tag or commit SHA to extract the metadata from. Defaults to HEAD.
+ *   The ref is resolved to a commit first, so that the whole extraction runs against the same commit.
+ * @returns {Promise<Object>} - The observatory metadata, not prepared (see PrepareListsIds). The commit the
+ *   files were read from is recorded in `commit`: { ref, sha, date }.
+ */
+async function extractRepositoryMetadata(client, owner, repo, readmeExtract, limits, ref) {
+    const provider = asProvider(client);
+
+    info('Resolving ref');
+    const commit = await provider.resolveRef(owner, repo, ref);
+    // Without an explicit ref, files are read from the default branch and linked with its name
+    const sha = ref && commit ? commit.sha : undefined;
+
+    let metadata = await getRepositoryMetadata(provider, owner, repo, limits, sha);
+    metadata.commit = {
+        ref: ref || 'HEAD',
+        sha: commit ? commit.sha : null,
+        date: commit ? commit.date : null,
     };
 
+    info('Fetching documentation files');
+    metadata.documentation = await fetchDocumentationFiles(provider, owner, repo, sha);
+
+    info('Detecting documentation sites');
+    metadata.documentation_sites = await fetchDocumentationSites(provider, owner, repo, metadata, sha);
+    for (const site of metadata.documentation_sites) {
+        if (site.url && !metadata.documentation.some(doc => doc.url === site.url)) {
+            metadata.documentation.push({ type: 'site', url: site.url });
+        }
+    }
+
+    info('Inferring maintainers');
+    const peopleFiles = {};
+    for (const path of CODEOWNERS_FILES.concat(MAINTAINERS_FILES, AUTHORS_FILES)) {
+        peopleFiles[path] = await provider.getFileContent(owner, repo, path, sha);
+    }
+    const adminLogins = await provider.getAdminLogins(owner, repo);
+    metadata.authors = inferMaintainers(metadata.authors, peopleFiles, adminLogins);
+
+    info('Fetching README content');
+    const readme = await fetchReadme(provider, owner, repo, sha);
+    const readmeContent = readme ? readme.content : null;
+    if (readmeExtract) {
+        metadata.publication = extractJournalPublication(readmeContent);
+    }
+
+    info('Fetching metadata files and manifests');
+    const files = {};
+    for (const path of new Set(HARVEST_SOURCES.concat(MANIFEST_FILES))) {
+        files[path] = await provider.getFileContent(owner, repo, path, sha);
+    }
+    metadata = harvestMetadataFiles(metadata, files);
+
+    info('Parsing manifests');
+    metadata = applyManifests(metadata, files);
+
+    info('Fetching citation content');
+    const citationContent = await getCitationContent(provider, owner, repo, sha);
+    if (citationContent) {
+        metadata.citation = citationContent;
+        metadata = parseCitationCFF(citationContent, metadata);
+        metadata.publication = removeDuplicatePublications(metadata.publication, metadata.citation);
+    }
+
+    info('Identifying licenses');
+    const licenseFiles = await fetchLicenseFiles(provider, owner, repo, sha);
+    metadata = applyLicenseFiles(metadata, licenseFiles);
+
+    info('Analysing README');
+    const readmeAnalysis = readme ? analyseReadme(readme.content, {
+        path: readme.path,
+        url: provider.fileUrl(owner, repo, readme.path, sha),
+        names: [repo, metadata.name].concat((metadata.manifest_packages || []).concat(metadata.download || []).map(download => download.name)),
+    }) : null;
+    metadata = applyReadmeAnalysis(metadata, readmeAnalysis);
+
+    info('Detecting tests and CI');
+    const testEvidence = await fetchTestEvidence(provider, owner, repo, sha);
+    metadata = applyTestEvidence(metadata, testEvidence);
+
+    info('Detecting distribution channels');
+    const channels = await fetchDistributionChannels(provider, owner, repo, metadata, sha);
+    metadata = applyDistributionChannels(metadata, channels);
+
+    info('Annotating with EDAM');
+    const annotations = annotateEdam({
+        topics: (metadata.topics || []).map(topic => (typeof topic === 'object' ? topic.term : topic))
+            .concat(metadata.tags || []),
+        description: (metadata.description || []).join('\n'),
+        readme: readmeContent || '',
+    });
+    metadata = applyEdamAnnotations(metadata, annotations);
+
+    info('Linking versions to the CHANGELOG');
+    metadata.version = await linkChangelogSections(provider, owner, repo, metadata, sha);
+
+    return metadata;
+}
+
+/**
+ * Fetches the license files of a repository: the LICENSE, COPYING and UNLICENSE files at the root
+ * (LICENSE.md, LICENSE-MIT, COPYING.LESSER...) and the files of the LICENSES directory of REUSE.
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<Object[]>} - The license files: { path, content }.
+ */
+async function fetchLicenseFiles(client, owner, repo, ref) {
+    const provider = asProvider(client);
+    const rootFiles = await provider.listDirectory(owner, repo, '', ref);
+
+    const paths = rootFiles
+        .filter(entry => entry.type === 'blob' && LICENSE_FILE_REGEX.test(entry.name))
+        .map(entry => entry.name);
+    if (rootFiles.some(entry => entry.type === 'tree' && entry.name === LICENSES_DIRECTORY)) {
+        const entries = await provider.listDirectory(owner, repo, LICENSES_DIRECTORY, ref);
+        entries.filter(entry => entry.type === 'blob').forEach(entry => paths.push(`${LICENSES_DIRECTORY}/${entry.name}`));
+    }
+
+    const files = [];
+    for (const path of paths.slice(0, MAX_LICENSE_FILES)) {
+        const content = await provider.getFileContent(owner, repo, path, ref);
+        if (content) {
+            files.push({ path: path, content: content });
+        }
+    }
+    return files;
+}
+
+/**
+ * Lists the CI workflows of a repository (GitHub Actions, and the compatible Gitea and Forgejo Actions).
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string[]} directories - The directories of the root of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<Object>} - The service of each workflow, by path (see WORKFLOW_DIRECTORIES).
+ */
+async function listWorkflows(client, owner, repo, directories, ref) {
+    const provider = asProvider(client);
+    const workflows = {};
+    for (const [dir, service] of Object.entries(WORKFLOW_DIRECTORIES)) {
+        if (!directories.includes(dir.split('/')[0])) {
+            continue;
+        }
+        const entries = await provider.listDirectory(owner, repo, dir, ref);
+        entries
+            .filter(entry => entry.type === 'blob' && /\.ya?ml$/i.test(entry.name))
+            .slice(0, MAX_WORKFLOWS)
+            .forEach(entry => {
+                workflows[`${dir}/${entry.name}`] = service;
+            });
+    }
+    return workflows;
+}
+
+/**
+ * Detects the testing and CI evidence of a repository (see detectTestEvidence): CI configurations and
+ * workflows whose jobs run tests, test framework and coverage configurations, and test directories.
+ * The conclusions of the latest CI runs on the default branch are added if the forge provides them.
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<Object[]>} - The test entries.
+ */
+async function fetchTestEvidence(client, owner, repo, ref) {
+    const provider = asProvider(client);
+    const rootFiles = await provider.listDirectory(owner, repo, '', ref);
+    const names = rootFiles.filter(entry => entry.type === 'blob').map(entry => entry.name);
+    const directories = rootFiles.filter(entry => entry.type === 'tree').map(entry => entry.name);
+
+    const workflows = await listWorkflows(provider, owner, repo, directories, ref);
+
+    // Only the files of the root and of its directories that exist are fetched
+    const files = {};
+    const paths = TEST_FILES.filter(path => (path.includes('/') ? directories.includes(path.split('/')[0]) : names.includes(path)));
+    for (const path of paths.concat(Object.keys(workflows))) {
+        files[path] = await provider.getFileContent(owner, repo, path, ref);
+    }
+
+    const hasRuns = Object.keys(workflows).length > 0 || Boolean(files['.gitlab-ci.yml']);
+    const runs = hasRuns && provider.getWorkflowRuns ? await provider.getWorkflowRuns(owner, repo) : [];
+
+    return detectTestEvidence(files, {
+        directories: directories,
+        workflows: workflows,
+        runs: runs,
+        fileUrl: path => provider.fileUrl(owner, repo, path, ref),
+    });
+}
+
+/**
+ * Detects the distribution channels of a repository (see detectDistributionChannels): container recipes,
+ * conda recipes and Homebrew formulae, and the images and packages published by its workflows, plus the
+ * binaries and source archives of its latest release (see releaseDownloads).
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {Object} metadata - The metadata extracted so far (manifest_packages, download, version, repository).
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<Object[]>} - The download entries.
+ */
+async function fetchDistributionChannels(client, owner, repo, metadata, ref) {
+    const provider = asProvider(client);
+    const rootFiles = await provider.listDirectory(owner, repo, '', ref);
+    const directories = rootFiles.filter(entry => entry.type === 'tree').map(entry => entry.name);
+
+    const listings = { '': rootFiles };
+    const recipeDirectories = CONTAINER_DIRECTORIES.concat(CONDA_RECIPE_DIRECTORIES, HOMEBREW_DIRECTORIES);
+    for (const dir of recipeDirectories.filter(dir => dir && directories.includes(dir))) {
+        listings[dir] = await provider.listDirectory(owner, repo, dir, ref);
+    }
+    const workflows = Object.keys(await listWorkflows(provider, owner, repo, directories, ref));
+
+    const files = {};
+    for (const path of findRecipeFiles(listings).concat(workflows)) {
+        files[path] = await provider.getFileContent(owner, repo, path, ref);
+    }
+
+    const channels = detectDistributionChannels(files, {
+        owner: owner,
+        repo: repo,
+        workflows: workflows,
+        packages: (metadata.manifest_packages || []).concat((metadata.download || []).filter(item => item && item.type === 'package')),
+        fileUrl: path => provider.fileUrl(owner, repo, path, ref),
+    });
+    return channels.concat(releaseDownloads(metadata.version, {
+        forge: provider.name,
+        repositoryUrl: (metadata.repository || [])[0] || '',
+    }));
+}
+
+/**
+ * Links the versions gathered from all the sources to their section of the CHANGELOG found among
+ * the documentation files, if any, then sorts them and marks the latest stable release again.
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {Object} metadata - The metadata extracted so far (version, documentation).
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<Object[]>} - The versions.
+ */
+async function linkChangelogSections(client, owner, repo, metadata, ref) {
+    const provider = asProvider(client);
+    const versions = mergeVersions(metadata.version, []);
+    const forgeLatest = versions.find(version => version.latest);
+
+    // The URL of the CHANGELOG gives its name, whatever its case
+    const changelogs = (metadata.documentation || []).filter(doc => doc.type === 'changelog');
+    for (const name of DOC_TYPES.changelog) {
+        const doc = changelogs.find(item =>
+            item.url.toUpperCase() === provider.fileUrl(owner, repo, name, ref).toUpperCase());
+        if (!doc) {
+            continue;
+        }
+        const path = doc.url.slice(doc.url.length - name.length);
+        const content = await provider.getFileContent(owner, repo, path, ref);
+        if (content) {
+            linkChangelog(versions, content, doc.url, /\.(md|markdown)$/i.test(path));
+            break;
+        }
+    }
+
+    return markLatestRelease(sortVersions(versions), forgeLatest ? forgeLatest.tag : null);
+}
+
+
+// Maximum number of license files read
+const MAX_LICENSE_FILES = 10;
+
+// Maximum number of CI workflows read in each workflows directory
+const MAX_WORKFLOWS = 20;
+
+// Directories walked recursively to find documentation files, and maximum depth of the walk
+const DOC_DIRS = ['docs', 'doc', 'documentation', 'example', 'examples'];
+const DOCS_MAX_DEPTH = 3;
+
+// Extensions of documentation files
+const DOC_EXTENSIONS = ['.md', '.markdown', '.txt', '.rst', '.adoc', '.asciidoc', '.ipynb', '.html', '.htm'];
+
+const DOC_TYPES = {
+    'readme': ['README.md', 'README.txt', 'README.rst', 'README.adoc', 'README'],
+    'contributing': ['CONTRIBUTING.md', 'CONTRIBUTING.txt', 'CONTRIBUTING.rst'],
+    'license': ['LICENSE.md', 'LICENSE.txt', 'LICENSE'],
+    'code_of_conduct': ['CODE_OF_CONDUCT.md', 'CODE_OF_CONDUCT.txt', 'CODE_OF_CONDUCT.rst'],
+    'changelog': ['CHANGELOG.md', 'CHANGELOG.txt', 'CHANGELOG.rst', 'CHANGELOG', 'CHANGES.md', 'CHANGES.rst', 'NEWS.md', 'HISTORY.md', 'HISTORY.rst'],
+    'installation': ['INSTALL.md', 'INSTALL.txt', 'INSTALL', 'INSTALL.rst'],
+    'usage': ['USAGE.md', 'USAGE.txt', 'USAGE'],
+    'api': ['API.md', 'API.txt', 'API'],
+    'faq': ['FAQ.md', 'FAQ.txt', 'FAQ'],
+    'tutorial': ['TUTORIAL.md', 'TUTORIAL.txt', 'TUTORIAL', 'TUTORIAL.ipynb'],
+    'requirements': ['REQUIREMENTS.md', 'REQUIREMENTS.txt', 'REQUIREMENTS'],
+    'citation': ['CITATION.md', 'CITATION.txt', 'CITATION', 'CITATION.cff'],
+};
+
+
+/**
+ * Finds the documentation files of a repository: the files of its root and the files of its
+ * documentation directories (docs, doc, documentation, example, examples), walked recursively.
+ * Hidden directories and directories starting with an underscore (build outputs, templates) are skipped.
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @param {number} [maxDepth] - The maximum depth of the walk in the documentation directories (1 is the directory itself).
+ * @returns {Promise<Object[]>} - The documentation files: { type, url }.
+ */
+async function fetchDocumentationFiles(client, owner, repo, ref, maxDepth = DOCS_MAX_DEPTH) {
+    const provider = asProvider(client);
+    const fileUrl = path => provider.fileUrl(owner, repo, path, ref);
+
     let documentationFiles = [];
 
-    // Fetch root directory contents using GraphQL
-    const rootFiles = await fetchDirectoryContentsGraphQL(octokit, owner, repo, '');
-    documentationFiles = documentationFiles.concat(processFiles(rootFiles, owner, repo, docTypes));
+    // Fetch root directory contents
+    const rootFiles = await provider.listDirectory(owner, repo, '', ref);
+    documentationFiles = documentationFiles.concat(processFiles(rootFiles, owner, repo, DOC_TYPES, '', fileUrl));
 
-    // Check and process the specific directories if they exist
-    for (let dir of docDirs) {
-        const dirFiles = await fetchDirectoryContentsGraphQL(octokit, owner, repo, dir);
-        documentationFiles = documentationFiles.concat(processFiles(dirFiles, owner, repo, docTypes, dir));
+    // Walk the documentation directories that exist
+    const walk = async (dir, depth) => {
+        const entries = await provider.listDirectory(owner, repo, dir, ref);
+        documentationFiles = documentationFiles.concat(processFiles(entries, owner, repo, DOC_TYPES, dir, fileUrl));
+
+        if (depth >= maxDepth) {
+            return;
+        }
+        for (const entry of entries) {
+            if (entry.type === 'tree' && !/^[._]/.test(entry.name) && entry.name !== 'node_modules') {
+                await walk(`${dir}/${entry.name}`, depth + 1);
+            }
+        }
+    };
+
+    const rootDirs = rootFiles.filter(file => file.type === 'tree').map(file => file.name);
+    for (const dir of DOC_DIRS.filter(dir => rootDirs.includes(dir))) {
+        await walk(dir, 1);
     }
 
     return documentationFiles;
 }
 
-async function fetchDirectoryContentsGraphQL(octokit, owner, repo, path) {
+/**
+ * Detects the documentation sites of a repository (MkDocs, Sphinx, Read the Docs, Jekyll, GitHub Pages)
+ * and the URL where each one is published (see detectDocumentationSites).
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {Object} metadata - The metadata extracted so far (homepage).
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<Object[]>} - The documentation sites: { generator, config, url }, `config` being the URL
+ *   of the configuration file.
+ */
+async function fetchDocumentationSites(client, owner, repo, metadata, ref) {
+    const provider = asProvider(client);
+
+    const files = {};
+    for (const path of DOC_SITE_FILES) {
+        files[path] = await provider.getFileContent(owner, repo, path, ref);
+    }
+    if (!Object.values(files).some(Boolean) && !provider.getPagesUrl) {
+        return [];
+    }
+
+    const pagesUrl = provider.getPagesUrl ? await provider.getPagesUrl(owner, repo) : null;
+    const readme = Object.values(files).some(Boolean) ? await getReadmeContent(provider, owner, repo, ref) : '';
+
+    return detectDocumentationSites(files, {
+        readme: readme || '',
+        homepages: metadata.webpage || [],
+        pagesUrl: pagesUrl,
+    }).map(site => ({
+        ...site,
+        config: site.config ? provider.fileUrl(owner, repo, site.config, ref) : '',
+    }));
+}
+
+async function fetchDirectoryContentsGraphQL(octokit, owner, repo, path, ref = 'HEAD') {
     // Helper function to fetch contents of a directory using GraphQL
 
     const query = `
@@ -377,7 +1319,7 @@ async function fetchDirectoryContentsGraphQL(octokit, owner, repo, path) {
     }
     `;
 
-    const pathExpression = path ? `HEAD:${path}` : "HEAD:";
+    const pathExpression = `${ref}:${path || ''}`;
 
     const response = await octokit.graphql(query, {
         owner: owner,
@@ -388,69 +1330,84 @@ async function fetchDirectoryContentsGraphQL(octokit, owner, repo, path) {
     return response.repository.object ? response.repository.object.entries : [];
 }
 
-function processFiles(files, owner, repo, docTypes, dir = '') {
+function processFiles(files, owner, repo, docTypes, dir = '', fileUrl = null) {
     // Helper function to process files and match against documentation types
+    // fileUrl builds the web URL of a file from its path (GitHub URLs on the default branch by default)
+    const urlOf = name => {
+        const path = `${dir ? dir + '/' : ''}${name}`;
+        return fileUrl ? fileUrl(path) : `https://github.com/${owner}/${repo}/blob/HEAD/${path}`;
+    };
+    const knownNames = [].concat(...Object.values(docTypes)).map(f => f.toUpperCase());
+    const isDocumentation = name => knownNames.includes(name.toUpperCase()) ||
+        DOC_EXTENSIONS.some(extension => name.toLowerCase().endsWith(extension));
+
     return files
-        .filter(file => file.type === 'blob' && (file.name.endsWith('.md') || file.name.endsWith('.txt')))
+        .filter(file => file.type === 'blob' && isDocumentation(file.name))
         .map(file => {
             for (const [type, filenames] of Object.entries(docTypes)) {
                 if (filenames.map(f => f.toUpperCase()).includes(file.name.toUpperCase())) {
                     return {
                         type: type,
-                        url: `https://github.com/${owner}/${repo}/blob/main/${dir ? dir + '/' : ''}${file.name}`
+                        url: urlOf(file.name)
                     };
                 }
             }
-            // If not a known type, return as a general documentation file
+            // If not a known type, return as a general documentation file of its top-level directory
             return {
-                type: `${dir || 'root'}`,
-                url: `https://github.com/${owner}/${repo}/blob/main/${dir ? dir + '/' : ''}${file.name}`
+                type: `${dir ? dir.split('/')[0] : 'root'}`,
+                url: urlOf(file.name)
             };
         });
 }
 
-async function getReadmeContent(octokit, owner, repo) {
-    try {
-        const query = `
-          query($owner: String!, $repo: String!) {
-            repository(owner: $owner, name: $repo) {
-              object(expression: "HEAD:README.md") {
-                ... on Blob {
-                  text
-                }
-              }
-            }
-          }
-        `;
-  
-        
-        const result = await octokit.graphql(query, {
-          owner: owner,
-          repo: repo,
-        });
-    
-        if (result.repository.object) {
-          const readmeContent = result.repository.object.text;
-          console.log("README found.");
-          return readmeContent;
-        } else {
-          console.log("README not found.");
-          return null;
-        }
-      } catch (error) {
-        console.error("Error fetching README:", error);
-        return null;
-      }
+/**
+ * Retrieves the README of a repository, whatever its name: README.md, readme.md, README.rst, README,
+ * or a localised README if there is no other (see findReadme).
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<Object|null>} - The README: { path, content }, or null if it does not exist.
+ */
+async function fetchReadme(client, owner, repo, ref) {
+    const provider = asProvider(client);
+    const path = findReadme(await provider.listDirectory(owner, repo, '', ref));
+    const content = path ? await provider.getFileContent(owner, repo, path, ref) : null;
+    return content ? { path: path, content: content } : null;
+}
+
+/**
+ * Retrieves the content of the README of a repository (see fetchReadme).
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<string|null>} - The content of the README, or null if it does not exist.
+ */
+async function getReadmeContent(client, owner, repo, ref) {
+    const readme = await fetchReadme(client, owner, repo, ref);
+    return readme ? readme.content : null;
 }
 
 
-// Get citation content
-async function getCitationContent(octokit, owner, repo) {
+/**
+ * Retrieves the text content of a file of the repository at a ref.
+ *
+ * @param {Octokit} octokit - The Octokit instance used to make API requests.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} path - The path of the file in the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<string|null>} - The content of the file, or null if it does not exist.
+ */
+async function getFileContent(octokit, owner, repo, path, ref = 'HEAD') {
     try {
         const query = `
-          query($owner: String!, $repo: String!) {
+          query($owner: String!, $repo: String!, $expression: String!) {
             repository(owner: $owner, name: $repo) {
-              object(expression: "HEAD:CITATION.cff") {
+              object(expression: $expression) {
                 ... on Blob {
                   text
                 }
@@ -458,96 +1415,248 @@ async function getCitationContent(octokit, owner, repo) {
             }
           }
         `;
-  
-        
+
         const result = await octokit.graphql(query, {
           owner: owner,
           repo: repo,
+          expression: `${ref}:${path}`,
         });
-    
+
         if (result.repository.object) {
-          const readmeContent = result.repository.object.text;
-          console.log("CITATION.cff found.");
-          return readmeContent;
+          info(`${path} found.`);
+          return result.repository.object.text;
         } else {
-          console.log("CITATION.cff not found.");
+          info(`${path} not found.`);
           return null;
         }
-      } catch (error) {
-        console.error("Error fetching README.cff", error);
+      } catch (err) {
+        error(`Error fetching ${path}:`, err.message);
         return null;
       }
 }
 
-// parse citation content from CITATION.cff and map to metadata
+
+/**
+ * Retrieves the content of the CITATION.cff file of a repository.
+ *
+ * @param {Object} client - The forge provider, or an Octokit instance for GitHub (see asProvider).
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} [ref] - The branch, tag or commit SHA. Defaults to HEAD.
+ * @returns {Promise<string|null>} - The content of the CITATION.cff file, or null if it does not exist.
+ */
+async function getCitationContent(client, owner, repo, ref) {
+    return asProvider(client).getFileContent(owner, repo, 'CITATION.cff', ref);
+}
+
+/**
+ * Parses the content of a CITATION.cff file and maps the Citation File Format 1.2.0 model
+ * to the observatory metadata.
+ *
+ * - `authors` come first among the authors known so far (commit history or harvested files), keeping the
+ *   ORCID, email and affiliation already known for the same persons; the other ones are kept. Persons and entities
+ *   (organisations) are supported, including ORCID and affiliation. `contact` persons are
+ *   flagged as maintainers.
+ * - `title` is added to `label`, `abstract` to `description`, `keywords` to `tags`.
+ * - `license` (a single SPDX id or a list of them) is added to `license`.
+ * - `version` and `date-released` are added to `version` and `date_released`.
+ * - `repository-code`, `repository` and `repository-artifact` are added to `repository` and `links`,
+ *   `url` to `webpage`.
+ * - `doi` and `identifiers` (DOI, SWH, URL) are added to `identifiers`.
+ * - `preferred-citation` and `references` are added to `publication`.
+ *
+ * Fields that do not match the CFF 1.2.0 JSON schema, and missing recommended keys, are reported in
+ * `citation_warnings`.
+ *
+ * @param {string} citationContent - The content of the CITATION.cff file.
+ * @param {Object} metadata - The observatory metadata to complete.
+ * @returns {Object} - The metadata with the citation information added.
+ */
 function parseCitationCFF(citationContent, metadata) {
+    metadata.citation_warnings = [];
+
+    let citationData;
     try {
         // Parse the YAML content from the CITATION.cff file
-        const citationData = yaml.load(citationContent);
-
-        // Initialize the metadata object if it doesn't exist
-        console.log(citationContent)
-        console.log(citationData)
-
-        // Map the citation data to the observatory metadata
-        if(citationData.license){
-            metadata.license.push({
-                name: citationData.license,
-                url: ''
-            })
-        }
+        citationData = yaml.load(citationContent);
+    } catch (error) {
+        console.error('Error parsing CITATION.cff:', error);
+        metadata.citation_warnings.push(`CITATION.cff is not valid YAML: ${error.message}`);
+        return metadata;
+    }
 
-        if (citationData.title) {
-            metadata.label.push(citationData.title);
-        }
+    const { errors, warnings } = validateCFFSchema(citationData);
+    metadata.citation_warnings = errors.concat(warnings);
+    if (!citationData || typeof citationData !== 'object' || Array.isArray(citationData)) {
+        return metadata;
+    }
+
+    try {
+        return mapCitationCFF(citationData, metadata);
+    } catch (err) {
+        // A malformed file must not fail the whole extraction
+        console.error('Error mapping CITATION.cff:', err);
+        metadata.citation_warnings.push(`CITATION.cff could not be mapped: ${err.message}`);
+        return metadata;
+    }
+}
 
-        if (citationData.authors.length > 0) {
-            metadata.authors = citationData.authors.map(author => ({
-                name: `${author['given-names']} ${author['family-names']}`,
-                email: '',
-                maintainer: false,
-                type: 'person'
-            }));
+/**
+ * Maps the parsed content of a CITATION.cff file to the observatory metadata (see parseCitationCFF).
+ *
+ * @param {Object} citationData - The parsed CITATION.cff file.
+ * @param {Object} metadata - The observatory metadata to complete.
+ * @returns {Object} - The metadata with the citation information added.
+ */
+function mapCitationCFF(citationData, metadata) {
+    const pushUnique = (field, value) => {
+        if (!metadata[field]) {
+            metadata[field] = [];
+        }
+        if (value && !metadata[field].includes(value)) {
+            metadata[field].push(value);
         }
+    };
 
-        if (citationData.version){
-            metadata.version.push(citationData.version);
+    // License: an SPDX identifier or expression, or a list of them (alternatives). license-url is the
+    // text of a license that is not in the SPDX License List
+    const expressions = [].concat(citationData.license || []).map(String).map(parseLicenseExpression).filter(Boolean);
+    const licenses = [].concat(...expressions.map(expression => expression.ids)).map(spdxLicense);
+    if (citationData['license-url']) {
+        const unknown = licenses.filter(license => !license.spdxId);
+        unknown.forEach(license => {
+            license.url = String(citationData['license-url']);
+        });
+        if (licenses.length === 0) {
+            licenses.push({ name: String(citationData['license-url']), url: String(citationData['license-url']), spdxId: '' });
         }
+    }
+    metadata.license = normaliseLicenses((metadata.license || []).concat(licenses));
+    if (expressions.length > 0) {
+        metadata.license_expression = expressions
+            .map(expression => (expressions.length > 1 && expression.ids.length > 1 ? `(${expression.expression})` : expression.expression))
+            .join(' OR ');
+    }
 
-        if (citationData['preferred-citation']){
-            new_pub = {
-                title: citationData['preferred-citation'].title || '',
-                year: citationData['preferred-citation'].year || '',
-                doi: citationData['preferred-citation'].doi || '',
-                url: citationData['preferred-citation'].url || '',
-            }
-            metadata.publication.push(new_pub);
+    if (citationData.title) {
+        pushUnique('label', String(citationData.title));
+    }
+
+    if (citationData.abstract) {
+        pushUnique('description', String(citationData.abstract).trim());
+    }
+
+    if (Array.isArray(citationData.authors) && citationData.authors.length > 0) {
+        const authors = citationData.authors
+            .filter(author => author && typeof author === 'object')
+            .map(cffAuthorToAuthor);
+        metadata.authors = mergeAuthors(metadata.authors || [], authors);
+    }
+
+    // Contact persons are the ones maintaining the software
+    if (Array.isArray(citationData.contact)) {
+        citationData.contact
+            .filter(contact => contact && typeof contact === 'object')
+            .map(cffAuthorToAuthor)
+            .forEach(contact => {
+                const author = metadata.authors.find(item =>
+                    item.name === contact.name || (contact.email && item.email === contact.email)
+                );
+                if (author) {
+                    author.maintainer = true;
+                } else {
+                    contact.maintainer = true;
+                    metadata.authors.push(contact);
+                }
+            });
+    }
+
+    if (citationData['date-released']) {
+        metadata.date_released = formatCFFDate(citationData['date-released']);
+    }
+
+    if (citationData.version) {
+        const released = citationData['date-released'] ? metadata.date_released : null;
+        metadata.version = mergeVersions(metadata.version, [versionFromString(String(citationData.version), released)]);
+    }
+
+    if (Array.isArray(citationData.keywords)) {
+        citationData.keywords.forEach(keyword => pushUnique('tags', String(keyword)));
+    }
+
+    pushUnique('repository', citationData['repository-code']);
+    pushUnique('links', citationData.repository);
+    pushUnique('links', citationData['repository-artifact']);
+    pushUnique('webpage', citationData.url);
+
+    // Identifiers: the top-level DOI and the identifiers list
+    let identifiers = [];
+    if (citationData.doi) {
+        identifiers.push(cffIdentifierToIdentifier({ type: 'doi', value: citationData.doi }));
+    }
+    if (Array.isArray(citationData.identifiers)) {
+        identifiers = identifiers.concat(citationData.identifiers
+            .filter(identifier => identifier && identifier.value)
+            .map(cffIdentifierToIdentifier));
+    }
+    metadata.identifiers = metadata.identifiers || [];
+    identifiers.forEach(identifier => {
+        if (!metadata.identifiers.some(item => item.type === identifier.type && item.value === identifier.value)) {
+            metadata.identifiers.push(identifier);
         }
-        
-        // Return the mapped data
-        return metadata;
+    });
 
-    } catch (error) {
-        // log error 
-        console.error('Error parsing CITATION.cff:', error);
-        return metadata;
+    // Publications: the preferred citation and the references
+    metadata.publication = metadata.publication || [];
+    if (citationData['preferred-citation'] && typeof citationData['preferred-citation'] === 'object') {
+        metadata.publication.push(cffReferenceToPublication(citationData['preferred-citation']));
+    }
+    if (Array.isArray(citationData.references)) {
+        citationData.references
+            .filter(reference => reference && typeof reference === 'object')
+            .forEach(reference => metadata.publication.push(cffReferenceToPublication(reference)));
     }
+
+    // Return the mapped data
+    return metadata;
 }
 
+/**
+ * Removes duplicate publications. Publications are the same if they have the same DOI
+ * (case insensitive) or, when they have no DOI, the same title.
+ * The first occurrence is kept and its empty fields are completed with the ones of its duplicates.
+ *
+ * @param {Object[]} publications - The publications.
+ * @returns {Object[]} - The publications without duplicates.
+ */
 function removeDuplicatePublications(publications) {
     const uniquePublications = [];
 
-    // Using a Set to keep track of seen titles or DOIs
-    const seen = new Set();
-
     publications.forEach(publication => {
-        // Create a unique identifier based on title and DOI
-        const identifier = `${publication.title}-${publication.doi}`;
+        const doi = String(publication.doi || '').toLowerCase();
+        const title = String(publication.title || '').toLowerCase().replace(/\W+/g, ' ').trim();
+
+        const existing = uniquePublications.find(item => {
+            const itemDoi = String(item.doi || '').toLowerCase();
+            if (doi && itemDoi) {
+                return doi === itemDoi;
+            }
+            const itemTitle = String(item.title || '').toLowerCase().replace(/\W+/g, ' ').trim();
+            return Boolean(title) && title === itemTitle;
+        });
+
+        if (!existing) {
+            uniquePublications.push({ ...publication });
+            return;
+        }
 
-        // If the identifier hasn't been seen yet, add the publication to the unique list
-        if (!seen.has(identifier)) {
-            seen.add(identifier);
-            uniquePublications.push(publication);
+        // Complete the empty fields of the publication already kept
+        for (const [key, value] of Object.entries(publication)) {
+            const empty = existing[key] === undefined || existing[key] === '' ||
+                (Array.isArray(existing[key]) && existing[key].length === 0);
+            if (empty) {
+                existing[key] = value;
+            }
         }
     });
 
@@ -555,21 +1664,27 @@ function removeDuplicatePublications(publications) {
 }
 
 
+// BibTeX entry types that do not describe a publication
+const BIBTEX_SPECIAL_ENTRIES = ['string', 'preamble', 'comment'];
+
 function extractBibTeXEntries(content) {
     content = String(content)
     content = content.replace(/`/g, '');
     const normalizeContent = content => content.normalize('NFKD');
     content = normalizeContent(content);
 
-    console.log(content)
-
-    const startRegex = /@(article|INPROCEEDINGS)\s*{[^,]+,/gi;
+    // Any entry type: @article, @inproceedings, @misc, @software, @inbook, @phdthesis...
+    const startRegex = /@([a-z]+)\s*{[^,{}\s]+\s*,/gi;
     let entries = [];
     let match;
 
     while ((match = startRegex.exec(content)) !== null) {
+        if (BIBTEX_SPECIAL_ENTRIES.includes(match[1].toLowerCase())) {
+            continue;
+        }
+
         let startIndex = match.index;
-        let braceCount = 1; // Start with 1 because we know there's an opening '{' after @article{
+        let braceCount = 1; // Start with 1 because we know there's an opening '{' after @type
         let entry = match[0]; // Start with the matched string
 
         // Continue from the character after the match
@@ -613,6 +1728,55 @@ function cleanBracketsInObject(obj) {
     return obj;
 }
 
+/**
+ * Cleans a BibTeX field value: removes the protecting braces, LaTeX accent commands
+ * and extra whitespace, and recomposes accented characters.
+ *
+ * @param {string} value - The BibTeX value.
+ * @returns {string} - The clean value.
+ */
+function cleanBibTeXValue(value) {
+    return String(value || '')
+        .replace(/\\[`'^"~=.uvHcdbk]\s*{?([a-zA-Z])}?/g, '$1')
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .normalize('NFC');
+}
+
+/**
+ * Splits a BibTeX author field into names written "Given Family".
+ * BibTeX names can be written "Family, Given" or "Given Family" and are separated by "and".
+ *
+ * @param {string} authors - The BibTeX author field.
+ * @returns {string[]} - The author names.
+ */
+function parseBibTeXAuthors(authors) {
+    if (!authors) {
+        return [];
+    }
+
+    return String(authors)
+        .split(/\s+and\s+/i)
+        .map(author => author.trim())
+        .filter(Boolean)
+        .map(author => {
+            // Names fully protected by braces are organisations: keep them as they are
+            if (/^{.*}$/.test(author)) {
+                return cleanBibTeXValue(author);
+            }
+            const parts = author.split(',').map(part => part.trim());
+            if (parts.length === 2) {
+                return cleanBibTeXValue(`${parts[1]} ${parts[0]}`);
+            }
+            if (parts.length === 3) {
+                // Family, Jr, Given
+                return cleanBibTeXValue(`${parts[2]} ${parts[0]}, ${parts[1]}`);
+            }
+            return cleanBibTeXValue(author);
+        });
+}
+
 function extractJournalPublication(content) {
     const bibtexEntries = extractBibTeXEntries(content);
     let publications = [];
@@ -622,11 +1786,23 @@ function extractJournalPublication(content) {
             const parsed = parse(entry);
 
             const key = Object.keys(parsed)[0];
-            new_pub = {
-                title: parsed[key].TITLE || '',
-                year: parsed[key].YEAR || '',
-                doi: parsed[key].DOI || '',
-                url: parsed[key].URL || '',
+            const fields = parsed[key];
+            const venue = fields.JOURNAL || fields.JOURNALTITLE || fields.BOOKTITLE || fields.SERIES ||
+                fields.HOWPUBLISHED || fields.PUBLISHER || fields.SCHOOL || fields.INSTITUTION ||
+                fields.ORGANIZATION || '';
+
+            let new_pub = {
+                type: String(fields.entryType || '').toLowerCase(),
+                title: cleanBibTeXValue(fields.TITLE),
+                year: cleanBibTeXValue(fields.YEAR || String(fields.DATE || '').slice(0, 4)),
+                doi: cleanBibTeXValue(fields.DOI).replace(/^https?:\/\/(dx\.)?doi\.org\//i, ''),
+                url: cleanBibTeXValue(fields.URL),
+                authors: parseBibTeXAuthors(fields.AUTHOR),
+                journal: cleanBibTeXValue(venue),
+                volume: cleanBibTeXValue(fields.VOLUME),
+                issue: cleanBibTeXValue(fields.NUMBER || fields.ISSUE),
+                pages: cleanBibTeXValue(fields.PAGES).replace(/-+/g, '-'),
+                issn: cleanBibTeXValue(fields.ISSN),
             }
             new_pub = cleanBracketsInObject(new_pub);
             publications.push(new_pub);
@@ -635,27 +1811,55 @@ function extractJournalPublication(content) {
         }
     }
 
-    return publications;
+    // Publications only referenced by an identifier (DOI badges, arXiv, PubMed...)
+    publications = publications.concat(extractPublicationIdentifiers(content));
+
+    return removeDuplicatePublications(publications);
 }
 
 
 module.exports = {
+    DEFAULT_LIMITS,
+    MAX_LIMITS,
+    resolveLimits,
+    paginateConnection,
+    collectPages,
     queryRepositoryObject,
     removeNull,
     buildTopics,
     buildAuthors,
+    getAdminLogins,
+    createGitHubProvider,
+    resolveRef,
+    getPagesUrl,
+    getWorkflowRuns,
+    asProvider,
     buildLicense,
+    buildVersions,
+    buildDownloads,
     githubMetadata,
     PrepareListsIds,
+    unwrapListsIds,
     getRepositoryMetadata,
+    extractRepositoryMetadata,
     fetchDocumentationFiles,
+    fetchDocumentationSites,
+    linkChangelogSections,
+    fetchLicenseFiles,
+    listWorkflows,
+    fetchTestEvidence,
+    fetchDistributionChannels,
     fetchDirectoryContentsGraphQL,
     processFiles,
+    fetchReadme,
     getReadmeContent,
+    getFileContent,
     getCitationContent,
     parseCitationCFF,
     removeDuplicatePublications,
     extractBibTeXEntries,
     cleanBracketsInObject,
+    cleanBibTeXValue,
+    parseBibTeXAuthors,
     extractJournalPublication
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { DEFAULT_LIMITS, MAX_LIMITS, resolveLimits, paginateConnection, collectPages } = require('./metadata');
+
+/**
+ * Builds an Octokit stub whose GraphQL releases connection holds `total` releases.
+ */
+function releasesOctokit(total) {
+    const calls = [];
+    const graphql = jest.fn(async (query, variables) => {
+        calls.push(variables);
+        const start = variables.after ? parseInt(variables.after, 10) : 0;
+        const end = Math.min(start + variables.first, total);
+        const nodes = [];
+        for (let i = start; i < end; i++) {
+            nodes.push({ tagName: `v${i}` });
+        }
+        return {
+            repository: {
+                releases: {
+                    pageInfo: { hasNextPage: end < total, endCursor: String(end) },
+                    nodes: nodes,
+                },
+            },
+        };
+    });
+    return { graphql, calls };
+}
+
+describe('resolveLimits', () => {
+    test('uses a number for every connection', () => {
+        expect(resolveLimits(5)).toEqual({ ...DEFAULT_LIMITS, commits: 5, releases: 5, packages: 5, topics: 5 });
+    });
+
+    test('reads numbers given as strings', () => {
+        expect(resolveLimits({ commits: '250', releases: null })).toEqual({ ...DEFAULT_LIMITS, commits: 250 });
+    });
+
+    test('lowers the limits to the server maximum', () => {
+        expect(resolveLimits({ commits: 1e9, timeBudget: 3600000 })).toEqual({ ...DEFAULT_LIMITS, commits: MAX_LIMITS.commits, timeBudget: MAX_LIMITS.timeBudget });
+        expect(resolveLimits(Infinity).topics).toBe(MAX_LIMITS.topics);
+    });
+
+    test('rejects values that are not numbers or are negative with a 400', () => {
+        [{ releases: -1 }, { topics: 'x' }, { timeBudget: '' }, { commits: [] }, -5].forEach(limits => {
+            expect(() => resolveLimits(limits)).toThrow(expect.objectContaining({ status: 400 }));
+        });
+    });
+});
+
+describe('paginateConnection', () => {
+    test('follows the cursors up to the limit', async () => {
+        const octokit = releasesOctokit(250);
+        const result = await paginateConnection(octokit, 'inab', 'tool', 'releases', 150, Date.now() + 10000);
+        expect(result.items).toHaveLength(150);
+        expect(result.truncated).toBe(true);
+        expect(octokit.calls.map(call => [call.first, call.after])).toEqual([[100, null], [50, '100']]);
+    });
+
+    test('is not truncated when all the items are retrieved', async () => {
+        const result = await paginateConnection(releasesOctokit(30), 'inab', 'tool', 'releases', 100, Date.now() + 10000);
+        expect(result).toEqual({ items: expect.any(Array), truncated: false });
+        expect(result.items).toHaveLength(30);
+    });
+
+    test('stops when the time budget is exceeded, keeping the first page', async () => {
+        const result = await paginateConnection(releasesOctokit(250), 'inab', 'tool', 'releases', 250, Date.now() - 1);
+        expect(result.items).toHaveLength(100);
+        expect(result.truncated).toBe(true);
+    });
+});
+
+describe('collectPages', () => {
+    const pages = total => jest.fn(async (page, perPage) => {
+        const start = (page - 1) * perPage;
+        const items = Array.from({ length: Math.max(0, Math.min(perPage, total - start)) }, (value, index) => start + index);
+        return { items, hasNextPage: start + perPage < total };
+    });
+
+    test('keeps the page size and cuts to the limit', async () => {
+        const fetchPage = pages(45);
+        const result = await collectPages(fetchPage, 25, Date.now() + 10000, 10);
+        expect(result.items).toHaveLength(25);
+        expect(result.truncated).toBe(true);
+        expect(fetchPage.mock.calls).toEqual([[1, 10], [2, 10], [3, 10]]);
+    });
+
+    test('retrieves nothing with a limit of 0', async () => {
+        const fetchPage = pages(10);
+        expect(await collectPages(fetchPage, 0, Date.now() + 10000)).toEqual({ items: [], truncated: false });
+        expect(fetchPage).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,93 @@
+/*
+Forge providers supported by the extractor, besides GitHub (see createGitHubProvider in metadata.js).
+*/
+
+const { createGitLabProvider } = require('./gitlab');
+const { createGiteaProvider } = require('./gitea');
+const MetadataExtractor = require('../extractor');
+
+// Provider factories by name. Forgejo exposes the Gitea API
+const FORGE_PROVIDERS = {
+    gitlab: createGitLabProvider,
+    gitea: createGiteaProvider,
+    forgejo: createGiteaProvider,
+};
+
+// Public instances that can be queried with `baseUrl` without being configured (see EXTRACTOR_FORGE_HOSTS)
+const FORGE_HOSTS = {
+    gitlab: ['gitlab.com'],
+    gitea: ['codeberg.org', 'gitea.com'],
+    forgejo: ['codeberg.org'],
+};
+
+
+/**
+ * Returns the hosts of the self-hosted instances configured in EXTRACTOR_FORGE_HOSTS (comma separated).
+ *
+ * @returns {string[]} - The hosts, in lower case.
+ */
+function configuredForgeHosts() {
+    return String(MetadataExtractor.forgeHosts || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Checks the URL of the instance requested by a client. The user token is sent to this URL, so
+ * only https URLs of the public instances of the forge or of the configured hosts are accepted.
+ *
+ * @param {string} name - The name of the forge: gitlab, gitea or forgejo.
+ * @param {string} [baseUrl] - The URL of the instance, undefined for the default one.
+ * @param {string[]} [allowedHosts] - The configured hosts. Defaults to EXTRACTOR_FORGE_HOSTS.
+ * @returns {string|undefined} - The URL of the instance.
+ * @throws {Error} - With status 400 if the URL is not allowed.
+ */
+function checkForgeUrl(name, baseUrl, allowedHosts = configuredForgeHosts()) {
+    if (baseUrl === undefined || baseUrl === null || baseUrl === '') {
+        return undefined;
+    }
+
+    let url;
+    try {
+        url = new URL(String(baseUrl));
+    } catch (e) {
+        url = null;
+    }
+
+    const hosts = (FORGE_HOSTS[name] || []).concat(allowedHosts);
+    if (!url || url.protocol !== 'https:' || url.username || url.password || !hosts.includes(url.hostname.toLowerCase())) {
+        const err = new Error(`baseUrl must be an https URL of one of the allowed ${name} instances: ${hosts.join(', ')}.`);
+        err.status = 400;
+        throw err;
+    }
+
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Creates the provider of a forge other than GitHub.
+ *
+ * @param {string} name - The name of the forge: gitlab, gitea or forgejo.
+ * @param {Object} [options] - The options of the provider: { baseUrl, token }.
+ * @returns {Object} - The forge provider.
+ * @throws {Error} - With status 400 if the forge is not supported or its URL is not allowed (see checkForgeUrl).
+ */
+function createForgeProvider(name, options = {}) {
+    const forge = String(name).toLowerCase();
+    const factory = FORGE_PROVIDERS[forge];
+    if (!factory) {
+        const err = new Error(`Unsupported provider: ${name}. Supported providers are github, ${Object.keys(FORGE_PROVIDERS).join(', ')}.`);
+        err.status = 400;
+        throw err;
+    }
+    return factory({ ...options, baseUrl: checkForgeUrl(forge, options.baseUrl) });
+}
+
+
+module.exports = {
+    FORGE_PROVIDERS,
+    FORGE_HOSTS,
+    checkForgeUrl,
+    createForgeProvider
+};
@@ -0,0 +1,606 @@
+/*
+Analysis of the README of a repository (Markdown, reStructuredText or plain text): its installation
+and usage sections, the install commands of its code blocks (pip, conda, npm and docker) and its badges
+(CI, coverage, PyPI, Bioconda, DOI, license...).
+
+The analysis gives:
+{
+    path, format,
+    sections: [{ type: 'installation' | 'usage', heading, anchor, url }],
+    install_commands: [{ tool, command, packages, section }],
+    badges: [{ type, alt, image, link }],
+    download: [{ type: 'package' | 'container', registry, name, url }],
+    test: [{ type: 'ci' | 'coverage', service, url, badge, source }],
+    documentation: [{ type, url }]
+}
+*/
+
+const { extractHeadings } = require('./markdown');
+
+// README files, by preference: Markdown first, then reStructuredText, plain text and AsciiDoc
+const README_EXTENSIONS = ['.md', '.markdown', '.rst', '.txt', '', '.adoc'];
+
+// README, readme.md, README.rst, and localised variants such as README.en.md, README_zh-CN.md or README-es.rst
+const README_REGEX = /^readme(?:[._-](?!(?:md|rst)$)([a-z]{2}(?:[-_][a-z]{2,4})?))?(\.(?:md|markdown|rst|txt|adoc))?$/i;
+
+// Headings of the installation and usage sections
+const SECTION_TYPES = {
+    installation: /\b(install(s|ation|ing)?|setup|set(ting)? up|getting started|quick ?start|download(ing)?|build(ing)? from source|compil(e|ing|ation))\b/i,
+    usage: /\b(usage|how to use|using|examples?|tutorials?|run(ning)?|command[- ]line|cli|basic use)\b/i,
+};
+
+// Badge types, tested in order against the image of the badge first and then against its link
+const BADGE_TYPES = [
+    ['license', /shields\.io\/(github\/license|pypi\/l|npm\/l|conda\/l|cran\/l|crates\/l|badge\/licen[cs]e)|licen[cs]e[-_.\w]*\.svg|opensource\.org\/licenses|choosealicense\.com/i],
+    ['coverage', /codecov\.io|coveralls\.io|shields\.io\/(codecov|coveralls|codeclimate\/coverage|sonar\/coverage)|\/coverage\.svg|badge\/coverage/i],
+    ['ci', /\/actions\/workflows\/|github\.com\/[^/]+\/[^/]+\/workflows\/|shields\.io\/(github\/(actions\/)?workflow|github\/checks|travis|circleci|appveyor|azure-devops\/build|gitlab\/pipeline|jenkins)|travis-ci\.(org|com)|circleci\.com|ci\.appveyor\.com|dev\.azure\.com|\/pipeline\.svg|buildkite\.com|drone\.io|badge\/build/i],
+    ['doi', /zenodo\.org\/badge|doi\.org\/|shields\.io\/badge\/doi/i],
+    ['bioconda', /bioconda/i],
+    ['pypi', /pypi|badge\.fury\.io\/py/i],
+    ['conda', /anaconda\.org|shields\.io\/conda/i],
+    ['npm', /npmjs\.(com|org)|shields\.io\/npm|badge\.fury\.io\/js/i],
+    ['docker', /hub\.docker\.com|shields\.io\/docker|quay\.io\/repository/i],
+    ['docs', /readthedocs|rtfd\.io|badge\/docs|badge\/documentation/i],
+];
+
+// Images that are badges even if their type is unknown
+const BADGE_IMAGE_REGEX = /shields\.io|badge|\.svg(\?|$)/i;
+
+// Services of the CI and coverage badges
+const BADGE_SERVICES = [
+    ['github-actions', /github\.com\/[^/]+\/[^/]+\/(actions\/)?workflows|shields\.io\/github\/(actions\/)?workflow/i],
+    ['travis-ci', /travis-ci\.|shields\.io\/travis/i],
+    ['circleci', /circleci/i],
+    ['appveyor', /appveyor/i],
+    ['azure-pipelines', /dev\.azure\.com|azure-devops/i],
+    ['gitlab-ci', /gitlab/i],
+    ['jenkins', /jenkins/i],
+    ['codecov', /codecov/i],
+    ['coveralls', /coveralls/i],
+    ['codeclimate', /codeclimate/i],
+];
+
+// Package names in the badges and links of each registry
+const BADGE_PACKAGES = {
+    pypi: /(?:pypi\.org\/project|pypi\.python\.org\/pypi|shields\.io\/pypi\/[a-z]+|badge\.fury\.io\/py)\/([\w.-]+)/i,
+    bioconda: /(?:anaconda\.org\/bioconda|shields\.io\/conda\/[a-z]+\/bioconda|bioconda\.github\.io\/recipes)\/([\w.-]+)/i,
+    conda: /(?:anaconda\.org|shields\.io\/conda\/[a-z]+)\/([\w.-]+)\/([\w.-]+)/i,
+    npm: /(?:npmjs\.(?:com|org)\/package|shields\.io\/npm\/[a-z]+|badge\.fury\.io\/js)\/((?:@[\w.-]+\/)?[\w.-]+)/i,
+    docker: /(?:hub\.docker\.com\/r|shields\.io\/docker\/[a-z]+)\/([\w.-]+\/[\w.-]+)/i,
+};
+
+// Install commands: the tool, its registry and the pattern of the command
+const INSTALL_COMMANDS = [
+    ['pip', 'pypi', /\b((?:python3?\s+-m\s+|uv\s+)?pip3?\s+install\s+.+)/],
+    ['conda', '', /\b((?:conda|mamba|micromamba)\s+(?:install|create)\s+.+)/],
+    ['npm', 'npm', /\b((?:npm\s+(?:install|i)|yarn\s+(?:global\s+)?add|pnpm\s+(?:add|install))(?:\s+.+)?)/],
+    ['docker', 'docker', /\b(docker\s+(?:pull|run)\s+.+)/],
+];
+
+// Options of the install commands that take a value
+const VALUE_OPTIONS = {
+    pip: ['-r', '--requirement', '-c', '--constraint', '-i', '--index-url', '--extra-index-url', '-f', '--find-links', '-t', '--target', '--prefix', '--root'],
+    conda: ['-c', '--channel', '-n', '--name', '-p', '--prefix', '--file'],
+    npm: ['--prefix', '--registry', '--tag'],
+    docker: ['-v', '--volume', '-p', '--publish', '-e', '--env', '--env-file', '-w', '--workdir', '-u', '--user',
+        '--name', '--entrypoint', '--mount', '--network', '--platform', '-m', '--memory', '--cpus', '-h', '--hostname'],
+};
+
+const PACKAGE_NAME_REGEX = /^(@[\w.-]+\/)?[A-Za-z0-9][\w.-]*$/;
+
+
+/**
+ * Finds the README among the files of the root of a repository: README.md, readme.md, README.rst, README...
+ * Unlocalised READMEs are preferred, then English ones, then the other languages.
+ *
+ * @param {Object[]} entries - The entries of the root directory: { name, type }.
+ * @returns {string|null} - The name of the README, or null if there is none.
+ */
+function findReadme(entries) {
+    const candidates = (entries || [])
+        .filter(entry => entry.type === 'blob')
+        .map(entry => ({ name: entry.name, match: README_REGEX.exec(entry.name) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => {
+            const locale = (match[1] || '').toLowerCase();
+            const extension = README_EXTENSIONS.indexOf((match[2] || '').toLowerCase());
+            return {
+                name: name,
+                rank: [locale ? (/^en\b/.test(locale) ? 1 : 2) : 0, extension, name === name.toUpperCase() ? 0 : 1],
+            };
+        });
+    candidates.sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.rank[2] - b.rank[2]);
+    return candidates.length > 0 ? candidates[0].name : null;
+}
+
+/**
+ * Returns the format of a README from its name.
+ *
+ * @param {string} path - The path of the README.
+ * @returns {string} - 'markdown', 'rst', 'asciidoc' or 'text'.
+ */
+function readmeFormat(path) {
+    if (/\.(md|markdown)$/i.test(path || '')) {
+        return 'markdown';
+    }
+    if (/\.rst$/i.test(path || '')) {
+        return 'rst';
+    }
+    return /\.adoc$/i.test(path || '') ? 'asciidoc' : 'text';
+}
+
+/**
+ * Classifies a heading as an installation or usage section.
+ *
+ * @param {string} heading - The text of the heading.
+ * @returns {string|null} - 'installation', 'usage', or null.
+ */
+function sectionType(heading) {
+    const text = String(heading || '').replace(/\[([^\]]*)\]\([^)]*\)|[`*_]/g, '$1');
+    return Object.keys(SECTION_TYPES).find(type => SECTION_TYPES[type].test(text)) || null;
+}
+
+/**
+ * Returns, for each line of a document, the headings of the sections that contain it, outermost first.
+ *
+ * @param {string[]} lines - The lines of the document.
+ * @param {Object[]} headings - The headings of the document (see extractHeadings).
+ * @returns {Object[][]} - The enclosing headings of each line.
+ */
+function enclosingHeadings(lines, headings) {
+    const result = [];
+    let stack = [];
+    let next = 0;
+    lines.forEach((line, index) => {
+        while (next < headings.length && headings[next].line === index) {
+            const heading = headings[next];
+            stack = stack.filter(item => item.level < heading.level).concat([heading]);
+            next++;
+        }
+        result.push(stack);
+    });
+    return result;
+}
+
+/**
+ * Finds the lines of code of a document: fenced and indented code blocks (Markdown), literal blocks and
+ * code-block directives (reStructuredText), shell prompts and inline code.
+ *
+ * @param {string[]} lines - The lines of the document.
+ * @returns {Object[]} - The code: { text, line }.
+ */
+function extractCode(lines) {
+    const code = [];
+    let fenced = false;
+    let literal = false;
+    lines.forEach((line, index) => {
+        if (/^\s{0,3}(```|~~~)/.test(line)) {
+            fenced = !fenced;
+            return;
+        }
+        // reStructuredText literal blocks follow a line ending with :: and are indented
+        literal = literal ? !/^\S/.test(line) : false;
+        if (/::\s*(\w+\s*)?$/.test(line)) {
+            literal = true;
+            return;
+        }
+        if (fenced || (literal && line.trim()) || /^( {4}|\t)\s*\S/.test(line) || /^\s*\$\s+\S/.test(line)) {
+            code.push({ text: line.trim(), line: index });
+            return;
+        }
+        const inline = /``([^`]+)``|`([^`]+)`/g;
+        let match;
+        while ((match = inline.exec(line)) !== null) {
+            code.push({ text: (match[1] || match[2]).trim(), line: index });
+        }
+    });
+    return code;
+}
+
+/**
+ * Splits a command in its arguments, honouring quotes.
+ *
+ * @param {string} command - The command.
+ * @returns {string[]} - The arguments.
+ */
+function splitCommand(command) {
+    const args = [];
+    const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = regex.exec(command)) !== null) {
+        args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+    }
+    return args;
+}
+
+/**
+ * Parses an install command: the packages (or the image) it installs, and the conda channel.
+ * Local paths, URLs, requirement files and placeholders are not packages.
+ *
+ * @param {string} tool - The tool: pip, conda, npm or docker.
+ * @param {string} command - The command, without prompt.
+ * @returns {Object} - { packages, channel }. Packages keep their extras and version out.
+ */
+function parseInstallCommand(tool, command) {
+    const args = splitCommand(command.replace(/\s(&&|\||;|#).*$/, ''));
+    const options = VALUE_OPTIONS[tool];
+    const verb = args.findIndex(arg => /^(install|i|add|create|pull|run)$/.test(arg));
+    const positional = [];
+    let channel = '';
+
+    for (let index = verb + 1; index < args.length; index++) {
+        const arg = args[index];
+        if (arg.startsWith('-')) {
+            const [option, value] = arg.split('=');
+            if (options.includes(option) && value === undefined) {
+                if (tool === 'conda' && /^(-c|--channel)$/.test(option) && !channel) {
+                    channel = args[index + 1] || '';
+                }
+                index++;
+            } else if (tool === 'conda' && /^--channel$/.test(option) && !channel) {
+                channel = value;
+            }
+            continue;
+        }
+        positional.push(arg);
+        if (tool === 'docker') {
+            // The arguments after the image are passed to the container
+            break;
+        }
+    }
+
+    const packages = positional
+        .map(arg => {
+            let name = arg;
+            if (tool === 'conda' && name.includes('::')) {
+                [channel, name] = [channel || name.split('::')[0], name.split('::')[1]];
+            }
+            if (tool === 'pip') {
+                name = name.replace(/\[.*$/, '').replace(/[<>=!~;].*$/, '');
+            } else if (tool === 'conda') {
+                name = name.replace(/[<>=!].*$/, '');
+            } else if (tool === 'npm') {
+                name = name.replace(/(.)@.*$/, '$1');
+            }
+            return name;
+        })
+        .filter(name => tool === 'docker'
+            ? /^[a-z0-9][\w.-]*(:\d+)?(\/[\w.-]+)*(:[\w.-]+)?(@sha256:[a-f0-9]+)?$/.test(name)
+            : PACKAGE_NAME_REGEX.test(name));
+
+    return { packages: packages, channel: channel };
+}
+
+/**
+ * Returns the registry coordinates of a container image: Docker Hub, Quay.io, GitHub Container Registry...
+ *
+ * @param {string} image - The image, with optional registry host, tag or digest.
+ * @returns {Object} - The download entry: { type: 'container', registry, name, url }.
+ */
+function containerDownload(image) {
+    const name = image.replace(/@.*$/, '').replace(/:[\w.-]+$/, '');
+    const parts = name.split('/');
+    const host = parts.length > 1 && /[.:]|^localhost$/.test(parts[0]) ? parts.shift() : '';
+    const path = parts.join('/');
+
+    let url;
+    if (!host || host === 'docker.io') {
+        url = path.includes('/') ? `https://hub.docker.com/r/${path}` : `https://hub.docker.com/_/${path}`;
+    } else if (host === 'quay.io') {
+        url = `https://quay.io/repository/${path}`;
+    } else {
+        url = `https://${host}/${path}`;
+    }
+    return {
+        type: 'container',
+        registry: !host || host === 'docker.io' ? 'docker' : host,
+        name: path,
+        url: url,
+    };
+}
+
+/**
+ * Returns the registry coordinates of a package.
+ *
+ * @param {string} registry - The registry: pypi, npm, crates.io, rubygems, bioconda, conda-forge (or another conda channel).
+ * @param {string} name - The name of the package.
+ * @returns {Object} - The download entry: { type: 'package', registry, name, url }.
+ */
+function packageDownload(registry, name) {
+    const urls = {
+        pypi: `https://pypi.org/project/${name}/`,
+        npm: `https://www.npmjs.com/package/${name}`,
+        'crates.io': `https://crates.io/crates/${name}`,
+        rubygems: `https://rubygems.org/gems/${name}`,
+    };
+    return {
+        type: 'package',
+        registry: registry,
+        name: name,
+        url: urls[registry] || `https://anaconda.org/${registry}/${name}`,
+    };
+}
+
+/**
+ * Finds the images of a document (Markdown, HTML and reStructuredText syntaxes) and the links around them.
+ *
+ * @param {string} content - The content of the document.
+ * @returns {Object[]} - The images: { alt, image, link }. `link` is empty if the image is not linked.
+ */
+function extractImages(content) {
+    const text = String(content || '');
+    const images = [];
+
+    // Markdown reference definitions: [name]: url
+    const references = {};
+    text.replace(/^[ \t]{0,3}\[([^\]]+)\]:[ \t]*<?(\S+?)>?([ \t].*)?$/gm, (match, name, url) => {
+        references[name.toLowerCase()] = url;
+        return match;
+    });
+    const resolve = (url, reference) => (url !== undefined ? url : references[String(reference).toLowerCase()] || '');
+
+    // Markdown: [![alt](image)](link), ![alt](image), and their reference forms
+    const image = String.raw`!\[([^\]]*)\](?:\(\s*<?([^)\s>]+)>?[^)]*\)|\[([^\]]*)\])`;
+    const markdown = new RegExp(String.raw`\[\s*${image}\s*\](?:\(\s*<?([^)\s>]+)>?[^)]*\)|\[([^\]]*)\])|${image}`, 'g');
+    let match;
+    while ((match = markdown.exec(text)) !== null) {
+        if (match[1] !== undefined) {
+            images.push({
+                alt: match[1],
+                image: resolve(match[2], match[3] || match[1]),
+                link: resolve(match[4], match[5] || match[1]),
+            });
+        } else {
+            images.push({ alt: match[6], image: resolve(match[7], match[8] || match[6]), link: '' });
+        }
+    }
+
+    // HTML: <a href="link"><img src="image" alt="alt"></a> and <img src="image">
+    const html = /(?:<a\s[^>]*?href=["']([^"']+)["'][^>]*>\s*)?<img\s[^>]*?src=["']([^"']+)["'][^>]*>/gi;
+    while ((match = html.exec(text)) !== null) {
+        const alt = /alt=["']([^"']*)["']/i.exec(match[0]);
+        images.push({ alt: alt ? alt[1] : '', image: match[2], link: match[1] || '' });
+    }
+
+    // reStructuredText: .. image:: url and .. |name| image:: url, with an optional :target: option
+    const rst = /^\.\.\s+(?:\|([^|]+)\|\s+)?image::\s*(\S+)((?:\r?\n[ \t]+:[\w ]+:.*)*)/gm;
+    while ((match = rst.exec(text)) !== null) {
+        const target = /:target:\s*(\S+)/.exec(match[3]);
+        const alt = /:alt:\s*(.+)/.exec(match[3]);
+        images.push({ alt: alt ? alt[1].trim() : (match[1] || '').trim(), image: match[2], link: target ? target[1] : '' });
+    }
+
+    return images.filter(item => item.image);
+}
+
+/**
+ * Classifies a badge from its image and link.
+ *
+ * @param {Object} badge - The badge: { alt, image, link }.
+ * @returns {string|null} - The type (license, coverage, ci, doi, bioconda, pypi, conda, npm, docker, docs),
+ *   'other' for unknown badges, or null if the image is not a badge.
+ */
+function classifyBadge({ alt = '', image = '', link = '' }) {
+    for (const url of [image, link]) {
+        const found = BADGE_TYPES.find(([, pattern]) => pattern.test(url));
+        if (found) {
+            return found[0];
+        }
+    }
+    return BADGE_IMAGE_REGEX.test(image) || /badge/i.test(alt) ? 'other' : null;
+}
+
+/**
+ * Returns the service of a CI or coverage badge.
+ *
+ * @param {Object} badge - The badge: { image, link }.
+ * @returns {string} - The service (github-actions, travis-ci, codecov...), or the host of the link.
+ */
+function badgeService({ image = '', link = '' }) {
+    const found = BADGE_SERVICES.find(([, pattern]) => pattern.test(image) || pattern.test(link));
+    if (found) {
+        return found[0];
+    }
+    const host = /^https?:\/\/([^/]+)/i.exec(link || image);
+    return host ? host[1].toLowerCase() : '';
+}
+
+/**
+ * Returns the package (or container image) a badge points to.
+ *
+ * @param {Object} badge - The badge: { type, image, link }.
+ * @returns {Object|null} - The download entry, or null if the badge names no package.
+ */
+function badgeDownload({ type, image = '', link = '' }) {
+    const pattern = BADGE_PACKAGES[type];
+    const match = pattern ? pattern.exec(link) || pattern.exec(image) : null;
+    if (!match) {
+        return null;
+    }
+    const name = match[match.length - 1].replace(/\.svg$/i, '');
+    if (type === 'conda') {
+        return packageDownload(match[1].toLowerCase(), name);
+    }
+    return type === 'docker' ? containerDownload(name) : packageDownload(type, name);
+}
+
+/**
+ * Normalises a name to compare package and repository names: lowercase, without separators nor
+ * npm scope, docker namespace or python/py prefixes and suffixes.
+ *
+ * @param {string} name - The name.
+ * @returns {string} - The key.
+ */
+function nameKey(name) {
+    return String(name || '').toLowerCase()
+        .replace(/^.*\//, '')
+        .replace(/^(python|py)[-_.]|[-_.](python|py)$/, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Analyses a README: its installation and usage sections, its install commands and its badges.
+ *
+ * Packages installed by the commands are distribution channels of the software only if they are named
+ * as the software (the repository, or the packages declared in the manifests): the commands may also
+ * install dependencies. Packages and images of the badges are always channels of the software.
+ *
+ * @param {string} content - The content of the README.
+ * @param {Object} [context] - The README and the software: { path, url, names }, `url` being the web URL
+ *   of the README (to link its sections) and `names` the names of the software.
+ * @returns {Object} - The analysis (see the top of this file).
+ */
+function analyseReadme(content, { path = 'README.md', url = '', names = [] } = {}) {
+    const lines = String(content || '').split(/\r?\n/);
+    const headings = extractHeadings(content);
+    const enclosing = enclosingHeadings(lines, headings);
+    const keys = new Set(names.map(nameKey).filter(Boolean));
+    const analysis = {
+        path: path,
+        format: readmeFormat(path),
+        sections: [],
+        install_commands: [],
+        badges: [],
+        download: [],
+        test: [],
+        documentation: [],
+    };
+    const addDownload = download => {
+        if (download && !analysis.download.some(item => item.url === download.url)) {
+            analysis.download.push(download);
+        }
+    };
+
+    headings.forEach(heading => {
+        const type = sectionType(heading.text);
+        if (type) {
+            analysis.sections.push({
+                type: type,
+                heading: heading.text,
+                anchor: heading.anchor,
+                url: url ? `${url}#${heading.anchor}` : '',
+            });
+        }
+    });
+
+    extractCode(lines).forEach(({ text, line }) => {
+        const command = text.replace(/^(\$|>|%|!|#)\s*/, '').replace(/^sudo\s+/, '');
+        for (const [tool, registry, pattern] of INSTALL_COMMANDS) {
+            const match = pattern.exec(command);
+            if (!match) {
+                continue;
+            }
+            const commandLine = match[1].trim();
+            if (analysis.install_commands.some(item => item.command === commandLine)) {
+                break;
+            }
+            const { packages, channel } = parseInstallCommand(tool, commandLine);
+            const section = enclosing[line].find(heading => sectionType(heading.text)) || enclosing[line][enclosing[line].length - 1];
+            analysis.install_commands.push({
+                tool: tool,
+                command: commandLine,
+                packages: packages,
+                section: section ? section.text : null,
+            });
+
+            packages.filter(name => keys.has(nameKey(tool === 'docker' ? name.replace(/[:@].*$/, '') : name))).forEach(name => {
+                if (tool === 'docker') {
+                    addDownload(containerDownload(name));
+                } else if (registry || channel) {
+                    // Conda packages are only located with their channel
+                    addDownload(packageDownload(registry || channel.toLowerCase(), name));
+                }
+            });
+            break;
+        }
+    });
+
+    extractImages(content).forEach(image => {
+        const type = classifyBadge(image);
+        if (!type || analysis.badges.some(badge => badge.image === image.image)) {
+            return;
+        }
+        const badge = { type: type, ...image };
+        analysis.badges.push(badge);
+
+        addDownload(badgeDownload(badge));
+        if (type === 'ci' || type === 'coverage') {
+            analysis.test.push({
+                type: type,
+                service: badgeService(badge),
+                url: badge.link || badge.image,
+                badge: badge.image,
+                source: path,
+            });
+        } else if (type === 'docs' && /^https?:\/\//i.test(badge.link)) {
+            analysis.documentation.push({ type: 'site', url: badge.link });
+        }
+    });
+
+    analysis.sections.forEach(section => {
+        if (section.url) {
+            analysis.documentation.push({ type: section.type, url: section.url });
+        }
+    });
+
+    return analysis;
+}
+
+/**
+ * Adds the analysis of the README to the observatory metadata: `inst_instr` (installation section or
+ * install commands, or an installation document), the packages and images to `download`, the CI and
+ * coverage badges to `test`, the sections and documentation badges to `documentation`, and the analysis
+ * itself to `readme`.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @param {Object|null} analysis - The analysis (see analyseReadme), or null if the repository has no README.
+ * @returns {Object} - The metadata.
+ */
+function applyReadmeAnalysis(metadata, analysis) {
+    const merge = (items, additions) => {
+        const merged = Array.isArray(items) ? items.slice() : [];
+        additions.forEach(item => {
+            if (!merged.some(existing => existing && existing.url === item.url)) {
+                merged.push(item);
+            }
+        });
+        return merged;
+    };
+
+    const documentation = metadata.documentation || [];
+    metadata.inst_instr = Boolean(metadata.inst_instr) || documentation.some(doc => doc.type === 'installation');
+    if (!analysis) {
+        return metadata;
+    }
+
+    metadata.inst_instr = metadata.inst_instr
+        || analysis.sections.some(section => section.type === 'installation')
+        || analysis.install_commands.length > 0;
+    metadata.download = merge(metadata.download, analysis.download);
+    metadata.test = merge(metadata.test, analysis.test);
+    metadata.documentation = merge(documentation, analysis.documentation);
+    metadata.readme = {
+        path: analysis.path,
+        format: analysis.format,
+        sections: analysis.sections,
+        install_commands: analysis.install_commands,
+        badges: analysis.badges,
+    };
+    return metadata;
+}
+
+
+module.exports = {
+    README_REGEX,
+    findReadme,
+    readmeFormat,
+    sectionType,
+    extractImages,
+    classifyBadge,
+    parseInstallCommand,
+    containerDownload,
+    packageDownload,
+    nameKey,
+    analyseReadme,
+    applyReadmeAnalysis
+};
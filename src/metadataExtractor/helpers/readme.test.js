@@ -0,0 +1,151 @@
+const {
+    findReadme,
+    readmeFormat,
+    sectionType,
+    extractImages,
+    classifyBadge,
+    parseInstallCommand,
+    containerDownload,
+    nameKey,
+    analyseReadme,
+    applyReadmeAnalysis,
+} = require('./readme');
+
+const README = [
+    '# my-tool',
+    '',
+    '[![CI](https://github.com/inab/my-tool/actions/workflows/ci.yml/badge.svg)](https://github.com/inab/my-tool/actions/workflows/ci.yml)',
+    '[![PyPI](https://img.shields.io/pypi/v/my-tool.svg)](https://pypi.org/project/my-tool/)',
+    '[![Docs][docs-badge]][docs]',
+    '',
+    '[docs-badge]: https://readthedocs.org/projects/my-tool/badge/',
+    '[docs]: https://my-tool.readthedocs.io/',
+    '',
+    '## Installation',
+    '',
+    '```bash',
+    '$ pip install --upgrade "my-tool[all]>=1.0" numpy',
+    'conda install -c bioconda my_tool',
+    '```',
+    '',
+    '## Usage',
+    '',
+    '    docker run -v $PWD:/data quay.io/biocontainers/my-tool:1.0--py_0 my-tool --help',
+].join('\n');
+
+describe('findReadme', () => {
+    test('prefers unlocalised Markdown READMEs', () => {
+        const entries = ['README.es.md', 'readme.rst', 'README.md', 'README_en.md', 'readme.md', 'docs']
+            .map(name => ({ name: name, type: name === 'docs' ? 'tree' : 'blob' }));
+        expect(findReadme(entries)).toBe('README.md');
+        expect(findReadme(entries.filter(entry => !/^readme\.(md|rst)$/i.test(entry.name)))).toBe('README_en.md');
+        expect(findReadme([{ name: 'README.mdx', type: 'blob' }])).toBeNull();
+    });
+
+    test('tells the format from the name', () => {
+        expect(readmeFormat('README.markdown')).toBe('markdown');
+        expect(readmeFormat('README.rst')).toBe('rst');
+        expect(readmeFormat('README')).toBe('text');
+    });
+});
+
+describe('sectionType', () => {
+    test('classifies installation and usage headings', () => {
+        expect(sectionType('Getting started')).toBe('installation');
+        expect(sectionType('**Running** the `tool`')).toBe('usage');
+        expect(sectionType('Citation')).toBeNull();
+    });
+});
+
+describe('extractImages and classifyBadge', () => {
+    test('finds Markdown, HTML and reStructuredText badges', () => {
+        const images = extractImages([
+            '<a href="https://codecov.io/gh/inab/tool"><img src="https://codecov.io/gh/inab/tool/badge.svg" alt="coverage"></a>',
+            '.. image:: https://zenodo.org/badge/DOI/10.5281/zenodo.1.svg',
+            '   :target: https://doi.org/10.5281/zenodo.1',
+            '![logo](docs/logo.png)',
+        ].join('\n'));
+        // Markdown images first, then HTML and reStructuredText
+        expect(images.map(classifyBadge)).toEqual([null, 'coverage', 'doi']);
+        expect(images[2]).toEqual({ alt: '', image: 'https://zenodo.org/badge/DOI/10.5281/zenodo.1.svg', link: 'https://doi.org/10.5281/zenodo.1' });
+    });
+});
+
+describe('parseInstallCommand', () => {
+    test('keeps the packages out of options, versions and extras', () => {
+        expect(parseInstallCommand('pip', 'pip install -r requirements.txt my-tool[all]==1.0 ./local')).toEqual({ packages: ['my-tool'], channel: '' });
+        expect(parseInstallCommand('conda', 'conda install -c conda-forge bioconda::samtools=1.9 <package>')).toEqual({ packages: ['samtools'], channel: 'conda-forge' });
+        expect(parseInstallCommand('npm', 'npm install -g @inab/tool@2 && npm test')).toEqual({ packages: ['@inab/tool'], channel: '' });
+        expect(parseInstallCommand('docker', 'docker run --rm -p 80:80 inab/tool:1.0 serve')).toEqual({ packages: ['inab/tool:1.0'], channel: '' });
+    });
+});
+
+describe('containerDownload', () => {
+    test('locates images of Docker Hub and other registries', () => {
+        expect(containerDownload('ubuntu:22.04').url).toBe('https://hub.docker.com/_/ubuntu');
+        expect(containerDownload('quay.io/biocontainers/tool:1.0--0')).toEqual({
+            type: 'container',
+            registry: 'quay.io',
+            name: 'biocontainers/tool',
+            url: 'https://quay.io/repository/biocontainers/tool',
+        });
+    });
+});
+
+describe('nameKey', () => {
+    test('compares package and repository names', () => {
+        expect(nameKey('python-my_tool')).toBe(nameKey('my-tool'));
+        expect(nameKey('@inab/My.Tool')).toBe('mytool');
+    });
+});
+
+describe('analyseReadme', () => {
+    const analysis = analyseReadme(README, { url: 'https://github.com/inab/my-tool/blob/main/README.md', names: ['my-tool'] });
+
+    test('finds the sections and install commands', () => {
+        expect(analysis.sections.map(section => [section.type, section.url])).toEqual([
+            ['installation', 'https://github.com/inab/my-tool/blob/main/README.md#installation'],
+            ['usage', 'https://github.com/inab/my-tool/blob/main/README.md#usage'],
+        ]);
+        expect(analysis.install_commands.map(command => [command.tool, command.packages, command.section])).toEqual([
+            ['pip', ['my-tool', 'numpy'], 'Installation'],
+            ['conda', ['my_tool'], 'Installation'],
+            ['docker', ['quay.io/biocontainers/my-tool:1.0--py_0'], 'Usage'],
+        ]);
+    });
+
+    test('only reports the packages of the software as downloads', () => {
+        expect(analysis.download.map(download => download.url)).toEqual([
+            'https://pypi.org/project/my-tool/',
+            'https://anaconda.org/bioconda/my_tool',
+            'https://quay.io/repository/biocontainers/my-tool',
+        ]);
+    });
+
+    test('reports the badges as tests and documentation', () => {
+        expect(analysis.badges.map(badge => badge.type)).toEqual(['ci', 'pypi', 'docs']);
+        expect(analysis.test).toEqual([{
+            type: 'ci',
+            service: 'github-actions',
+            url: 'https://github.com/inab/my-tool/actions/workflows/ci.yml',
+            badge: 'https://github.com/inab/my-tool/actions/workflows/ci.yml/badge.svg',
+            source: 'README.md',
+        }]);
+        expect(analysis.documentation[0]).toEqual({ type: 'site', url: 'https://my-tool.readthedocs.io/' });
+    });
+});
+
+describe('applyReadmeAnalysis', () => {
+    test('adds the analysis to the metadata without duplicates', () => {
+        const analysis = analyseReadme(README, { names: ['my-tool'] });
+        const metadata = applyReadmeAnalysis({ download: [{ url: 'https://pypi.org/project/my-tool/' }] }, analysis);
+        expect(metadata.inst_instr).toBe(true);
+        expect(metadata.download).toHaveLength(3);
+        expect(metadata.readme).toMatchObject({ path: 'README.md', format: 'markdown' });
+    });
+
+    test('reads installation documents without README', () => {
+        expect(applyReadmeAnalysis({ documentation: [{ type: 'installation', url: 'https://x/INSTALL.md' }] }, null))
+            .toEqual({ documentation: [{ type: 'installation', url: 'https://x/INSTALL.md' }], inst_instr: true });
+    });
+});
@@ -0,0 +1,351 @@
+/*
+Release history: versions of the observatory metadata built from forge releases, tags and the
+versions found in metadata files, with their semantic version, assets and CHANGELOG sections.
+
+A version is an object:
+  {
+    version,     // the version, without the "v" prefix of the tag (e.g. "1.2.0")
+    tag,         // the git tag, empty if the version is only known from a metadata file
+    name,        // the title of the release
+    date,        // the publication date (ISO 8601), null if unknown
+    prerelease,  // pre-release flag of the release, or pre-release part in the version
+    draft,
+    latest,      // the latest stable release
+    url,         // the release page
+    notes,       // the release notes
+    assets,      // downloadable files: { name, url, size, content_type, downloads, checksum, checksum_url }
+    semver,      // { major, minor, patch, prerelease, build }, null if the version is not semantic
+    changelog,   // the CHANGELOG section of the version, empty if none was found
+  }
+*/
+
+const { extractHeadings } = require('./markdown');
+
+// Semantic version, with optional minor and patch numbers and a pre-release in the Semver
+// (1.0.0-rc.1) or PEP 440 (1.0.0rc1) syntax
+const SEMVER_REGEX = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z][0-9A-Za-z.-]*)|([A-Za-z][0-9A-Za-z.-]*))?(?:\+([0-9A-Za-z.-]+))?$/;
+
+// Prefix of tags naming the software or the kind of tag (my-tool-1.0.0, release/1.0.0, v1.0.0)
+const TAG_PREFIX_REGEX = /^(?:[A-Za-z][A-Za-z_.-]*?[-_/@])?v?(?=\d)/i;
+
+// Hexadecimal checksums by length
+const CHECKSUM_ALGORITHMS = {
+    32: 'md5',
+    40: 'sha1',
+    64: 'sha256',
+    128: 'sha512',
+};
+
+// Files listing the checksums of the assets of a release
+const CHECKSUMS_FILE_REGEX = /^(?:sha\d*sums|md5sums|checksums?)(?:\.txt)?$/i;
+const CHECKSUM_FILE_EXTENSIONS = ['.sha256', '.sha512', '.sha1', '.md5', '.sha256sum', '.sha512sum'];
+
+
+/**
+ * Returns the version named by a tag: the tag without its prefix (v1.0.0, my-tool-1.0.0).
+ *
+ * @param {string} tag - The tag or version.
+ * @returns {string} - The version.
+ */
+function versionOf(tag) {
+    const value = String(tag || '').trim();
+    return value.replace(TAG_PREFIX_REGEX, '') || value;
+}
+
+/**
+ * Parses a semantic version. Missing minor and patch numbers are 0, so that 1.2 is 1.2.0.
+ *
+ * @param {string} version - The version or tag (v1.2.0, 1.2, 1.2.0-rc.1, 1.2.0rc1, 1.2.0+build.5).
+ * @returns {Object|null} - { major, minor, patch, prerelease, build }, or null if it is not a semantic version.
+ */
+function parseSemver(version) {
+    const match = SEMVER_REGEX.exec(versionOf(version));
+    if (!match) {
+        return null;
+    }
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2] || 0),
+        patch: Number(match[3] || 0),
+        prerelease: match[4] || match[5] || null,
+        build: match[6] || null,
+    };
+}
+
+/**
+ * Compares two semantic versions, pre-releases preceding the release.
+ *
+ * @param {Object} a - A parsed version (see parseSemver).
+ * @param {Object} b - A parsed version.
+ * @returns {number} - Negative if a precedes b, positive if b precedes a, 0 if they are equal.
+ */
+function compareSemver(a, b) {
+    for (const part of ['major', 'minor', 'patch']) {
+        if (a[part] !== b[part]) {
+            return a[part] - b[part];
+        }
+    }
+    if (a.prerelease === b.prerelease) {
+        return 0;
+    }
+    if (!a.prerelease || !b.prerelease) {
+        return a.prerelease ? -1 : 1;
+    }
+    return a.prerelease.localeCompare(b.prerelease, 'en', { numeric: true });
+}
+
+/**
+ * Returns the key identifying a version across sources: the normalised semantic version
+ * (so that v1.2, 1.2 and 1.2.0 are the same version), or the version itself.
+ *
+ * @param {Object|string} version - A version object or a version string.
+ * @returns {string} - The key.
+ */
+function versionKey(version) {
+    const value = typeof version === 'object' && version ? version.version || version.tag : version;
+    const semver = parseSemver(value);
+    if (!semver) {
+        return versionOf(value).toLowerCase();
+    }
+    const prerelease = semver.prerelease ? `-${semver.prerelease.replace(/^[.-]/, '').toLowerCase()}` : '';
+    return `${semver.major}.${semver.minor}.${semver.patch}${prerelease}`;
+}
+
+/**
+ * Finds the checksums listed in release notes, in the format of sha256sum (`<checksum>  <file>`)
+ * or as `<file>: <checksum>`, optionally with the algorithm (`sha256:<checksum>`).
+ *
+ * @param {string} notes - The release notes.
+ * @returns {Object} - The checksums by file name: { algorithm, value }.
+ */
+function parseChecksums(notes) {
+    const checksums = {};
+    const add = (file, value) => {
+        const name = String(file).replace(/^[`*"'(]+|[`*"'):,]+$/g, '').split('/').pop();
+        const algorithm = CHECKSUM_ALGORITHMS[value.length];
+        if (name && algorithm) {
+            checksums[name] = { algorithm: algorithm, value: value.toLowerCase() };
+        }
+    };
+
+    String(notes || '').split(/\r?\n/).forEach(line => {
+        const text = line.replace(/^\s*(?:[-*+]|\d+\.)\s+/, '').replace(/\|/g, ' ').trim();
+        const before = /^`?([a-f0-9]{32,128})`?\s+\*?(\S+)/i.exec(text);
+        if (before) {
+            add(before[2], before[1]);
+            return;
+        }
+        const after = /^(\S+?)\s*[:=]?\s+(?:\(?(?:md5|sha1|sha256|sha512)\)?\s*[:=]?\s*)?`?([a-f0-9]{32,128})`?\s*$/i.exec(text);
+        if (after) {
+            add(after[1], after[2]);
+        }
+    });
+    return checksums;
+}
+
+/**
+ * Builds the assets of a release, with the checksums given in the release notes and the URL of
+ * the checksum file of each asset (<asset>.sha256 or a SHA256SUMS file), if it is published.
+ *
+ * @param {Object[]} assets - The assets: { name, size, downloadUrl, contentType, downloadCount }.
+ * @param {string} notes - The release notes.
+ * @returns {Object[]} - The assets of the version.
+ */
+function buildAssets(assets, notes) {
+    const checksums = parseChecksums(notes);
+    const sumsFile = assets.find(asset => CHECKSUMS_FILE_REGEX.test(asset.name || ''));
+
+    return assets.map(asset => {
+        const checksumFile = assets.find(other => CHECKSUM_FILE_EXTENSIONS.some(extension =>
+            other.name === `${asset.name}${extension}`));
+        const isChecksumFile = asset === sumsFile ||
+            CHECKSUM_FILE_EXTENSIONS.some(extension => String(asset.name).endsWith(extension));
+        const checksumSource = checksumFile || (isChecksumFile ? null : sumsFile);
+
+        return {
+            name: asset.name,
+            url: asset.downloadUrl || '',
+            size: typeof asset.size === 'number' ? asset.size : null,
+            content_type: asset.contentType || '',
+            downloads: typeof asset.downloadCount === 'number' ? asset.downloadCount : null,
+            checksum: checksums[asset.name] || null,
+            checksum_url: checksumSource ? checksumSource.downloadUrl || '' : '',
+        };
+    });
+}
+
+/**
+ * Builds a version from a release or a tag, in the shape of the GitHub GraphQL Release object.
+ *
+ * @param {Object} release - { tagName, name, url, publishedAt, createdAt, isPrerelease, isDraft,
+ *   description, releaseAssets: { nodes } }. Tags without release only have a tagName (and a date).
+ * @returns {Object} - The version.
+ */
+function releaseToVersion(release) {
+    const semver = parseSemver(release.tagName);
+    const notes = release.description || '';
+    const assets = release.releaseAssets ? release.releaseAssets.nodes || [] : [];
+
+    return {
+        version: versionOf(release.tagName),
+        tag: release.tagName,
+        name: release.name || release.tagName,
+        date: release.publishedAt || release.createdAt || null,
+        prerelease: Boolean(release.isPrerelease) || Boolean(semver && semver.prerelease),
+        draft: Boolean(release.isDraft),
+        latest: false,
+        url: release.url || '',
+        notes: notes,
+        assets: buildAssets(assets, notes),
+        semver: semver,
+        changelog: '',
+    };
+}
+
+/**
+ * Builds a version known from a metadata file (CITATION.cff, codemeta.json, package.json, ...).
+ *
+ * @param {string} value - The version.
+ * @param {string} [date] - The release date, if known.
+ * @returns {Object} - The version, without tag.
+ */
+function versionFromString(value, date) {
+    const semver = parseSemver(value);
+    return {
+        version: versionOf(value),
+        tag: '',
+        name: String(value),
+        date: date || null,
+        prerelease: Boolean(semver && semver.prerelease),
+        draft: false,
+        latest: false,
+        url: '',
+        notes: '',
+        assets: [],
+        semver: semver,
+        changelog: '',
+    };
+}
+
+/**
+ * Merges versions into a list of versions. Versions already in the list (same version key) are
+ * completed with the fields they miss; the others are added.
+ *
+ * @param {Object[]} versions - The versions of the metadata. Version strings (older metadata) are converted.
+ * @param {Array<Object|string>} additions - The versions to merge: version objects or version strings.
+ * @returns {Object[]} - The merged versions.
+ */
+function mergeVersions(versions, additions) {
+    const merged = (versions || []).map(version => (typeof version === 'object' ? version : versionFromString(version)));
+    (additions || []).filter(Boolean).forEach(addition => {
+        const version = typeof addition === 'object' ? addition : versionFromString(addition);
+        const known = merged.find(item => versionKey(item) === versionKey(version));
+        if (!known) {
+            merged.push(version);
+            return;
+        }
+        Object.keys(version).forEach(field => {
+            const value = known[field];
+            if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                known[field] = version[field];
+            }
+        });
+    });
+    return merged;
+}
+
+/**
+ * Sorts versions by date. Versions without a date (e.g. a version declared in package.json and not
+ * released yet) follow the dated ones, sorted by semantic version.
+ *
+ * @param {Object[]} versions - The versions.
+ * @returns {Object[]} - The sorted versions, from the oldest to the most recent.
+ */
+function sortVersions(versions) {
+    const dated = versions.filter(version => version.date && !isNaN(Date.parse(version.date)));
+    const undated = versions.filter(version => !dated.includes(version));
+
+    dated.sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+    undated.sort((a, b) => (a.semver && b.semver ? compareSemver(a.semver, b.semver) : 0));
+
+    return dated.concat(undated);
+}
+
+/**
+ * Marks the latest stable release: the release designated as latest by the forge, if any,
+ * otherwise the most recent tagged version that is neither a pre-release nor a draft. Versions
+ * only declared in metadata files are considered when there are no tags.
+ *
+ * @param {Object[]} versions - The versions, sorted (see sortVersions).
+ * @param {string} [latestTag] - The tag of the latest release according to the forge.
+ * @returns {Object[]} - The versions.
+ */
+function markLatestRelease(versions, latestTag) {
+    let stable = versions.filter(version => !version.prerelease && !version.draft);
+    if (stable.some(version => version.tag)) {
+        stable = stable.filter(version => version.tag);
+    }
+    const latest = (latestTag && stable.find(version => version.tag === latestTag)) || stable[stable.length - 1];
+
+    versions.forEach(version => {
+        version.latest = version === latest;
+    });
+    return versions;
+}
+
+/**
+ * Finds the sections of a CHANGELOG: the headings naming a version, as in Keep a Changelog
+ * (`## [1.2.0] - 2024-01-31`) or `Version 1.2 (2024-01-31)`. ATX and setext headings are recognised.
+ *
+ * @param {string} content - The content of the CHANGELOG.
+ * @returns {Object[]} - The sections: { key, date, anchor }, `key` being the version key (see versionKey).
+ */
+function parseChangelog(content) {
+    const sections = [];
+    extractHeadings(content).forEach(heading => {
+        const version = /(?:^|[\s[(])v?(\d+\.\d+(?:\.\d+)?(?:-?[A-Za-z][0-9A-Za-z.]*)?)/i.exec(heading.text);
+        if (version) {
+            const date = /\b(\d{4}-\d{2}-\d{2})\b/.exec(heading.text);
+            sections.push({ key: versionKey(version[1]), date: date ? date[1] : null, anchor: heading.anchor });
+        }
+    });
+    return sections;
+}
+
+/**
+ * Links each version to its section of the CHANGELOG, and dates the versions without a date.
+ * Sections are linked with their anchor in Markdown files; other formats are linked as a whole.
+ *
+ * @param {Object[]} versions - The versions.
+ * @param {string} content - The content of the CHANGELOG.
+ * @param {string} url - The URL of the CHANGELOG.
+ * @param {boolean} [markdown] - Whether the CHANGELOG is a Markdown file. Defaults to true.
+ * @returns {Object[]} - The versions.
+ */
+function linkChangelog(versions, content, url, markdown = true) {
+    const sections = parseChangelog(content);
+    versions.forEach(version => {
+        const section = sections.find(item => item.key === versionKey(version));
+        if (section) {
+            version.changelog = markdown ? `${url}#${section.anchor}` : url;
+            version.date = version.date || section.date;
+        }
+    });
+    return versions;
+}
+
+
+module.exports = {
+    versionOf,
+    parseSemver,
+    compareSemver,
+    versionKey,
+    parseChecksums,
+    releaseToVersion,
+    versionFromString,
+    mergeVersions,
+    sortVersions,
+    markLatestRelease,
+    parseChangelog,
+    linkChangelog
+};
@@ -0,0 +1,161 @@
+const {
+    versionOf,
+    parseSemver,
+    compareSemver,
+    versionKey,
+    parseChecksums,
+    releaseToVersion,
+    versionFromString,
+    mergeVersions,
+    sortVersions,
+    markLatestRelease,
+    linkChangelog,
+} = require('./releases');
+
+const SHA256 = 'a'.repeat(64);
+const MD5 = 'b'.repeat(32);
+
+describe('versionOf', () => {
+    test('removes the prefix of the tag', () => {
+        expect(versionOf('v1.2.0')).toBe('1.2.0');
+        expect(versionOf('my-tool-1.2.0')).toBe('1.2.0');
+        expect(versionOf('release/1.2')).toBe('1.2');
+        expect(versionOf('nightly')).toBe('nightly');
+    });
+});
+
+describe('parseSemver', () => {
+    test('parses Semver and PEP 440 versions', () => {
+        expect(parseSemver('v1.2')).toEqual({ major: 1, minor: 2, patch: 0, prerelease: null, build: null });
+        expect(parseSemver('1.2.3-rc.1+build.5')).toEqual({ major: 1, minor: 2, patch: 3, prerelease: 'rc.1', build: 'build.5' });
+        expect(parseSemver('1.2.3rc1').prerelease).toBe('rc1');
+        expect(parseSemver('latest')).toBeNull();
+    });
+});
+
+describe('compareSemver', () => {
+    test('orders pre-releases before the release', () => {
+        const sorted = ['1.10.0', '1.2.0', '1.2.0-rc.2', '1.2.0-rc.10', '0.9']
+            .map(parseSemver)
+            .sort(compareSemver)
+            .map(semver => versionKey(`${semver.major}.${semver.minor}.${semver.patch}${semver.prerelease ? `-${semver.prerelease}` : ''}`));
+        expect(sorted).toEqual(['0.9.0', '1.2.0-rc.2', '1.2.0-rc.10', '1.2.0', '1.10.0']);
+    });
+});
+
+describe('versionKey', () => {
+    test('identifies the same version written differently', () => {
+        expect(versionKey('v1.2')).toBe('1.2.0');
+        expect(versionKey({ version: '1.2.0' })).toBe('1.2.0');
+        expect(versionKey({ tag: 'tool-1.2.0RC1' })).toBe('1.2.0-rc1');
+        expect(versionKey('Nightly')).toBe('nightly');
+    });
+});
+
+describe('parseChecksums', () => {
+    test('reads the sha256sum format and file: checksum lines', () => {
+        const notes = [
+            '## Checksums',
+            `${SHA256}  tool-1.0.tar.gz`,
+            `- \`tool-1.0.zip\`: sha256:${SHA256}`,
+            `| tool.exe | ${MD5} |`,
+            'tool.dmg: not a checksum',
+        ].join('\n');
+        expect(parseChecksums(notes)).toEqual({
+            'tool-1.0.tar.gz': { algorithm: 'sha256', value: SHA256 },
+            'tool-1.0.zip': { algorithm: 'sha256', value: SHA256 },
+            'tool.exe': { algorithm: 'md5', value: MD5 },
+        });
+    });
+
+    test('ignores hexadecimal strings of other lengths', () => {
+        expect(parseChecksums(`${'c'.repeat(50)}  tool.tar.gz`)).toEqual({});
+        expect(parseChecksums(undefined)).toEqual({});
+    });
+});
+
+describe('releaseToVersion', () => {
+    test('builds the assets with their checksums and checksum files', () => {
+        const version = releaseToVersion({
+            tagName: 'v1.0.0-beta',
+            url: 'https://github.com/inab/tool/releases/tag/v1.0.0-beta',
+            publishedAt: '2024-01-01T00:00:00Z',
+            description: `${SHA256}  tool.tar.gz`,
+            releaseAssets: {
+                nodes: [
+                    { name: 'tool.tar.gz', size: 10, downloadUrl: 'https://x/tool.tar.gz', downloadCount: 3 },
+                    { name: 'tool.zip', downloadUrl: 'https://x/tool.zip' },
+                    { name: 'tool.zip.sha256', downloadUrl: 'https://x/tool.zip.sha256' },
+                    { name: 'SHA256SUMS', downloadUrl: 'https://x/SHA256SUMS' },
+                ],
+            },
+        });
+        expect(version).toMatchObject({ version: '1.0.0-beta', tag: 'v1.0.0-beta', name: 'v1.0.0-beta', prerelease: true });
+        expect(version.assets[0]).toEqual({
+            name: 'tool.tar.gz',
+            url: 'https://x/tool.tar.gz',
+            size: 10,
+            content_type: '',
+            downloads: 3,
+            checksum: { algorithm: 'sha256', value: SHA256 },
+            checksum_url: 'https://x/SHA256SUMS',
+        });
+        expect(version.assets[1].checksum_url).toBe('https://x/tool.zip.sha256');
+        // Checksum files have no checksum file
+        expect(version.assets[2].checksum_url).toBe('');
+        expect(version.assets[3].checksum_url).toBe('');
+    });
+});
+
+describe('mergeVersions', () => {
+    test('completes the known versions and adds the others', () => {
+        const merged = mergeVersions(['1.0'], [
+            releaseToVersion({ tagName: 'v1.0.0', publishedAt: '2024-01-01T00:00:00Z' }),
+            '2.0.0',
+            null,
+        ]);
+        expect(merged).toHaveLength(2);
+        expect(merged[0]).toMatchObject({ version: '1.0', tag: 'v1.0.0', date: '2024-01-01T00:00:00Z' });
+        expect(merged[1]).toMatchObject({ version: '2.0.0', tag: '' });
+    });
+});
+
+describe('sortVersions and markLatestRelease', () => {
+    const versions = () => sortVersions([
+        versionFromString('3.0.0'),
+        releaseToVersion({ tagName: 'v2.0.0-rc.1', publishedAt: '2024-03-01T00:00:00Z' }),
+        releaseToVersion({ tagName: 'v1.1.0', publishedAt: '2024-02-01T00:00:00Z' }),
+        releaseToVersion({ tagName: 'v1.0.0', publishedAt: '2024-01-01T00:00:00Z' }),
+    ]);
+
+    test('sorts by date, undated versions last', () => {
+        expect(versions().map(version => version.version)).toEqual(['1.0.0', '1.1.0', '2.0.0-rc.1', '3.0.0']);
+    });
+
+    test('marks the most recent stable tagged release', () => {
+        expect(markLatestRelease(versions()).filter(version => version.latest).map(version => version.tag)).toEqual(['v1.1.0']);
+    });
+
+    test('prefers the release designated by the forge', () => {
+        expect(markLatestRelease(versions(), 'v1.0.0').find(version => version.latest).tag).toBe('v1.0.0');
+    });
+});
+
+describe('linkChangelog', () => {
+    const changelog = '# Changelog\n\n## [1.1.0] - 2024-02-01\n\n- Fix\n\nVersion 1.0\n-----------\n\n- First\n';
+
+    test('links the versions to their section and dates them', () => {
+        const versions = linkChangelog([versionFromString('1.1'), versionFromString('v1.0.0'), versionFromString('0.1')],
+            changelog, 'https://github.com/inab/tool/blob/main/CHANGELOG.md');
+        expect(versions.map(version => [version.changelog, version.date])).toEqual([
+            ['https://github.com/inab/tool/blob/main/CHANGELOG.md#110---2024-02-01', '2024-02-01'],
+            ['https://github.com/inab/tool/blob/main/CHANGELOG.md#version-10', null],
+            ['', null],
+        ]);
+    });
+
+    test('links other formats as a whole', () => {
+        const versions = linkChangelog([versionFromString('1.1.0')], changelog, 'https://x/CHANGES.rst', false);
+        expect(versions[0].changelog).toBe('https://x/CHANGES.rst');
+    });
+});
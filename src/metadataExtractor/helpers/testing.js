@@ -0,0 +1,350 @@
+/*
+Detection of testing and continuous integration evidence: CI configurations whose jobs run tests
+(GitHub Actions workflows, Travis CI, GitLab CI, CircleCI, Azure Pipelines, AppVeyor, Jenkins),
+test frameworks (jest, mocha, vitest, pytest, tox, nox, testthat), coverage configurations
+(Codecov, Coveralls, coverage.py, nyc) and test directories.
+
+Each piece of evidence is a `test` entry:
+{ type: 'ci' | 'framework' | 'coverage' | 'directory', service | framework, source, url, ... }
+where `source` is the path of the file or directory it was found in. CI entries also list the jobs that
+run tests and their test commands, and the conclusion of the latest run on the default branch if known.
+*/
+
+const yaml = require('js-yaml');
+const TOML = require('@iarna/toml');
+const { parseINI, parseDCF } = require('./manifests');
+
+// Directories of the workflows of GitHub Actions and of the compatible Gitea and Forgejo Actions
+const WORKFLOW_DIRECTORIES = {
+    '.github/workflows': 'github-actions',
+    '.gitea/workflows': 'gitea-actions',
+    '.forgejo/workflows': 'forgejo-actions',
+};
+
+// Configuration files, by kind of evidence and service or framework
+const TEST_CONFIGS = {
+    ci: {
+        'travis-ci': ['.travis.yml'],
+        'gitlab-ci': ['.gitlab-ci.yml'],
+        'circleci': ['.circleci/config.yml'],
+        'azure-pipelines': ['azure-pipelines.yml', '.azure-pipelines.yml'],
+        'appveyor': ['appveyor.yml', '.appveyor.yml'],
+        'jenkins': ['Jenkinsfile'],
+    },
+    framework: {
+        'jest': ['jest.config.js', 'jest.config.ts', 'jest.config.mjs', 'jest.config.cjs', 'jest.config.json'],
+        'mocha': ['.mocharc.yml', '.mocharc.yaml', '.mocharc.json', '.mocharc.js', '.mocharc.cjs'],
+        'vitest': ['vitest.config.js', 'vitest.config.ts', 'vitest.config.mjs'],
+        'pytest': ['pytest.ini', 'conftest.py', 'tests/conftest.py'],
+        'tox': ['tox.ini'],
+        'nox': ['noxfile.py'],
+        'testthat': ['tests/testthat.R'],
+    },
+    coverage: {
+        'codecov': ['codecov.yml', '.codecov.yml'],
+        'coveralls': ['.coveralls.yml'],
+        'coverage.py': ['.coveragerc'],
+        'nyc': ['.nycrc', '.nycrc.json', '.nycrc.yml'],
+    },
+};
+
+// Manifests that may configure the test frameworks and the coverage
+const TEST_MANIFESTS = ['package.json', 'pyproject.toml', 'setup.cfg', 'DESCRIPTION'];
+
+// All the files looked for, to fetch them at once
+const TEST_FILES = [].concat(
+    ...Object.values(TEST_CONFIGS).map(configs => [].concat(...Object.values(configs))),
+    TEST_MANIFESTS
+);
+
+// Directories holding the tests
+const TEST_DIRECTORIES = ['test', 'tests', 'spec', '__tests__', 'testing'];
+
+// Commands and actions that run tests, and those that measure the coverage
+const TEST_COMMAND_REGEX = /\b(pytest|py\.test|tox|nox|python3? -m (pytest|unittest)|(npm|yarn|pnpm)( run)? test|jest|mocha|vitest|karma|R CMD check|rcmdcheck|devtools::test|testthat|test_check|go test|cargo test|mvn\b.*\b(test|verify)|gradlew?\b.*\b(test|check)|make (test|check)|ctest|dotnet test|phpunit|rspec|rake test|coverage run)\b/i;
+const TEST_ACTION_REGEX = /^(r-lib\/actions\/check-r-package|codecov\/codecov-action|coverallsapp\/github-action|paambaati\/codeclimate-action)@/i;
+const COVERAGE_REGEX = /codecov|coveralls|codeclimate|--cov\b|--coverage\b|coverage (run|report|xml|lcov)|\bnyc\b|\bc8\b|covr::/i;
+
+// Keys of the CI configurations whose values are commands
+const COMMAND_KEYS = ['run', 'script', 'before_script', 'after_script', 'command', 'bash', 'pwsh', 'powershell', 'test_script', 'build_script'];
+
+// Keys of the GitLab CI configuration that are not jobs
+const GITLAB_RESERVED_KEYS = ['default', 'include', 'stages', 'variables', 'workflow', 'image', 'services', 'cache',
+    'before_script', 'after_script', 'pages'];
+
+// Maximum number of test commands kept for each CI configuration
+const MAX_COMMANDS = 10;
+
+
+/**
+ * Collects the commands (and the actions used, as `uses: action`) found anywhere in a CI configuration.
+ *
+ * @param {*} value - The configuration, or a part of it.
+ * @returns {string[]} - The commands, one per line.
+ */
+function collectCommands(value) {
+    const commands = [];
+    const walk = (item, key) => {
+        if (typeof item === 'string') {
+            if (key === 'uses') {
+                commands.push(`uses: ${item}`);
+            } else if (COMMAND_KEYS.includes(key)) {
+                item.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => commands.push(line));
+            }
+        } else if (Array.isArray(item)) {
+            item.forEach(element => walk(element, key));
+        } else if (item && typeof item === 'object') {
+            Object.entries(item).forEach(([childKey, child]) => walk(child, childKey));
+        }
+    };
+    walk(value, null);
+    return commands;
+}
+
+/**
+ * Returns the jobs of a CI configuration: the jobs of GitHub Actions, GitLab CI and CircleCI, or the whole
+ * configuration as a single job for the other services.
+ *
+ * @param {string} service - The CI service.
+ * @param {Object|string} config - The parsed configuration (the text of a Jenkinsfile).
+ * @returns {Object[]} - The jobs: { name, commands }.
+ */
+function ciJobs(service, config) {
+    if (typeof config === 'string') {
+        // Jenkinsfile: sh/bat steps and stages are not parsed, every line is a candidate
+        return [{ name: service, commands: config.split(/\r?\n/).map(line => line.trim()).filter(Boolean) }];
+    }
+    if (!config || typeof config !== 'object') {
+        return [];
+    }
+
+    let jobs = null;
+    if (/-actions$/.test(service) || service === 'circleci') {
+        jobs = config.jobs && typeof config.jobs === 'object' ? config.jobs : {};
+    } else if (service === 'gitlab-ci') {
+        jobs = {};
+        Object.entries(config)
+            .filter(([key, job]) => !key.startsWith('.') && !GITLAB_RESERVED_KEYS.includes(key) && job && typeof job === 'object')
+            .forEach(([key, job]) => {
+                jobs[key] = job;
+            });
+        // Default scripts run before every job
+        const defaults = collectCommands({ before_script: config.before_script, default: config.default });
+        return Object.entries(jobs).map(([key, job]) => ({ name: key, commands: defaults.concat(collectCommands(job)) }));
+    }
+
+    if (!jobs) {
+        return [{ name: service, commands: collectCommands(config) }];
+    }
+    return Object.entries(jobs).map(([key, job]) => ({
+        name: job && typeof job.name === 'string' ? job.name : key,
+        commands: collectCommands(job),
+    }));
+}
+
+/**
+ * Analyses a CI configuration: the jobs that run tests, their test commands and whether the coverage is measured.
+ *
+ * @param {string} service - The CI service (github-actions, travis-ci, gitlab-ci, circleci...).
+ * @param {string} path - The path of the configuration.
+ * @param {string} content - The content of the configuration.
+ * @returns {Object|null} - The CI entry: { type: 'ci', service, source, jobs, commands, coverage }, or null
+ *   if no job runs tests. Configurations that cannot be parsed are skipped.
+ */
+function analyseCIConfig(service, path, content) {
+    let config;
+    try {
+        config = service === 'jenkins' ? String(content) : yaml.load(content, { json: true });
+    } catch (error) {
+        console.error(`Error parsing ${path}:`, error.message);
+        return null;
+    }
+
+    const isTest = command => TEST_COMMAND_REGEX.test(command) || TEST_ACTION_REGEX.test(command.replace(/^uses: /, ''));
+    const jobs = ciJobs(service, config).filter(job => job.commands.some(isTest));
+    if (jobs.length === 0) {
+        return null;
+    }
+
+    const commands = [];
+    jobs.forEach(job => job.commands.filter(isTest).forEach(command => {
+        if (!commands.includes(command)) {
+            commands.push(command);
+        }
+    }));
+    return {
+        type: 'ci',
+        service: service,
+        source: path,
+        jobs: jobs.map(job => job.name),
+        commands: commands.slice(0, MAX_COMMANDS),
+        coverage: jobs.some(job => job.commands.some(command => COVERAGE_REGEX.test(command))),
+    };
+}
+
+/**
+ * Finds the test frameworks and coverage tools configured in the manifests: the jest configuration and
+ * test script of package.json, the pytest and coverage.py tables of pyproject.toml and setup.cfg, the pytest
+ * section of tox.ini and the testthat suggestion of an R DESCRIPTION.
+ *
+ * @param {Object} files - The content of the files, by path (see TEST_FILES).
+ * @returns {Object[]} - The entries: { type: 'framework' | 'coverage', framework | service, source }.
+ */
+function manifestTestConfigs(files) {
+    const entries = [];
+    const add = (type, name, source) => {
+        const key = type === 'framework' ? 'framework' : 'service';
+        if (!entries.some(entry => entry.type === type && entry[key] === name)) {
+            entries.push({ type: type, [key]: name, source: source });
+        }
+    };
+    const parse = (path, parser) => {
+        try {
+            return files[path] ? parser(files[path]) : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const pkg = parse('package.json', JSON.parse);
+    if (pkg) {
+        const script = pkg.scripts && typeof pkg.scripts.test === 'string' ? pkg.scripts.test : '';
+        // npm init writes a test script that fails
+        const hasTests = script && !/no test specified/.test(script);
+        ['jest', 'mocha', 'vitest', 'ava', 'tap', 'karma'].forEach(framework => {
+            if (pkg[framework] || (hasTests && new RegExp(`\\b${framework}\\b`).test(script))) {
+                add('framework', framework, 'package.json');
+            }
+        });
+        if (pkg.nyc || (hasTests && /\b(nyc|c8)\b/.test(script))) {
+            add('coverage', /\bc8\b/.test(script) ? 'c8' : 'nyc', 'package.json');
+        }
+        if ((pkg.jest && pkg.jest.collectCoverage) || (hasTests && /\bjest\b.*--coverage\b/.test(script))) {
+            add('coverage', 'jest', 'package.json');
+        }
+    }
+
+    const pyproject = parse('pyproject.toml', TOML.parse);
+    if (pyproject && pyproject.tool) {
+        if (pyproject.tool.pytest) {
+            add('framework', 'pytest', 'pyproject.toml');
+        }
+        if (pyproject.tool.coverage) {
+            add('coverage', 'coverage.py', 'pyproject.toml');
+        }
+    }
+
+    const setupCfg = parse('setup.cfg', parseINI);
+    if (setupCfg) {
+        if (setupCfg['tool:pytest']) {
+            add('framework', 'pytest', 'setup.cfg');
+        }
+        if (Object.keys(setupCfg).some(section => section.startsWith('coverage:'))) {
+            add('coverage', 'coverage.py', 'setup.cfg');
+        }
+    }
+
+    const tox = parse('tox.ini', parseINI);
+    if (tox && tox.pytest) {
+        add('framework', 'pytest', 'tox.ini');
+    }
+
+    const description = parse('DESCRIPTION', parseDCF);
+    if (description && /\btestthat\b/.test(`${description.Suggests || ''} ${description.Imports || ''}`)) {
+        add('framework', 'testthat', 'DESCRIPTION');
+    }
+
+    return entries;
+}
+
+/**
+ * Detects the testing and CI evidence of a repository.
+ *
+ * @param {Object} files - The content of the files, by path: the configuration files and manifests
+ *   (see TEST_FILES) and the workflows. Missing files are null or undefined.
+ * @param {Object} [context] - The repository: { directories, workflows, runs, fileUrl }.
+ * @param {string[]} [context.directories] - The directories of the root of the repository.
+ * @param {Object} [context.workflows] - The service of each workflow, by path (see WORKFLOW_DIRECTORIES).
+ * @param {Object[]} [context.runs] - The latest run of each workflow on the default branch: { workflow,
+ *   conclusion, url, date }, `workflow` being the path of the workflow (.gitlab-ci.yml for GitLab pipelines).
+ * @param {Function} [context.fileUrl] - Builds the web URL of a file or directory from its path.
+ * @returns {Object[]} - The test entries (see the top of this file).
+ */
+function detectTestEvidence(files, { directories = [], workflows = {}, runs = [], fileUrl = path => path } = {}) {
+    const entries = [];
+
+    const ciConfigs = Object.entries(workflows).map(([path, service]) => [service, path])
+        .concat(...Object.entries(TEST_CONFIGS.ci).map(([service, paths]) => paths.map(path => [service, path])));
+    ciConfigs.forEach(([service, path]) => {
+        const entry = files[path] ? analyseCIConfig(service, path, files[path]) : null;
+        if (!entry) {
+            return;
+        }
+        const run = runs.find(item => item.workflow === path);
+        entries.push({
+            ...entry,
+            url: fileUrl(path),
+            conclusion: run ? run.conclusion : null,
+            run_url: run ? run.url : '',
+            run_date: run ? run.date : null,
+        });
+    });
+
+    ['framework', 'coverage'].forEach(type => {
+        Object.entries(TEST_CONFIGS[type]).forEach(([name, paths]) => {
+            const path = paths.find(item => files[item]);
+            if (path && !(name === 'tox' && !/\b(pytest|test)/.test(files[path]))) {
+                entries.push({ type: type, [type === 'framework' ? 'framework' : 'service']: name, source: path, url: fileUrl(path) });
+            }
+        });
+    });
+    manifestTestConfigs(files).forEach(entry => {
+        const key = entry.type === 'framework' ? 'framework' : 'service';
+        if (!entries.some(item => item.type === entry.type && item[key] === entry[key])) {
+            entries.push({ ...entry, url: fileUrl(entry.source) });
+        }
+    });
+
+    TEST_DIRECTORIES.filter(directory => directories.includes(directory)).forEach(directory => {
+        entries.push({ type: 'directory', source: directory, url: fileUrl(directory) });
+    });
+
+    return entries;
+}
+
+/**
+ * Adds the testing and CI evidence to the `test` field of the observatory metadata, and sets `operational`
+ * when the latest runs of the CI jobs that run tests succeeded on the default branch.
+ *
+ * @param {Object} metadata - The observatory metadata.
+ * @param {Object[]} evidence - The test entries (see detectTestEvidence).
+ * @returns {Object} - The metadata.
+ */
+function applyTestEvidence(metadata, evidence) {
+    const test = Array.isArray(metadata.test) ? metadata.test.slice() : [];
+    evidence.forEach(entry => {
+        if (!test.some(item => item && item.type === entry.type && item.source === entry.source)) {
+            test.push(entry);
+        }
+    });
+    metadata.test = test;
+
+    const conclusions = evidence.filter(entry => entry.type === 'ci' && entry.conclusion).map(entry => entry.conclusion);
+    metadata.operational = Boolean(metadata.operational) ||
+        (conclusions.length > 0 && conclusions.every(conclusion => conclusion === 'success'));
+    return metadata;
+}
+
+
+module.exports = {
+    WORKFLOW_DIRECTORIES,
+    TEST_CONFIGS,
+    TEST_FILES,
+    TEST_DIRECTORIES,
+    collectCommands,
+    ciJobs,
+    analyseCIConfig,
+    manifestTestConfigs,
+    detectTestEvidence,
+    applyTestEvidence
+};
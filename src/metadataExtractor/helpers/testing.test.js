@@ -0,0 +1,131 @@
+const yaml = require('js-yaml');
+const { collectCommands, ciJobs, analyseCIConfig, manifestTestConfigs, detectTestEvidence, applyTestEvidence } = require('./testing');
+
+const WORKFLOW = `
+name: CI
+on: [push]
+jobs:
+  lint:
+    runs-on: ubuntu-latest
+    steps:
+      - run: npm run lint
+  test:
+    name: Unit tests
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - run: |
+          npm ci
+          npx jest --coverage
+      - uses: codecov/codecov-action@v4
+`;
+
+const GITLAB_CI = `
+stages: [test]
+before_script:
+  - pip install -e .
+.template:
+  script: pytest
+unit:
+  script:
+    - pytest --cov=tool
+docs:
+  script: mkdocs build
+`;
+
+describe('collectCommands and ciJobs', () => {
+    test('collects the commands and actions of the jobs', () => {
+        expect(collectCommands({ steps: [{ uses: 'actions/checkout@v4' }, { run: 'make\nmake test' }] }))
+            .toEqual(['uses: actions/checkout@v4', 'make', 'make test']);
+        expect(ciJobs('github-actions', { jobs: { build: { name: 'Build', steps: [{ run: 'make' }] } } }))
+            .toEqual([{ name: 'Build', commands: ['make'] }]);
+    });
+
+    test('adds the default scripts of GitLab CI to its jobs', () => {
+        expect(ciJobs('gitlab-ci', yaml.load(GITLAB_CI))).toEqual([
+            { name: 'unit', commands: ['pip install -e .', 'pytest --cov=tool'] },
+            { name: 'docs', commands: ['pip install -e .', 'mkdocs build'] },
+        ]);
+    });
+});
+
+describe('analyseCIConfig', () => {
+    test('reports the jobs that run tests', () => {
+        expect(analyseCIConfig('github-actions', '.github/workflows/ci.yml', WORKFLOW)).toEqual({
+            type: 'ci',
+            service: 'github-actions',
+            source: '.github/workflows/ci.yml',
+            jobs: ['Unit tests'],
+            commands: ['npx jest --coverage', 'uses: codecov/codecov-action@v4'],
+            coverage: true,
+        });
+        expect(analyseCIConfig('gitlab-ci', '.gitlab-ci.yml', GITLAB_CI)).toMatchObject({ jobs: ['unit'], commands: ['pytest --cov=tool'] });
+        expect(analyseCIConfig('jenkins', 'Jenkinsfile', "pipeline { stages { stage('Test') { steps { sh 'make check' } } } }"))
+            .toMatchObject({ jobs: ['jenkins'], coverage: false });
+    });
+
+    test('skips configurations without tests or that cannot be parsed', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(analyseCIConfig('travis-ci', '.travis.yml', 'script: make')).toBeNull();
+        expect(analyseCIConfig('travis-ci', '.travis.yml', 'script: [make')).toBeNull();
+        console.error.mockRestore();
+    });
+});
+
+describe('manifestTestConfigs', () => {
+    test('finds the frameworks and coverage tools of the manifests', () => {
+        expect(manifestTestConfigs({
+            'package.json': JSON.stringify({ scripts: { test: 'nyc mocha' } }),
+            'pyproject.toml': '[tool.pytest.ini_options]\naddopts = "-q"\n[tool.coverage.run]\nbranch = true\n',
+            'setup.cfg': '[tool:pytest]\ntestpaths = tests\n',
+            'DESCRIPTION': 'Package: tool\nSuggests: testthat (>= 3.0.0)\n',
+        })).toEqual([
+            { type: 'framework', framework: 'mocha', source: 'package.json' },
+            { type: 'coverage', service: 'nyc', source: 'package.json' },
+            { type: 'framework', framework: 'pytest', source: 'pyproject.toml' },
+            { type: 'coverage', service: 'coverage.py', source: 'pyproject.toml' },
+            { type: 'framework', framework: 'testthat', source: 'DESCRIPTION' },
+        ]);
+    });
+
+    test('ignores the failing test script of npm init', () => {
+        expect(manifestTestConfigs({ 'package.json': '{"scripts":{"test":"echo \\"Error: no test specified\\" && exit 1"}}' })).toEqual([]);
+    });
+});
+
+describe('detectTestEvidence', () => {
+    test('reports the CI runs, configurations and test directories', () => {
+        const evidence = detectTestEvidence({
+            '.github/workflows/ci.yml': WORKFLOW,
+            'codecov.yml': 'coverage:\n  status: {}\n',
+            'tox.ini': '[tox]\nenvlist = py3\n',
+            'package.json': JSON.stringify({ jest: {} }),
+        }, {
+            directories: ['src', 'tests'],
+            workflows: { '.github/workflows/ci.yml': 'github-actions' },
+            runs: [{ workflow: '.github/workflows/ci.yml', conclusion: 'success', url: 'https://x/runs/1', date: '2024-01-01' }],
+            fileUrl: path => `https://x/${path}`,
+        });
+        expect(evidence.map(entry => [entry.type, entry.service || entry.framework || null, entry.source])).toEqual([
+            ['ci', 'github-actions', '.github/workflows/ci.yml'],
+            ['coverage', 'codecov', 'codecov.yml'],
+            ['framework', 'jest', 'package.json'],
+            ['directory', null, 'tests'],
+        ]);
+        expect(evidence[0]).toMatchObject({ url: 'https://x/.github/workflows/ci.yml', conclusion: 'success', run_url: 'https://x/runs/1' });
+    });
+});
+
+describe('applyTestEvidence', () => {
+    test('sets operational when the test runs succeeded', () => {
+        const evidence = [
+            { type: 'ci', source: 'a.yml', conclusion: 'success' },
+            { type: 'directory', source: 'tests' },
+        ];
+        expect(applyTestEvidence({ test: [{ type: 'directory', source: 'tests' }] }, evidence)).toEqual({
+            test: [{ type: 'directory', source: 'tests' }, { type: 'ci', source: 'a.yml', conclusion: 'success' }],
+            operational: true,
+        });
+        expect(applyTestEvidence({}, evidence.concat([{ type: 'ci', source: 'b.yml', conclusion: 'failure' }])).operational).toBe(false);
+    });
+});
@@ -1,15 +1,18 @@
-const { Router, json } = require('express');
+const { Router, json, raw } = require('express');
+const fs = require('fs');
+const path = require('path');
 const router = Router();
 const {
     PrepareListsIds,
-    getRepositoryMetadata,
-    fetchDocumentationFiles,
-    getReadmeContent,
-    getCitationContent,
-    parseCitationCFF,
-    removeDuplicatePublications,
-    extractJournalPublication
+    extractRepositoryMetadata
 } = require('./helpers/metadata');
+const { metadataToCodeMeta } = require('./helpers/codemeta');
+const { metadataToBioschemas } = require('./helpers/bioschemas');
+const { metadataToCFF } = require('./helpers/citation');
+const { evaluateFAIRsoft } = require('./helpers/fairsoft');
+const { detectMetadataDrift } = require('./helpers/drift');
+const { createForgeProvider } = require('./helpers/providers');
+const { extractArchive, isGitWorkingCopy, createLocalProvider } = require('./helpers/local');
 var  { authApp, authUser }  = require('../shared/helpers/auth');
 const { getInstallationID } = require('../shared/helpers/installation');
 var info = require('debug')('node-api:info');
@@ -17,6 +20,81 @@ var error = require('debug')('node-api:error');
 const MetadataExtractor = require('./extractor.js');
 
 
+/**
+ * Returns an Octokit instance for the extractor, authenticated either as an installation
+ * of the Metadata Extractor app or with a user access token.
+ *
+ * @param {string} installationID - The installation ID of the GitHub App.
+ * @param {string} userToken - The access token of the GitHub user, used when no installation ID is given.
+ * @returns {Promise<Octokit>} - The authenticated Octokit instance.
+ */
+async function getExtractorOctokit(installationID, userToken) {
+    if (installationID) {
+        const app = await authApp(MetadataExtractor.appID, MetadataExtractor.privateKeyPath);
+        return app.getInstallationOctokit(installationID);
+    }
+    if (userToken) {
+        return authUser(userToken);
+    }
+    const err = new Error('Either installationID or userToken is required.');
+    err.status = 400;
+    throw err;
+}
+
+/**
+ * Returns the client used to read the repository of a request: the provider of the forge
+ * given in `provider` (gitlab, gitea), or an Octokit instance for GitHub (the default).
+ *
+ * @param {Object} body - The request body: { provider, baseUrl, installationID, userToken }.
+ * @returns {Promise<Object>} - The forge provider or the Octokit instance.
+ */
+async function getExtractorClient(body) {
+    const { provider = 'github', baseUrl, installationID, userToken } = body;
+
+    if (provider !== 'github') {
+        return createForgeProvider(provider, { baseUrl: baseUrl, token: userToken });
+    }
+    return getExtractorOctokit(installationID, userToken);
+}
+
+/**
+ * Returns the value of a boolean query parameter.
+ *
+ * @param {string} value - The value of the parameter.
+ * @param {boolean} defaultValue - The value if the parameter is missing.
+ * @returns {boolean}
+ */
+function queryBoolean(value, defaultValue) {
+    if (value === undefined) {
+        return defaultValue;
+    }
+    return !['false', '0', 'no'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Returns the observatory metadata a request is about: the `metadata` posted in the body or,
+ * if missing, the metadata extracted from the `owner`/`repo` repository.
+ *
+ * @param {Object} body - The request body.
+ * @returns {Promise<Object>} - The observatory metadata.
+ */
+async function getRequestMetadata(body) {
+    const { metadata, owner, repo, readme_extract = true, limits, ref } = body;
+
+    if (metadata) {
+        return metadata;
+    }
+    if (!owner || !repo) {
+        const err = new Error('Either metadata or owner and repo are required.');
+        err.status = 400;
+        throw err;
+    }
+
+    const client = await getExtractorClient(body);
+    return extractRepositoryMetadata(client, owner, repo, readme_extract, limits, ref);
+}
+
+
 /* ------------------------------------------------------------------ */
 
 /**
@@ -107,9 +185,26 @@ router.get('/metadata-extractor-for-fairsoft/installation/id', (req, res) => {
  *       1. Authenticates the app.
  *       2. Retrieves the installation's Octokit instance.
  *       3. Fetches repository metadata.
- *       4. Optionally fetches documentation files and README content.
- *       5. Extracts and processes citation information.
- *       6. Optionally prepares the metadata before sending the response.
+ *       4. Finds documentation files, walking the documentation directories recursively, and detects
+ *          documentation sites (MkDocs, Sphinx, Read the Docs, Jekyll, GitHub Pages) with their published URL.
+ *          Optionally fetches README content.
+ *       5. Harvests existing codemeta.json, .zenodo.json and package.json files.
+ *       6. Parses language manifests (package.json, pyproject.toml, setup.cfg, requirements.txt, DESCRIPTION,
+ *          pom.xml, Cargo.toml, environment.yml, go.mod) to get dependencies, platforms and the names of the packages
+ *          in their registries, which are download channels only once a workflow or a README badge shows they are published.
+ *       7. Extracts and processes citation information.
+ *       8. Analyses the README (README.md, README.rst, README or a localised variant): installation and usage
+ *          sections, install commands (pip, conda, npm, docker) and badges (CI, coverage, PyPI, Bioconda, DOI,
+ *          license), which fill inst_instr, download, test and documentation.
+ *       9. Detects testing and CI evidence (workflows and CI configurations that run tests, test frameworks,
+ *          coverage configurations, test directories) and the latest CI runs of the default branch, which fill
+ *          test and operational.
+ *       10. Detects the distribution channels (forge packages, Dockerfile, docker-compose, Singularity, conda
+ *           recipes, Homebrew formulae, images and packages published by workflows, release assets), which
+ *           fill download and src.
+ *       11. Optionally prepares the metadata before sending the response.
+ *       When several sources provide the same information, the precedence is, from highest to lowest:
+ *       CITATION.cff, codemeta.json, .zenodo.json, package.json and the GitHub API.
  *     tags:
  *       - Metadata Extractor for FAIRsoft
  *     requestBody:
@@ -137,6 +232,39 @@ router.get('/metadata-extractor-for-fairsoft/installation/id', (req, res) => {
  *                 type: boolean
  *                 description: Whether to extract metadata from the repository's README file.
  *                 default: false
+ *               ref:
+ *                 type: string
+ *                 description: >
+ *                   The branch, tag or commit SHA to extract the metadata from. Defaults to the default branch.
+ *                   The resolved commit SHA and date are returned in the `commit` field of the metadata.
+ *               limits:
+ *                 type: object
+ *                 description: >
+ *                   Maximum number of items retrieved from the GitHub API for each list, and time budget
+ *                   in milliseconds after which no more pages are requested. Lists that are not retrieved
+ *                   completely are flagged in the `truncated` field of the metadata. Larger values are lowered
+ *                   to the maximum; values that are not numbers or are negative are rejected with a 400.
+ *                 properties:
+ *                   commits:
+ *                     type: integer
+ *                     default: 100
+ *                     maximum: 2000
+ *                   releases:
+ *                     type: integer
+ *                     default: 100
+ *                     maximum: 1000
+ *                   packages:
+ *                     type: integer
+ *                     default: 100
+ *                     maximum: 500
+ *                   topics:
+ *                     type: integer
+ *                     default: 100
+ *                     maximum: 100
+ *                   timeBudget:
+ *                     type: integer
+ *                     default: 20000
+ *                     maximum: 60000
  *     responses:
  *       200:
  *         description: Successfully fetched the repository metadata.
@@ -165,7 +293,7 @@ router.get('/metadata-extractor-for-fairsoft/installation/id', (req, res) => {
  *                   example: An error occurred
  */
 router.post('/metadata', async (req, res) => {
-    const { owner, repo, installationID, prepare = true, readme_extract = false } = req.body;
+    const { owner, repo, installationID, prepare = true, readme_extract = false, limits, ref } = req.body;
 
     try {
         info('Authenticating app');
@@ -175,25 +303,7 @@ router.post('/metadata', async (req, res) => {
         const octokit = await app.getInstallationOctokit(installationID);
         
         info('Installation octokit retrieved. Getting repository metadata');
-        let metadata = await getRepositoryMetadata(octokit, owner, repo);
-
-        info('Fetching documentation files');
-        const documentation = await fetchDocumentationFiles(octokit, owner, repo);
-        metadata.documentation = documentation;
-
-        if (readme_extract) {
-            info('Fetching README content');
-            const readmeContent = await getReadmeContent(octokit, owner, repo);
-            metadata.publication = extractJournalPublication(readmeContent);
-        }
-
-        info('Fetching citation content');
-        const citationContent = await getCitationContent(octokit, owner, repo);
-        if (citationContent) {
-            metadata.citation = citationContent;
-            metadata = parseCitationCFF(citationContent, metadata);
-            metadata.publication = removeDuplicatePublications(metadata.publication, metadata.citation);
-        }
+        let metadata = await extractRepositoryMetadata(octokit, owner, repo, readme_extract, limits, ref);
 
         if (prepare) {
             info('Preparing metadata');
@@ -205,11 +315,11 @@ router.post('/metadata', async (req, res) => {
             data: metadata,
             status: 200,
         });
-    } catch (error) {
-        error('Error occurred:', error);
-        res.status(error.status || 500).json({
+    } catch (err) {
+        error('Error occurred:', err);
+        res.status(err.status || 500).json({
             data: null,
-            message: error.message || 'An error occurred',
+            message: err.message || 'An error occurred',
         });
     }
 });
@@ -219,16 +329,20 @@ router.post('/metadata', async (req, res) => {
  * @openapi
  * /metadata/user:
  *   post:
- *     summary: Fetch metadata from a GitHub repository using the user's access token.
+ *     summary: Fetch metadata from a GitHub, GitLab or Gitea repository using the user's access token.
  *     description: >
  *       This endpoint fetches metadata from a GitHub repository using the user's access token.
+ *       Repositories hosted on GitLab (gitlab.com or self-hosted) and Gitea/Forgejo (e.g. Codeberg)
+ *       are supported with the `provider` and `baseUrl` parameters, and produce the same metadata.
  *       It performs the following steps:
  *       1. Authenticates the user.
  *       2. Retrieves the repository metadata.
  *       3. Optionally fetches documentation files.
  *       4. Optionally fetches README content.
- *       5. Optionally fetches citation content.
- *       6. Optionally prepares the metadata before sending the response.
+ *       5. Harvests existing codemeta.json, .zenodo.json and package.json files.
+ *       6. Parses language manifests to get dependencies, package registries and platforms.
+ *       7. Optionally fetches citation content.
+ *       8. Optionally prepares the metadata before sending the response.
  *     tags:
  *       - Metadata Extractor for FAIRsoft
  *     requestBody:
@@ -247,11 +361,55 @@ router.post('/metadata', async (req, res) => {
  *                 description: The name of the GitHub repository.
  *               userToken:
  *                 type: string
- *                 description: The access token of the GitHub user.
+ *                 description: The access token of the user on the forge. Optional for public GitLab and Gitea repositories.
+ *               provider:
+ *                 type: string
+ *                 enum: [github, gitlab, gitea, forgejo]
+ *                 description: The forge hosting the repository.
+ *                 default: github
+ *               baseUrl:
+ *                 type: string
+ *                 description: >
+ *                   The https URL of the GitLab or Gitea instance. Defaults to https://gitlab.com for GitLab
+ *                   and https://codeberg.org for Gitea. Only the public instances (gitlab.com, codeberg.org,
+ *                   gitea.com) and the hosts configured in EXTRACTOR_FORGE_HOSTS are accepted.
  *               prepare:
  *                 type: boolean
  *                 description: Whether to prepare the repository metadata before returning it.
  *                 default: true
+ *               ref:
+ *                 type: string
+ *                 description: >
+ *                   The branch, tag or commit SHA to extract the metadata from. Defaults to the default branch.
+ *                   The resolved commit SHA and date are returned in the `commit` field of the metadata.
+ *               limits:
+ *                 type: object
+ *                 description: >
+ *                   Maximum number of items retrieved from the GitHub API for each list, and time budget
+ *                   in milliseconds after which no more pages are requested. Lists that are not retrieved
+ *                   completely are flagged in the `truncated` field of the metadata. Larger values are lowered
+ *                   to the maximum; values that are not numbers or are negative are rejected with a 400.
+ *                 properties:
+ *                   commits:
+ *                     type: integer
+ *                     default: 100
+ *                     maximum: 2000
+ *                   releases:
+ *                     type: integer
+ *                     default: 100
+ *                     maximum: 1000
+ *                   packages:
+ *                     type: integer
+ *                     default: 100
+ *                     maximum: 500
+ *                   topics:
+ *                     type: integer
+ *                     default: 100
+ *                     maximum: 100
+ *                   timeBudget:
+ *                     type: integer
+ *                     default: 20000
+ *                     maximum: 60000
  *     responses:
  *       200:
  *         description: Successfully fetched the repository metadata.
@@ -280,30 +438,16 @@ router.post('/metadata', async (req, res) => {
  *                   example: An error occurred
  */
 router.post('/metadata/user', async (req, res) => {
-    const { owner, repo, userToken, prepare = true } = req.body;
+    const { owner, repo, userToken, prepare = true, limits, ref, provider = 'github', baseUrl } = req.body;
 
     try {
         console.info('Authenticating user');
-        const octokit = await authUser(userToken);
+        const client = provider === 'github'
+            ? await authUser(userToken)
+            : createForgeProvider(provider, { baseUrl: baseUrl, token: userToken });
 
         console.info('User authenticated. Getting repository metadata');
-        let metadata = await getRepositoryMetadata(octokit, owner, repo);
-
-        console.info('Fetching documentation files');
-        const documentation = await fetchDocumentationFiles(octokit, owner, repo);
-        metadata.documentation = documentation;
-
-        console.info('Fetching README content');
-        const readmeContent = await getReadmeContent(octokit, owner, repo);
-        metadata.publication = extractJournalPublication(readmeContent);
-
-        console.info('Fetching citation content');
-        const citationContent = await getCitationContent(octokit, owner, repo);
-        if (citationContent) {
-            metadata.citation = citationContent;
-            metadata = parseCitationCFF(citationContent, metadata);
-            metadata.publication = removeDuplicatePublications(metadata.publication, metadata.citation);
-        }
+        let metadata = await extractRepositoryMetadata(client, owner, repo, true, limits, ref);
 
         if (prepare) {
             console.info('Preparing metadata');
@@ -324,6 +468,760 @@ router.post('/metadata/user', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /metadata/codemeta:
+ *   post:
+ *     summary: Export repository metadata as CodeMeta 3.0.
+ *     description: >
+ *       This endpoint serializes observatory metadata to a CodeMeta 3.0 JSON-LD document.
+ *       The metadata can be posted directly (as returned by /metadata, prepared or not) or extracted
+ *       from a GitHub repository using either the app's installation ID or a user's access token.
+ *       The document is compacted and validated against the CodeMeta 3.0 context. Properties that
+ *       are not defined in the context are reported as errors.
+ *     tags:
+ *       - Metadata Extractor for FAIRsoft
+ *     requestBody:
+ *       description: The metadata to serialize, or the repository to extract it from.
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               metadata:
+ *                 type: object
+ *                 description: Observatory metadata. If provided, the repository is not queried.
+ *               owner:
+ *                 type: string
+ *                 description: The owner of the GitHub repository.
+ *               repo:
+ *                 type: string
+ *                 description: The name of the GitHub repository.
+ *               installationID:
+ *                 type: string
+ *                 description: The installation ID of the GitHub App.
+ *               userToken:
+ *                 type: string
+ *                 description: The access token of the GitHub user. Used if no installationID is given.
+ *               provider:
+ *                 type: string
+ *                 enum: [github, gitlab, gitea, forgejo]
+ *                 description: The forge hosting the repository. For GitLab and Gitea, userToken is the access token on the forge.
+ *                 default: github
+ *               baseUrl:
+ *                 type: string
+ *                 description: The https URL of the GitLab or Gitea instance, one of the allowed hosts (see POST /metadata).
+ *               ref:
+ *                 type: string
+ *                 description: >
+ *                   The branch, tag or commit SHA to extract the metadata from. Defaults to the default branch.
+ *                   The resolved commit SHA and date are returned in the `commit` field of the metadata.
+ *     responses:
+ *       200:
+ *         description: Successfully generated the CodeMeta document.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   description: The compacted CodeMeta 3.0 document.
+ *                 valid:
+ *                   type: boolean
+ *                   description: Whether the document is valid against the CodeMeta context.
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *       400:
+ *         description: Neither metadata nor a repository were provided.
+ *       500:
+ *         description: Failed to generate the CodeMeta document due to an error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: null
+ *                 message:
+ *                   type: string
+ *                   example: An error occurred
+ */
+router.post('/metadata/codemeta', async (req, res) => {
+    try {
+        info('Getting metadata');
+        const metadata = await getRequestMetadata(req.body);
+
+        info('Serializing metadata to CodeMeta');
+        const { codemeta, valid, errors, warnings } = await metadataToCodeMeta(metadata);
+
+        res.json({
+            data: codemeta,
+            valid: valid,
+            errors: errors,
+            warnings: warnings,
+            status: 200,
+        });
+    } catch (err) {
+        error('Error occurred:', err);
+        res.status(err.status || 500).json({
+            data: null,
+            message: err.message || 'An error occurred',
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /metadata/cff:
+ *   post:
+ *     summary: Preview repository metadata as a CITATION.cff file.
+ *     description: >
+ *       This endpoint serializes observatory metadata to a Citation File Format 1.2.0 file: authors
+ *       (maintainers as contact), version and release date, licenses, repository, keywords, identifiers
+ *       and publications (the first one as preferred citation).
+ *       The metadata can be posted directly (as returned by /metadata, prepared or not) or extracted
+ *       from a GitHub repository using either the app's installation ID or a user's access token.
+ *       The file is validated against the official CFF 1.2.0 JSON schema. The same file is committed
+ *       by POST /metadata/pull with `format: cff`.
+ *     tags:
+ *       - Metadata Extractor for FAIRsoft
+ *     requestBody:
+ *       description: The metadata to serialize, or the repository to extract it from.
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               metadata:
+ *                 type: object
+ *                 description: Observatory metadata. If provided, the repository is not queried.
+ *               owner:
+ *                 type: string
+ *                 description: The owner of the GitHub repository.
+ *               repo:
+ *                 type: string
+ *                 description: The name of the GitHub repository.
+ *               installationID:
+ *                 type: string
+ *                 description: The installation ID of the GitHub App.
+ *               userToken:
+ *                 type: string
+ *                 description: The access token of the GitHub user. Used if no installationID is given.
+ *               provider:
+ *                 type: string
+ *                 enum: [github, gitlab, gitea, forgejo]
+ *                 description: The forge hosting the repository. For GitLab and Gitea, userToken is the access token on the forge.
+ *                 default: github
+ *               baseUrl:
+ *                 type: string
+ *                 description: The https URL of the GitLab or Gitea instance, one of the allowed hosts (see POST /metadata).
+ *               ref:
+ *                 type: string
+ *                 description: The branch, tag or commit SHA to extract the metadata from. Defaults to the default branch.
+ *     responses:
+ *       200:
+ *         description: Successfully generated the CITATION.cff file.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: string
+ *                   description: The YAML content of the CITATION.cff file.
+ *                 citation:
+ *                   type: object
+ *                   description: The same document as a JSON object.
+ *                 valid:
+ *                   type: boolean
+ *                   description: Whether the file is valid against the CFF 1.2.0 schema.
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: The schema violations, with their location in the file.
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Missing recommended keys and metadata that could not be represented.
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *       400:
+ *         description: Neither metadata nor a repository were provided.
+ *       500:
+ *         description: Failed to generate the CITATION.cff file due to an error.
+ */
+router.post('/metadata/cff', async (req, res) => {
+    try {
+        info('Getting metadata');
+        const metadata = await getRequestMetadata(req.body);
+
+        info('Serializing metadata to CITATION.cff');
+        const { cff, citation, valid, errors, warnings } = metadataToCFF(metadata);
+
+        res.json({
+            data: cff,
+            citation: citation,
+            valid: valid,
+            errors: errors,
+            warnings: warnings,
+            status: 200,
+        });
+    } catch (err) {
+        error('Error occurred:', err);
+        res.status(err.status || 500).json({
+            data: null,
+            message: err.message || 'An error occurred',
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /metadata/bioschemas:
+ *   post:
+ *     summary: Export repository metadata as a Bioschemas ComputationalTool.
+ *     description: >
+ *       This endpoint serializes observatory metadata to a JSON-LD document following the Bioschemas
+ *       ComputationalTool profile, using the same schema:/bs:/codemeta: context as the metadata.json of this API.
+ *       The metadata can be posted directly (as returned by /metadata, prepared or not) or extracted
+ *       from a GitHub repository using either the app's installation ID or a user's access token.
+ *       The response includes a conformance report listing the minimum, recommended and optional
+ *       profile properties that are present and missing.
+ *     tags:
+ *       - Metadata Extractor for FAIRsoft
+ *     requestBody:
+ *       description: The metadata to serialize, or the repository to extract it from.
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               metadata:
+ *                 type: object
+ *                 description: Observatory metadata. If provided, the repository is not queried.
+ *               owner:
+ *                 type: string
+ *                 description: The owner of the GitHub repository.
+ *               repo:
+ *                 type: string
+ *                 description: The name of the GitHub repository.
+ *               installationID:
+ *                 type: string
+ *                 description: The installation ID of the GitHub App.
+ *               userToken:
+ *                 type: string
+ *                 description: The access token of the GitHub user. Used if no installationID is given.
+ *               provider:
+ *                 type: string
+ *                 enum: [github, gitlab, gitea, forgejo]
+ *                 description: The forge hosting the repository. For GitLab and Gitea, userToken is the access token on the forge.
+ *                 default: github
+ *               baseUrl:
+ *                 type: string
+ *                 description: The https URL of the GitLab or Gitea instance, one of the allowed hosts (see POST /metadata).
+ *               ref:
+ *                 type: string
+ *                 description: >
+ *                   The branch, tag or commit SHA to extract the metadata from. Defaults to the default branch.
+ *                   The resolved commit SHA and date are returned in the `commit` field of the metadata.
+ *     responses:
+ *       200:
+ *         description: Successfully generated the Bioschemas document.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   description: The Bioschemas ComputationalTool JSON-LD document.
+ *                 conformance:
+ *                   type: object
+ *                   description: Present and missing profile properties by marginality (minimum, recommended, optional).
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *       400:
+ *         description: Neither metadata nor a repository were provided.
+ *       500:
+ *         description: Failed to generate the Bioschemas document due to an error.
+ */
+router.post('/metadata/bioschemas', async (req, res) => {
+    try {
+        info('Getting metadata');
+        const metadata = await getRequestMetadata(req.body);
+
+        info('Serializing metadata to Bioschemas');
+        const { bioschemas, conformance } = metadataToBioschemas(metadata);
+
+        res.json({
+            data: bioschemas,
+            conformance: conformance,
+            status: 200,
+        });
+    } catch (err) {
+        error('Error occurred:', err);
+        res.status(err.status || 500).json({
+            data: null,
+            message: err.message || 'An error occurred',
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /metadata/fairsoft:
+ *   post:
+ *     summary: Evaluate the FAIRsoft indicators of a repository.
+ *     description: >
+ *       This endpoint evaluates the FAIRsoft indicators (F1-F3, A1-A3, I1-I3 and R1-R4) from observatory
+ *       metadata. Each indicator is evaluated with checks scoring 0 to 1; the response includes the evidence
+ *       that satisfied each check and hints to improve the checks that are not satisfied.
+ *       The metadata can be posted directly (as returned by /metadata, prepared or not) or extracted
+ *       from a GitHub repository using either the app's installation ID or a user's access token.
+ *     tags:
+ *       - Metadata Extractor for FAIRsoft
+ *     requestBody:
+ *       description: The metadata to evaluate, or the repository to extract it from.
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               metadata:
+ *                 type: object
+ *                 description: Observatory metadata. If provided, the repository is not queried.
+ *               owner:
+ *                 type: string
+ *                 description: The owner of the GitHub repository.
+ *               repo:
+ *                 type: string
+ *                 description: The name of the GitHub repository.
+ *               installationID:
+ *                 type: string
+ *                 description: The installation ID of the GitHub App.
+ *               userToken:
+ *                 type: string
+ *                 description: The access token of the GitHub user. Used if no installationID is given.
+ *               provider:
+ *                 type: string
+ *                 enum: [github, gitlab, gitea, forgejo]
+ *                 description: The forge hosting the repository. For GitLab and Gitea, userToken is the access token on the forge.
+ *                 default: github
+ *               baseUrl:
+ *                 type: string
+ *                 description: The https URL of the GitLab or Gitea instance, one of the allowed hosts (see POST /metadata).
+ *               ref:
+ *                 type: string
+ *                 description: The branch, tag or commit SHA to extract the metadata from. Defaults to the default branch.
+ *     responses:
+ *       200:
+ *         description: Successfully evaluated the FAIRsoft indicators.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     score:
+ *                       type: number
+ *                       description: The overall score, between 0 and 1 (mean of the principles).
+ *                     principles:
+ *                       type: object
+ *                       description: The score of each principle (F, A, I, R).
+ *                     indicators:
+ *                       type: array
+ *                       description: >
+ *                         The indicators, with their score and checks: { id, name, score, checks: [{ id, name, score,
+ *                         evidence, hint }] }. The hint is null for satisfied checks.
+ *                     remediation:
+ *                       type: array
+ *                       description: The hints of the checks that are not satisfied, from the lowest score.
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *       400:
+ *         description: Neither metadata nor a repository were provided.
+ *       500:
+ *         description: Failed to evaluate the FAIRsoft indicators due to an error.
+ */
+router.post('/metadata/fairsoft', async (req, res) => {
+    try {
+        info('Getting metadata');
+        const metadata = await getRequestMetadata(req.body);
+
+        info('Evaluating FAIRsoft indicators');
+        const evaluation = evaluateFAIRsoft(metadata);
+
+        res.json({
+            data: evaluation,
+            status: 200,
+        });
+    } catch (err) {
+        error('Error occurred:', err);
+        res.status(err.status || 500).json({
+            data: null,
+            message: err.message || 'An error occurred',
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /metadata/drift:
+ *   post:
+ *     summary: Detect drift between the metadata files of a repository and its live state.
+ *     description: >
+ *       This endpoint compares the metadata files committed in a repository (CITATION.cff, codemeta.json,
+ *       .zenodo.json, package.json and pyproject.toml) with the state of the repository in the forge (name,
+ *       description, URL, latest release, detected license) and with its license file (LICENSE, COPYING).
+ *       It returns the field-level conflicts, each one with a severity: `error` when the files contradict
+ *       the repository (a version older than the latest release, another license), `warning` when they are
+ *       likely outdated (another repository URL, release date or DOI) and `info` for differences that may be
+ *       intended (an unreleased version, another name or description, missing authors).
+ *     tags:
+ *       - Metadata Extractor for FAIRsoft
+ *     requestBody:
+ *       description: The repository to check.
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - owner
+ *               - repo
+ *             properties:
+ *               owner:
+ *                 type: string
+ *                 description: The owner of the GitHub repository.
+ *               repo:
+ *                 type: string
+ *                 description: The name of the GitHub repository.
+ *               installationID:
+ *                 type: string
+ *                 description: The installation ID of the GitHub App.
+ *               userToken:
+ *                 type: string
+ *                 description: The access token of the GitHub user. Used if no installationID is given.
+ *               provider:
+ *                 type: string
+ *                 enum: [github, gitlab, gitea, forgejo]
+ *                 description: The forge hosting the repository. For GitLab and Gitea, userToken is the access token on the forge.
+ *                 default: github
+ *               baseUrl:
+ *                 type: string
+ *                 description: The https URL of the GitLab or Gitea instance, one of the allowed hosts (see POST /metadata).
+ *               ref:
+ *                 type: string
+ *                 description: The branch, tag or commit SHA to read the metadata files from. Defaults to the default branch.
+ *     responses:
+ *       200:
+ *         description: Successfully compared the metadata sources.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     commit:
+ *                       type: object
+ *                       description: The commit the files were read from ({ ref, sha, date }).
+ *                     sources:
+ *                       type: array
+ *                       description: The files looked for ({ source, found, error }) and the license files with their identified licenses.
+ *                     conflicts:
+ *                       type: array
+ *                       description: >
+ *                         The conflicts, from the most to the least severe: { field, severity, source, value,
+ *                         reference: { source, value }, message }.
+ *                     summary:
+ *                       type: object
+ *                       description: The number of conflicts by severity (error, warning, info).
+ *                     consistent:
+ *                       type: boolean
+ *                       description: True if there are no errors nor warnings.
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *       400:
+ *         description: The owner or the repo is missing.
+ *       500:
+ *         description: Failed to compare the metadata sources due to an error.
+ */
+router.post('/metadata/drift', async (req, res) => {
+    const { owner, repo, ref } = req.body;
+
+    try {
+        if (!owner || !repo) {
+            const err = new Error('owner and repo are required.');
+            err.status = 400;
+            throw err;
+        }
+
+        const client = await getExtractorClient(req.body);
+
+        info('Detecting metadata drift');
+        const report = await detectMetadataDrift(client, owner, repo, ref);
+
+        res.json({
+            data: report,
+            status: 200,
+        });
+    } catch (err) {
+        error('Error occurred:', err);
+        res.status(err.status || 500).json({
+            data: null,
+            message: err.message || 'An error occurred',
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /metadata/archive:
+ *   post:
+ *     summary: Extract metadata from an uploaded archive of a repository.
+ *     description: >
+ *       Runs the same analysis as POST /metadata (documentation, README, CITATION.cff, metadata files
+ *       and manifests) on the content of a .zip or .tar.gz archive, without accessing any forge.
+ *       The archive is sent as the request body; its format is detected from its content.
+ *       Authors and versions are only known from the metadata files of the archive.
+ *       The source of the metadata is `archive`.
+ *     tags:
+ *       - Metadata Extractor for FAIRsoft
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: The name of the software. Defaults to the name of the top-level directory of the archive.
+ *       - in: query
+ *         name: prepare
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Whether to prepare the metadata before returning it.
+ *       - in: query
+ *         name: readme_extract
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Whether to extract publications from the README file.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/zip:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/gzip:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Successfully extracted the metadata.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   description: The metadata, with source `archive`.
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *       400:
+ *         description: The body is not a .zip or .tar.gz archive, or it cannot be unpacked.
+ *       413:
+ *         description: The archive is too large.
+ *       500:
+ *         description: Failed to extract the metadata due to an error.
+ */
+router.post('/metadata/archive', raw({ type: () => true, limit: MetadataExtractor.archiveSizeLimit }), async (req, res) => {
+    let archive = null;
+
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            const err = new Error('The request body must be a .zip or a .tar.gz archive.');
+            err.status = 400;
+            throw err;
+        }
+
+        info('Unpacking archive');
+        archive = await extractArchive(req.body);
+
+        info('Archive unpacked. Extracting metadata');
+        const provider = createLocalProvider(archive.root, { source: 'archive', name: req.query.name });
+        let metadata = await extractRepositoryMetadata(provider, '', '', queryBoolean(req.query.readme_extract, true));
+
+        if (queryBoolean(req.query.prepare, true)) {
+            info('Preparing metadata');
+            metadata = PrepareListsIds(metadata);
+        }
+
+        res.json({
+            data: metadata,
+            status: 200,
+        });
+    } catch (err) {
+        error('Error occurred:', err);
+        res.status(err.status || 500).json({
+            data: null,
+            message: err.message || 'An error occurred',
+        });
+    } finally {
+        if (archive) {
+            await archive.cleanup();
+        }
+    }
+});
+
+/**
+ * @openapi
+ * /metadata/local:
+ *   post:
+ *     summary: Extract metadata from a git working copy on the server.
+ *     description: >
+ *       Runs the same analysis as POST /metadata on a git working copy available on the server,
+ *       without accessing any forge. Authors are taken from the commit history of HEAD and versions
+ *       from the tags. The source of the metadata is `git`.
+ *       The working copy must be inside the directory configured in EXTRACTOR_LOCAL_ROOT;
+ *       the endpoint is disabled if it is not configured.
+ *     tags:
+ *       - Metadata Extractor for FAIRsoft
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 description: The path of the working copy, absolute or relative to EXTRACTOR_LOCAL_ROOT.
+ *               name:
+ *                 type: string
+ *                 description: The name of the software. Defaults to the name of the directory.
+ *               prepare:
+ *                 type: boolean
+ *                 default: true
+ *               readme_extract:
+ *                 type: boolean
+ *                 default: true
+ *               ref:
+ *                 type: string
+ *                 description: >
+ *                   The branch, tag or commit SHA to read the files and the history from. Defaults to the
+ *                   working directory (including uncommitted changes) and the history of HEAD.
+ *               limits:
+ *                 type: object
+ *                 description: Maximum number of commits and tags read from the history ({ commits, releases }).
+ *     responses:
+ *       200:
+ *         description: Successfully extracted the metadata.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   description: The metadata, with source `git`.
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *       400:
+ *         description: The path is missing or is not a git working copy.
+ *       403:
+ *         description: Local extraction is disabled, or the path is outside EXTRACTOR_LOCAL_ROOT.
+ *       404:
+ *         description: The path does not exist.
+ *       500:
+ *         description: Failed to extract the metadata due to an error.
+ */
+router.post('/metadata/local', async (req, res) => {
+    const { path: workingCopy, name, prepare = true, readme_extract = true, limits, ref } = req.body;
+
+    try {
+        if (!MetadataExtractor.localRoot) {
+            const err = new Error('Local extraction is disabled. Set EXTRACTOR_LOCAL_ROOT to enable it.');
+            err.status = 403;
+            throw err;
+        }
+        if (!workingCopy) {
+            const err = new Error('path is required.');
+            err.status = 400;
+            throw err;
+        }
+
+        const localRoot = path.resolve(MetadataExtractor.localRoot);
+        const root = path.resolve(localRoot, workingCopy);
+        if (root !== localRoot && !root.startsWith(localRoot + path.sep)) {
+            const err = new Error('The path must be inside EXTRACTOR_LOCAL_ROOT.');
+            err.status = 403;
+            throw err;
+        }
+        if (!fs.existsSync(root)) {
+            const err = new Error(`${workingCopy} does not exist.`);
+            err.status = 404;
+            throw err;
+        }
+        if (!(await isGitWorkingCopy(root))) {
+            const err = new Error(`${workingCopy} is not a git working copy.`);
+            err.status = 400;
+            throw err;
+        }
+
+        info('Extracting metadata from the working copy');
+        const provider = createLocalProvider(root, { source: 'git', name: name });
+        let metadata = await extractRepositoryMetadata(provider, '', '', readme_extract, limits, ref);
+
+        if (prepare) {
+            info('Preparing metadata');
+            metadata = PrepareListsIds(metadata);
+        }
+
+        res.json({
+            data: metadata,
+            status: 200,
+        });
+    } catch (err) {
+        error('Error occurred:', err);
+        res.status(err.status || 500).json({
+            data: null,
+            message: err.message || 'An error occurred',
+        });
+    }
+});
+
 /**
  * @openapi
  * /metadata/content:
@@ -354,6 +1252,9 @@ router.post('/metadata/user', async (req, res) => {
  *               installationID:
  *                 type: string
  *                 description: The installation ID of the GitHub App.
+ *               ref:
+ *                 type: string
+ *                 description: The branch, tag or commit SHA to read the file from. Defaults to the default branch.
  *     responses:
  *       200:
  *         description: Successfully retrieved the content of the specified file.
@@ -394,8 +1295,8 @@ router.post('/metadata/user', async (req, res) => {
 router.post('/metadata/content', async (req, res) => {
     console.log('Request received:', req.body);
 
-    const { owner, repo, path, installationID } = req.body;
-    console.debug('Parameters:', { owner, repo, path, installationID, ref: 'main' });
+    const { owner, repo, path, installationID, ref } = req.body;
+    console.debug('Parameters:', { owner, repo, path, installationID, ref });
 
     let resp;
 
@@ -411,7 +1312,8 @@ router.post('/metadata/content', async (req, res) => {
             owner,
             repo,
             path,
-            ref,
+            // Without a ref, the file is read from the default branch
+            ...(ref ? { ref } : {}),
             accept: 'application/vnd.github+json'
         });
 
@@ -474,6 +1376,9 @@ router.post('/metadata/content', async (req, res) => {
  *               userToken:
  *                 type: string
  *                 description: The user's GitHub access token for authentication.
+ *               ref:
+ *                 type: string
+ *                 description: The branch, tag or commit SHA to read the file from. Defaults to the default branch.
  *     responses:
  *       200:
  *         description: Successfully retrieved the content of the specified file.
@@ -514,8 +1419,8 @@ router.post('/metadata/content', async (req, res) => {
 router.post('/metadata/content/user', async (req, res) => {
     console.log('Request received:', req.body);
 
-    const { owner, repo, path, userToken } = req.body;
-    console.debug('Parameters:', { owner, repo, path, userToken });
+    const { owner, repo, path, userToken, ref } = req.body;
+    console.debug('Parameters:', { owner, repo, path, userToken, ref });
 
     let resp;
 
@@ -528,6 +1433,7 @@ router.post('/metadata/content/user', async (req, res) => {
             owner,
             repo,
             path,
+            ...(ref ? { ref } : {}),
             accept: 'application/vnd.github+json'
         });
 
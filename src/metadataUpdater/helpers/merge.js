@@ -0,0 +1,495 @@
+const zlib = require('zlib');
+const { getFileContent } = require('./metadata');
+const { fileKind, sortKeys, parseContent } = require('./payload');
+var info = require('debug')('node-api:info');
+
+/*
+Merge strategies of the files written by the updater:
+- replace: the file is overwritten with the new content.
+- fill-missing: only the fields missing in the existing file are added, existing values are kept.
+- three-way: fields changed by the updater since the ancestor (the document it last generated for its
+  open pull request) are updated unless they were also changed in the existing file. Fields absent from
+  the new content are kept, so hand-curated fields (funding, ORCIDs...) survive. Without an ancestor (no
+  pull request yet), values that differ are conflicts, as in fill-missing.
+The existing file is the one of the target branch, so the pull request always holds the target branch's
+file merged with the latest generated document. The generated documents are kept in a hidden comment of
+the pull request body (see `generatedToMarkdown`), as the pull request branch only has merged files.
+*/
+const MERGE_STRATEGIES = ['replace', 'fill-missing', 'three-way'];
+
+// Name of the hidden comment of the pull request body holding the generated documents
+const GENERATED_MARKER = 'metadata-updater-generated';
+
+// Maximum length of a pull request body accepted by GitHub
+const MAX_BODY_LENGTH = 65536;
+
+
+/**
+ * Sets the merge strategy of every file: its own `merge`, or the default one.
+ *
+ * @param {object[]} files - The files, as returned by `normalizeFiles`.
+ * @param {string} [defaultStrategy='replace'] - The strategy of the files without `merge`.
+ *
+ * @returns {object[]} - The files, with their `merge` strategy.
+ *
+ * @example
+ * // Example usage:
+ * const files = resolveStrategies(normalizeFiles(req.body.files), 'fill-missing');
+ *
+ * @throws {Error} With status 400 if a strategy is unknown.
+ */
+function resolveStrategies(files, defaultStrategy = 'replace') {
+    return files.map((file) => {
+        const strategy = file.merge || defaultStrategy || 'replace';
+        if (!MERGE_STRATEGIES.includes(strategy)) {
+            const err = new Error(`Unknown merge strategy '${strategy}'${file.merge ? ` for file '${file.path}'` : ''}. Use one of: ${MERGE_STRATEGIES.join(', ')}.`);
+            err.status = 400;
+            throw err;
+        }
+        return { ...file, merge: strategy };
+    });
+}
+
+
+/**
+ * Returns true if the value is an object that is neither null nor a list.
+ *
+ * @param {*} value - The value.
+ *
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Returns true if the value is a non-empty list of objects, e.g. authors or identifiers.
+ *
+ * @param {*} value - The value.
+ *
+ * @returns {boolean}
+ */
+function isObjectList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+}
+
+/**
+ * Compares two JSON values, regardless of the order of the keys of their objects.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ *
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+    return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+/**
+ * Appends a key to the location of a field, e.g. `author` and `affiliation` give `author.affiliation`,
+ * `author` and `0` give `author[0]`.
+ *
+ * @param {string} parent - The location of the parent object, empty for the document.
+ * @param {string|number} key - The key, or the index in a list.
+ *
+ * @returns {string} - The location of the field.
+ */
+function fieldPath(parent, key) {
+    if (typeof key === 'number') {
+        return `${parent}[${key}]`;
+    }
+    return parent ? `${parent}.${key}` : key;
+}
+
+
+/*
+Fields identifying an item of a list of objects (a person, an identifier, a reference...).
+Two items are the same one if they share the value of any of these fields, so that an author
+whose ORCID was added by hand is still recognised by their name.
+*/
+const IDENTITY_FIELDS = ['@id', 'id', 'identifier', 'orcid', 'email', 'doi', 'value', 'title'];
+
+/**
+ * Returns the name of a person or an organization, in lower case, either from `name` or from
+ * `givenName`/`familyName` (CodeMeta) or `given-names`/`family-names` (CFF).
+ *
+ * @param {object} item - The item of the list.
+ *
+ * @returns {string|null} - The name, or null if the item has none.
+ */
+function itemName(item) {
+    const parts = typeof item.name === 'string'
+        ? [item.name]
+        : [item.givenName || item['given-names'], item.familyName || item['family-names']];
+    const name = parts.filter((part) => typeof part === 'string').join(' ').replace(/\s+/g, ' ').trim().toLowerCase();
+    return name || null;
+}
+
+/**
+ * Returns true if two items of a list of objects describe the same thing (see `IDENTITY_FIELDS`).
+ *
+ * @param {object} a - The first item.
+ * @param {object} b - The second item.
+ *
+ * @returns {boolean}
+ */
+function isSameItem(a, b) {
+    const shared = IDENTITY_FIELDS.some((field) =>
+        typeof a[field] === 'string' && typeof b[field] === 'string' && a[field] !== ''
+        && a[field].toLowerCase() === b[field].toLowerCase()
+    );
+    if (shared) {
+        return true;
+    }
+    const name = itemName(a);
+    return name !== null && name === itemName(b);
+}
+
+/**
+ * Merges two lists of objects item by item. Items of the existing list keep their order and are
+ * merged with the same item of the new list, if any; items only in the new list are appended.
+ *
+ * @param {object[]} current - The existing list.
+ * @param {object[]} incoming - The new list.
+ * @param {string} path - The location of the list, e.g. `author`.
+ * @param {function} mergeItem - Merges an existing item with the new one: `(item, newItem, path) => merged`.
+ * @param {function} [isDiscarded] - Returns true for the new items that must not be appended.
+ *
+ * @returns {object[]} - The merged list.
+ */
+function mergeLists(current, incoming, path, mergeItem, isDiscarded = () => false) {
+    const merged = current.map((item, index) => {
+        const newItem = incoming.find((candidate) => isSameItem(item, candidate));
+        return newItem ? mergeItem(item, newItem, fieldPath(path, index)) : item;
+    });
+    incoming.forEach((newItem) => {
+        const known = current.some((item) => isSameItem(item, newItem) || isEqual(item, newItem));
+        if (!known && !isDiscarded(newItem)) {
+            merged.push(newItem);
+        }
+    });
+    return merged;
+}
+
+
+/**
+ * Adds to the existing value what the new one has and it does not: missing fields of objects,
+ * recursively, and missing items of lists of objects (matched as in `isSameItem`).
+ * Other values that differ are kept as they are and reported as conflicts.
+ *
+ * @param {*} current - The existing value, undefined if missing.
+ * @param {*} incoming - The new value, undefined if missing.
+ * @param {string} path - The location of the value, e.g. `author[0].affiliation`.
+ * @param {object[]} conflicts - The list where the conflicts are appended, as `{field, current, incoming}`.
+ *
+ * @returns {*} - The merged value.
+ */
+function fillMissing(current, incoming, path, conflicts) {
+    if (current === undefined) {
+        return incoming;
+    }
+    if (incoming === undefined) {
+        return current;
+    }
+    if (isPlainObject(current) && isPlainObject(incoming)) {
+        const merged = { ...current };
+        for (const [key, value] of Object.entries(incoming)) {
+            merged[key] = fillMissing(current[key], value, fieldPath(path, key), conflicts);
+        }
+        return merged;
+    }
+    if (isObjectList(current) && isObjectList(incoming)) {
+        return mergeLists(current, incoming, path, (item, newItem, itemPath) => fillMissing(item, newItem, itemPath, conflicts));
+    }
+    if (!isEqual(current, incoming)) {
+        conflicts.push({ field: path, current: current, incoming: incoming });
+    }
+    return current;
+}
+
+
+/**
+ * Merges a value that may have changed on both sides since their common ancestor:
+ * - objects are merged field by field, and lists of objects item by item;
+ * - a side that did not change takes the other side's value;
+ * - values changed differently on both sides are conflicts: the existing value is kept.
+ * A field (or a list item) missing from the new document is not a deletion, it keeps the existing
+ * value. A field missing from the existing document is only added if the new value changed, so that
+ * fields removed by hand are not added back.
+ * Without ancestor, existing values are never overwritten: the ones that differ are conflicts.
+ *
+ * @param {*} ancestor - The value in the ancestor document, undefined if missing.
+ * @param {*} current - The value in the existing document, undefined if missing.
+ * @param {*} incoming - The value in the new document, undefined if missing.
+ * @param {string} path - The location of the value, e.g. `version`.
+ * @param {object[]} conflicts - The list where the conflicts are appended, as `{field, current, incoming}`.
+ *
+ * @returns {*} - The merged value, undefined if the field is removed.
+ */
+function threeWayMerge(ancestor, current, incoming, path, conflicts) {
+    if (incoming === undefined) {
+        return current;
+    }
+    if (isPlainObject(current) && isPlainObject(incoming)) {
+        const base = isPlainObject(ancestor) ? ancestor : {};
+        const merged = {};
+        const keys = Object.keys(current).concat(Object.keys(incoming).filter((key) => !(key in current)));
+        for (const key of keys) {
+            const value = threeWayMerge(base[key], current[key], incoming[key], fieldPath(path, key), conflicts);
+            if (value !== undefined) {
+                merged[key] = value;
+            }
+        }
+        return merged;
+    }
+    if (isObjectList(current) && isObjectList(incoming)) {
+        const base = Array.isArray(ancestor) ? ancestor.filter(isPlainObject) : [];
+        const ancestorItem = (item) => base.find((candidate) => isSameItem(item, candidate));
+        // Items removed from the existing list since the ancestor stay removed
+        const wasRemoved = (newItem) => base.some((item) => isSameItem(item, newItem) || isEqual(item, newItem));
+        return mergeLists(current, incoming, path,
+            (item, newItem, itemPath) => threeWayMerge(ancestorItem(item), item, newItem, itemPath, conflicts),
+            wasRemoved);
+    }
+    if (isEqual(current, incoming) || isEqual(incoming, ancestor)) {
+        return current;
+    }
+    if (current === undefined || isEqual(current, ancestor)) {
+        return incoming;
+    }
+    conflicts.push({ field: path, current: current, incoming: incoming });
+    return current;
+}
+
+
+/**
+ * Merges a new document with the existing one following a strategy.
+ *
+ * @param {string} strategy - 'replace', 'fill-missing' or 'three-way'.
+ * @param {object} documents - The documents to merge.
+ * @param {*} documents.incoming - The new document.
+ * @param {*} [documents.current] - The existing document, undefined if the file does not exist.
+ * @param {*} [documents.ancestor] - The ancestor document (three-way only), undefined if the file did not exist.
+ *
+ * @returns {object} - { document, conflicts } where `conflicts` are the fields that could not be
+ *   reconciled, as `{field, current, incoming}`. The existing value is kept for them.
+ *
+ * @example
+ * // Example usage:
+ * const { document, conflicts } = mergeDocuments('fill-missing', { current: { name: 'a', funding: 'x' }, incoming: { name: 'b', version: '1.0' } });
+ * // document: { name: 'a', funding: 'x', version: '1.0' }, conflicts: [{ field: 'name', current: 'a', incoming: 'b' }]
+ */
+function mergeDocuments(strategy, { ancestor, current, incoming }) {
+    const conflicts = [];
+
+    if (strategy === 'replace' || current === undefined || current === null) {
+        return { document: incoming, conflicts };
+    }
+
+    const document = strategy === 'fill-missing'
+        ? fillMissing(current, incoming, '', conflicts)
+        : threeWayMerge(ancestor, current, incoming, '', conflicts);
+    return { document, conflicts };
+}
+
+
+/**
+ * Returns the text content of a file.
+ *
+ * @param {object} file - The file, with its `content` and `encoding`.
+ *
+ * @returns {string} - The content, decoded if it is base64.
+ */
+function fileText(file) {
+    return file.encoding === 'base64' ? Buffer.from(file.content, 'base64').toString('utf-8') : file.content;
+}
+
+/**
+ * Asynchronously merges the files to be committed with the existing ones in the repository.
+ *
+ * The existing file is read at `currentRef`, the target branch. The ancestor of three-way merges is the
+ * document last generated for the same path (see `generatedFromMarkdown`), so that values generated before
+ * are updated while the ones written by hand are kept. Only JSON/JSON-LD and YAML files are merged; other
+ * files, deleted files and files that do not exist yet are written as they are.
+ * Comments of YAML files are not kept.
+ *
+ * @param {object} octokit - An authenticated Octokit instance used to interact with the GitHub API.
+ * @param {string} owner - The GitHub username or organization that owns the repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @param {object[]} files - The files, with their text content and `merge` strategy (see `prepareFiles` and `resolveStrategies`).
+ * @param {object} sources - Where the existing and ancestor documents come from.
+ * @param {string} sources.currentRef - The commit holding the existing files, the head of the target branch.
+ * @param {object} [sources.generated={}] - The text of the documents last generated, by path. Without one,
+ *   three-way merges have no ancestor and report every value that differs as a conflict.
+ *
+ * @returns {Promise<object>} - { files, conflicts, warnings }. Merged files have the merged document as `content`;
+ *   `conflicts` are `{path, field, current, incoming}`.
+ *
+ * @example
+ * // Example usage:
+ * const generated = generatedFromMarkdown(pullrequest.body);
+ * const { files, conflicts } = await mergeFiles(octokit, 'exampleUser', 'exampleRepo', files, { currentRef: 'abc123', generated });
+ */
+async function mergeFiles(octokit, owner, repo, files, { currentRef, generated = {} }) {
+    const merged = [];
+    const conflicts = [];
+    const warnings = [];
+
+    for (const file of files) {
+        if (file.delete || file.merge === 'replace') {
+            merged.push(file);
+            continue;
+        }
+        if (fileKind(file.path) === 'text') {
+            warnings.push(`${file.path}: only JSON and YAML files can be merged, the file is replaced.`);
+            merged.push(file);
+            continue;
+        }
+
+        const currentText = await getFileContent(octokit, owner, repo, file.path, currentRef);
+        if (currentText === null) {
+            merged.push(file);
+            continue;
+        }
+
+        const incoming = parseContent(file.path, fileText(file));
+
+        let current;
+        try {
+            current = parseContent(file.path, currentText);
+        } catch (err) {
+            warnings.push(`${file.path}: the existing file cannot be merged (${err.message}), it is replaced.`);
+            merged.push(file);
+            continue;
+        }
+
+        let ancestor;
+        if (file.merge === 'three-way' && typeof generated[file.path] === 'string') {
+            try {
+                ancestor = parseContent(file.path, generated[file.path]);
+            } catch (err) {
+                ancestor = undefined;
+            }
+        }
+
+        const result = mergeDocuments(file.merge, { ancestor, current, incoming });
+        result.conflicts.forEach((conflict) => conflicts.push({ path: file.path, ...conflict }));
+        info(`Merged ${file.path} (${file.merge}): ${result.conflicts.length} conflict(s)`);
+
+        merged.push({ ...file, content: result.document, encoding: 'utf-8' });
+    }
+
+    return { files: merged, conflicts, warnings };
+}
+
+
+/**
+ * Describes the fields that could not be merged, to be added to the pull request body.
+ *
+ * @param {object[]} conflicts - The conflicts, as returned by `mergeFiles`.
+ *
+ * @returns {string} - A Markdown section listing the conflicts, or an empty string if there are none.
+ */
+function conflictsToMarkdown(conflicts) {
+    if (!conflicts || conflicts.length === 0) {
+        return '';
+    }
+    const show = (value) => {
+        const text = value === undefined ? '(missing)' : JSON.stringify(value);
+        return `\`${text.length > 80 ? `${text.slice(0, 77)}...` : text}\``;
+    };
+    const lines = conflicts.map((conflict) =>
+        `- \`${conflict.path}\`: \`${conflict.field || '(whole document)'}\` kept ${show(conflict.current)}, generated ${show(conflict.incoming)}`
+    );
+    return `### Fields that could not be merged\n\nThe existing values were kept:\n\n${lines.join('\n')}\n`;
+}
+
+
+
+/**
+ * Describes the generated documents as a hidden comment of the pull request body, so that the next
+ * call can use them as the ancestor of three-way merges. The documents are gzipped and base64 encoded.
+ *
+ * @param {object[]} files - The generated files, before they are merged.
+ * @param {object} [previous={}] - The documents generated before, by path (see `generatedFromMarkdown`).
+ *   They are kept unless the path is generated again or deleted.
+ *
+ * @returns {string} - The comment, or an empty string if there is no JSON or YAML document.
+ *
+ * @example
+ * // Example usage:
+ * const comment = generatedToMarkdown(prepared.files, generatedFromMarkdown(pullrequest.body));
+ */
+function generatedToMarkdown(files, previous = {}) {
+    const generated = { ...previous };
+    files.forEach((file) => {
+        if (file.delete || fileKind(file.path) === 'text') {
+            delete generated[file.path];
+        } else {
+            generated[file.path] = fileText(file);
+        }
+    });
+    if (Object.keys(generated).length === 0) {
+        return '';
+    }
+    const data = zlib.gzipSync(JSON.stringify(generated)).toString('base64');
+    return `<!-- ${GENERATED_MARKER}:${data} -->`;
+}
+
+/**
+ * Reads the generated documents from the body of a pull request (see `generatedToMarkdown`).
+ *
+ * @param {string|null} body - The body of the pull request.
+ *
+ * @returns {object} - The text of the documents, by path. Empty if the body has none or it cannot be read.
+ */
+function generatedFromMarkdown(body) {
+    const match = new RegExp(`<!-- ${GENERATED_MARKER}:([A-Za-z0-9+/=]+) -->`).exec(body || '');
+    if (!match) {
+        return {};
+    }
+    try {
+        const generated = JSON.parse(zlib.gunzipSync(Buffer.from(match[1], 'base64')).toString('utf-8'));
+        return isPlainObject(generated) ? generated : {};
+    } catch (err) {
+        info(`The generated documents of the pull request cannot be read: ${err.message}`);
+        return {};
+    }
+}
+
+/**
+ * Builds the body of the pull request: the message, the conflicts and the generated documents.
+ *
+ * @param {string} message - The description of the pull request.
+ * @param {object[]} conflicts - The conflicts, as returned by `mergeFiles`.
+ * @param {string} generated - The generated documents, as returned by `generatedToMarkdown`.
+ *
+ * @returns {object} - { body, stored } where `stored` is false if the generated documents did not fit in
+ *   the body and were left out.
+ */
+function pullRequestBody(message, conflicts, generated) {
+    const body = [message, conflictsToMarkdown(conflicts)].filter(Boolean).join('\n\n');
+    if (!generated) {
+        return { body: body, stored: true };
+    }
+    const withGenerated = `${body}\n\n${generated}`;
+    if (withGenerated.length > MAX_BODY_LENGTH) {
+        return { body: body, stored: false };
+    }
+    return { body: withGenerated, stored: true };
+}
+
+
+module.exports = {
+    MERGE_STRATEGIES,
+    resolveStrategies,
+    isSameItem,
+    fillMissing,
+    threeWayMerge,
+    mergeDocuments,
+    mergeFiles,
+    conflictsToMarkdown,
+    generatedToMarkdown,
+    generatedFromMarkdown,
+    pullRequestBody,
+};
@@ -0,0 +1,243 @@
+const {
+    resolveStrategies,
+    isSameItem,
+    fillMissing,
+    threeWayMerge,
+    mergeDocuments,
+    mergeFiles,
+    conflictsToMarkdown,
+    generatedToMarkdown,
+    generatedFromMarkdown,
+    pullRequestBody,
+} = require('./merge');
+
+/**
+ * Builds an Octokit stub serving the files of each commit ({ ref: { path: text } }), and recording the requests.
+ */
+function createOctokit(commits) {
+    const requests = [];
+    return {
+        requests: requests,
+        request: async (route, params) => {
+            requests.push({ route: route, params: params });
+            const text = (commits[params.ref] || {})[params.path];
+            if (route !== 'GET /repos/{owner}/{repo}/contents/{path}' || text === undefined) {
+                const err = new Error(`Not Found: ${route}`);
+                err.status = 404;
+                throw err;
+            }
+            return { data: { type: 'file', content: Buffer.from(text).toString('base64') } };
+        },
+    };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('resolveStrategies', () => {
+    test('applies the default strategy to the files without one', () => {
+        const files = resolveStrategies([{ path: 'a.json' }, { path: 'b.json', merge: 'three-way' }], 'fill-missing');
+        expect(files.map(file => file.merge)).toEqual(['fill-missing', 'three-way']);
+        expect(resolveStrategies([{ path: 'a.json' }])[0].merge).toBe('replace');
+    });
+
+    test('rejects unknown strategies with a 400', () => {
+        expect(() => resolveStrategies([{ path: 'a.json', merge: 'ours' }])).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('isSameItem', () => {
+    test('matches items by any identifying field or by name', () => {
+        expect(isSameItem({ name: 'Eva Martin', orcid: 'https://orcid.org/0000-0001-2345-6789' }, { email: 'eva@x.org', name: 'eva  martin' })).toBe(true);
+        expect(isSameItem({ givenName: 'Eva', familyName: 'Martin' }, { 'given-names': 'Eva', 'family-names': 'Martin' })).toBe(true);
+        expect(isSameItem({ type: 'doi', value: '10.1/X' }, { type: 'doi', value: '10.1/x' })).toBe(true);
+        expect(isSameItem({ name: 'Eva' }, { name: 'Ana' })).toBe(false);
+        expect(isSameItem({ email: '' }, { email: '' })).toBe(false);
+    });
+});
+
+describe('fillMissing', () => {
+    test('adds the missing fields and items and keeps the existing values', () => {
+        const conflicts = [];
+        const merged = fillMissing(
+            { name: 'tool', funding: 'ERC', author: [{ name: 'Eva Martin', orcid: 'https://orcid.org/1' }] },
+            { name: 'Tool', version: '1.0', author: [{ name: 'Eva Martin', email: 'eva@x.org' }, { name: 'Ana' }] },
+            '', conflicts);
+        expect(merged).toEqual({
+            name: 'tool',
+            funding: 'ERC',
+            version: '1.0',
+            author: [{ name: 'Eva Martin', orcid: 'https://orcid.org/1', email: 'eva@x.org' }, { name: 'Ana' }],
+        });
+        expect(conflicts).toEqual([{ field: 'name', current: 'tool', incoming: 'Tool' }]);
+    });
+});
+
+describe('threeWayMerge', () => {
+    test('takes the changes of each side and reports the fields changed on both', () => {
+        const conflicts = [];
+        const merged = threeWayMerge(
+            { name: 'tool', version: '1.0', description: 'A tool.', keywords: ['a'] },
+            { name: 'tool', version: '1.0', description: 'A curated tool.', keywords: ['b'], funding: 'ERC' },
+            { name: 'tool', version: '2.0', description: 'A generated tool.', keywords: ['a'] },
+            '', conflicts);
+        expect(merged).toEqual({ name: 'tool', version: '2.0', description: 'A curated tool.', keywords: ['b'], funding: 'ERC' });
+        expect(conflicts).toEqual([{ field: 'description', current: 'A curated tool.', incoming: 'A generated tool.' }]);
+    });
+
+    test('does not overwrite the existing values without an ancestor', () => {
+        const conflicts = [];
+        const merged = threeWayMerge(undefined, { description: 'Hand-written.' }, { description: 'generated', version: '1.0' }, '', conflicts);
+        expect(merged).toEqual({ description: 'Hand-written.', version: '1.0' });
+        expect(conflicts).toEqual([{ field: 'description', current: 'Hand-written.', incoming: 'generated' }]);
+    });
+
+    test('adds the fields missing from the existing document only if the new value changed', () => {
+        const conflicts = [];
+        expect(threeWayMerge({ version: '1.1', license: 'MIT' }, { funding: 'x' }, { version: '1.2', license: 'MIT' }, '', conflicts))
+            .toEqual({ funding: 'x', version: '1.2' });
+        expect(conflicts).toEqual([]);
+    });
+
+    test('does not add back the items removed since the ancestor', () => {
+        const conflicts = [];
+        const merged = threeWayMerge(
+            { author: [{ name: 'Eva' }, { name: 'Bot' }] },
+            { author: [{ name: 'Eva', orcid: 'https://orcid.org/1' }] },
+            { author: [{ name: 'Eva' }, { name: 'Bot' }, { name: 'Ana' }] },
+            '', conflicts);
+        expect(merged).toEqual({ author: [{ name: 'Eva', orcid: 'https://orcid.org/1' }, { name: 'Ana' }] });
+        expect(conflicts).toEqual([]);
+    });
+});
+
+describe('mergeDocuments', () => {
+    test('replaces the document or writes it when there is none', () => {
+        expect(mergeDocuments('replace', { current: { a: 1 }, incoming: { b: 2 } })).toEqual({ document: { b: 2 }, conflicts: [] });
+        expect(mergeDocuments('fill-missing', { current: undefined, incoming: { b: 2 } })).toEqual({ document: { b: 2 }, conflicts: [] });
+    });
+});
+
+describe('mergeFiles', () => {
+    const CURRENT = JSON.stringify({ name: 'tool', description: 'Hand-written.', funding: 'ERC' });
+    const file = (path, content, merge) => ({ path: path, content: content, encoding: 'utf-8', delete: false, merge: merge });
+
+    test('reports the differing values as conflicts when there is no ancestor', async () => {
+        const octokit = createOctokit({ main: { 'codemeta.json': CURRENT } });
+        const { files, conflicts } = await mergeFiles(octokit, 'inab', 'tool', [
+            file('codemeta.json', JSON.stringify({ name: 'tool', description: 'generated', version: '1.0' }), 'three-way'),
+        ], { currentRef: 'main' });
+
+        expect(files[0].content).toEqual({ name: 'tool', description: 'Hand-written.', funding: 'ERC', version: '1.0' });
+        expect(conflicts).toEqual([{ path: 'codemeta.json', field: 'description', current: 'Hand-written.', incoming: 'generated' }]);
+        expect(octokit.requests.map(request => request.params.ref)).toEqual(['main']);
+    });
+
+    test('updates the values generated by the previous submission, the pull request being open or merged', async () => {
+        const generated = { 'CITATION.cff': 'title: Tool\nversion: 1.1.0\nauthors:\n  - name: Eva\n' };
+        const incoming = () => [file('CITATION.cff', 'title: Tool\nversion: 1.2.0\nauthors:\n  - name: Eva\n', 'three-way')];
+        const expected = { title: 'Tool', version: '1.2.0', funding: 'ERC', authors: [{ name: 'Eva', orcid: 'https://orcid.org/1' }] };
+
+        // The pull request with version 1.1.0 is still open: the target branch does not have it
+        const open = createOctokit({ main: { 'CITATION.cff': 'title: Tool\nfunding: ERC\nauthors:\n  - name: Eva\n    orcid: https://orcid.org/1\n' } });
+        const fromOpen = await mergeFiles(open, 'inab', 'tool', incoming(), { currentRef: 'main', generated: generated });
+        expect(fromOpen.files[0].content).toEqual(expected);
+        expect(fromOpen.conflicts).toEqual([]);
+
+        // It was merged: the target branch has version 1.1.0
+        const merged = createOctokit({ main: { 'CITATION.cff': 'title: Tool\nversion: 1.1.0\nfunding: ERC\nauthors:\n  - name: Eva\n    orcid: https://orcid.org/1\n' } });
+        const fromMerged = await mergeFiles(merged, 'inab', 'tool', incoming(), { currentRef: 'main', generated: generated });
+        expect(fromMerged.files[0].content).toEqual(expected);
+        expect(fromMerged.conflicts).toEqual([]);
+    });
+
+    test('keeps the values never generated before, whether a pull request is open or not', async () => {
+        const octokit = createOctokit({ main: { 'codemeta.json': JSON.stringify({ name: 'tool', version: '1.0', funding: 'x' }) } });
+        const incoming = () => [file('codemeta.json', JSON.stringify({ name: 'tool', version: '1.2' }), 'three-way')];
+        const conflict = { path: 'codemeta.json', field: 'version', current: '1.0', incoming: '1.2' };
+
+        const withoutPull = await mergeFiles(octokit, 'inab', 'tool', incoming(), { currentRef: 'main' });
+        // The open pull request did not generate a version
+        const withPull = await mergeFiles(octokit, 'inab', 'tool', incoming(), {
+            currentRef: 'main',
+            generated: { 'codemeta.json': JSON.stringify({ name: 'tool' }) },
+        });
+
+        expect(withoutPull.files[0].content).toEqual({ name: 'tool', version: '1.0', funding: 'x' });
+        expect(withoutPull.conflicts).toEqual([conflict]);
+        expect(withPull.files[0].content).toEqual(withoutPull.files[0].content);
+        expect(withPull.conflicts).toEqual([conflict]);
+
+        // The hand-written version is kept as long as it differs from the generated one
+        const afterConflict = await mergeFiles(octokit, 'inab', 'tool', incoming(), {
+            currentRef: 'main',
+            generated: { 'codemeta.json': JSON.stringify({ name: 'tool', version: '1.1' }) },
+        });
+        expect(afterConflict.conflicts).toEqual([conflict]);
+    });
+
+    test('writes the other files as they are', async () => {
+        const octokit = createOctokit({ main: { 'codemeta.json': '{', 'README.md': '# Tool' } });
+        const files = [
+            file('codemeta.json', '{"name": "tool"}', 'fill-missing'),
+            file('README.md', '# New', 'fill-missing'),
+            file('CITATION.cff', 'title: Tool\n', 'fill-missing'),
+            file('.zenodo.json', '{}', 'replace'),
+        ];
+        const merged = await mergeFiles(octokit, 'inab', 'tool', files, { currentRef: 'main' });
+
+        expect(merged.files).toEqual(files);
+        expect(merged.warnings).toEqual([
+            expect.stringMatching(/^codemeta\.json: the existing file cannot be merged \(Not valid JSON/),
+            'README.md: only JSON and YAML files can be merged, the file is replaced.',
+        ]);
+    });
+});
+
+describe('conflictsToMarkdown', () => {
+    test('lists the fields that kept their existing value', () => {
+        expect(conflictsToMarkdown([])).toBe('');
+        expect(conflictsToMarkdown([{ path: 'codemeta.json', field: 'description', current: 'Hand-written.', incoming: 'x'.repeat(100) }]))
+            .toBe('### Fields that could not be merged\n\nThe existing values were kept:\n\n'
+                + `- \`codemeta.json\`: \`description\` kept \`"Hand-written."\`, generated \`"${'x'.repeat(76)}...\`\n`);
+    });
+});
+
+describe('generated documents', () => {
+    const file = (path, content, encoding = 'utf-8') => ({ path: path, content: content, encoding: encoding, delete: false });
+
+    test('are stored in a hidden comment of the pull request body and read back', () => {
+        const comment = generatedToMarkdown([
+            file('codemeta.json', '{"name": "tool"}'),
+            file('CITATION.cff', Buffer.from('title: Tool\n').toString('base64'), 'base64'),
+            file('README.md', '# Tool'),
+        ]);
+        expect(comment).toMatch(/^<!-- metadata-updater-generated:[A-Za-z0-9+/=]+ -->$/);
+        expect(generatedFromMarkdown(`Description.\n\n${comment}`)).toEqual({ 'codemeta.json': '{"name": "tool"}', 'CITATION.cff': 'title: Tool\n' });
+    });
+
+    test('keep the documents generated before unless they are generated again or deleted', () => {
+        const previous = { 'codemeta.json': '{}', 'CITATION.cff': 'title: Old\n', '.zenodo.json': '{}' };
+        const comment = generatedToMarkdown([file('CITATION.cff', 'title: New\n'), { path: '.zenodo.json', delete: true }], previous);
+        expect(generatedFromMarkdown(comment)).toEqual({ 'codemeta.json': '{}', 'CITATION.cff': 'title: New\n' });
+        expect(generatedToMarkdown([file('README.md', '# Tool')])).toBe('');
+    });
+
+    test('are empty when the body has none or it cannot be read', () => {
+        expect(generatedFromMarkdown(null)).toEqual({});
+        expect(generatedFromMarkdown('Description.')).toEqual({});
+        expect(generatedFromMarkdown('<!-- metadata-updater-generated:bm90IGd6aXA= -->')).toEqual({});
+    });
+
+    test('are left out of the pull request body when it would be too long', () => {
+        const comment = generatedToMarkdown([file('codemeta.json', '{}')]);
+        expect(pullRequestBody('Description.', [], comment)).toEqual({ body: `Description.\n\n${comment}`, stored: true });
+        expect(pullRequestBody('x'.repeat(65536), [], comment)).toEqual({ body: 'x'.repeat(65536), stored: false });
+        expect(pullRequestBody('Description.', [], '')).toEqual({ body: 'Description.', stored: true });
+    });
+});
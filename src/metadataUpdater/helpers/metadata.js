@@ -3,6 +3,9 @@ const MetadataUpdater = require('../updater.js');
 var info = require('debug')('node-api:info');
 var error = require('debug')('node-api:error');
 
+// Branches created by the updater: 'evaluator' or 'evaluator-n'
+const BRANCH_REGEX = /^evaluator(?:-(\d+))?$/;
+
 /**
  * Asynchronously retrieves an Octokit instance authenticated for a specific GitHub App installation.
  * 
@@ -36,28 +39,6 @@ async function getOctokit(installationID) {
 } 
 
 
-/**
- * Converts a JSON object into a Base64-encoded string.
- * 
- * This function takes a JavaScript object, serializes it to a JSON string, 
- * and then encodes that string into Base64 format.
- * 
- * @param {object} object - The JSON object to be converted into a Base64 string.
- * 
- * @returns {string} - The Base64-encoded string representation of the JSON object.
- * 
- * @example
- * // Example usage:
- * const myObject = { key: "value" };
- * const base64String = jsonToBase64(myObject);
- * console.debug(base64String); // Outputs the Base64 string
- */
-function jsonToBase64(object) {
-    const json = JSON.stringify(object);
-    return Buffer.from(json).toString("base64");
-}
-
-
 async function getTargetBranch(octokit, owner, repo, branchName) {
     console.debug('Fetching details of branch', branchName);
     const resp = await octokit.request('GET /repos/{owner}/{repo}/branches/{branch}', {
@@ -116,10 +97,8 @@ function generateBranchName(branches) {
         throw new Error('Invalid input: allBranchNames must be an array.');
     }
 
-    // Regex to match 'evaluator' or 'evaluator-n' and capture the number
-    const re = /^evaluator(?:-(\d+))?$/;
     const evaluator_branches = branches.map(branch => {
-        const match = re.exec(branch);
+        const match = BRANCH_REGEX.exec(branch);
         return match ? parseInt(match[1], 10) || 0 : null;
     }).filter(number => number !== null);
 
@@ -171,93 +150,300 @@ async function createBranch(octokit, owner, repo, branchName, sha) {
 
 
 /**
- * Asynchronously creates or updates a file in a specified branch of a GitHub repository.
+ * Validates and normalises the list of files to be committed by the updater.
  * 
- * This function first checks if a file already exists at the specified path in the given branch.
- * If the file exists, it updates the file with the new content. If the file does not exist, it creates a new file.
- * The content is provided in Base64 encoding, and a commit message is included with the change.
+ * Each entry must have a relative `path`. Entries with `delete: true` remove the file from the tree,
+ * the rest need a `content`: a string encoded as `utf-8` (default) or `base64`, or an object
+ * that is serialized later according to the file type (see `prepareFiles`).
  * 
- * @param {object} octokit - An authenticated Octokit instance used to interact with the GitHub API.
- * @param {string} owner - The GitHub username or organization that owns the repository.
- * @param {string} repo - The name of the GitHub repository.
- * @param {string} branchName - The name of the branch where the file should be created or updated.
- * @param {string} path - The file path where the file should be created or updated.
- * @param {string} content - The Base64-encoded content of the file.
- * @param {string} message - The commit message associated with creating or updating the file.
+ * @param {object[]} files - The files requested by the client.
+ * @param {string} files[].path - The path of the file, relative to the repository root.
+ * @param {string|object} [files[].content] - The content of the file.
+ * @param {string} [files[].encoding='utf-8'] - The encoding of the content: 'utf-8' or 'base64'.
+ * @param {boolean} [files[].delete=false] - Whether the file should be removed instead of written.
+ * @param {string} [files[].merge] - How the file is merged with the existing one (see `resolveStrategies`).
  * 
- * @returns {object} resp - The response from the GitHub API, containing details about the created or updated file.
+ * @returns {object[]} - The normalised files, as `{path, content, encoding, delete, merge}` objects.
  * 
  * @example
  * // Example usage:
- * const response = await createFile(octokit, 'exampleUser', 'exampleRepo', 'new-branch', 'path/to/file.txt', 'SGVsbG8gd29ybGQ=', 'Add hello world file');
- * console.debug(response.data); // Outputs the details of the created or updated file
+ * const files = normalizeFiles([{ path: 'codemeta.json', content: '{}' }, { path: '.zenodo.json', delete: true }]);
  * 
- * @throws {Error} If an error occurs during the process, an error is thrown with the relevant information.
+ * @throws {Error} With status 400 if the list is empty, an entry is malformed or a path appears twice.
  */
-async function createFile(octokit, owner, repo, branchName, path, content, message) {
-    console.debug('Creating or updating file:', path);
-    console.debug('Repository:', owner, repo);
+function normalizeFiles(files) {
+    const invalid = (message) => {
+        const err = new Error(message);
+        err.status = 400;
+        return err;
+    };
+
+    if (!Array.isArray(files) || files.length === 0) {
+        throw invalid('At least one file must be provided.');
+    }
 
-    94727
-    let contents;
+    const seen = new Set();
+    return files.map((file, index) => {
+        if (!file || typeof file.path !== 'string' || file.path.trim() === '') {
+            throw invalid(`File ${index} has no path.`);
+        }
+        const path = file.path.trim().replace(/^\.\//, '');
+        if (path.startsWith('/') || path.split('/').some((part) => part === '' || part === '.' || part === '..')) {
+            throw invalid(`Invalid path '${file.path}': paths must be relative to the repository root.`);
+        }
+        if (seen.has(path)) {
+            throw invalid(`File '${path}' is listed more than once.`);
+        }
+        seen.add(path);
 
-    // Log the content and its type
-    console.debug('Content:', content);
-    console.debug('Type of content:', typeof content);
+        if (file.delete === true) {
+            return { path, content: null, encoding: null, delete: true };
+        }
 
+        const encoding = file.encoding || 'utf-8';
+        if (!['utf-8', 'base64'].includes(encoding)) {
+            throw invalid(`Unsupported encoding '${encoding}' for file '${path}'. Use 'utf-8' or 'base64'.`);
+        }
+        if (typeof file.content !== 'string' && (!file.content || typeof file.content !== 'object')) {
+            throw invalid(`File '${path}' has no content.`);
+        }
+        if (typeof file.content === 'object' && encoding !== 'utf-8') {
+            throw invalid(`File '${path}': only text content can be ${encoding}-encoded.`);
+        }
+        return { path, content: file.content, encoding, delete: false, merge: file.merge };
+    });
+}
 
 
-    // Optionally, you can check if the content is a valid base64 string
-    const isBase64 = Buffer.from(content, 'base64').toString('base64') === content;
-    console.debug('Is content a valid base64 string?', isBase64);
+/**
+ * Asynchronously retrieves the text of a file of a GitHub repository at a given commit.
+ * 
+ * Files larger than 1 MB, whose content is not returned by the contents API, are read from their blob.
+ * 
+ * @param {object} octokit - An authenticated Octokit instance used to interact with the GitHub API.
+ * @param {string} owner - The GitHub username or organization that owns the repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @param {string} path - The path of the file.
+ * @param {string} ref - The branch, tag or commit SHA to read the file from.
+ * 
+ * @returns {string|null} - The content of the file as UTF-8 text, or `null` if the file does not exist.
+ * 
+ * @example
+ * // Example usage:
+ * const content = await getFileContent(octokit, 'exampleUser', 'exampleRepo', 'codemeta.json', 'abc123def456');
+ * 
+ * @throws {Error} If the GitHub API request fails for another reason than a missing file.
+ */
+async function getFileContent(octokit, owner, repo, path, ref) {
+    console.debug('Fetching file', path, 'at', ref);
 
     try {
-        // Check if the file already exists
-        contents = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+        const resp = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
             owner: owner,
             repo: repo,
             path: path,
+            ref: ref,
         });
+        if (Array.isArray(resp.data) || resp.data.type !== 'file') {
+            return null;
+        }
+
+        let content = resp.data.content;
+        if (!content && resp.data.sha) {
+            const blob = await octokit.request('GET /repos/{owner}/{repo}/git/blobs/{file_sha}', {
+                owner: owner,
+                repo: repo,
+                file_sha: resp.data.sha,
+            });
+            content = blob.data.content;
+        }
+        return Buffer.from(content || '', 'base64').toString('utf-8');
     } catch (error) {
         if (error.status === 404) {
-            // File does not exist, so proceed to create it
-            contents = null;
-        } else {
-            // Some other error occurred
-            console.error('Error fetching file contents:', error.message);
-            throw new Error(`Failed to retrieve file at path '${path}' in repository '${owner}/${repo}': ${error.message}`);
+            return null;
         }
+        console.error('Error fetching file contents:', error.message);
+        throw new Error(`Failed to retrieve file at path '${path}' in repository '${owner}/${repo}': ${error.message}`);
     }
+}
+
+
+/**
+ * Asynchronously creates a single commit that writes and deletes several files at once.
+ * 
+ * The commit is built through the Git Data API: a blob is created for every written file, then a tree
+ * on top of the parent commit's tree, and finally a commit pointing to that tree. No branch is moved,
+ * so the caller decides which ref should point to the returned commit. Either all the files land
+ * in the commit or none of them do.
+ * 
+ * When the resulting tree is identical to the parent's tree (the files already have the requested
+ * content, or the deleted files do not exist), no commit is created and `null` is returned.
+ * 
+ * @param {object} octokit - An authenticated Octokit instance used to interact with the GitHub API.
+ * @param {string} owner - The GitHub username or organization that owns the repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @param {string} parentSHA - The SHA of the commit the new commit is based on.
+ * @param {object[]} files - The files to commit, as returned by `normalizeFiles`.
+ * @param {string} message - The commit message.
+ * 
+ * @returns {object|null} commit - The created commit, as returned by the GitHub API (`sha`, `tree`, `html_url`...),
+ * or `null` if the files do not change anything.
+ * 
+ * @example
+ * // Example usage:
+ * const commit = await createCommit(octokit, 'exampleUser', 'exampleRepo', 'abc123def456', files, 'Add metadata files');
+ * console.debug(commit.sha); // Outputs the SHA of the new commit
+ * 
+ * @throws {Error} If any of the GitHub API requests fails, an error is thrown with the relevant information.
+ */
+async function createCommit(octokit, owner, repo, parentSHA, files, message) {
+    console.debug('Creating commit with files:', files.map((file) => file.path));
 
     try {
-        const requestConfig = {
+        const parent = await octokit.request('GET /repos/{owner}/{repo}/git/commits/{commit_sha}', {
+            owner: owner,
+            repo: repo,
+            commit_sha: parentSHA,
+        });
+
+        const tree = [];
+        for (const file of files) {
+            if (file.delete) {
+                // A null sha removes the path from the base tree
+                tree.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+                continue;
+            }
+            const blob = await octokit.request('POST /repos/{owner}/{repo}/git/blobs', {
+                owner: owner,
+                repo: repo,
+                content: file.content,
+                encoding: file.encoding,
+            });
+            tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.data.sha });
+        }
+
+        const newTree = await octokit.request('POST /repos/{owner}/{repo}/git/trees', {
+            owner: owner,
+            repo: repo,
+            base_tree: parent.data.tree.sha,
+            tree: tree,
+        });
+
+        if (newTree.data.sha === parent.data.tree.sha) {
+            console.debug('Files already up to date, no commit needed');
+            return null;
+        }
+
+        const commit = await octokit.request('POST /repos/{owner}/{repo}/git/commits', {
             owner: owner,
             repo: repo,
-            path: path,
-            branch: branchName,
             message: message,
+            tree: newTree.data.sha,
+            parents: [parentSHA],
             committer: {
                 name: 'Metadata Updater for FAIRsoft',
                 email: 'openebench@bsc.es'
             },
-            content: content // The new file content, using Base64 encoding.
-        };
-
-        if (contents && contents.status === 200) {
-            // File already exists, update the file
-            requestConfig.sha = contents.data.sha;
-            console.debug('File exists, updating:', path);
-        } else {
-            // File does not exist, create it
-            console.debug('File does not exist, creating:', path);
-        }
+        });
 
-        const resp = await octokit.request('PUT /repos/{owner}/{repo}/contents/{path}', requestConfig);
-        console.debug('File created/updated successfully:', path);
+        console.debug('Commit created successfully:', commit.data.sha);
+        return commit.data;
+    } catch (error) {
+        console.error('Error creating commit:', error.message);
+        const err = new Error(`Failed to create commit in repository '${owner}/${repo}': ${error.message}`);
+        err.status = error.status;
+        throw err;
+    }
+}
+
+
+/**
+ * Asynchronously moves an existing branch of a GitHub repository to a new commit.
+ * 
+ * The update is not forced, so it only succeeds when the new commit descends from the current head of the branch.
+ * 
+ * @param {object} octokit - An authenticated Octokit instance used to interact with the GitHub API.
+ * @param {string} owner - The GitHub username or organization that owns the repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @param {string} branchName - The name of the branch to be updated.
+ * @param {string} sha - The SHA of the commit the branch should point to.
+ * 
+ * @returns {object} resp - The response from the GitHub API, containing details about the updated reference.
+ * 
+ * @example
+ * // Example usage:
+ * await updateBranch(octokit, 'exampleUser', 'exampleRepo', 'evaluator-1', 'abc123def456');
+ * 
+ * @throws {Error} If the GitHub API request fails, e.g. when the update is not a fast-forward.
+ */
+async function updateBranch(octokit, owner, repo, branchName, sha) {
+    console.debug('Updating branch:', branchName);
+
+    try {
+        const resp = await octokit.request('PATCH /repos/{owner}/{repo}/git/refs/{ref}', {
+            owner: owner,
+            repo: repo,
+            ref: `heads/${branchName}`,
+            sha: sha,
+            force: false,
+        });
+
+        console.debug('Branch updated successfully:', branchName);
         return resp;
     } catch (error) {
-        console.error('Error creating or updating file:', error.message);
-        throw new Error(`Failed to create or update file at path '${path}' in repository '${owner}/${repo}': ${error.message}`);
+        console.error('Error updating branch:', error.message);
+        const err = new Error(`Failed to update branch '${branchName}' in repository '${owner}/${repo}': ${error.message}`);
+        err.status = error.status;
+        throw err;
+    }
+}
+
+
+/**
+ * Asynchronously looks for an open pull request previously created by the updater.
+ * 
+ * Only pull requests targeting `base` whose head is an "evaluator" branch of the same repository are considered,
+ * so branches from forks or from other contributors are never touched. The most recently updated one is returned.
+ * 
+ * @param {object} octokit - An authenticated Octokit instance used to interact with the GitHub API.
+ * @param {string} owner - The GitHub username or organization that owns the repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @param {string} base - The name of the branch the pull request targets.
+ * 
+ * @returns {object|null} pullrequest - The pull request, as returned by the GitHub API, or `null` if there is none.
+ * 
+ * @example
+ * // Example usage:
+ * const pullrequest = await findOpenPullRequest(octokit, 'exampleUser', 'exampleRepo', 'main');
+ * if (pullrequest) console.debug(pullrequest.head.ref); // Outputs e.g. "evaluator-2"
+ * 
+ * @throws {Error} If the GitHub API request fails, an error is thrown with the relevant information.
+ */
+async function findOpenPullRequest(octokit, owner, repo, base) {
+    console.debug('Looking for open pull requests to branch:', base);
+
+    try {
+        const resp = await octokit.request('GET /repos/{owner}/{repo}/pulls', {
+            owner: owner,
+            repo: repo,
+            state: 'open',
+            base: base,
+            sort: 'updated',
+            direction: 'desc',
+            per_page: 100,
+        });
+
+        const fullName = `${owner}/${repo}`.toLowerCase();
+        const pullrequest = resp.data.find((pull) => pull.head
+            && BRANCH_REGEX.test(pull.head.ref)
+            && pull.head.repo
+            && pull.head.repo.full_name.toLowerCase() === fullName);
+
+        console.debug('Open pull request found:', pullrequest ? pullrequest.html_url : null);
+        return pullrequest || null;
+    } catch (error) {
+        console.error('Error listing pull requests:', error.message);
+        throw new Error(`Failed to list pull requests to branch '${base}' in repository '${owner}/${repo}': ${error.message}`);
     }
 }
 
@@ -308,14 +494,55 @@ async function createPullRequest(octokit, owner, repo, head, base, title, body)
 }
 
 
+/**
+ * Asynchronously replaces the description of an existing pull request.
+ * 
+ * @param {object} octokit - An authenticated Octokit instance used to interact with the GitHub API.
+ * @param {string} owner - The GitHub username or organization that owns the repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @param {number} number - The number of the pull request.
+ * @param {string} body - The new body of the pull request.
+ * 
+ * @returns {object} resp - The response from the GitHub API, containing details about the updated pull request.
+ * 
+ * @example
+ * // Example usage:
+ * await updatePullRequest(octokit, 'exampleUser', 'exampleRepo', 12, 'Updated description');
+ * 
+ * @throws {Error} If the GitHub API request fails, an error is thrown with the relevant information.
+ */
+async function updatePullRequest(octokit, owner, repo, number, body) {
+    console.debug('Updating pull request:', number);
+
+    try {
+        const resp = await octokit.request('PATCH /repos/{owner}/{repo}/pulls/{pull_number}', {
+            owner: owner,
+            repo: repo,
+            pull_number: number,
+            body: body,
+        });
+
+        console.debug('Pull request updated successfully:', resp.data.html_url);
+        return resp;
+    } catch (error) {
+        console.error('Error updating pull request:', error.message);
+        throw new Error(`Failed to update pull request #${number} in repository '${owner}/${repo}': ${error.message}`);
+    }
+}
+
+
 
 module.exports = {
     getOctokit,
-    jsonToBase64,
     getBranchesNames,
     getTargetBranch,
     generateBranchName,
     createBranch,
-    createFile,
-    createPullRequest
+    normalizeFiles,
+    getFileContent,
+    createCommit,
+    updateBranch,
+    findOpenPullRequest,
+    createPullRequest,
+    updatePullRequest
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+const { generateBranchName, normalizeFiles, createCommit, findOpenPullRequest } = require('./metadata');
+
+/**
+ * Builds an Octokit stub answering each route with the given handler, and recording the requests.
+ */
+function createOctokit(handlers) {
+    const requests = [];
+    return {
+        requests: requests,
+        request: async (route, params) => {
+            requests.push({ route: route, params: params });
+            if (!handlers[route]) {
+                const err = new Error(`Not Found: ${route}`);
+                err.status = 404;
+                throw err;
+            }
+            return { data: handlers[route](params) };
+        },
+    };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('generateBranchName', () => {
+    test('numbers the evaluator branches', () => {
+        expect(generateBranchName(['main'])).toBe('evaluator-1');
+        expect(generateBranchName(['main', 'evaluator', 'evaluator-3', 'evaluator-x', 'my-evaluator-9'])).toBe('evaluator-4');
+        expect(() => generateBranchName(null)).toThrow();
+    });
+});
+
+describe('normalizeFiles', () => {
+    test('normalises the paths, encodings and deletions', () => {
+        expect(normalizeFiles([
+            { path: './codemeta.json', content: { name: 'tool' } },
+            { path: 'docs/logo.png', content: 'iVBORw0KGgo=', encoding: 'base64' },
+            { path: '.zenodo.json', delete: true },
+        ])).toEqual([
+            { path: 'codemeta.json', content: { name: 'tool' }, encoding: 'utf-8', delete: false, merge: undefined },
+            { path: 'docs/logo.png', content: 'iVBORw0KGgo=', encoding: 'base64', delete: false, merge: undefined },
+            { path: '.zenodo.json', content: null, encoding: null, delete: true },
+        ]);
+    });
+
+    test('rejects malformed lists with a 400', () => {
+        [
+            [],
+            [{ content: 'x' }],
+            [{ path: '../secret', content: 'x' }],
+            [{ path: '/etc/passwd', content: 'x' }],
+            [{ path: 'a.json', content: 'x' }, { path: './a.json', content: 'y' }],
+            [{ path: 'a.json', content: 'x', encoding: 'latin1' }],
+            [{ path: 'a.json' }],
+            [{ path: 'a.json', content: {}, encoding: 'base64' }],
+        ].forEach(files => {
+            expect(() => normalizeFiles(files)).toThrow(expect.objectContaining({ status: 400 }));
+        });
+    });
+});
+
+describe('createCommit', () => {
+    const handlers = {
+        'GET /repos/{owner}/{repo}/git/commits/{commit_sha}': () => ({ sha: 'parent', tree: { sha: 'tree-0' } }),
+        'POST /repos/{owner}/{repo}/git/blobs': params => ({ sha: `blob-${params.content}` }),
+        'POST /repos/{owner}/{repo}/git/trees': () => ({ sha: 'tree-1' }),
+        'POST /repos/{owner}/{repo}/git/commits': params => ({ sha: 'commit-1', tree: { sha: params.tree }, parents: params.parents }),
+    };
+
+    test('writes and deletes all the files in one commit', async () => {
+        const octokit = createOctokit(handlers);
+        const commit = await createCommit(octokit, 'inab', 'tool', 'parent', [
+            { path: 'codemeta.json', content: '{}', encoding: 'utf-8', delete: false },
+            { path: 'CITATION.cff', content: 'cff', encoding: 'utf-8', delete: false },
+            { path: '.zenodo.json', content: null, encoding: null, delete: true },
+        ], 'Update metadata');
+
+        expect(commit).toEqual({ sha: 'commit-1', tree: { sha: 'tree-1' }, parents: ['parent'] });
+        const tree = octokit.requests.find(request => request.route === 'POST /repos/{owner}/{repo}/git/trees').params;
+        expect(tree.base_tree).toBe('tree-0');
+        expect(tree.tree).toEqual([
+            { path: 'codemeta.json', mode: '100644', type: 'blob', sha: 'blob-{}' },
+            { path: 'CITATION.cff', mode: '100644', type: 'blob', sha: 'blob-cff' },
+            { path: '.zenodo.json', mode: '100644', type: 'blob', sha: null },
+        ]);
+        // No ref is moved
+        expect(octokit.requests.some(request => /git\/refs/.test(request.route))).toBe(false);
+    });
+
+    test('keeps the status of the failed request', async () => {
+        const octokit = createOctokit({ ...handlers, 'POST /repos/{owner}/{repo}/git/blobs': undefined });
+        await expect(createCommit(octokit, 'inab', 'tool', 'parent', [{ path: 'a', content: 'x', encoding: 'utf-8' }], 'Update'))
+            .rejects.toMatchObject({ status: 404, message: expect.stringMatching(/^Failed to create commit in repository 'inab\/tool'/) });
+        expect(octokit.requests.some(request => request.route === 'POST /repos/{owner}/{repo}/git/commits')).toBe(false);
+    });
+});
+
+describe('createCommit without changes', () => {
+    test('returns null when the tree does not change', async () => {
+        const octokit = createOctokit({
+            'GET /repos/{owner}/{repo}/git/commits/{commit_sha}': () => ({ sha: 'parent', tree: { sha: 'tree-0' } }),
+            'POST /repos/{owner}/{repo}/git/blobs': () => ({ sha: 'blob' }),
+            'POST /repos/{owner}/{repo}/git/trees': () => ({ sha: 'tree-0' }),
+        });
+        expect(await createCommit(octokit, 'inab', 'tool', 'parent', [{ path: 'a', content: 'x', encoding: 'utf-8' }], 'Update')).toBeNull();
+        expect(octokit.requests.some(request => request.route === 'POST /repos/{owner}/{repo}/git/commits')).toBe(false);
+    });
+});
+
+describe('findOpenPullRequest', () => {
+    const pull = (number, ref, fullName) => ({ number: number, html_url: `https://x/pull/${number}`, head: { ref: ref, repo: fullName ? { full_name: fullName } : null } });
+
+    test('returns the latest pull request from an evaluator branch of the repository', async () => {
+        const octokit = createOctokit({
+            'GET /repos/{owner}/{repo}/pulls': () => [
+                pull(5, 'feature', 'inab/tool'),
+                pull(4, 'evaluator-2', 'someone/tool'),
+                pull(3, 'evaluator-1', null),
+                pull(2, 'evaluator-1', 'INAB/Tool'),
+                pull(1, 'evaluator', 'inab/tool'),
+            ],
+        });
+        expect((await findOpenPullRequest(octokit, 'inab', 'tool', 'main')).number).toBe(2);
+        expect(octokit.requests[0].params).toMatchObject({ state: 'open', base: 'main', sort: 'updated', direction: 'desc' });
+    });
+
+    test('returns null without updater pull request', async () => {
+        const octokit = createOctokit({ 'GET /repos/{owner}/{repo}/pulls': () => [pull(5, 'feature', 'inab/tool')] });
+        expect(await findOpenPullRequest(octokit, 'inab', 'tool', 'main')).toBeNull();
+    });
+});
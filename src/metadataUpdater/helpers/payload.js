@@ -0,0 +1,347 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const jsonld = require('jsonld');
+const { validateCFFSchema } = require('../../metadataExtractor/helpers/cff');
+const { metadataToCFF } = require('../../metadataExtractor/helpers/citation');
+const { documentLoader, validateCodeMeta } = require('../../metadataExtractor/helpers/codemeta');
+var info = require('debug')('node-api:info');
+var error = require('debug')('node-api:error');
+
+const JSON_FILE_REGEX = /\.(json|jsonld|json-ld)$/i;
+const YAML_FILE_REGEX = /\.(ya?ml|cff)$/i;
+const JSONLD_FILE_REGEX = /\.(jsonld|json-ld)$/i;
+
+
+/**
+ * Builds a 400 error listing the problems found in the files.
+ *
+ * @param {string} message - The error message.
+ * @param {string[]} [errors] - The problems found, listed in the `errors` property of the error.
+ *
+ * @returns {Error} - The error, with status 400.
+ */
+function invalidPayload(message, errors) {
+    const err = new Error(message);
+    err.status = 400;
+    if (errors) {
+        err.errors = errors;
+    }
+    return err;
+}
+
+
+/**
+ * Returns how the content of a file is serialized, from its name.
+ *
+ * @param {string} filePath - The path of the file.
+ *
+ * @returns {string} - 'json' (including JSON-LD), 'yaml' (including CITATION.cff) or 'text'.
+ *
+ * @example
+ * // Example usage:
+ * fileKind('CITATION.cff'); // 'yaml'
+ * fileKind('codemeta.json'); // 'json'
+ */
+function fileKind(filePath) {
+    if (JSON_FILE_REGEX.test(filePath)) {
+        return 'json';
+    }
+    if (YAML_FILE_REGEX.test(filePath)) {
+        return 'yaml';
+    }
+    return 'text';
+}
+
+
+/**
+ * Sorts the keys of the objects of a JSON value, recursively, so that the same metadata is always
+ * serialized the same way. JSON-LD keywords (`@context`, `@id`, `@type`...) come first.
+ *
+ * @param {*} value - The JSON value.
+ *
+ * @returns {*} - The same value, with sorted keys. Arrays keep their order.
+ */
+function sortKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    const keys = Object.keys(value).sort((a, b) => {
+        const keywordA = a.startsWith('@');
+        const keywordB = b.startsWith('@');
+        if (keywordA !== keywordB) {
+            return keywordA ? -1 : 1;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    });
+    return keys.reduce((sorted, key) => {
+        sorted[key] = sortKeys(value[key]);
+        return sorted;
+    }, {});
+}
+
+
+/**
+ * Parses the text of a JSON or YAML file.
+ *
+ * @param {string} filePath - The path of the file, which gives its type (see `fileKind`).
+ * @param {string} text - The text of the file.
+ *
+ * @returns {*} - The parsed document, or `undefined` for other files.
+ *
+ * @throws {Error} If the text is not valid JSON or YAML. The message gives the reason and the line.
+ */
+function parseContent(filePath, text) {
+    const kind = fileKind(filePath);
+    try {
+        if (kind === 'json') {
+            return JSON.parse(text);
+        }
+        if (kind === 'yaml') {
+            return yaml.load(text);
+        }
+        return undefined;
+    } catch (err) {
+        // js-yaml messages include a snippet of the file, keep the reason and the line
+        const reason = err.reason && err.mark ? `${err.reason} (line ${err.mark.line + 1})` : err.message;
+        throw new Error(`Not valid ${kind.toUpperCase()}: ${reason}`);
+    }
+}
+
+
+/**
+ * Serializes the content of a file according to its type.
+ *
+ * - JSON files: objects are serialized with sorted keys and two-space indentation.
+ * - YAML files (including CITATION.cff): objects are serialized keeping the order of their keys,
+ *   which is the order expected by people reading the file.
+ * - Other files only accept text.
+ *
+ * Strings are returned unchanged; serialized objects end with a newline.
+ *
+ * @param {string} filePath - The path of the file.
+ * @param {string|object} content - The content of the file.
+ *
+ * @returns {string} - The text of the file.
+ *
+ * @example
+ * // Example usage:
+ * serializeContent('codemeta.json', { name: 'tool', '@context': 'https://w3id.org/codemeta/3.0' });
+ * // '{\n  "@context": "https://w3id.org/codemeta/3.0",\n  "name": "tool"\n}\n'
+ *
+ * @throws {Error} With status 400 if an object is given for a file that is neither JSON nor YAML.
+ */
+function serializeContent(filePath, content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    const kind = fileKind(filePath);
+    if (kind === 'json') {
+        return `${JSON.stringify(sortKeys(content), null, 2)}\n`;
+    }
+    if (kind === 'yaml') {
+        return yaml.dump(content, { lineWidth: -1, noRefs: true, quotingType: '"' });
+    }
+    throw invalidPayload(`File '${filePath}' is neither JSON nor YAML: its content must be a string.`);
+}
+
+
+/**
+ * Asynchronously checks that a JSON-LD document can be expanded with the bundled contexts.
+ * Properties that are not defined in the context are errors. Documents whose context is remote
+ * (and not bundled) cannot be checked offline, which is reported as a warning.
+ *
+ * @param {object} document - The JSON-LD document.
+ *
+ * @returns {Promise<object>} - { errors, warnings }.
+ */
+async function validateJSONLD(document) {
+    const errors = [];
+    const warnings = [];
+
+    const eventHandler = ({ event, next }) => {
+        const details = event.details || {};
+        if (event.code === 'invalid property' || event.code === 'invalid reserved term') {
+            errors.push(`Property '${details.property || details.term}' is not defined in the context.`);
+        } else {
+            warnings.push(event.message);
+        }
+        next();
+    };
+
+    try {
+        await jsonld.expand(document, { documentLoader, eventHandler });
+    } catch (err) {
+        if (err.details && /^loading (remote context|document) failed$/.test(err.details.code)) {
+            warnings.push(`The context could not be loaded offline, the document was not validated: ${err.details.url || err.message}`);
+        } else {
+            errors.push(err.message);
+        }
+    }
+
+    return { errors, warnings };
+}
+
+
+/**
+ * Asynchronously validates the text of a file before it is committed:
+ * - JSON and YAML files must be syntactically valid.
+ * - `codemeta.json` is validated against the CodeMeta 3.0 context.
+ * - `CITATION.cff` is validated against the CFF 1.2.0 schema.
+ * - Other JSON-LD documents (`.jsonld` files or JSON with a `@context`) must expand without dropping properties.
+ *
+ * @param {string} filePath - The path of the file.
+ * @param {string} text - The text of the file.
+ *
+ * @returns {Promise<object>} - { errors, warnings }, as human readable messages.
+ *
+ * @example
+ * // Example usage:
+ * const { errors } = await validateContent('CITATION.cff', 'cff-version: 1.2.0\n');
+ * console.debug(errors); // Outputs the missing required properties
+ */
+async function validateContent(filePath, text) {
+    const kind = fileKind(filePath);
+    const name = path.posix.basename(filePath).toLowerCase();
+
+    if (kind === 'text') {
+        return { errors: [], warnings: [] };
+    }
+
+    let document;
+    try {
+        document = parseContent(filePath, text);
+    } catch (err) {
+        return { errors: [err.message], warnings: [] };
+    }
+
+    if (name === 'citation.cff') {
+        const { errors, warnings } = validateCFFSchema(document);
+        return { errors, warnings };
+    }
+
+    if (name === 'codemeta.json') {
+        try {
+            const { errors, warnings } = await validateCodeMeta(document);
+            return { errors, warnings };
+        } catch (err) {
+            // e.g. CodeMeta 2.0 documents, whose context is not bundled
+            return validateJSONLD(document);
+        }
+    }
+
+    const isObject = document && typeof document === 'object' && !Array.isArray(document);
+    if (JSONLD_FILE_REGEX.test(filePath) || (kind === 'json' && isObject && document['@context'])) {
+        return validateJSONLD(document);
+    }
+
+    return { errors: [], warnings: [] };
+}
+
+
+/**
+ * Generates the content of the files that are requested in a given format instead of as raw content.
+ *
+ * Supported formats:
+ * - `cff`: `content` is the observatory metadata, serialized to CITATION.cff (CFF 1.2.0).
+ *   `path` defaults to `CITATION.cff`.
+ *
+ * Files without `format` are returned unchanged.
+ *
+ * @param {object[]} files - The files requested by the client.
+ *
+ * @returns {object[]} - The files, with the generated content as UTF-8 text.
+ *
+ * @example
+ * // Example usage:
+ * const files = generateFormats([{ format: 'cff', content: metadata }]);
+ * console.debug(files[0].content); // Outputs the YAML of the CITATION.cff file
+ *
+ * @throws {Error} With status 400 if the format is unknown or the metadata is not an object.
+ */
+function generateFormats(files) {
+    if (!Array.isArray(files)) {
+        return files;
+    }
+
+    return files.map((file) => {
+        if (!file || !file.format) {
+            return file;
+        }
+
+        if (file.format !== 'cff') {
+            throw invalidPayload(`Unsupported format '${file.format}'. Supported formats: cff.`);
+        }
+        if (!file.content || typeof file.content !== 'object') {
+            throw invalidPayload(`The metadata to serialize to CITATION.cff must be an object.`);
+        }
+
+        const { format, ...rest } = file;
+        return { ...rest, path: file.path || 'CITATION.cff', content: metadataToCFF(file.content).cff, encoding: 'utf-8' };
+    });
+}
+
+
+/**
+ * Asynchronously serializes and validates the files to be committed.
+ *
+ * Object contents are serialized according to the file type (see `serializeContent`) as UTF-8 text,
+ * then every file is validated (see `validateContent`). Base64 contents are decoded to be validated
+ * but committed as given. Deleted files are not checked.
+ *
+ * @param {object[]} files - The files, as returned by `normalizeFiles`.
+ *
+ * @returns {Promise<object>} - { files, warnings } where `files` have a string content
+ *   and `warnings` lists the problems that do not prevent the commit, prefixed by the file path.
+ *
+ * @example
+ * // Example usage:
+ * const { files, warnings } = await prepareFiles(normalizeFiles(req.body.files));
+ *
+ * @throws {Error} With status 400 if any file is not valid. All the problems found, prefixed by
+ *   the file path, are listed in the `errors` property of the error.
+ */
+async function prepareFiles(files) {
+    const errors = [];
+    const warnings = [];
+
+    const prepared = [];
+    for (const file of files) {
+        if (file.delete) {
+            prepared.push(file);
+            continue;
+        }
+
+        const content = serializeContent(file.path, file.content);
+        const text = file.encoding === 'base64' ? Buffer.from(content, 'base64').toString('utf-8') : content;
+
+        const result = await validateContent(file.path, text);
+        result.errors.forEach((message) => errors.push(`${file.path}: ${message}`));
+        result.warnings.forEach((message) => warnings.push(`${file.path}: ${message}`));
+
+        prepared.push({ ...file, content: content });
+    }
+
+    if (errors.length > 0) {
+        error('Invalid files:', errors);
+        throw invalidPayload(`The metadata files are not valid.`, errors);
+    }
+
+    info('Files validated:', prepared.map((file) => file.path));
+    return { files: prepared, warnings: warnings };
+}
+
+
+module.exports = {
+    fileKind,
+    sortKeys,
+    parseContent,
+    serializeContent,
+    validateJSONLD,
+    validateContent,
+    generateFormats,
+    prepareFiles,
+};
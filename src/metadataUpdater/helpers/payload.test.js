@@ -0,0 +1,159 @@
+const yaml = require('js-yaml');
+const {
+    fileKind,
+    sortKeys,
+    parseContent,
+    serializeContent,
+    validateJSONLD,
+    validateContent,
+    generateFormats,
+    prepareFiles,
+} = require('./payload');
+
+const CITATION = [
+    'cff-version: 1.2.0',
+    'message: If you use this software, please cite it.',
+    'title: Tool',
+    'authors:',
+    '  - name: ELIXIR',
+    'version: 1.0.0',
+    'date-released: 2024-01-01',
+    'license: MIT',
+    'repository-code: https://github.com/inab/tool',
+    '',
+].join('\n');
+
+describe('fileKind', () => {
+    test('tells JSON, YAML and text files by their extension', () => {
+        expect(['codemeta.json', 'a.jsonld', 'CITATION.cff', '.github/ci.yml', 'README.md'].map(fileKind))
+            .toEqual(['json', 'json', 'yaml', 'yaml', 'text']);
+    });
+});
+
+describe('sortKeys', () => {
+    test('sorts the keys recursively, JSON-LD keywords first', () => {
+        const sorted = sortKeys({ name: 'x', '@type': 'T', author: [{ name: 'b', '@id': 'a' }], '@context': 'c' });
+        expect(JSON.stringify(sorted)).toBe('{"@context":"c","@type":"T","author":[{"@id":"a","name":"b"}],"name":"x"}');
+    });
+});
+
+describe('parseContent', () => {
+    test('parses JSON and YAML, not other files', () => {
+        expect(parseContent('codemeta.json', '{"name": "x"}')).toEqual({ name: 'x' });
+        expect(parseContent('CITATION.cff', 'title: x\n')).toEqual({ title: 'x' });
+        expect(parseContent('README.md', '# x')).toBeUndefined();
+    });
+
+    test('gives the reason and the line of syntax errors', () => {
+        expect(() => parseContent('CITATION.cff', 'title: x\nauthors: [\n')).toThrow(/^Not valid YAML: .* \(line \d+\)$/);
+        expect(() => parseContent('codemeta.json', '{')).toThrow(/^Not valid JSON: /);
+    });
+});
+
+describe('serializeContent', () => {
+    test('keeps strings unchanged', () => {
+        expect(serializeContent('codemeta.json', '{"b":1,"a":2}')).toBe('{"b":1,"a":2}');
+    });
+
+    test('serializes JSON with sorted keys and YAML in the given order', () => {
+        expect(serializeContent('codemeta.json', { name: 'tool', '@context': 'https://w3id.org/codemeta/3.0' }))
+            .toBe('{\n  "@context": "https://w3id.org/codemeta/3.0",\n  "name": "tool"\n}\n');
+        expect(serializeContent('CITATION.cff', { title: 'Tool', 'cff-version': '1.2.0' }))
+            .toBe('title: Tool\ncff-version: 1.2.0\n');
+    });
+
+    test('rejects objects for other files', () => {
+        expect(() => serializeContent('README.md', { title: 'Tool' })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('validateJSONLD', () => {
+    test('reports the properties that are not in the context', async () => {
+        const result = await validateJSONLD({ '@context': 'https://w3id.org/codemeta/3.0', name: 'tool', notAProperty: 'x' });
+        expect(result.errors).toEqual(["Property 'notAProperty' is not defined in the context."]);
+    });
+
+    test('warns when the context cannot be loaded offline', async () => {
+        const result = await validateJSONLD({ '@context': 'https://example.org/context', name: 'tool' });
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([expect.stringMatching(/^The context could not be loaded offline/)]);
+    });
+});
+
+describe('validateContent', () => {
+    test('validates CITATION.cff against the CFF schema', async () => {
+        expect(await validateContent('CITATION.cff', CITATION)).toEqual({ errors: [], warnings: [] });
+        const { errors } = await validateContent('CITATION.cff', 'cff-version: 1.2.0\n');
+        expect(errors).toEqual(expect.arrayContaining(["document: missing required property 'authors'."]));
+    });
+
+    test('validates codemeta.json against the CodeMeta context', async () => {
+        const text = JSON.stringify({ '@context': 'https://w3id.org/codemeta/3.0', type: 'SoftwareSourceCode', name: 'tool', notAProperty: 'x' });
+        const { errors } = await validateContent('codemeta.json', text);
+        expect(errors).toEqual(["Property 'notAProperty' is not defined in the CodeMeta context and was dropped."]);
+    });
+
+    test('reports syntax errors and ignores other files', async () => {
+        expect((await validateContent('package.json', '{')).errors).toEqual([expect.stringMatching(/^Not valid JSON/)]);
+        expect(await validateContent('package.json', '{"name": "tool"}')).toEqual({ errors: [], warnings: [] });
+        expect(await validateContent('README.md', '{')).toEqual({ errors: [], warnings: [] });
+    });
+});
+
+describe('generateFormats', () => {
+    test('serializes the metadata to CITATION.cff', () => {
+        const [file, other] = generateFormats([
+            { format: 'cff', content: { name: 'tool', authors: [{ name: 'Eva Martin' }] } },
+            { path: 'README.md', content: '# Tool' },
+        ]);
+        expect(file).toMatchObject({ path: 'CITATION.cff', encoding: 'utf-8' });
+        expect(file.format).toBeUndefined();
+        expect(yaml.load(file.content)).toMatchObject({ title: 'tool', authors: [{ 'given-names': 'Eva', 'family-names': 'Martin' }] });
+        expect(other).toEqual({ path: 'README.md', content: '# Tool' });
+    });
+
+    test('rejects unknown formats and metadata that is not an object', () => {
+        expect(() => generateFormats([{ format: 'bibtex', content: {} }])).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => generateFormats([{ format: 'cff', content: 'tool' }])).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('prepareFiles', () => {
+    test('serializes and validates the files, keeping base64 contents', async () => {
+        const { files, warnings } = await prepareFiles([
+            { path: 'CITATION.cff', content: Buffer.from(CITATION).toString('base64'), encoding: 'base64' },
+            { path: 'metadata.json', content: { b: 1, a: 2 }, encoding: 'utf-8' },
+            { path: 'old.json', delete: true },
+        ]);
+        expect(files).toEqual([
+            { path: 'CITATION.cff', content: Buffer.from(CITATION).toString('base64'), encoding: 'base64' },
+            { path: 'metadata.json', content: '{\n  "a": 2,\n  "b": 1\n}\n', encoding: 'utf-8' },
+            { path: 'old.json', delete: true },
+        ]);
+        expect(warnings).toEqual([]);
+    });
+
+    test('lists all the problems of the files, prefixed by their path', async () => {
+        const promise = prepareFiles([
+            { path: 'CITATION.cff', content: { 'cff-version': '1.2.0', title: 'Tool', message: 'Cite me', authors: [] } },
+            { path: 'codemeta.json', content: '{' },
+        ]);
+        await expect(promise).rejects.toMatchObject({
+            status: 400,
+            errors: [
+                'CITATION.cff: authors: must contain at least 1 item(s).',
+                expect.stringMatching(/^codemeta\.json: Not valid JSON/),
+            ],
+        });
+    });
+
+    test('prefixes the warnings with the file path', async () => {
+        const { warnings } = await prepareFiles([{ path: 'CITATION.cff', content: 'cff-version: 1.2.0\nmessage: m\ntitle: t\nauthors:\n  - name: x\n' }]);
+        expect(warnings).toEqual([
+            "CITATION.cff: Missing recommended key 'version'.",
+            "CITATION.cff: Missing recommended key 'date-released'.",
+            "CITATION.cff: Missing recommended key 'license'.",
+            "CITATION.cff: Missing recommended key 'repository-code'.",
+        ]);
+    });
+});
@@ -12,9 +12,15 @@ const {
     getBranchesNames,
     generateBranchName,
     createBranch,
-    createFile,
+    normalizeFiles,
+    createCommit,
+    updateBranch,
+    findOpenPullRequest,
     createPullRequest,
+    updatePullRequest,
 } = require('./helpers/metadata');
+const { generateFormats, prepareFiles } = require('./helpers/payload');
+const { resolveStrategies, mergeFiles, generatedToMarkdown, generatedFromMarkdown, pullRequestBody } = require('./helpers/merge');
 
 /* ------------------------------------------------------------------ */
 
@@ -100,16 +106,30 @@ router.get('/metadata-updater-for-fairsoft/installation/id', (req, res) => {
  * @swagger
  * /metadata/pull:
  *   post:
- *     summary: Creates a pull request with a CodeMeta file.
+ *     summary: Creates a pull request with metadata files.
  *     description: >
  *       This endpoint automates the process of creating a pull request in a GitHub repository.
- *       The pull request includes a CodeMeta file generated based on the provided metadata.
+ *       The pull request contains a single commit that writes (or deletes) all the requested files,
+ *       e.g. `codemeta.json`, `CITATION.cff` and `.zenodo.json`, so it is never half-applied.
  *       The process includes:
- *       1. Retrieving the content to be added.
- *       2. Fetching the SHA of the master branch (either named 'master' or 'main').
- *       3. Creating a new branch from the master branch.
- *       4. Adding the file to the new branch and committing the changes.
- *       5. Creating a pull request from the new branch to the master branch.
+ *       1. Preparing the files: generating the ones requested in a given format (e.g. CITATION.cff from the observatory metadata),
+ *          serializing object contents according to the file type as UTF-8 (JSON with sorted keys, YAML, plain text)
+ *          and validating them (JSON/YAML syntax, `codemeta.json` against the CodeMeta context, `CITATION.cff` against the CFF schema,
+ *          other JSON-LD documents against their context). Invalid files are rejected before anything is committed.
+ *       2. Fetching the SHA of the target branch.
+ *       3. Looking for an open pull request from one of the updater's own branches (`evaluator` or `evaluator-n`) to the target branch.
+ *       4. Merging the JSON/JSON-LD and YAML files with the ones of the target branch, following their `merge` strategy
+ *          (`replace` by default, `fill-missing` or `three-way`, the ancestor being the document the updater last generated
+ *          for the open pull request; without a pull request there is no ancestor and values that differ are conflicts).
+ *          Fields that could not be reconciled keep their existing value and are listed in the pull request body.
+ *          The generated documents are kept in a hidden comment of the pull request body for the next call.
+ *          Changes pushed by hand to the pull request branch are not merged: make them on the target branch instead.
+ *       5. Building one tree and one commit through the Git Data API (blobs, trees and commits),
+ *          on top of the open pull request's branch if there is one, or of the target branch otherwise.
+ *       6. Pushing the commit to the open pull request's branch, or creating a new branch and a pull request to the target branch.
+ *       If the files already have the requested content, nothing is committed and the result is `unchanged`.
+ *       Calling the endpoint several times therefore never opens duplicate pull requests.
+ *       The single-file form (`filename` and `metadata`) is still accepted and is equivalent to a one-entry `files` list.
  *     tags:
  *       - Metadata
  *     requestBody:
@@ -121,9 +141,7 @@ router.get('/metadata-updater-for-fairsoft/installation/id', (req, res) => {
  *             required:
  *               - owner
  *               - repo
- *               - filename
  *               - installationID
- *               - metadata
  *             properties:
  *               owner:
  *                 type: string
@@ -131,18 +149,78 @@ router.get('/metadata-updater-for-fairsoft/installation/id', (req, res) => {
  *               repo:
  *                 type: string
  *                 description: The name of the repository.
+ *               branch:
+ *                 type: string
+ *                 description: The branch the pull request targets. Defaults to "main".
+ *               files:
+ *                 type: array
+ *                 description: The files to be written or deleted in the commit. Required unless `filename` and `metadata` are given.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - path
+ *                   properties:
+ *                     path:
+ *                       type: string
+ *                       description: The path of the file, relative to the repository root.
+ *                       example: codemeta.json
+ *                     content:
+ *                       oneOf:
+ *                         - type: string
+ *                         - type: object
+ *                       description: >
+ *                         The content of the file. Required unless `delete` is true. Objects are serialized
+ *                         according to the file extension: JSON (.json, .jsonld) with sorted keys, or YAML (.yml, .yaml, .cff).
+ *                     encoding:
+ *                       type: string
+ *                       enum: [utf-8, base64]
+ *                       default: utf-8
+ *                       description: The encoding of `content`, when it is a string.
+ *                     delete:
+ *                       type: boolean
+ *                       default: false
+ *                       description: Remove the file from the repository instead of writing it.
+ *                     merge:
+ *                       type: string
+ *                       enum: [replace, fill-missing, three-way]
+ *                       description: The merge strategy of this file. Defaults to the top-level `merge`.
+ *                     format:
+ *                       type: string
+ *                       enum: [cff]
+ *                       description: >
+ *                         Generate the file from the observatory metadata given in `content` (an object).
+ *                         `cff` writes a CITATION.cff file (CFF 1.2.0), validated against the CFF schema; `path` defaults to `CITATION.cff`.
  *               filename:
  *                 type: string
- *                 description: The name of the file to be added.
+ *                 description: The name of the file to be added (single-file form).
+ *               merge:
+ *                 type: string
+ *                 enum: [replace, fill-missing, three-way]
+ *                 default: replace
+ *                 description: >
+ *                   How JSON/JSON-LD and YAML files are merged with the existing ones (of the target branch).
+ *                   `replace` overwrites them. `fill-missing` only adds the fields they do not have.
+ *                   `three-way` updates the fields that changed since the document last generated for the open
+ *                   pull request, unless they were also changed in the existing file; without an open pull request, the values
+ *                   that differ are kept and reported, as with `fill-missing`. With `fill-missing` and `three-way`,
+ *                   fields absent from the new content (e.g. hand-curated funding or ORCIDs) are kept.
  *               installationID:
  *                 type: integer
  *                 description: The installation ID for the GitHub App.
  *               metadata:
- *                 type: object
- *                 description: The metadata to be included in the CodeMeta file.
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: >
+ *                   The content of the file to be added (single-file form), as in `files[].content`,
+ *                   or the observatory metadata if `format` is given.
+ *               format:
+ *                 type: string
+ *                 enum: [cff]
+ *                 description: Generate the file of the single-file form from the observatory metadata, as in `files[].format`. `filename` defaults to `CITATION.cff`.
  *               title:
  *                 type: string
- *                 description: The title of the pull request. Defaults to "Metadata for this software" if not provided.
+ *                 description: The title of the pull request. Defaults to "Metadata/Citation for this software" if not provided.
  *               message:
  *                 type: string
  *                 description: The commit message for the pull request. Defaults to a description message if not provided.
@@ -162,47 +240,109 @@ router.get('/metadata-updater-for-fairsoft/installation/id', (req, res) => {
  *                   description: Application status code.
  *                 message:
  *                   type: string
- *                   description: Success message.
+ *                   description: Success message, or "no changes" when nothing was committed.
+ *                 result:
+ *                   type: string
+ *                   enum: [created, updated, unchanged]
+ *                   description: >
+ *                     `created` if a new pull request was opened, `updated` if a commit was pushed to an open pull request,
+ *                     `unchanged` if the files already had the requested content.
+ *                 commit_sha:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The SHA of the commit containing all the files, null when nothing was committed.
+ *                 files:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: The paths written or deleted by the commit.
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Problems found in the files that do not prevent the commit, prefixed by the file path.
+ *                 merge_conflicts:
+ *                   type: array
+ *                   description: The fields that could not be reconciled by the merge. Their existing value was kept.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       path:
+ *                         type: string
+ *                       field:
+ *                         type: string
+ *                         example: version
+ *                       current:
+ *                         description: The existing value, which was kept.
+ *                       incoming:
+ *                         description: The generated value.
  *                 new_branch_name:
  *                   type: string
- *                   description: The name of the newly created branch.
+ *                   nullable: true
+ *                   description: The name of the branch holding the changes, either newly created or reused. Null when there is no pull request.
  *                 head_branch_name:
  *                   type: string
  *                   description: The name of the base branch (usually master or main).
  *                 url:
  *                   type: string
- *                   description: The URL of the created pull request.
+ *                   nullable: true
+ *                   description: The URL of the created or reused pull request. Null when there is no pull request.
  *                 pullrequest_message:
  *                   type: object
+ *                   nullable: true
  *                   description: The full pull request response from GitHub.
  *       400:
- *         description: Bad Request. The input data is invalid.
+ *         description: >
+ *           Bad Request. The list of files is missing or malformed, or a file is not valid against its
+ *           schema. The problems found, prefixed by the file path, are listed in `errors`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 400
+ *                 message:
+ *                   type: string
+ *                   example: The metadata files are not valid.
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["CITATION.cff: authors: must contain at least 1 item(s)."]
  *       500:
  *         description: Internal Server Error. Something went wrong on the server side.
  */
 router.post('/metadata/pull', async (req, res) => {
     /* 
-    This endpoint creates a new pull request with the codemeta file. It does:
-    1. Get content to add.
-    2. Get SHA of master branch (name: master or main).
-    3. Create a new branch from master.
-    4. Add files to branch and commit:
-    5. Create pull request
+    This endpoint creates a new pull request with the metadata files. It does:
+    1. Serialize and validate the files to commit.
+    2. Get SHA of the target branch (default: main).
+    3. Look for an open pull request from an updater branch.
+    4. Merge the files with the ones of the target branch (merge strategies).
+    5. Create one commit with all the files (blobs -> tree -> commit) on top of
+       the pull request branch, or of the target branch if there is none.
+    6. Push it to the pull request branch, or create a new branch and pull request.
+    Nothing is committed if the files already have the requested content.
     */
 
-    const { owner, repo, filename, branch = 'main', installationID, metadata, title, message } = req.body;
+    const { owner, repo, filename, branch = 'main', installationID, metadata, format, merge, title, message } = req.body;
+    let resp;
 
-    // Set default values for title and message if not provided
-    const defaultMessage = `Description of this software (\`${filename}\`) generated by [Metadata Updater for FAIRsoft](https://github.com/apps/metadata-updater-for-fairsoft) added.`;
-    const defaultTitle = `Metadata/Citation for this software`;
-
-    const finalTitle = title || defaultTitle;
-    const finalMessage = message || defaultMessage;
+    try{
+        // The single-file form is kept for existing clients
+        const requested = req.body.files || (filename || format ? [{ path: filename, content: metadata, format: format }] : []);
+        const prepared = await prepareFiles(resolveStrategies(normalizeFiles(generateFormats(requested)), merge));
+        const paths = prepared.files.map((file) => file.path);
+        console.debug('files validated:', paths)
 
+        // Set default values for title and message if not provided
+        const defaultMessage = `Description of this software (${paths.map((path) => `\`${path}\``).join(', ')}) generated by [Metadata Updater for FAIRsoft](https://github.com/apps/metadata-updater-for-fairsoft) added.`;
+        const defaultTitle = `Metadata/Citation for this software`;
 
-    try{
-        const content = btoa(metadata);  
-        console.debug('content created')
+        const finalTitle = title || defaultTitle;
+        const finalMessage = message || defaultMessage;
 
         const octokit = await getOctokit(installationID);
         console.debug('octokit created')
@@ -212,45 +352,85 @@ router.post('/metadata/pull', async (req, res) => {
         const sha = targetBranch.mainSHA;
         const baseBranch = targetBranch.mainName;
 
-        const branches = await getBranchesNames(octokit, owner, repo);
-        const newBranchName = generateBranchName(branches)
-    
-        await createBranch(octokit, owner, repo, newBranchName, sha);
+        // Reuse the updater's open pull request instead of opening a new one on every call
+        const openPull = await findOpenPullRequest(octokit, owner, repo, baseBranch);
+        const parentSHA = openPull ? openPull.head.sha : sha;
 
-        console.debug(metadata)
-        //octokit, owner, repo, branchName, path, content, message
-        await createFile(octokit, owner, repo, newBranchName, filename, content, finalMessage);
-        console.debug('file created')
-        
-        
-        const pullrequest = await createPullRequest(octokit, 
-            owner, 
-            repo, 
-            newBranchName, 
-            baseBranch, 
-            finalTitle,
-            finalMessage
-            );
+        // Merge with the files of the target branch, the documents last generated for the pull request being the ancestor
+        const generated = openPull ? generatedFromMarkdown(openPull.body) : {};
+        let files = prepared.files;
+        let warnings = prepared.warnings;
+        let conflicts = [];
+        if (files.some((file) => file.merge !== 'replace')) {
+            const merged = await mergeFiles(octokit, owner, repo, files, { currentRef: sha, generated: generated });
+            const revalidated = await prepareFiles(merged.files);
+            files = revalidated.files;
+            warnings = merged.warnings.concat(revalidated.warnings);
+            conflicts = merged.conflicts;
+        }
+        const { body, stored } = pullRequestBody(finalMessage, conflicts, generatedToMarkdown(prepared.files, generated));
+        if (!stored) {
+            warnings = warnings.concat(['The generated documents do not fit in the pull request body: the next three-way merge will have no ancestor.']);
+        }
+
+        const commit = await createCommit(octokit, owner, repo, parentSHA, files, finalMessage);
+        console.debug('commit created:', commit ? commit.sha : null)
+
+        let branchName = openPull ? openPull.head.ref : null;
+        let pullrequest = openPull ? { data: openPull } : null;
+        let result = 'unchanged';
+
+        if (commit && openPull) {
+            await updateBranch(octokit, owner, repo, branchName, commit.sha);
+            await updatePullRequest(octokit, owner, repo, openPull.number, body);
+            result = 'updated';
+        } else if (openPull && body !== openPull.body) {
+            // The files did not change, but the generated documents (the next ancestor) may have
+            await updatePullRequest(octokit, owner, repo, openPull.number, body);
+        } else if (commit) {
+            // The branch is only created once the commit holding every file exists
+            const branches = await getBranchesNames(octokit, owner, repo);
+            branchName = generateBranchName(branches)
+
+            await createBranch(octokit, owner, repo, branchName, commit.sha);
+
+            pullrequest = await createPullRequest(octokit, 
+                owner, 
+                repo, 
+                branchName, 
+                baseBranch, 
+                finalTitle,
+                body
+                );
+            result = 'created';
+        }
 
         resp = {
             status: 200,
             code: 200,
-            message: 'success',
-            new_branch_name: newBranchName,
+            message: commit ? 'success' : 'no changes',
+            result: result,
+            commit_sha: commit ? commit.sha : null,
+            files: paths,
+            warnings: warnings,
+            merge_conflicts: conflicts,
+            new_branch_name: branchName,
             head_branch_name: baseBranch,
-            url: pullrequest.data.html_url,
+            url: pullrequest ? pullrequest.data.html_url : null,
             pullrequest_message: pullrequest
             }
 
     }catch(e){
         error(e);
         resp = {
+            status: e.status || 500,
             code: e.status,
-            message: e.message
+            message: e.message,
+            errors: e.errors
         }
         
     } finally {
-        res.send(resp);
+        res.status(resp.status).send(resp);
     }
     
 })